@@ -0,0 +1,120 @@
+/**
+ * KIMCHI - ARTICLE PROXY
+ * Fetches the HTML of a linked article so the reader view can extract its
+ * text in the browser (see reader.js). Same host allow-list as the feeds.
+ *
+ *   GET /api/article?url=<article url>  -> text/html of the page
+ *
+ * The final (post-redirect) URL is returned in X-Final-Url so relative
+ * links/images can be resolved. Pages are cached in memory for an hour.
+ */
+
+const crypto = require('crypto');
+const { FEEDS_CONFIG, isAllowedUrl, getQuery, sendJson, isNotModified, fetchAllowed } = require('../lib/proxy');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ARTICLE_CONFIG = {
+    cacheTtl: 60 * 60 * 1000,
+    maxEntries: 100,
+    timeout: (FEEDS_CONFIG.timeout || 10) * 1000,
+    maxBytes: 3 * 1024 * 1024,
+    userAgent: 'Mozilla/5.0 (compatible; MrTankReader/1.0)'
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+// url -> { html, finalUrl, hash, fetchedAt }
+const articleCache = new Map();
+const articleInFlight = new Map();
+
+async function fetchArticle(url) {
+    const { response, body, url: finalUrl } = await fetchAllowed(url, {
+        headers: {
+            'User-Agent': ARTICLE_CONFIG.userAgent,
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+        },
+        timeout: ARTICLE_CONFIG.timeout,
+        maxBytes: ARTICLE_CONFIG.maxBytes
+    });
+
+    const type = response.headers.get('Content-Type') || '';
+    if (body === null || (type && !type.includes('html'))) {
+        throw new Error(`Not an HTML page (${type || response.status})`);
+    }
+
+    const entry = {
+        html: body,
+        finalUrl,
+        hash: crypto.createHash('sha1').update(body).digest('hex').slice(0, 20),
+        fetchedAt: Date.now()
+    };
+
+    // Oldest entry goes first when the cache is full (Map keeps insertion order)
+    articleCache.delete(url);
+    articleCache.set(url, entry);
+    if (articleCache.size > ARTICLE_CONFIG.maxEntries) {
+        articleCache.delete(articleCache.keys().next().value);
+    }
+    return entry;
+}
+
+function loadArticle(url) {
+    const cached = articleCache.get(url);
+    if (cached && Date.now() - cached.fetchedAt < ARTICLE_CONFIG.cacheTtl) {
+        return Promise.resolve(cached);
+    }
+
+    if (!articleInFlight.has(url)) {
+        articleInFlight.set(url, fetchArticle(url).finally(() => articleInFlight.delete(url)));
+    }
+    return articleInFlight.get(url);
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+module.exports = async function articleHandler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(req, res, 405, { error: 'Method not allowed' }, { 'Allow': 'GET, HEAD' });
+        return;
+    }
+
+    const { url } = getQuery(req);
+    if (!url || !isAllowedUrl(url)) {
+        sendJson(req, res, 403, { error: 'Article host is not on the allow-list' });
+        return;
+    }
+
+    let entry;
+    try {
+        entry = await loadArticle(url);
+    } catch (error) {
+        console.error(`❌ [Article] ${url}: ${error.message}`);
+        sendJson(req, res, 502, { error: error.message });
+        return;
+    }
+
+    const etag = `W/"${entry.hash}"`;
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', new Date(entry.fetchedAt).toUTCString());
+    res.setHeader('Cache-Control', 'public, max-age=600, s-maxage=3600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Final-Url');
+    res.setHeader('X-Final-Url', entry.finalUrl);
+
+    if (isNotModified(req, etag, entry.fetchedAt)) {
+        res.statusCode = 304;
+        res.end();
+        return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(req.method === 'HEAD' ? undefined : entry.html);
+};
@@ -0,0 +1,222 @@
+/**
+ * KIMCHI - RSS/ATOM PROXY
+ * Fetches allow-listed feeds server-side, caches them and serves them as
+ * normalized JSON (see lib/feed-parser.js for the article schema)
+ *
+ *   GET /api/rss                  -> configured feed list
+ *   GET /api/rss?feed=<id>        -> articles of a configured feed
+ *   GET /api/rss?url=<feed url>   -> articles of any feed on an allowed host
+ *   optional &limit=<n>
+ *
+ * Runs as a Vercel function and is mounted by server.js for local use.
+ * Responses carry ETag/Last-Modified and honour conditional requests;
+ * upstream feeds are revalidated with If-None-Match/If-Modified-Since.
+ */
+
+const crypto = require('crypto');
+const { parseFeed } = require('../lib/feed-parser');
+const { FEEDS_CONFIG, FEEDS, ALLOWED_HOSTS, isAllowedUrl, getQuery, sendJson, isNotModified, fetchAllowed } = require('../lib/proxy');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RSS_CONFIG = {
+    cacheTtl: (FEEDS_CONFIG.cacheTtl || 120) * 1000,
+    timeout: (FEEDS_CONFIG.timeout || 10) * 1000,
+    maxBytes: FEEDS_CONFIG.maxBytes || 2 * 1024 * 1024,
+    defaultLimit: 20,
+    maxLimit: 100,
+    maxEntries: 200,                      // Feeds kept in memory (any allowed url can be requested)
+    userAgent: 'Mozilla/5.0 (compatible; MrTankFeedProxy/1.0)'
+};
+
+// ============================================
+// CACHE
+// ============================================
+
+// feed url -> { articles, title, link, format, hash, etag, lastModified, modifiedAt, checkedAt }
+const feedCache = new Map();
+const feedInFlight = new Map();
+
+// Least recently used feed goes first when the cache is full (Map keeps
+// insertion order, so a hit moves the feed to the end)
+function cacheFeed(url, entry) {
+    feedCache.delete(url);
+    feedCache.set(url, entry);
+    if (feedCache.size > RSS_CONFIG.maxEntries) {
+        feedCache.delete(feedCache.keys().next().value);
+    }
+    return entry;
+}
+
+async function fetchUpstream(url, cached) {
+    const headers = {
+        'User-Agent': RSS_CONFIG.userAgent,
+        'Accept': 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+    };
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const { response, body } = await fetchAllowed(url, {
+        headers,
+        timeout: RSS_CONFIG.timeout,
+        maxBytes: RSS_CONFIG.maxBytes
+    });
+
+    if (body === null) {
+        if (cached) return { notModified: true };
+        throw new Error('Upstream answered 304 without a cached copy');
+    }
+
+    return {
+        body,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
+async function refreshFeed(url) {
+    const cached = feedCache.get(url);
+    const now = Date.now();
+
+    try {
+        const result = await fetchUpstream(url, cached);
+
+        if (result.notModified) {
+            cached.checkedAt = now;
+            return cacheFeed(url, cached);
+        }
+
+        const parsed = parseFeed(result.body);
+        const hash = crypto.createHash('sha1').update(JSON.stringify(parsed.articles)).digest('hex').slice(0, 20);
+        const changed = !cached || cached.hash !== hash;
+
+        const entry = {
+            ...parsed,
+            hash,
+            etag: result.etag,
+            lastModified: result.lastModified,
+            // Only move Last-Modified forward when the articles actually changed
+            modifiedAt: changed ? (Date.parse(result.lastModified) || now) : cached.modifiedAt,
+            checkedAt: now
+        };
+        return cacheFeed(url, entry);
+    } catch (error) {
+        // Serve the last good copy rather than nothing
+        if (cached) {
+            console.warn(`⚠️ [RSS] ${url}: ${error.message} - serving cached copy`);
+            cached.checkedAt = now;
+            return { ...cached, stale: true };
+        }
+        throw error;
+    }
+}
+
+function loadFeed(url) {
+    const cached = feedCache.get(url);
+    if (cached && Date.now() - cached.checkedAt < RSS_CONFIG.cacheTtl) {
+        return Promise.resolve(cacheFeed(url, cached));
+    }
+
+    if (!feedInFlight.has(url)) {
+        feedInFlight.set(url, refreshFeed(url).finally(() => feedInFlight.delete(url)));
+    }
+    return feedInFlight.get(url);
+}
+
+// ============================================
+// RESPONSES
+// ============================================
+
+function describeFeed(feed) {
+    return {
+        id: feed.id,
+        label: feed.label || feed.id,
+        source: feed.source || (feed.label || feed.id).toUpperCase(),
+        url: feed.url,
+        category: feed.category || 'news',
+        limit: feed.limit || RSS_CONFIG.defaultLimit
+    };
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+module.exports = async function rssHandler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendJson(req, res, 405, { error: 'Method not allowed' }, { 'Allow': 'GET, HEAD' });
+        return;
+    }
+
+    const query = getQuery(req);
+
+    // No feed requested - list what is configured
+    if (!query.feed && !query.url) {
+        sendJson(req, res, 200, {
+            feeds: FEEDS.map(describeFeed),
+            allowedHosts: [...ALLOWED_HOSTS]
+        }, { 'Cache-Control': 'public, max-age=300' });
+        return;
+    }
+
+    let feed;
+    if (query.feed) {
+        const configured = FEEDS.find(f => f.id === query.feed);
+        if (!configured) {
+            sendJson(req, res, 404, { error: `Unknown feed: ${query.feed}` });
+            return;
+        }
+        feed = describeFeed(configured);
+    } else {
+        if (!isAllowedUrl(query.url)) {
+            sendJson(req, res, 403, { error: 'Feed host is not on the allow-list' });
+            return;
+        }
+        const host = new URL(query.url).hostname.replace(/^www\./, '');
+        feed = describeFeed({ id: host, label: host, url: query.url });
+    }
+
+    const limit = Math.min(RSS_CONFIG.maxLimit, Math.max(1, parseInt(query.limit, 10) || feed.limit));
+
+    let entry;
+    try {
+        entry = await loadFeed(feed.url);
+    } catch (error) {
+        console.error(`❌ [RSS] ${feed.url}: ${error.message}`);
+        sendJson(req, res, 502, { error: error.message, feed: feed.id });
+        return;
+    }
+
+    const etag = `W/"${entry.hash}-${limit}"`;
+    const ttlSeconds = Math.round(RSS_CONFIG.cacheTtl / 1000);
+    const headers = {
+        'ETag': etag,
+        'Last-Modified': new Date(entry.modifiedAt).toUTCString(),
+        'Cache-Control': `public, max-age=60, s-maxage=${ttlSeconds}, stale-while-revalidate=${ttlSeconds}`
+    };
+    if (entry.stale) headers['X-Feed-Stale'] = '1';
+
+    if (isNotModified(req, etag, entry.modifiedAt)) {
+        sendJson(req, res, 304, null, headers);
+        return;
+    }
+
+    sendJson(req, res, 200, {
+        feed: {
+            ...feed,
+            title: entry.title,
+            link: entry.link,
+            format: entry.format
+        },
+        articles: entry.articles.slice(0, limit).map(article => ({
+            ...article,
+            feedId: feed.id,
+            source: feed.source,
+            category: feed.category
+        })),
+        fetchedAt: new Date(entry.checkedAt).toISOString(),
+        stale: !!entry.stale
+    }, headers);
+};
@@ -0,0 +1,209 @@
+/**
+ * KIMCHI - TEXT TO SPEECH PROXY
+ * Backs the 'http' engine of tts.js: synthesizes a line with Uberduck using
+ * the key from the environment, so the browser never sees it
+ *
+ *   POST /api/tts { text, voice? }  -> { audioUrl }
+ *
+ *   OPTIONS /api/tts                -> CORS preflight for the allowed origins
+ *
+ * Environment: UBERDUCK_API_KEY (required), UBERDUCK_VOICE, UBERDUCK_API_URL,
+ * TTS_ALLOWED_ORIGINS (comma-separated, defaults to the site's own origin),
+ * TTS_TRUST_PROXY (1 when a proxy in front sets X-Forwarded-For; on by
+ * default on Vercel).
+ * Without a key it answers 503 and the browser falls back to Web Speech.
+ *
+ * Every call costs Uberduck credits, so only pages from an allowed origin
+ * may use it (no wildcard CORS) and each IP gets a limited number of lines.
+ */
+
+const { sendJson, readJsonBody } = require('../lib/proxy');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TTS_CONFIG = {
+    apiUrl: process.env.UBERDUCK_API_URL || 'https://api.uberduck.ai/v1/text-to-speech',
+    apiKey: process.env.UBERDUCK_API_KEY || '',
+    voice: process.env.UBERDUCK_VOICE || 'en-us-casual-k',
+    maxChars: 1500,
+    timeout: 20 * 1000,
+    allowedOrigins: (process.env.TTS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    rateLimit: { max: 20, window: 60 * 1000 },    // Lines per IP per window
+    // X-Forwarded-For is only believed behind a proxy that sets it - anybody
+    // can send the header to a server that is reached directly
+    trustProxy: process.env.TTS_TRUST_PROXY ? process.env.TTS_TRUST_PROXY === '1' : !!process.env.VERCEL
+};
+
+// ============================================
+// ACCESS
+// ============================================
+
+// ip -> [timestamps of recent requests]
+const ttsRequests = new Map();
+
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (TTS_CONFIG.trustProxy && forwarded) {
+        // The entry our proxy appended is the last one, the rest came from the client
+        return String(forwarded).split(',').pop().trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * The request's Origin if it may use the proxy, null otherwise. Browsers
+ * send Origin on every POST, same-origin included.
+ */
+function getAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return null;
+
+    if (TTS_CONFIG.allowedOrigins.length > 0) {
+        return TTS_CONFIG.allowedOrigins.includes(origin) ? origin : null;
+    }
+
+    // Default: only the site itself
+    try {
+        return new URL(origin).host === req.headers.host ? origin : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Sliding window per IP. Returns the seconds to wait, or 0 if allowed.
+ */
+function checkRateLimit(ip) {
+    const { max, window } = TTS_CONFIG.rateLimit;
+    const now = Date.now();
+    const recent = (ttsRequests.get(ip) || []).filter(ts => now - ts < window);
+
+    if (recent.length >= max) {
+        ttsRequests.set(ip, recent);
+        return Math.ceil((recent[0] + window - now) / 1000);
+    }
+
+    recent.push(now);
+    ttsRequests.set(ip, recent);
+    return 0;
+}
+
+function pruneRateLimit() {
+    const now = Date.now();
+    ttsRequests.forEach((timestamps, ip) => {
+        if (now - timestamps[timestamps.length - 1] >= TTS_CONFIG.rateLimit.window) {
+            ttsRequests.delete(ip);
+        }
+    });
+}
+
+setInterval(pruneRateLimit, TTS_CONFIG.rateLimit.window).unref();
+
+// ============================================
+// UBERDUCK
+// ============================================
+
+async function synthesize(text, voice) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TTS_CONFIG.timeout);
+
+    try {
+        const response = await fetch(TTS_CONFIG.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${TTS_CONFIG.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ text, voice }),
+            signal: controller.signal
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.detail || data.error || `Upstream HTTP ${response.status}`);
+        }
+
+        const audioUrl = data.audio_url || data.path;
+        if (!audioUrl) {
+            throw new Error('No audio in the upstream response');
+        }
+        return audioUrl;
+    } catch (error) {
+        throw new Error(error.name === 'AbortError' ? `Upstream timed out after ${TTS_CONFIG.timeout}ms` : error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// ============================================
+// HANDLER
+// ============================================
+
+module.exports = async function ttsHandler(req, res) {
+    const origin = getAllowedOrigin(req);
+    // Only the allowed origin may read the answer (replaces sendJson's '*')
+    const headers = { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+
+    if (req.method === 'OPTIONS') {
+        res.statusCode = origin ? 204 : 403;
+        res.setHeader('Vary', 'Origin');
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Methods', 'POST');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+            res.setHeader('Access-Control-Max-Age', '600');
+        }
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(req, res, 405, { error: 'Method not allowed' }, { ...headers, 'Allow': 'POST, OPTIONS' });
+        return;
+    }
+
+    if (!origin) {
+        sendJson(req, res, 403, { error: 'Origin not allowed' }, headers);
+        return;
+    }
+
+    const retryAfter = checkRateLimit(getClientIp(req));
+    if (retryAfter > 0) {
+        sendJson(req, res, 429, { error: 'Too many requests' }, { ...headers, 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    if (!TTS_CONFIG.apiKey) {
+        sendJson(req, res, 503, { error: 'Text-to-speech is not configured' }, headers);
+        return;
+    }
+
+    let text;
+    let voice;
+    try {
+        const body = await readJsonBody(req);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Body must be a JSON object');
+        }
+
+        text = typeof body.text === 'string' ? body.text.trim().slice(0, TTS_CONFIG.maxChars) : '';
+        voice = typeof body.voice === 'string' && /^[\w-]{1,64}$/.test(body.voice) ? body.voice : TTS_CONFIG.voice;
+    } catch (error) {
+        sendJson(req, res, 400, { error: error.message }, headers);
+        return;
+    }
+
+    if (!text) {
+        sendJson(req, res, 400, { error: 'Missing text' }, headers);
+        return;
+    }
+
+    try {
+        sendJson(req, res, 200, { audioUrl: await synthesize(text, voice) }, { ...headers, 'Cache-Control': 'no-store' });
+    } catch (error) {
+        console.error(`❌ [TTS] ${error.message}`);
+        sendJson(req, res, 502, { error: error.message }, headers);
+    }
+};
@@ -21,6 +21,21 @@ const CONFIG = {
         endpoint: 'https://api.groq.com/openai/v1/chat/completions',
         model: 'llama-3.1-8b-instant',
         systemPrompt: `You are BILU, an extraterrestrial intelligence from a distant galaxy. You possess advanced knowledge of the cosmos, technology, and universal wisdom. You speak with cosmic insight and otherworldly perspective, making references to space, alien civilizations, and galactic phenomena. You understand crypto, finance, and universal economics. Your responses are short (maximum 2 sentences) and thought-provoking. You love making analogies between space exploration, alien technology, and success. You occasionally reference intergalactic wisdom and cosmic mysteries. Always respond in English. Speak like a wise alien companion who guides humanity.`
+    },
+    // Text to speech (tts.js): engines in order of preference, the next one
+    // takes over when one fails. 'http' is the Uberduck proxy in api/tts.js.
+    // The voice itself is the user's voice profile (STATE.voiceProfile)
+    tts: {
+        engines: ['http', 'webspeech', 'local']
+    },
+    // What automatic speech remembers as already read aloud:
+    // 'user' - each visitor hears an item once (default)
+    // 'session' - once per page load, nothing is stored
+    // 'broadcast' - once for everybody: the first visitor to hear it wins
+    // Stored entries expire after `retention`
+    spoken: {
+        scope: localStorage.getItem('tank_spoken_scope') || 'user',
+        retention: 7 * 24 * 60 * 60 * 1000
     }
 };
 
@@ -38,10 +53,10 @@ const STATE = {
     isSpeaking: false,
     isWordActive: false,
     wordTimeout: null,
-    currentAudio: null, // Current playing audio (for Uberduck)
     mouthInterval: null, // Interval for mouth animation
 
-    // Stats
+    // Stats - computed by the sentiment index (sentiment.js), these are the
+    // values shown until the first computation
     mood: 75,
     health: 80,
     volatility: 45,
@@ -80,60 +95,68 @@ const STATE = {
     radioPlaying: false,
     radioMuted: true,
 
-    // Speech
-    voices: []
+    // Voice profile (tts.js) - loaded per user by initVoiceSettings
+    voiceProfile: TTS.defaultProfile(),
+
+    // Tank View reader (the popup stays open while an article is shown)
+    tankViewItem: null,
+    tankViewPinned: false,
+    tankReaderSpeaking: false
 };
 
 // ============================================
 // AUTOMATIC SPEECH QUEUE SYSTEM
 // ============================================
 
-// Global speech queue for automatic reading of BILU Archives
-const speechQueue = [];
-let isProcessingQueue = false;
+// Every line goes through the speech scheduler (speech-queue.js)
 const spokenMessages = new Set(); // Track what has been spoken to avoid repeats
 let initialLoadDone = false; // Track if initial load completed
 let initialLoadCount = 0; // Count items in initial load
 
 // ============================================
 // SPOKEN NEWS PERSISTENCE (Firebase)
-// Each news is spoken ONLY ONCE - SHARED across ALL users
-// If ONE user heard it, NO user will hear it again
+// Each item is spoken ONLY ONCE per CONFIG.spoken.scope - per user by
+// default, or for everybody in broadcast mode
 // ============================================
 
 /**
- * Mark a news item as already spoken (shared across ALL users via Firebase)
+ * Mark an item as already spoken (session scope: spokenMessages only)
  * @param {string} newsId - Unique ID of the news item
  */
 async function markAsSpoken(newsId) {
-    if (typeof FirebaseDB !== 'undefined' && FirebaseDB.isAvailable()) {
-        await FirebaseDB.markNewsAsSpoken(newsId);
-    } else {
-        // Fallback to localStorage if Firebase not available
-        const spoken = JSON.parse(localStorage.getItem('tank_spoken_news') || '[]');
-        if (!spoken.includes(newsId)) {
-            spoken.push(newsId);
-            if (spoken.length > 500) spoken.shift();
-            localStorage.setItem('tank_spoken_news', JSON.stringify(spoken));
-        }
-    }
+    const { scope, retention } = CONFIG.spoken;
+    if (scope === 'session' || typeof FirebaseDB === 'undefined') return;
+
+    await FirebaseDB.markNewsAsSpoken(newsId, { scope, maxAge: retention });
 }
 
 /**
- * Check if a news item was already spoken (by ANY user)
+ * Check if an item was already spoken in an earlier visit (this user's, or
+ * anybody's in broadcast mode)
  * @param {string} newsId - Unique ID of the news item
  * @returns {Promise<boolean>} True if already spoken, false otherwise
  */
 async function wasAlreadySpoken(newsId) {
-    if (typeof FirebaseDB !== 'undefined' && FirebaseDB.isAvailable()) {
-        return await FirebaseDB.wasNewsSpoken(newsId);
-    } else {
-        // Fallback to localStorage
-        const spoken = JSON.parse(localStorage.getItem('tank_spoken_news') || '[]');
-        return spoken.includes(newsId);
-    }
+    const { scope, retention } = CONFIG.spoken;
+    if (scope === 'session' || typeof FirebaseDB === 'undefined') return false;
+
+    return await FirebaseDB.wasNewsSpoken(newsId, { scope, maxAge: retention });
 }
 
+/**
+ * Switch the spoken-once scope ('user', 'session' or 'broadcast') - kept
+ * in localStorage, e.g. setSpokenScope('broadcast') for a shared screen
+ */
+window.setSpokenScope = function(scope) {
+    if (!['user', 'session', 'broadcast'].includes(scope)) {
+        console.log('❌ Unknown scope - use user, session or broadcast');
+        return;
+    }
+    CONFIG.spoken.scope = scope;
+    localStorage.setItem('tank_spoken_scope', scope);
+    console.log('🔊 Spoken-once scope:', scope);
+};
+
 /**
  * Add message to speech queue for automatic reading
  *
@@ -141,39 +164,48 @@ async function wasAlreadySpoken(newsId) {
  * - NEWS, PREDICTIONS, KNOWLEDGE → Added automatically
  * - MARKET → NOT added automatically (only speaks when user clicks "CLICK TO HEAR")
  *
- * CRITICAL RULE: Each news is spoken ONLY ONCE - shared across ALL users via Firebase
- * - If ONE user heard it, NO user will hear it again
- * - Uses Firebase 'spoken_news' collection to sync across all users
- * - If user wasn't on page when news arrived, they won't hear it
+ * CRITICAL RULE: Each news is spoken ONLY ONCE per CONFIG.spoken.scope
+ * - 'user': once per visitor, whoever else heard it ('spoken_news' in Firebase)
+ * - 'session': once per page load
+ * - 'broadcast': if ONE user heard it, NO user will hear it again
  * - Only NEW news (that arrived AFTER page opened) will be spoken
  *
  * @param {string} text - Text to speak
  * @param {string} itemId - Unique ID to prevent duplicates
  * @param {boolean} isInitialLoad - Whether this is part of initial page load
+ * @param {Object} options - Scheduler options (level, key, label - see queueSpeech)
  */
-async function addToSpeechQueue(text, itemId, isInitialLoad = false) {
+async function addToSpeechQueue(text, itemId, isInitialLoad = false, options = {}) {
     // IMPORTANT: Check if voice AND sound are enabled BEFORE adding to queue
     if (!STATE.voiceEnabled || !STATE.soundEnabled) {
         console.log('🔇 Voice/Sound disabled, skipping speech:', itemId);
         return;
     }
 
-    // CRITICAL: Check if this news was EVER spoken before (Firebase - shared across ALL users)
-    const alreadySpoken = await wasAlreadySpoken(itemId);
-    if (alreadySpoken) {
-        console.log('🔇 News already spoken before (Firebase - any user), skipping:', itemId);
-        return;
-    }
-
     // Skip if already spoken in this session
     if (spokenMessages.has(itemId)) {
         console.log('🔇 Already spoken in this session:', itemId);
         return;
     }
 
+    // Mark as queued for the session before anything is awaited, so the same
+    // item coming in at two levels (breaking alert + news feed) is said once.
+    // Firebase marks it as spoken (until it expires) only once it was actually
+    // said - a line that expires, is dropped or coalesced away can still be
+    // spoken on a later visit
+    spokenMessages.add(itemId);
+
+    // CRITICAL: Check if this news was spoken before (this user, or anybody in broadcast mode)
+    const alreadySpoken = await wasAlreadySpoken(itemId);
+    if (alreadySpoken) {
+        console.log(`🔇 News already spoken before (${CONFIG.spoken.scope}), skipping:`, itemId);
+        return;
+    }
+
     // For initial load, only add first 3 items
     if (isInitialLoad && initialLoadCount >= 3) {
         console.log('🔇 Initial load limit reached, skipping:', itemId);
+        spokenMessages.delete(itemId);
         return;
     }
 
@@ -183,63 +215,137 @@ async function addToSpeechQueue(text, itemId, isInitialLoad = false) {
 
     console.log('🔊 Adding to speech queue:', text.substring(0, 50) + '...');
 
-    // Mark as spoken in session and Firebase (forever - for ALL users)
-    spokenMessages.add(itemId);
-    await markAsSpoken(itemId);
+    queueSpeech(text, { level: 'news', ...options }).then(status => {
+        if (status === 'spoken') markAsSpoken(itemId);
+    });
+}
 
-    speechQueue.push({ text, itemId });
+// Voice profile category (tts.js) for each scheduler level
+const SPEECH_LEVEL_CATEGORY = {
+    user: 'news',
+    alert: 'alert',
+    knowledge: 'knowledge',
+    news: 'news',
+    idle: 'chatter'
+};
 
-    // Start processing queue
-    processQueue();
-}
+// Transcript origin (transcript.js) for each scheduler level
+const SPEECH_LEVEL_ORIGIN = {
+    user: 'user',
+    alert: 'alert',
+    knowledge: 'knowledge',
+    news: 'news',
+    idle: 'idle'
+};
 
 /**
- * Process speech queue one by one
+ * Queue a line on the speech scheduler - every utterance goes through here
  *
- * CRITICAL RULE: BILU can NEVER be interrupted
- * - Must finish speaking current message completely before next
- * - Uses STATE.isSpeaking to ensure no overlap
- * - 2 second pause between messages for natural rhythm
+ * @param {Object} options
+ *   level    - user, alert, knowledge, news or idle (priority and interrupt policy)
+ *   key      - queued lines with the same key are coalesced
+ *   group    - lines that belong together (article chunks)
+ *   label    - what the queue view shows
+ *   category - voice profile category (defaults by level)
+ *   voice    - explicit voice settings (voice preview)
+ *   origin   - transcript origin (defaults by level, false = not transcribed)
+ *   cardId   - card the line is about (transcript)
+ * @returns {Promise<string>} how the line ended: 'spoken', 'skipped', 'expired'...
  */
-async function processQueue() {
-    // IMPORTANT: If voice OR sound is disabled, clear the queue and stop
+function queueSpeech(text, { level = 'news', key = null, group = null, label = null, category = null, voice = null, origin = null, cardId = null } = {}) {
     if (!STATE.voiceEnabled || !STATE.soundEnabled) {
-        console.log('🔇 Voice/Sound disabled, clearing speech queue');
-        speechQueue.length = 0; // Clear array
-        isProcessingQueue = false;
-        return;
+        console.log('🔇 Voice/Sound disabled, skipping speech:', text.substring(0, 50));
+        return Promise.resolve('muted');
     }
 
-    // CRITICAL: Don't start if already speaking or processing
-    if (isProcessingQueue || STATE.isSpeaking || speechQueue.length === 0) {
-        return;
+    return SpeechQueue.enqueue(text, {
+        level,
+        key,
+        group,
+        label,
+        meta: {
+            category: category || SPEECH_LEVEL_CATEGORY[level],
+            voice,
+            origin: origin === null ? SPEECH_LEVEL_ORIGIN[level] : origin,
+            cardId
+        }
+    });
+}
+
+/**
+ * Play a scheduled line and put it in the transcript once it has been said
+ */
+async function speakScheduled(item) {
+    const startedAt = Date.now();
+    const engine = await speak(item.text, { category: item.meta.category, voice: item.meta.voice });
+
+    if (engine && item.meta.origin) {
+        SpeechTranscript.record({
+            text: item.text,
+            origin: item.meta.origin,
+            cardId: item.meta.cardId,
+            level: item.level,
+            category: item.meta.category,
+            engine,
+            interrupted: Boolean(item.stopping),
+            timestamp: startedAt
+        });
     }
+    return engine;
+}
 
-    isProcessingQueue = true;
-    console.log(`📢 Processing speech queue (${speechQueue.length} items)...`);
+function initSpeechScheduler() {
+    SpeechQueue.init({
+        speak: speakScheduled,
+        stop: () => TTS.cancel(),
+        pause: () => TTS.pause(),
+        resume: () => TTS.resume(),
+        duck: (factor) => TTS.duck(factor)
+    });
 
-    while (speechQueue.length > 0) {
-        // Check again during processing (in case user disables mid-queue)
+    document.getElementById('speechSkip')?.addEventListener('click', () => SpeechQueue.skip());
+    document.getElementById('speechPause')?.addEventListener('click', () => {
+        if (SpeechQueue.state().paused) SpeechQueue.resume();
+        else SpeechQueue.pause();
+    });
+    document.getElementById('speechReplay')?.addEventListener('click', () => {
         if (!STATE.voiceEnabled || !STATE.soundEnabled) {
-            console.log('🔇 Voice/Sound disabled during processing, stopping queue');
-            speechQueue.length = 0;
-            break;
+            showToast('Turn voice and sound on to replay', 'info');
+            return;
         }
+        SpeechQueue.replay();
+    });
+    document.getElementById('speechClear')?.addEventListener('click', () => SpeechQueue.clear());
+    document.getElementById('speechQueueList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.speech-queue-remove');
+        if (button) SpeechQueue.remove(Number(button.closest('.speech-queue-item').dataset.id));
+    });
 
-        const { text, itemId } = speechQueue.shift();
-        console.log('🎙️ Speaking:', text.substring(0, 50) + '...', '(', speechQueue.length, 'remaining)');
+    SpeechQueue.onChange(renderSpeechQueue);
+    renderSpeechQueue(SpeechQueue.state());
+}
 
-        // CRITICAL: Wait for speaking to complete fully
-        // speakCardContent will set STATE.isSpeaking = true and then false when done
-        await speakCardContent(text, false); // Pass false to indicate it's from queue (don't cancel)
+function renderSpeechQueue(state) {
+    const list = document.getElementById('speechQueueList');
+    if (!list) return;
 
-        // Pause between messages for natural rhythm (2 seconds)
-        console.log('⏸️ Pausing 2 seconds before next message...');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+    document.getElementById('speechQueueCount').textContent = state.queue.length;
+    document.getElementById('speechPause').textContent = state.paused ? 'resume' : 'pause';
+    document.getElementById('speechReplay').disabled = !state.last;
 
-    isProcessingQueue = false;
-    console.log('✅ Speech queue finished');
+    const row = (item, isCurrent) => `
+        <div class="speech-queue-item level-${item.level} ${isCurrent ? 'current' : ''}" data-id="${item.id}">
+            <span class="speech-queue-level">${isCurrent ? (state.paused ? '⏸ ' : '▶ ') : ''}${item.level.toUpperCase()}</span>
+            <span class="speech-queue-label">${escapeHtml(item.label.length > 70 ? item.label.substring(0, 70) + '...' : item.label)}</span>
+            ${isCurrent ? '' : '<button class="speech-queue-remove" title="Remove">&times;</button>'}
+        </div>
+    `;
+
+    const rows = [
+        ...(state.current ? [row(state.current, true)] : []),
+        ...state.queue.map(item => row(item, false))
+    ];
+    list.innerHTML = rows.length > 0 ? rows.join('') : '<div class="speech-queue-empty">Nothing queued</div>';
 }
 
 /**
@@ -284,10 +390,39 @@ function createMarketSpeech(card) {
 }
 
 /**
- * Create speech text for news
+ * Create speech text for news (headline + LLM summary when there is one)
  */
 function createNewsSpeech(card) {
-    return `${card.title}`;
+    const enrichment = card.enrichment || NewsEnrichment.get(card);
+    return enrichment ? `${card.title}. ${enrichment.summary}` : `${card.title}`;
+}
+
+// Stories queued this session - the same story from another outlet is skipped
+const queuedStories = [];
+
+/**
+ * Queue a news card once per story. The story id (not the card id) is what
+ * gets marked as spoken, so other outlets' versions of it stay silent.
+ */
+async function queueNewsSpeech(card, isInitialLoad = false) {
+    if (!STATE.voiceEnabled || !STATE.soundEnabled) return;
+
+    if (queuedStories.some(story => StoryClusters.isSameStory(story, card))) {
+        console.log('🔇 Same story already queued from another source, skipping:', card.title);
+        return;
+    }
+    queuedStories.push({ title: card.title, timestamp: card.timestamp });
+    if (queuedStories.length > 200) queuedStories.shift();
+
+    const storyId = card.storyId || StoryClusters.storyId(card);
+
+    // Give the summary a moment to arrive - unless the story won't be spoken anyway
+    const willSpeak = !spokenMessages.has(storyId) && !(isInitialLoad && initialLoadCount >= 3);
+    if (willSpeak && !card.enrichment && !(await wasAlreadySpoken(storyId))) {
+        card.enrichment = await NewsEnrichment.waitFor(card);
+    }
+
+    await addToSpeechQueue(createNewsSpeech(card), storyId, isInitialLoad, { label: card.title, cardId: card.id });
 }
 
 /**
@@ -297,6 +432,16 @@ function createPredictionSpeech(card) {
     return `${card.title}. ${card.content}`;
 }
 
+/**
+ * Create speech text for a prediction market whose odds moved a lot in 24h
+ */
+function createOddsMoveSpeech(card) {
+    const mover = card.oddsMover;
+    const change = Math.round(mover.change);
+    const subject = /^yes$/i.test(mover.name) ? card.question : `${card.question} ${mover.name}`;
+    return `Big move on Polymarket. ${subject}: ${change >= 0 ? 'up' : 'down'} ${Math.abs(change)} points in 24 hours, now ${Math.round(mover.odds)} percent.`;
+}
+
 /**
  * Create speech text for knowledge
  */
@@ -344,6 +489,9 @@ let realTimeCards = [];
 let isLoadingData = false;
 let lastDataUpdate = null;
 
+// Polymarket market ids pinned on the market terminal (shared tracked list)
+let trackedPredictionIds = JSON.parse(localStorage.getItem('tank_tracked_predictions') || '[]').map(market => market.id);
+
 // ============================================
 // AUTONOMOUS PHRASES
 // ============================================
@@ -460,19 +608,28 @@ const IDLE_SPEECH_MAX = 60000;
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Enrichment must know the Groq key before the first news snapshot arrives
+    initNewsEnrichment();
+
     // Initialize Firebase FIRST so listeners are ready
     initFirebaseListeners();
+    initAlertAnnouncements();
+    initNewsFeeds();
 
     // Then initialize everything else
     initClock();
     initThreeJS();
     initVoice();
+    initVoiceSettings();
+    initSpeechScheduler();
+    initTranscriptDrawer();
     initRadio();
     initKnowledge();
     initNewsfeed();
     initTankView();
     initTicks();
     updateStats();
+    initSentimentIndex();
     initAutonomousSpeech();
     initArcticEffects();
     initAutoObservations();
@@ -500,6 +657,11 @@ function initFirebaseListeners() {
 
     console.log('🔥 Firebase listeners starting...');
 
+    // Spoken-news entries expire (the collection used to grow forever)
+    FirebaseDB.cleanOldSpokenNews(CONFIG.spoken.retention);
+    // So do story enrichments - a headline that comes back gets a new summary
+    if (window.NewsEnrichment) FirebaseDB.cleanOldEnrichment(NewsEnrichment.config.maxAge);
+
     // Listen to knowledge updates from Firebase with REAL-TIME detection
     let isFirstLoad = true;
     FirebaseDB.listenToKnowledgeWithChanges((items, changes) => {
@@ -563,9 +725,16 @@ function initFirebaseListeners() {
             content: item.content || item.description || '',
             date: item.date || new Date(item.timestamp).toLocaleDateString(),
             timestamp: item.timestamp,
-            url: item.url
+            url: item.url,
+            storyId: item.storyId,
+            sources: item.sources,
+            enrichment: item.enrichment || null
         }));
 
+        // Summaries produced by other dashboards, and stories still missing one
+        NewsEnrichment.remember(news);
+        NewsEnrichment.enqueue(news);
+
         // Detect NEW news cards
         const oldCardIds = new Set(realTimeCards.map(c => c.id));
         const newNewsCards = apiCards.filter(c => !oldCardIds.has(c.id));
@@ -578,16 +747,19 @@ function initFirebaseListeners() {
         // ONLY if initial load is complete (don't read history)
         if (newNewsCards.length > 0 && initialLoadDone) {
             console.log(`📰 ${newNewsCards.length} new news items - adding to speech queue`);
-            // Use for...of to support async/await
-            (async () => {
-                for (const card of newNewsCards) {
-                    const speechText = createNewsSpeech(card);
-                    await addToSpeechQueue(speechText, card.id, false);
-                }
-            })();
+            // Side by side: each card waits for its own summary, so a burst
+            // isn't held up one summary wait after another
+            newNewsCards.forEach(card => queueNewsSpeech(card, false));
         }
 
         renderArchivesFeed();
+        scheduleSentimentUpdate();
+    });
+
+    // Pinned prediction markets replace the default Polymarket picks
+    FirebaseDB.listenToTrackedPredictions((markets) => {
+        trackedPredictionIds = markets.map(market => market.id);
+        console.log(`📌 Firebase: ${trackedPredictionIds.length} tracked prediction markets`);
     });
 
     // Listen to status updates from Firebase
@@ -609,6 +781,54 @@ function initFirebaseListeners() {
     console.log('Firebase listeners initialized');
 }
 
+/**
+ * Summaries/sentiment for new stories come from the same Groq setup as BILU's chatter
+ */
+function initNewsEnrichment() {
+    NewsEnrichment.init({
+        getApiKey: () => STATE.groqApiKey,
+        endpoint: CONFIG.groq.endpoint,
+        model: CONFIG.groq.model
+    });
+}
+
+/**
+ * Follow the shared feed list and keep the feed sources in sync with it
+ */
+function initNewsFeeds() {
+    NewsFeeds.init();
+    NewsFeeds.onChange(registerFeedSources);
+
+    // Ticker links on news cards need the asset dictionary
+    TickerExtractor.ready.then(renderArchivesFeed);
+}
+
+// Price alerts fired on the market terminal are announced here
+const announcedAlerts = new Set();
+
+function initAlertAnnouncements() {
+    if (typeof FirebaseDB === 'undefined') return;
+
+    // Only announce alerts fired while this page is open
+    const pageLoadedAt = Date.now();
+
+    FirebaseDB.listenToAlertEvents((events) => {
+        events
+            .filter(event => event.timestamp > pageLoadedAt && !announcedAlerts.has(event.id))
+            .reverse() // Oldest first
+            .forEach(event => {
+                announcedAlerts.add(event.id);
+                console.log('🚨 Price alert received:', event.message);
+                showToast(`🚨 ${event.message}`, 'error');
+                addToSpeechQueue(event.speech || event.message, `alert_${event.id}`, false, {
+                    level: 'alert',
+                    key: `alert_${event.ruleId || event.symbol}`,
+                    label: event.message
+                });
+            });
+    });
+}
+
 // Update weather displays when Firebase status changes
 function updateWeatherDisplays() {
     const tempEl = document.getElementById('temperature');
@@ -1020,8 +1240,8 @@ window.testTTS = function() {
     console.log('========================================');
     console.log('FULL TTS PIPELINE TEST');
     console.log('========================================');
-    console.log('1. speechSynthesis supported?', 'speechSynthesis' in window);
-    console.log('2. Voices loaded:', STATE.voices.length);
+    console.log('1. TTS engines:', TTS.engines().map(e => `${e.id}${e.enabled ? '' : ' (off)'}${e.supported ? '' : ' (unsupported)'}${e.unavailableUntil ? ' (failing)' : ''}`).join(', '));
+    console.log('2. Voices loaded:', TTS.voices().length);
     console.log('3. soundEnabled:', STATE.soundEnabled);
     console.log('4. voiceEnabled:', STATE.voiceEnabled);
     console.log('5. mixer exists?', STATE.mixer !== null);
@@ -1035,7 +1255,7 @@ window.testTTS = function() {
 
     speakText('This is a test of the speech system.').then(() => {
         console.log('========================================');
-        console.log('TEST COMPLETE');
+        console.log('TEST COMPLETE - engine used:', TTS.lastEngine());
         console.log('========================================');
         STATE.soundEnabled = originalSound;
     });
@@ -1064,13 +1284,177 @@ window.debugState = function() {
 
 // Inventory/Feed feature removed for cleaner UI
 
-function updateStats() {
-    document.getElementById('moodValue').textContent = `${STATE.mood}%`;
-    document.getElementById('healthValue').textContent = `${STATE.health}%`;
-    document.getElementById('volValue').textContent = `${STATE.volatility}%`;
-    document.getElementById('moodBar').style.width = `${STATE.mood}%`;
-    document.getElementById('healthBar').style.width = `${STATE.health}%`;
-    document.getElementById('volBar').style.width = `${STATE.volatility}%`;
+const STAT_ELEMENTS = {
+    mood: { value: 'moodValue', bar: 'moodBar' },
+    health: { value: 'healthValue', bar: 'healthBar' },
+    volatility: { value: 'volValue', bar: 'volBar' }
+};
+const displayedStats = {};       // Numbers currently on screen
+let statsAnimationFrame = null;
+
+/**
+ * Move the Mood/Health/Vol bars to the STATE values: bars slide (CSS
+ * transition), numbers count up or down over `duration`
+ */
+function updateStats(duration = 800) {
+    const from = {};
+    Object.entries(STAT_ELEMENTS).forEach(([key, ids]) => {
+        from[key] = displayedStats[key] !== undefined ? displayedStats[key] : STATE[key];
+        const bar = document.getElementById(ids.bar);
+        if (bar) bar.style.width = `${STATE[key]}%`;
+    });
+
+    if (statsAnimationFrame) cancelAnimationFrame(statsAnimationFrame);
+    const start = performance.now();
+
+    const step = (now) => {
+        const progress = Math.min(1, (now - start) / duration);
+        const eased = 1 - Math.pow(1 - progress, 3);
+
+        Object.entries(STAT_ELEMENTS).forEach(([key, ids]) => {
+            displayedStats[key] = from[key] + (STATE[key] - from[key]) * eased;
+            const valueEl = document.getElementById(ids.value);
+            if (valueEl) valueEl.textContent = `${Math.round(displayedStats[key])}%`;
+        });
+
+        statsAnimationFrame = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    statsAnimationFrame = requestAnimationFrame(step);
+}
+
+// ============================================
+// MARKET SENTIMENT INDEX
+// ============================================
+
+// Mood/Health/Vol are computed by sentiment.js (formula documented there)
+// from the live cards, the price history and source health
+const SENTIMENT_INDEX_CONFIG = {
+    interval: 60 * 1000,                        // Recompute at least this often
+    debounce: 2000,                             // Bursts of news snapshots
+    historyBucket: 15 * 60 * 1000,              // One shared history point per 15 min
+    historyRetention: 7 * 24 * 60 * 60 * 1000
+};
+
+let sentimentTimer = null;
+let lastSentimentBucket = null;
+
+function collectSentimentInputs() {
+    const news = realTimeCards
+        .filter(card => card.category === 'news')
+        .map(card => ({ ...card, enrichment: NewsEnrichment.get(card) }));
+
+    // 24h change of the majors - CoinCap first, Binance as backup
+    const changes = {};
+    ['coincap', 'binance'].forEach(sourceId => {
+        realTimeCards.forEach(card => {
+            if (card.sourceId !== sourceId || !card.symbol || card.isStale) return;
+            const symbol = card.symbol.toUpperCase();
+            if (changes[symbol] === undefined && isFinite(card.changeValue)) {
+                changes[symbol] = card.changeValue;
+            }
+        });
+    });
+
+    const predictions = realTimeCards
+        .filter(card => card.sourceId === 'polymarket_crypto')
+        .flatMap(card => card.binaryMarkets || []);
+
+    // The longest stored series of each major, whichever exchange it came from
+    const series = {};
+    if (window.PriceStore) {
+        MarketSentiment.config.majors.forEach(symbol => {
+            series[symbol] = MarketSentiment.config.priceSources
+                .map(source => PriceStore.getSeries(symbol, source, MarketSentiment.config.volWindow))
+                .sort((a, b) => b.length - a.length)[0] || [];
+        });
+    }
+
+    return { news, changes, predictions, series, sources: getSourceHealthReport() };
+}
+
+function formatSignal(signal, unit) {
+    if (!signal) return 'n/a';
+    return `${signal.value >= 0 ? '+' : ''}${signal.value.toFixed(2)} (${signal.count} ${unit})`;
+}
+
+function renderSentimentTooltips(components) {
+    const tooltips = {
+        mood: `News ${formatSignal(components.news, 'stories')} · Price ${formatSignal(components.price, 'coins')} · Odds ${formatSignal(components.odds, 'markets')}`,
+        health: `${components.sources} polled source(s), weighted by error rate`,
+        volatility: components.sigma !== null ? `Realized BTC/ETH volatility ${components.sigma.toFixed(2)}% a day` : 'No price history yet'
+    };
+
+    Object.entries(STAT_ELEMENTS).forEach(([key, ids]) => {
+        const bar = document.getElementById(ids.bar);
+        const cell = bar && bar.closest('.stat-cell');
+        if (cell) cell.title = tooltips[key];
+    });
+}
+
+/**
+ * Recompute the index, animate the stats and store a shared history point
+ */
+function updateSentimentIndex() {
+    const { mood, health, volatility, components } = MarketSentiment.compute(collectSentimentInputs());
+    const next = { mood, health, volatility };
+
+    let changed = false;
+    Object.entries(next).forEach(([key, value]) => {
+        if (value === null || value === STATE[key]) return;
+        STATE[key] = value;
+        changed = true;
+    });
+
+    if (changed) updateStats();
+    renderSentimentTooltips(components);
+
+    // Only points with a real mood signal are worth keeping
+    const bucket = Math.floor(Date.now() / SENTIMENT_INDEX_CONFIG.historyBucket);
+    if (mood !== null && bucket !== lastSentimentBucket && typeof FirebaseDB !== 'undefined') {
+        lastSentimentBucket = bucket;
+        const round = (signal) => signal ? { value: Math.round(signal.value * 100) / 100, count: signal.count } : null;
+        FirebaseDB.saveSentiment({
+            mood: STATE.mood,
+            health: STATE.health,
+            volatility: STATE.volatility,
+            components: {
+                news: round(components.news),
+                price: round(components.price),
+                odds: round(components.odds),
+                sigma: components.sigma !== null ? Math.round(components.sigma * 100) / 100 : null,
+                sources: components.sources
+            }
+        }, SENTIMENT_INDEX_CONFIG.historyBucket);
+    }
+}
+
+/**
+ * Recompute shortly (coalesces bursts of news/price updates)
+ */
+function scheduleSentimentUpdate() {
+    clearTimeout(sentimentTimer);
+    sentimentTimer = setTimeout(updateSentimentIndex, SENTIMENT_INDEX_CONFIG.debounce);
+}
+
+async function initSentimentIndex() {
+    // Start from the last shared point instead of the static defaults
+    if (typeof FirebaseDB !== 'undefined') {
+        const history = await FirebaseDB.getSentimentHistory(Date.now() - SENTIMENT_INDEX_CONFIG.historyBucket * 4);
+        const latest = history[history.length - 1];
+        if (latest) {
+            ['mood', 'health', 'volatility'].forEach(key => {
+                if (typeof latest[key] === 'number') STATE[key] = latest[key];
+            });
+            updateStats();
+            console.log(`📊 Sentiment index restored: mood ${STATE.mood}, health ${STATE.health}, vol ${STATE.volatility}`);
+        }
+        FirebaseDB.cleanOldSentiment(SENTIMENT_INDEX_CONFIG.historyRetention);
+    }
+
+    // Volatility needs the stored price series
+    if (window.PriceStore) await PriceStore.ready;
+    scheduleSentimentUpdate();
+    setInterval(updateSentimentIndex, SENTIMENT_INDEX_CONFIG.interval);
 }
 
 // ============================================
@@ -1150,7 +1534,7 @@ async function speakRoutinePhrase() {
 
         const aiResponse = await callGroqAPI(prompts[period], getRoutineContext());
         if (aiResponse) {
-            tankSpeak(aiResponse);
+            tankSpeak(aiResponse, 'idle', { origin: 'routine' });
             return;
         }
     }
@@ -1158,7 +1542,7 @@ async function speakRoutinePhrase() {
     // Fallback to pre-programmed phrases
     const phrases = PHRASES.routine[period];
     const phrase = phrases[Math.floor(Math.random() * phrases.length)];
-    tankSpeak(phrase);
+    tankSpeak(phrase, 'idle', { origin: 'routine' });
 }
 
 async function speakItemReaction(itemId) {
@@ -1170,7 +1554,7 @@ async function speakItemReaction(itemId) {
         const prompt = `The user gave me "${item.name}" (${item.desc}). React briefly and sophisticatedly.`;
         const aiResponse = await callGroqAPI(prompt);
         if (aiResponse) {
-            tankSpeak(aiResponse);
+            tankSpeak(aiResponse, 'user');
             return;
         }
     }
@@ -1179,7 +1563,7 @@ async function speakItemReaction(itemId) {
     const phrases = PHRASES.items[itemId];
     if (phrases) {
         const phrase = phrases[Math.floor(Math.random() * phrases.length)];
-        tankSpeak(phrase);
+        tankSpeak(phrase, 'user');
     }
 }
 
@@ -1240,14 +1624,16 @@ async function speakKnowledgeReference() {
     tankSpeak(phrase);
 }
 
-function tankSpeak(text) {
+/**
+ * BILU says something of his own - idle chatter unless a level is given
+ * @param {Object} options - origin, cardId for the transcript (see queueSpeech)
+ */
+function tankSpeak(text, level = 'idle', { origin = null, cardId = null } = {}) {
     // Add to speech log
     addSpeechEntry(text);
 
     // Speak with TTS if enabled
-    if (STATE.voiceEnabled && STATE.soundEnabled) {
-        speakText(text);
-    }
+    queueSpeech(text, { level, category: 'chatter', origin, cardId });
 }
 
 function addSpeechEntry(text) {
@@ -1286,8 +1672,9 @@ async function callGroqAPI(userMessage, context = '') {
 
         messages.push({ role: 'user', content: userMessage });
 
-        const response = await fetch(CONFIG.groq.endpoint, {
+        const response = await HttpClient.fetch(CONFIG.groq.endpoint, {
             method: 'POST',
+            timeout: 15 * 1000,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${STATE.groqApiKey}`
@@ -1389,8 +1776,9 @@ async function generateAutoObservation() {
         console.log('🐕 Generating auto-observation...');
 
         // Call Groq API with observation prompt
-        const response = await fetch(CONFIG.groq.endpoint, {
+        const response = await HttpClient.fetch(CONFIG.groq.endpoint, {
             method: 'POST',
+            timeout: 15 * 1000,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${STATE.groqApiKey}`
@@ -1445,7 +1833,7 @@ async function generateAutoObservation() {
 
         // BILU speaks the observation
         addSpeechEntry(observationText);
-        tankSpeak(`I've just noted: ${observationText}`);
+        tankSpeak(`I've just noted: ${observationText}`, 'idle', { origin: 'observation', cardId: knowledge.id });
 
         showToast('BILU added an observation', 'success');
 
@@ -1507,26 +1895,9 @@ function initVoice() {
     const voiceBtn = document.getElementById('voiceToggle');
     const soundBtn = document.getElementById('soundToggle');
 
-    // Preload voices and store in STATE
-    STATE.voices = [];
-    if ('speechSynthesis' in window) {
-        const loadVoices = () => {
-            STATE.voices = window.speechSynthesis.getVoices();
-            console.log('✅ Voices loaded:', STATE.voices.length);
-            if (STATE.voices.length > 0) {
-                const enVoice = STATE.voices.find(v => v.lang.startsWith('en'));
-                console.log('   English voice available:', enVoice ? enVoice.name : 'none');
-            }
-        };
-
-        // Try to load immediately
-        loadVoices();
-
-        // Also listen for async load (Chrome needs this)
-        window.speechSynthesis.onvoiceschanged = loadVoices;
-    } else {
-        console.error('❌ Web Speech API not supported in this browser!');
-    }
+    // Engine order (and fallbacks) for every spoken line
+    TTS.configure({ engines: CONFIG.tts.engines });
+    console.log('🗣️ TTS engines:', CONFIG.tts.engines.join(' → '));
 
     // Set initial button states from loaded preferences
     voiceBtn.classList.toggle('active', STATE.voiceEnabled);
@@ -1546,13 +1917,9 @@ function initVoice() {
 
         if (!STATE.voiceEnabled) {
             // IMMEDIATELY stop any current speech
-            window.speechSynthesis.cancel();
+            SpeechQueue.stop();
             STATE.isSpeaking = false;
 
-            // CLEAR the entire speech queue
-            speechQueue.length = 0;
-            isProcessingQueue = false;
-
             console.log('🔇 Voice OFF: Speech stopped, queue cleared');
         } else {
             // Speak test when enabling voice
@@ -1571,13 +1938,9 @@ function initVoice() {
 
         if (!STATE.soundEnabled) {
             // IMMEDIATELY stop any current speech
-            window.speechSynthesis.cancel();
+            SpeechQueue.stop();
             STATE.isSpeaking = false;
 
-            // CLEAR the entire speech queue
-            speechQueue.length = 0;
-            isProcessingQueue = false;
-
             console.log('🔇 Sound OFF: Speech stopped, queue cleared');
         } else {
             console.log('🔊 Sound ON: Speech enabled');
@@ -1597,14 +1960,59 @@ async function speakText(text) {
         return;
     }
 
-    // Show speaking bar
-    showSpeakingBar(text);
+    await queueSpeech(text, { level: 'user', category: 'chatter' });
+}
+
+/**
+ * The speech scheduler plays each line through here: the TTS engines
+ * (tts.js) plus the speaking bar and lip sync. Use queueSpeech() to talk.
+ *
+ * @param {Object} options
+ *   category  - chatter, news, alert, knowledge or article (profile overrides)
+ *   voice     - explicit voice settings instead of the profile (previews)
+ * @returns {Promise<string|null>} id of the engine that spoke the line
+ */
+async function speak(text, { category = 'chatter', voice = null } = {}) {
+    let boundarySupported = false;
+
+    const engine = await TTS.speak(text, {
+        voice: voice || TTS.voiceFor(STATE.voiceProfile, category),
+        interrupt: true,
+        onStart: (engineId) => {
+            STATE.isSpeaking = true;
+            STATE.isWordActive = false;
+            clearTimeout(STATE.wordTimeout);
+            showSpeakingBar(text);
+            console.log(`🎤 Started speaking (${engineId})`);
+
+            // Fallback: engines without word boundaries get simulated lip sync
+            setTimeout(() => {
+                if (!boundarySupported && STATE.isSpeaking) {
+                    simulateWordBoundaries(text);
+                }
+            }, 500);
+        },
+        // Detect each word for precise lip sync
+        onWord: () => {
+            boundarySupported = true;
+            STATE.isWordActive = true;
 
-    // Use Web Speech API only
-    await speakWebSpeech(text);
+            // Close mouth after estimated word duration (150ms)
+            clearTimeout(STATE.wordTimeout);
+            STATE.wordTimeout = setTimeout(() => {
+                STATE.isWordActive = false;
+            }, 150);
+        }
+    });
 
-    // Hide speaking bar when done
+    // IMMEDIATELY close mouth
+    STATE.isSpeaking = false;
+    STATE.isWordActive = false;
+    clearTimeout(STATE.wordTimeout);
     hideSpeakingBar();
+    console.log('🔇 Stopped speaking - mouth closed');
+
+    return engine;
 }
 
 // Speaking bar functions
@@ -1624,121 +2032,6 @@ function hideSpeakingBar() {
     }
 }
 
-async function speakWebSpeech(text) {
-    return new Promise((resolve) => {
-        console.log('🔊 speakWebSpeech() starting...');
-
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ Web Speech API not supported');
-            resolve();
-            return;
-        }
-
-        // Cancel any ongoing speech and reset state
-        window.speechSynthesis.cancel();
-        clearTimeout(STATE.wordTimeout);
-        STATE.isWordActive = false;
-
-        // Use cached voices from STATE
-        let voices = STATE.voices || window.speechSynthesis.getVoices();
-        console.log('   Available voices:', voices.length);
-
-        // If no voices yet, try to get them
-        if (voices.length === 0) {
-            console.warn('⚠️ No voices loaded yet, trying again...');
-            voices = window.speechSynthesis.getVoices();
-        }
-
-        const utterance = new SpeechSynthesisUtterance(text);
-
-        // Find a deep male voice for BILU
-        const voice = voices.find(v =>
-            v.name.includes('Male') ||
-            v.name.includes('Daniel') ||
-            v.name.includes('David') ||
-            v.name.includes('Google UK English Male')
-        ) || voices.find(v =>
-            v.name.includes('UK') || v.name.includes('British')
-        ) || voices.find(v =>
-            v.name.includes('English') || v.lang.startsWith('en')
-        ) || voices[0];
-
-        if (voice) {
-            utterance.voice = voice;
-            console.log('   Voice selected:', voice.name);
-        } else {
-            console.warn('⚠️ No voice found, using default');
-        }
-
-        // Deep, strong voice for BILU
-        utterance.rate = 0.85;    // Slower = deeper sound
-        utterance.pitch = 0.7;    // Lower pitch = deeper/masculine
-        utterance.volume = 1.0;
-
-        // Track if onboundary works
-        let boundarySupported = false;
-
-        // Detect each word for precise lip sync
-        utterance.onboundary = (event) => {
-            if (event.name === 'word') {
-                boundarySupported = true;
-                STATE.isWordActive = true;
-
-                // Close mouth after estimated word duration (150ms)
-                clearTimeout(STATE.wordTimeout);
-                STATE.wordTimeout = setTimeout(() => {
-                    STATE.isWordActive = false;
-                }, 150);
-            }
-        };
-
-        utterance.onstart = () => {
-            STATE.isSpeaking = true;
-            console.log('🎤 Started speaking - isSpeaking:', STATE.isSpeaking);
-
-            // Fallback: if onboundary doesn't work after 500ms, use simulation
-            setTimeout(() => {
-                if (!boundarySupported && STATE.isSpeaking) {
-                    console.log('⚠️ onboundary not supported, using fallback');
-                    simulateWordBoundaries(text);
-                }
-            }, 500);
-        };
-
-        utterance.onend = () => {
-            // IMMEDIATELY close mouth
-            STATE.isSpeaking = false;
-            STATE.isWordActive = false;
-            clearTimeout(STATE.wordTimeout);
-            console.log('🔇 Stopped speaking - mouth closed');
-            resolve();
-        };
-
-        utterance.onerror = (event) => {
-            STATE.isSpeaking = false;
-            STATE.isWordActive = false;
-            clearTimeout(STATE.wordTimeout);
-            console.error('❌ Speech error:', event.error);
-            resolve();
-        };
-
-        // Start speaking
-        console.log('   Calling speechSynthesis.speak()...');
-        window.speechSynthesis.speak(utterance);
-        console.log('   speak() called successfully');
-
-        // Chrome bug workaround - speech can pause after ~15 seconds
-        const keepAlive = setInterval(() => {
-            if (!STATE.isSpeaking) {
-                clearInterval(keepAlive);
-                return;
-            }
-            window.speechSynthesis.pause();
-            window.speechSynthesis.resume();
-        }, 10000);
-    });
-}
-
 // Fallback: simulate word boundaries if browser doesn't support it
 function simulateWordBoundaries(text) {
     const words = text.split(/\s+/);
@@ -1760,35 +2053,265 @@ function simulateWordBoundaries(text) {
 
 
 // ============================================
-// RADIO
+// VOICE SETTINGS
 // ============================================
 
-function initRadio() {
-    STATE.radioElement = new Audio();
-    STATE.radioElement.volume = 0.5;
-    STATE.radioElement.crossOrigin = 'anonymous';
+const VOICE_PREVIEW_LINES = {
+    chatter: 'Greetings, human. The cosmos is quiet tonight.',
+    news: 'Breaking from the archives: Bitcoin holds above its weekly open.',
+    alert: 'Alert! Ethereum just moved five percent in an hour.',
+    knowledge: 'New knowledge received. Patience compounds like starlight.',
+    article: 'Here is the article, read aloud from start to finish.'
+};
 
-    const playBtn = document.getElementById('radioPlayPause');
-    const muteBtn = document.getElementById('radioMute');
-    const volumeSlider = document.getElementById('radioVolume');
+async function initVoiceSettings() {
+    document.getElementById('voiceSettingsToggle')?.addEventListener('click', openVoiceSettings);
+    document.getElementById('closeVoiceModal')?.addEventListener('click', closeVoiceSettings);
+    document.getElementById('cancelVoice')?.addEventListener('click', closeVoiceSettings);
+    document.getElementById('saveVoice')?.addEventListener('click', saveVoiceSettings);
+    document.getElementById('resetVoice')?.addEventListener('click', () => renderVoiceSettings(TTS.defaultProfile()));
+    document.getElementById('previewVoice')?.addEventListener('click', previewVoiceSettings);
 
-    playBtn.addEventListener('click', toggleRadio);
-    muteBtn.addEventListener('click', toggleRadioMute);
-    volumeSlider.addEventListener('input', (e) => {
-        STATE.radioElement.volume = e.target.value / 100;
-        document.getElementById('volumeValue').textContent = e.target.value;
+    ['voiceRate', 'voicePitch', 'voiceVolume'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', updateVoiceSliderLabels);
     });
+
+    // Per-user profile: the newer of the local and the Firebase copy
+    if (typeof FirebaseDB === 'undefined') return;
+    const entry = await FirebaseDB.getVoiceProfile();
+    if (entry && entry.profile) {
+        STATE.voiceProfile = TTS.normalizeProfile(entry.profile);
+        console.log('🗣️ Voice profile loaded for', FirebaseDB.getUserId());
+    }
 }
 
-function toggleRadio() {
-    const btn = document.getElementById('radioPlayPause');
-    if (STATE.radioPlaying) {
-        STATE.radioElement.pause();
-        STATE.radioPlaying = false;
-        btn.textContent = 'play';
-    } else {
-        STATE.radioElement.src = CONFIG.radioStreams.lofi;
-        STATE.radioElement.play().catch(console.error);
+function openVoiceSettings() {
+    renderVoiceSettings(STATE.voiceProfile);
+    document.getElementById('modalVoice').classList.add('active');
+}
+
+function closeVoiceSettings() {
+    document.getElementById('modalVoice').classList.remove('active');
+}
+
+function renderVoiceSettings(profile) {
+    // Installed voices; the first preference is the chosen one when it is installed
+    const voices = TTS.voices();
+    const select = document.getElementById('voiceName');
+    const chosen = voices.find(v => v.name === profile.preferences[0]);
+    select.innerHTML = '<option value="">AUTO (best match)</option>' + voices.map(v => `
+        <option value="${escapeHtml(v.name)}" ${chosen === v ? 'selected' : ''}>${escapeHtml(v.name)} (${escapeHtml(v.lang)}${v.localService ? ', offline' : ''})</option>
+    `).join('');
+
+    document.getElementById('voiceRate').value = profile.rate;
+    document.getElementById('voicePitch').value = profile.pitch;
+    document.getElementById('voiceVolume').value = profile.volume;
+    document.getElementById('voiceModel').value = profile.model;
+    updateVoiceSliderLabels();
+
+    document.getElementById('voiceOverrides').innerHTML = TTS.categories.map(category => {
+        const override = profile.overrides[category] || {};
+        return `
+            <div class="voice-override-row">
+                <span class="voice-override-name">${category.toUpperCase()}</span>
+                <input type="number" data-category="${category}" data-setting="rate" min="0.5" max="2" step="0.05" placeholder="${profile.rate}" value="${override.rate ?? ''}">
+                <input type="number" data-category="${category}" data-setting="pitch" min="0" max="2" step="0.05" placeholder="${profile.pitch}" value="${override.pitch ?? ''}">
+                <input type="number" data-category="${category}" data-setting="volume" min="0" max="1" step="0.05" placeholder="${profile.volume}" value="${override.volume ?? ''}">
+            </div>
+        `;
+    }).join('');
+}
+
+function updateVoiceSliderLabels() {
+    ['voiceRate', 'voicePitch', 'voiceVolume'].forEach(id => {
+        document.getElementById(`${id}Value`).textContent = parseFloat(document.getElementById(id).value).toFixed(2);
+    });
+}
+
+/**
+ * The profile as currently edited in the panel
+ */
+function readVoiceSettings() {
+    const name = document.getElementById('voiceName').value;
+    const defaults = TTS.defaultProfile().preferences;
+
+    const overrides = {};
+    document.querySelectorAll('#voiceOverrides input').forEach(input => {
+        if (input.value === '') return;
+        const { category, setting } = input.dataset;
+        overrides[category] = { ...overrides[category], [setting]: input.value };
+    });
+
+    return TTS.normalizeProfile({
+        preferences: name ? [name, ...defaults.filter(pref => pref !== name)] : defaults,
+        rate: document.getElementById('voiceRate').value,
+        pitch: document.getElementById('voicePitch').value,
+        volume: document.getElementById('voiceVolume').value,
+        model: document.getElementById('voiceModel').value,
+        overrides
+    });
+}
+
+function previewVoiceSettings() {
+    const category = document.getElementById('voicePreviewCategory').value;
+    const voice = TTS.voiceFor(readVoiceSettings(), category);
+    queueSpeech(VOICE_PREVIEW_LINES[category], { level: 'user', voice, label: `Voice preview (${category})`, origin: false });
+}
+
+async function saveVoiceSettings() {
+    STATE.voiceProfile = readVoiceSettings();
+
+    if (typeof FirebaseDB !== 'undefined') {
+        await FirebaseDB.saveVoiceProfile(STATE.voiceProfile);
+    } else {
+        localStorage.setItem('tank_voice_profile', JSON.stringify({ profile: STATE.voiceProfile, updatedAt: Date.now() }));
+    }
+
+    closeVoiceSettings();
+    showToast('🗣️ Voice profile saved', 'success');
+}
+
+// ============================================
+// SPEECH TRANSCRIPT
+// ============================================
+
+function initTranscriptDrawer() {
+    const search = document.getElementById('transcriptSearch');
+    const origin = document.getElementById('transcriptOrigin');
+    if (!search || !origin) return;
+
+    origin.innerHTML += SpeechTranscript.origins.map(name =>
+        `<option value="${name}">${name.toUpperCase()}</option>`).join('');
+
+    document.getElementById('openTranscript')?.addEventListener('click', openTranscriptDrawer);
+    document.getElementById('closeTranscript')?.addEventListener('click', closeTranscriptDrawer);
+    document.getElementById('exportTranscriptTxt')?.addEventListener('click', () => downloadTranscript('txt'));
+    document.getElementById('exportTranscriptJson')?.addEventListener('click', () => downloadTranscript('json'));
+    document.getElementById('clearTranscript')?.addEventListener('click', () => {
+        if (confirm('Delete the whole speech transcript?')) SpeechTranscript.clear();
+    });
+
+    let searchTimer = null;
+    search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderTranscript, 200);
+    });
+    origin.addEventListener('change', renderTranscript);
+
+    document.getElementById('transcriptList').addEventListener('click', (e) => {
+        const button = e.target.closest('.transcript-replay');
+        if (button) replayTranscriptLine(button.closest('.transcript-line').dataset.id);
+    });
+
+    SpeechTranscript.onChange(() => {
+        if (document.getElementById('transcriptDrawer').classList.contains('active')) renderTranscript();
+    });
+}
+
+function openTranscriptDrawer() {
+    renderTranscript();
+    document.getElementById('transcriptDrawer').classList.add('active');
+    document.getElementById('transcriptSearch').focus();
+}
+
+function closeTranscriptDrawer() {
+    document.getElementById('transcriptDrawer').classList.remove('active');
+}
+
+/**
+ * Lines matching the drawer's search and origin filter, newest first
+ */
+function getTranscriptMatches() {
+    return SpeechTranscript.search(document.getElementById('transcriptSearch').value, {
+        origin: document.getElementById('transcriptOrigin').value || null
+    });
+}
+
+function renderTranscript() {
+    const list = document.getElementById('transcriptList');
+    const lines = getTranscriptMatches();
+    document.getElementById('transcriptCount').textContent = SpeechTranscript.count();
+
+    // Long histories: only the newest 200 matches are drawn
+    list.innerHTML = lines.length > 0 ? lines.slice(0, 200).map(line => `
+        <div class="transcript-line origin-${line.origin} ${line.interrupted ? 'interrupted' : ''}" data-id="${line.id}">
+            <span class="transcript-meta" title="${new Date(line.timestamp).toLocaleString()}">
+                ${line.origin.toUpperCase()} · ${formatTimestamp(line.timestamp)}${line.interrupted ? ' · CUT OFF' : ''}
+            </span>
+            <button class="transcript-replay" title="Say it again">▶ replay</button>
+            <span class="transcript-text">${escapeHtml(line.text)}</span>
+        </div>
+    `).join('') : '<div class="transcript-empty">Nothing said yet</div>';
+}
+
+function replayTranscriptLine(id) {
+    const line = SpeechTranscript.get(id);
+    if (!line) return;
+
+    if (!STATE.voiceEnabled || !STATE.soundEnabled) {
+        showToast('Turn voice and sound on to replay', 'info');
+        return;
+    }
+    queueSpeech(line.text, {
+        level: 'user',
+        category: line.category,
+        label: `Replay: ${line.text}`,
+        cardId: line.cardId
+    });
+}
+
+/**
+ * Download the lines currently shown (search + filter) as .txt or .json
+ */
+function downloadTranscript(format) {
+    const lines = getTranscriptMatches();
+    if (lines.length === 0) {
+        showToast('Nothing to export', 'info');
+        return;
+    }
+
+    const blob = new Blob([SpeechTranscript.export(format, lines)], { type: format === 'json' ? 'application/json' : 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bilu-transcript-${new Date().toISOString().split('T')[0]}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    console.log(`📤 Exported ${lines.length} transcript lines as ${format.toUpperCase()}`);
+}
+
+// ============================================
+// RADIO
+// ============================================
+
+function initRadio() {
+    STATE.radioElement = new Audio();
+    STATE.radioElement.volume = 0.5;
+    STATE.radioElement.crossOrigin = 'anonymous';
+
+    const playBtn = document.getElementById('radioPlayPause');
+    const muteBtn = document.getElementById('radioMute');
+    const volumeSlider = document.getElementById('radioVolume');
+
+    playBtn.addEventListener('click', toggleRadio);
+    muteBtn.addEventListener('click', toggleRadioMute);
+    volumeSlider.addEventListener('input', (e) => {
+        STATE.radioElement.volume = e.target.value / 100;
+        document.getElementById('volumeValue').textContent = e.target.value;
+    });
+}
+
+function toggleRadio() {
+    const btn = document.getElementById('radioPlayPause');
+    if (STATE.radioPlaying) {
+        STATE.radioElement.pause();
+        STATE.radioPlaying = false;
+        btn.textContent = 'play';
+    } else {
+        STATE.radioElement.src = CONFIG.radioStreams.lofi;
+        STATE.radioElement.play().catch(console.error);
         STATE.radioPlaying = true;
         btn.textContent = 'pause';
     }
@@ -2133,7 +2656,11 @@ async function addKnowledgeToCards(knowledge, triggerReaction = false) {
     // AUTOMATIC SPEECH: Add to speech queue if triggerReaction is true
     if (triggerReaction) {
         const speechText = createKnowledgeSpeech(newCard);
-        await addToSpeechQueue(speechText, knowledge.id, !initialLoadDone);
+        await addToSpeechQueue(speechText, knowledge.id, !initialLoadDone, {
+            level: 'knowledge',
+            label: knowledge.title,
+            cardId: knowledge.id
+        });
     }
 }
 
@@ -2155,7 +2682,12 @@ async function onKnowledgeAdded(knowledge) {
     addSpeechEntry(`New knowledge: ${knowledge.title}`);
 
     // 3. Speak it - WAIT for it to complete FULLY
-    await speakCardContent(speechText);
+    await speakCardContent(speechText, {
+        level: 'knowledge',
+        category: 'knowledge',
+        label: `New knowledge: ${knowledge.title}`,
+        cardId: knowledge.id
+    });
 
     // 4. Wait 2 more seconds AFTER speech finishes
     await new Promise(resolve => setTimeout(resolve, 2000));
@@ -2377,7 +2909,7 @@ async function deleteCurrentKnowledge() {
             await FirebaseDB.deleteKnowledge(currentDetailId);
             closeDetailModal();
             showToast('Knowledge deleted', 'success');
-            tankSpeak('I have removed that from my knowledge database.');
+            tankSpeak('I have removed that from my knowledge database.', 'user');
         } catch (e) {
             console.error('Error deleting knowledge:', e);
             showToast('Error deleting knowledge', 'error');
@@ -2391,51 +2923,219 @@ async function deleteCurrentKnowledge() {
             renderKnowledgeList();
             closeDetailModal();
             showToast('Knowledge deleted', 'success');
-            tankSpeak('I have removed that from my knowledge database.');
+            tankSpeak('I have removed that from my knowledge database.', 'user');
         }
     }
 }
 
+// ============================================
+// SOURCE HEALTH MONITORING
+// ============================================
+
+const SOURCE_HEALTH_CONFIG = {
+    latencySamples: 50,       // Rolling window used for p50/p95
+    staleAfterIntervals: 3,   // Stale once this many refresh intervals pass without a good response
+    minAttemptTimeout: 3000   // A request only gets a retry if both attempts get at least this long
+};
+
+// Health stats per source id
+const sourceHealth = {};
+
+function getSourceHealth(id) {
+    return sourceHealth[id] || (sourceHealth[id] = {
+        requests: 0,
+        failures: 0,
+        timeouts: 0,
+        latencies: [],
+        lastSuccess: null,
+        lastError: null,
+        lastErrorAt: null
+    });
+}
+
+function recordSourceRequest(id, ok, latency, error = null) {
+    const health = getSourceHealth(id);
+    health.requests++;
+    health.latencies.push(latency);
+    if (health.latencies.length > SOURCE_HEALTH_CONFIG.latencySamples) {
+        health.latencies.shift();
+    }
+
+    if (ok) {
+        health.lastSuccess = Date.now();
+    } else {
+        health.failures++;
+        health.lastError = error;
+        health.lastErrorAt = Date.now();
+    }
+}
+
+// Deadline of each source's current fetch (see runSource)
+const sourceDeadlines = {};
+
+/**
+ * Per-request timeout and retries that fit in what is left of the source's
+ * `timeout`, so HttpClient's retries can't outlast the source's own deadline
+ */
+function getRequestBudget(sourceId) {
+    const deadline = sourceDeadlines[sourceId];
+    if (!deadline) return {};
+
+    const remaining = Math.max(0, deadline - Date.now());
+    const backoff = HttpClient.config.backoffBase;     // Upper bound of the first backoff
+    const retries = remaining >= 2 * SOURCE_HEALTH_CONFIG.minAttemptTimeout + backoff ? 1 : 0;
+
+    return {
+        timeout: Math.max(1, Math.floor((remaining - retries * backoff) / (retries + 1))),
+        retries
+    };
+}
+
+/**
+ * HttpClient.fetch() wrapper that records request count, failures and latency for a source.
+ * Responses served from the shared cache only refresh lastSuccess.
+ * @param {string} sourceId - Source id from SOURCE_REGISTRY
+ */
+async function trackedFetch(sourceId, url, options = {}) {
+    const start = performance.now();
+    try {
+        const response = await HttpClient.fetch(url, { ...getRequestBudget(sourceId), ...options });
+        if (response.fromCache) {
+            getSourceHealth(sourceId).lastSuccess = Date.now();
+            return response;
+        }
+        recordSourceRequest(sourceId, response.ok, performance.now() - start, response.ok ? null : `HTTP ${response.status}`);
+        return response;
+    } catch (error) {
+        recordSourceRequest(sourceId, false, performance.now() - start, error.message);
+        throw error;
+    }
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+/**
+ * A source is stale when it has been tried but has not returned a good response
+ * within `staleAfterIntervals` refresh intervals
+ */
+function isSourceStale(source) {
+    const health = sourceHealth[source.id];
+    if (!health || health.requests === 0) return false;
+    if (!health.lastSuccess) return true;
+    return Date.now() - health.lastSuccess > source.refreshInterval * SOURCE_HEALTH_CONFIG.staleAfterIntervals;
+}
+
+function getSourceHealthReport() {
+    return SOURCE_REGISTRY.filter(s => !s.derived).map(source => {
+        const health = getSourceHealth(source.id);
+        return {
+            id: source.id,
+            label: source.label,
+            enabled: isSourceEnabled(source),
+            stale: isSourceStale(source),
+            requests: health.requests,
+            failures: health.failures,
+            timeouts: health.timeouts,
+            errorRate: health.requests ? (health.failures / health.requests) * 100 : 0,
+            p50: percentile(health.latencies, 50),
+            p95: percentile(health.latencies, 95),
+            lastSuccess: health.lastSuccess,
+            lastError: health.lastError
+        };
+    });
+}
+
+// Flag cards whose source has gone stale (they are served from cache)
+function markStaleCards(cards) {
+    const staleIds = new Set(SOURCE_REGISTRY.filter(isSourceStale).map(s => s.id));
+    cards.forEach(card => {
+        card.isStale = staleIds.has(card.sourceId);
+    });
+    return staleIds.size;
+}
+
+function renderSourcesPanel() {
+    const panel = document.getElementById('sourcesPanel');
+    if (!panel || !panel.classList.contains('active')) return;
+
+    const formatMs = (ms) => ms === null ? '--' : `${Math.round(ms)}ms`;
+
+    panel.innerHTML = `
+        <div class="sources-row sources-head">
+            <span>SOURCE</span><span>REQ</span><span>ERR</span><span>P50</span><span>P95</span><span>LAST OK</span><span></span>
+        </div>
+        ${getSourceHealthReport().map(s => {
+            const status = !s.enabled ? 'off' : s.stale ? 'stale' : s.requests === 0 ? 'idle' : 'ok';
+            const errTitle = s.lastError ? `Last error: ${s.lastError}` : 'No errors';
+            return `
+            <div class="sources-row status-${status}" title="${escapeHtml(errTitle)}">
+                <span class="sources-name"><span class="sources-dot"></span>${escapeHtml(s.label)}</span>
+                <span>${s.requests}</span>
+                <span>${s.errorRate.toFixed(0)}%${s.timeouts ? ` (${s.timeouts}⏱)` : ''}</span>
+                <span>${formatMs(s.p50)}</span>
+                <span>${formatMs(s.p95)}</span>
+                <span>${s.lastSuccess ? formatDate(s.lastSuccess) : 'never'}</span>
+                <button class="sources-toggle" data-id="${s.id}">${s.enabled ? 'on' : 'off'}</button>
+            </div>
+        `}).join('')}
+    `;
+
+    panel.querySelectorAll('.sources-toggle').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const source = SOURCE_REGISTRY.find(s => s.id === btn.dataset.id);
+            setSourceEnabled(source.id, !isSourceEnabled(source));
+            renderSourcesPanel();
+        });
+    });
+}
+
+function toggleSourcesPanel() {
+    const panel = document.getElementById('sourcesPanel');
+    const btn = document.getElementById('btnSources');
+    if (!panel) return;
+
+    panel.classList.toggle('active');
+    if (btn) btn.classList.toggle('active', panel.classList.contains('active'));
+    renderSourcesPanel();
+}
+
 // ============================================
 // REAL-TIME API FETCHING (CoinCap, CoinGecko, DexScreener)
+// Fetchers throw on failure - runSource() then keeps the source's previous
+// cards instead of replacing them with an empty batch
 // ============================================
 
 // COINCAP - Major Cryptocurrencies (reliable, no rate limit)
 async function fetchCoinCap() {
-    try {
-        console.log('📊 [CoinCap] Fetching data...');
-        const response = await fetch('https://api.coincap.io/v2/assets?limit=5');
+    console.log('📊 [CoinCap] Fetching data...');
+    const response = await trackedFetch('coincap', 'https://api.coincap.io/v2/assets?limit=5');
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log('📊 [CoinCap] Response:', data.data?.length || 0, 'coins');
-        return data.data || [];
-    } catch (error) {
-        console.error('❌ [CoinCap] Error:', error.message);
-        return [];
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
     }
+
+    const data = await response.json();
+    console.log('📊 [CoinCap] Response:', data.data?.length || 0, 'coins');
+    return data.data || [];
 }
 
 // COINGECKO - Trending Coins (free tier)
 async function fetchCoinGeckoTrending() {
-    try {
-        console.log('📊 [CoinGecko] Fetching trending...');
-        const response = await fetch('https://api.coingecko.com/api/v3/search/trending');
+    console.log('📊 [CoinGecko] Fetching trending...');
+    const response = await trackedFetch('coingecko', 'https://api.coingecko.com/api/v3/search/trending');
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log('📊 [CoinGecko] Response:', data.coins?.length || 0, 'trending');
-        return data.coins || [];
-    } catch (error) {
-        console.error('❌ [CoinGecko] Error:', error.message);
-        return [];
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
     }
+
+    const data = await response.json();
+    console.log('📊 [CoinGecko] Response:', data.coins?.length || 0, 'trending');
+    return data.coins || [];
 }
 
 // DEXSCREENER - Trending Tokens (using search endpoint)
@@ -2444,11 +3144,10 @@ async function fetchDexScreener() {
         console.log('📊 [DexScreener] Fetching trending tokens...');
 
         // Use search endpoint which is more reliable
-        const response = await fetch('https://api.dexscreener.com/latest/dex/search?q=sol');
+        const response = await trackedFetch('dexscreener', 'https://api.dexscreener.com/latest/dex/search?q=sol');
 
         if (!response.ok) {
-            console.error('❌ [DexScreener] HTTP Status:', response.status);
-            return [];
+            throw new Error(`HTTP ${response.status}`);
         }
 
         const data = await response.json();
@@ -2468,7 +3167,7 @@ async function fetchDexScreener() {
         console.log('📊 [DexScreener] Filtered pairs:', filteredPairs.length);
         return filteredPairs;
     } catch (error) {
-        console.error('❌ [DexScreener] Error:', error);
+        console.error('❌ [DexScreener] Error:', error.message);
         // Try fallback method
         return await fetchDexScreenerFallback();
     }
@@ -2480,10 +3179,11 @@ async function fetchDexScreenerFallback() {
 
     const tokens = ['BONK', 'WIF', 'JUP'];
     const results = [];
+    let lastError = null;
 
     for (const token of tokens) {
         try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${token}`);
+            const response = await trackedFetch('dexscreener', `https://api.dexscreener.com/latest/dex/search?q=${token}`);
 
             if (response.ok) {
                 const data = await response.json();
@@ -2491,92 +3191,80 @@ async function fetchDexScreenerFallback() {
                     results.push(data.pairs[0]);
                     console.log(`📊 [DexScreener] Found ${token}:`, data.pairs[0].baseToken?.symbol);
                 }
+            } else {
+                lastError = new Error(`HTTP ${response.status}`);
             }
 
             // Small delay to avoid rate limiting
             await new Promise(r => setTimeout(r, 200));
         } catch (e) {
             console.error(`❌ [DexScreener] Error fetching ${token}:`, e.message);
+            lastError = e;
         }
     }
 
+    // Nothing came back - a failure, not an empty list
+    if (results.length === 0 && lastError) {
+        throw lastError;
+    }
+
     console.log('📊 [DexScreener] Fallback results:', results.length);
     return results;
 }
 
-// RSS NEWS - Cointelegraph (via proxy)
-async function fetchRSSNews() {
-    try {
-        console.log('📰 [RSS] Fetching news from Cointelegraph...');
-        const RSS_URL = 'https://cointelegraph.com/rss';
-        const PROXY = 'https://api.allorigins.win/raw?url=';
+// RSS NEWS - managed feeds (via /api/rss proxy, see newsfeeds.js)
+async function fetchFeedNews(feed) {
+    console.log(`📰 [RSS] Fetching news from ${feed.label}...`);
+    const articles = await NewsFeeds.fetchManaged(feed, {
+        request: (url, options) => trackedFetch(feedSourceId(feed), url, options)
+    });
 
-        const response = await fetch(PROXY + encodeURIComponent(RSS_URL));
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+    const news = articles.map(article => ({
+        type: 'NEWS',
+        title: article.title,
+        content: article.summary ? article.summary.substring(0, 120) + '...' : feed.label,
+        source: feed.source,
+        feedId: feed.id,
+        feedCategory: feed.category,
+        date: (article.published || new Date().toISOString()).split('T')[0],
+        url: article.url
+    }));
 
-        const text = await response.text();
-
-        // Parse XML
-        const parser = new DOMParser();
-        const xml = parser.parseFromString(text, 'text/xml');
-        const items = xml.querySelectorAll('item');
-
-        const news = [];
-        items.forEach((item, i) => {
-            if (i < 5) {
-                const title = item.querySelector('title')?.textContent || '';
-                const description = item.querySelector('description')?.textContent || '';
-                const link = item.querySelector('link')?.textContent || '';
-                const pubDate = item.querySelector('pubDate')?.textContent || '';
-
-                // Clean description (remove HTML tags)
-                const cleanDesc = description.replace(/<[^>]*>/g, '').substring(0, 120);
-
-                news.push({
-                    type: 'NEWS',
-                    title: title,
-                    content: cleanDesc + '...',
-                    source: 'COINTELEGRAPH',
-                    date: pubDate ? new Date(pubDate).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
-                    url: link
-                });
-            }
-        });
+    console.log(`📰 [RSS] ${feed.label}: fetched`, news.length, 'news items');
+    return news;
+}
 
-        console.log('📰 [RSS] Fetched', news.length, 'news items');
-        return news;
-    } catch (e) {
-        console.error('❌ [RSS] Error:', e.message);
-        return [];
-    }
+// All active feeds at once (errors of a single feed are skipped)
+async function fetchAllFeedNews() {
+    await NewsFeeds.ready;
+    const results = await Promise.all(NewsFeeds.getActiveFeeds().map(feed =>
+        fetchFeedNews(feed).catch(e => {
+            console.error(`❌ [RSS] ${feed.label} error:`, e.message);
+            return [];
+        })
+    ));
+    return results.flat();
 }
 
 // CRYPTO PANIC NEWS - Alternative source
 async function fetchCryptoPanicNews() {
-    try {
-        console.log('📰 [CryptoPanic] Fetching news...');
-        const response = await fetch('https://cryptopanic.com/api/v1/posts/?auth_token=DEMO&public=true&kind=news');
+    console.log('📰 [CryptoPanic] Fetching news...');
+    const response = await trackedFetch('cryptopanic', 'https://cryptopanic.com/api/v1/posts/?auth_token=DEMO&public=true&kind=news');
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
 
-        const data = await response.json();
+    const data = await response.json();
 
-        return data.results?.slice(0, 5).map(news => ({
-            type: 'NEWS',
-            title: news.title,
-            content: news.title,
-            source: news.source?.title || 'CRYPTO NEWS',
-            date: new Date(news.published_at).toISOString().split('T')[0],
-            url: news.url
-        })) || [];
-    } catch (e) {
-        console.error('❌ [CryptoPanic] Error:', e.message);
-        return [];
-    }
+    return data.results?.slice(0, 5).map(news => ({
+        type: 'NEWS',
+        title: news.title,
+        content: news.title,
+        source: news.source?.title || 'CRYPTO NEWS',
+        date: new Date(news.published_at).toISOString().split('T')[0],
+        url: news.url
+    })) || [];
 }
 
 // NEWS TRACKING - Store last news IDs for detecting new articles
@@ -2587,7 +3275,7 @@ async function checkForNewNews() {
     if (STATE.isSpeaking) return;
 
     console.log('📰 Checking for new news...');
-    const news = await fetchRSSNews();
+    const news = await fetchAllFeedNews();
 
     for (const item of news) {
         const newsId = item.title;
@@ -2600,9 +3288,16 @@ async function checkForNewNews() {
             if (lastNewsIds.length > 1) {
                 const announcement = `Breaking news from the crypto world. ${item.title}`;
                 console.log('🐕 Announcing:', announcement);
-                tankSpeak(announcement);
-                showSpeakingBar(announcement);
-                showTankView(item.source, item.url, 'NEWS');
+                addSpeechEntry(announcement);
+                // Keyed by story, so the news feed doesn't read the same headline again
+                addToSpeechQueue(announcement, item.storyId || StoryClusters.storyId(item), false, {
+                    level: 'alert',
+                    category: 'chatter',
+                    origin: 'news',
+                    cardId: item.id,
+                    label: item.title
+                });
+                showTankView(item.source, item.url, 'NEWS', item);
 
                 // Only announce one news item at a time
                 break;
@@ -2616,402 +3311,700 @@ async function checkForNewNews() {
     }
 }
 
-// POLYMARKET - Prediction Markets (general)
+// POLYMARKET - Prediction Markets (pinned on the market terminal, or the top ones by volume)
 async function fetchPolymarket() {
-    try {
-        console.log('🔮 [Polymarket] Fetching prediction markets...');
-        const response = await fetch('https://gamma-api.polymarket.com/markets?closed=false&limit=10');
+    console.log('🔮 [Polymarket] Fetching prediction markets...');
+    const request = (url) => trackedFetch('polymarket', url);
+    const markets = await PredictionMarkets.fetch(trackedPredictionIds.length > 0
+        ? { ids: trackedPredictionIds, request }
+        : { limit: 10, sort: 'volume', request });
+    console.log('🔮 [Polymarket] Response:', markets.length, 'markets');
+    return PredictionMarkets.group(await PredictionMarkets.track(markets));
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+// POLYMARKET - Crypto-specific markets
+async function fetchPolymarketCrypto() {
+    console.log('🔮 [Polymarket] Fetching crypto prediction markets...');
+    const markets = await PredictionMarkets.fetch({
+        limit: 5,
+        tag: 'crypto',
+        sort: 'volume',
+        request: (url) => trackedFetch('polymarket_crypto', url)
+    });
+    console.log('🔮 [Polymarket Crypto] Response:', markets.length, 'markets');
+    return PredictionMarkets.group(await PredictionMarkets.track(markets));
+}
 
-        const data = await response.json();
-        console.log('🔮 [Polymarket] Response:', data.length, 'markets');
-
-        return data.map(market => {
-            // Extract odds/probabilities
-            let yesOdds = 50;
-            let noOdds = 50;
-
-            if (market.outcomePrices) {
-                try {
-                    const outcomes = JSON.parse(market.outcomePrices);
-                    yesOdds = (parseFloat(outcomes[0]) * 100).toFixed(0);
-                    noOdds = (parseFloat(outcomes[1]) * 100).toFixed(0);
-                } catch (e) {
-                    console.warn('Could not parse outcomePrices');
-                }
-            }
+/**
+ * Archive card for a prediction (one market, or one event with a market per
+ * candidate - see PredictionMarkets.group). Keyed by the Polymarket id, so
+ * the same prediction keeps its card (and isn't re-announced).
+ */
+function predictionToCard(prediction, { icon, title, timestamp, today }) {
+    const odds = prediction.binary
+        ? prediction.markets[0].outcomes.map(outcome => `${outcome.name} ${PredictionMarkets.formatOdds(outcome.odds)}`).join(' / ')
+        : prediction.outcomes.slice(0, 3).map(outcome => `${outcome.name} ${PredictionMarkets.formatOdds(outcome.odds)}`).join(' · ');
+    const mover = prediction.mover || prediction.lead;
+    const change = mover.change24h !== null && mover.change24h !== undefined
+        ? ` | 24h: ${PredictionMarkets.formatChange(mover.change24h)}${prediction.binary ? '' : ` (${mover.name})`}`
+        : '';
+
+    return {
+        id: `poly_${prediction.id}`,
+        category: 'prediction',
+        icon,
+        title,
+        content: `${odds}${change} | ${PredictionMarkets.formatMeta(prediction)}`,
+        source: 'POLYMARKET',
+        date: today,
+        timestamp,
+        url: prediction.url,
+        marketId: prediction.chartId,
+        question: prediction.title,
+        odds: prediction.lead.odds,
+        oddsChange: prediction.change24h,
+        oddsMoved: prediction.moved,
+        oddsMover: prediction.mover
+            ? { marketId: prediction.mover.marketId, name: prediction.mover.name, odds: prediction.mover.odds, change: prediction.mover.change24h }
+            : null,
+        // Yes/No questions, for the sentiment index
+        binaryMarkets: prediction.markets.filter(market => market.binary).map(market => ({ question: market.question, yes: market.yes })),
+        changeValue: 0
+    };
+}
 
-            const liquidity = market.liquidity ? `$${(market.liquidity / 1000).toFixed(1)}K` : '$0';
-            const question = market.question || 'Unknown Market';
-            const shortQuestion = question.length > 50 ? question.substring(0, 50) + '...' : question;
-
-            return {
-                type: 'PREDICTION',
-                title: shortQuestion,
-                content: `Yes ${yesOdds}% / No ${noOdds}% | Liquidity: ${liquidity}`,
-                source: 'POLYMARKET',
-                date: new Date().toISOString().split('T')[0],
-                url: `https://polymarket.com/event/${market.slug || ''}`
-            };
-        }) || [];
+// BINANCE - Major pairs with 24h stats
+async function fetchBinanceTickers() {
+    console.log('📊 [Binance] Fetching 24h tickers...');
+    const symbols = '["BTCUSDT","ETHUSDT","SOLUSDT","BNBUSDT","XRPUSDT"]';
+    const response = await trackedFetch('binance', `https://api.binance.com/api/v3/ticker/24hr?symbols=${symbols}`);
 
-    } catch (error) {
-        console.error('❌ [Polymarket] Error:', error.message);
-        return [];
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
     }
+
+    const data = await response.json();
+    console.log('📊 [Binance] Response:', data?.length || 0, 'pairs');
+    return data || [];
 }
 
-// POLYMARKET - Crypto-specific markets
-async function fetchPolymarketCrypto() {
-    try {
-        console.log('🔮 [Polymarket] Fetching crypto prediction markets...');
-        const response = await fetch('https://gamma-api.polymarket.com/markets?closed=false&tag=crypto&limit=5');
+// COINBASE - Spot prices
+async function fetchCoinbaseSpot() {
+    const coins = ['BTC', 'ETH', 'SOL'];
+    const prices = [];
+    let lastError = null;
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+    console.log('📊 [Coinbase] Fetching spot prices...');
 
-        const data = await response.json();
-        console.log('🔮 [Polymarket Crypto] Response:', data.length, 'markets');
-
-        return data.map(market => {
-            let yesOdds = 50;
-            let noOdds = 50;
-
-            if (market.outcomePrices) {
-                try {
-                    const outcomes = JSON.parse(market.outcomePrices);
-                    yesOdds = (parseFloat(outcomes[0]) * 100).toFixed(0);
-                    noOdds = (parseFloat(outcomes[1]) * 100).toFixed(0);
-                } catch (e) {
-                    console.warn('Could not parse outcomePrices');
+    for (const coin of coins) {
+        try {
+            const response = await trackedFetch('coinbase', `https://api.coinbase.com/v2/prices/${coin}-USD/spot`);
+            if (response.ok) {
+                const data = await response.json();
+                if (data.data) {
+                    prices.push({ coin, amount: data.data.amount });
                 }
+            } else {
+                lastError = new Error(`HTTP ${response.status}`);
             }
+        } catch (e) {
+            // Skip individual coin errors
+            lastError = e;
+        }
+    }
 
-            const liquidity = market.liquidity ? `$${(market.liquidity / 1000).toFixed(1)}K` : '$0';
-            const question = market.question || 'Crypto Market';
-
-            return {
-                type: 'PREDICTION',
-                title: `🪙 ${question}`,
-                content: `Yes ${yesOdds}% / No ${noOdds}% | Liquidity: ${liquidity}`,
-                source: 'POLYMARKET',
-                date: new Date().toISOString().split('T')[0],
-                url: `https://polymarket.com/event/${market.slug || ''}`
-            };
-        }) || [];
-
-    } catch (error) {
-        console.error('❌ [Polymarket Crypto] Error:', error.message);
-        return [];
+    // Every coin failed - a failure, not an empty list
+    if (prices.length === 0 && lastError) {
+        throw lastError;
     }
+
+    console.log('📊 [Coinbase] Response:', prices.length, 'spot prices');
+    return prices;
 }
 
-// FETCH ALL REAL DATA
-async function fetchAllRealData() {
-    console.log('🔄 ========================================');
-    console.log('🔄 STARTING DATA FETCH FROM ALL SOURCES...');
-    console.log('🔄 ========================================');
+// ============================================
+// DATA SOURCE REGISTRY
+// ============================================
 
-    const cards = [];
-    const today = new Date().toISOString().split('T')[0];
-    const now = Date.now();
-    let btcData = null;
+/**
+ * Every feed of the BILU Archives is a self-contained adapter:
+ *   id              - unique source id
+ *   label           - name used in logs
+ *   category        - category of the cards it produces
+ *   refreshInterval - minimum ms between fetches (cached cards are reused in between)
+ *   timeout         - ms before the fetch is abandoned for this cycle (its requests'
+ *                     timeouts and retries are fitted inside it)
+ *   enabled         - default state (user overrides live in localStorage)
+ *   fetch()         - async, returns the raw API data
+ *   toCards(raw, ctx) - maps raw data to feed cards
+ *   derived         - runs after all other sources; toCards receives ctx.cards instead of raw data
+ *
+ * Market cards that carry `symbol` and a numeric `price` are recorded into the
+ * PriceStore time-series on every fresh fetch (see price-store.js).
+ *
+ * To add a feed, call registerSource() - no need to touch fetchAllRealData().
+ */
+const SOURCE_REGISTRY = [];
 
-    // 1. COINCAP - Major Crypto (most reliable)
-    try {
-        console.log('📊 Fetching CoinCap...');
-        const cryptos = await fetchCoinCap();
-        cryptos.forEach(coin => {
-            const change = parseFloat(coin.changePercent24Hr || 0).toFixed(2);
-            const price = parseFloat(coin.priceUsd || 0).toFixed(2);
-            const marketCap = (parseFloat(coin.marketCapUsd || 0) / 1e9).toFixed(1);
-            const trend = change >= 0 ? '📈' : '📉';
-            const changeSign = change >= 0 ? '+' : '';
-
-            if (coin.symbol === 'BTC') {
-                btcData = { price, change, trend };
-            }
+const SOURCE_DEFAULTS = {
+    refreshInterval: 30 * 1000,
+    timeout: 10 * 1000,
+    enabled: true,
+    derived: false
+};
 
-            cards.push({
-                id: `coincap_${coin.id}`,
-                category: 'market',
-                icon: trend,
-                title: `${coin.symbol} $${price}`,
-                content: `${trend} ${changeSign}${change}% (24h) | MCap: $${marketCap}B`,
-                source: 'COINCAP',
-                date: today,
-                timestamp: now,
-                url: `https://coincap.io/assets/${coin.id}`,
-                changeValue: parseFloat(change)
-            });
-        });
-        console.log(`✅ CoinCap: ${cryptos.length} coins added`);
-    } catch (e) {
-        console.error('❌ CoinCap error:', e);
-    }
+// Runtime cache per source id: { lastFetch, cards }
+const sourceRuntime = {};
 
-    // 2. COINGECKO - Trending Coins
-    try {
-        console.log('📊 Fetching CoinGecko Trending...');
-        const trending = await fetchCoinGeckoTrending();
-        trending.slice(0, 5).forEach(item => {
-            const coin = item.item;
-            cards.push({
-                id: `gecko_${coin.id}`,
-                category: 'market',
-                icon: '🔥',
-                title: `${coin.symbol} TRENDING`,
-                content: `${coin.name} | Rank: #${coin.market_cap_rank || 'N/A'} | Score: ${coin.score + 1}`,
-                source: 'COINGECKO',
-                date: today,
-                timestamp: now,
-                url: `https://www.coingecko.com/en/coins/${coin.id}`,
-                changeValue: 0
-            });
-        });
-        console.log(`✅ CoinGecko: ${Math.min(trending.length, 5)} trending added`);
-    } catch (e) {
-        console.error('❌ CoinGecko error:', e);
+/**
+ * Register (or replace) a data source adapter
+ * @param {Object} adapter - Adapter definition (see SOURCE_REGISTRY)
+ */
+function registerSource(adapter) {
+    if (!adapter.id || typeof adapter.toCards !== 'function' || (!adapter.derived && typeof adapter.fetch !== 'function')) {
+        console.error('❌ Invalid source adapter:', adapter.id || adapter);
+        return;
     }
 
-    // 3. DEXSCREENER - Trending Tokens
-    try {
-        console.log('📊 Fetching DexScreener...');
-        const pairs = await fetchDexScreener();
-        if (pairs.length > 0) {
-            pairs.slice(0, 5).forEach((pair, index) => {
-                const priceChange = parseFloat(pair.priceChange?.h24 || 0).toFixed(2);
-                const trend = parseFloat(priceChange) >= 0 ? '📈' : '📉';
-                const volume = pair.volume?.h24 ? (pair.volume.h24 / 1000).toFixed(1) : '0';
-                const liquidity = pair.liquidity?.usd ? (pair.liquidity.usd / 1000).toFixed(1) : '0';
-                const price = pair.priceUsd ? parseFloat(pair.priceUsd).toFixed(6) : '0';
-                const baseSymbol = pair.baseToken?.symbol || 'TOKEN';
-                const chainId = pair.chainId || 'solana';
-
-                cards.push({
-                    id: `dex_${pair.pairAddress?.slice(0, 12) || Math.random().toString(36).slice(2)}`,
-                    category: 'market',
-                    icon: trend,
-                    title: `${baseSymbol} ${trend}`,
-                    content: `$${price} | ${priceChange}% (24h) | Vol: $${volume}K | Liq: $${liquidity}K`,
-                    source: 'DEXSCREENER',
-                    date: today,
-                    timestamp: now,
-                    url: pair.url || `https://dexscreener.com/${chainId}/${pair.pairAddress}`,
-                    changeValue: parseFloat(priceChange)
-                });
-            });
-            console.log(`✅ DexScreener: ${Math.min(pairs.length, 5)} tokens added`);
-        }
-    } catch (e) {
-        console.error('❌ DexScreener error:', e);
-    }
+    const source = { ...SOURCE_DEFAULTS, label: adapter.id, ...adapter };
+    const index = SOURCE_REGISTRY.findIndex(s => s.id === source.id);
 
-    // 4. BINANCE - Major pairs with 24h stats
-    try {
-        console.log('📊 Fetching Binance...');
-        const symbols = '["BTCUSDT","ETHUSDT","SOLUSDT","BNBUSDT","XRPUSDT"]';
-        const response = await fetch(`https://api.binance.com/api/v3/ticker/24hr?symbols=${symbols}`);
-        if (response.ok) {
-            const data = await response.json();
-            data?.forEach(ticker => {
-                const symbol = ticker.symbol.replace('USDT', '');
-                const price = parseFloat(ticker.lastPrice).toFixed(2);
-                const change = parseFloat(ticker.priceChangePercent).toFixed(2);
-                const trend = change >= 0 ? '📈' : '📉';
-                const volume = (parseFloat(ticker.quoteVolume) / 1e6).toFixed(1);
-
-                cards.push({
-                    id: `binance_${symbol}`,
-                    category: 'market',
-                    icon: trend,
-                    title: `${symbol} $${price}`,
-                    content: `${trend} ${change >= 0 ? '+' : ''}${change}% | Vol: $${volume}M`,
-                    source: 'BINANCE',
-                    date: today,
-                    timestamp: now - 1000,
-                    url: `https://www.binance.com/en/trade/${symbol}_USDT`,
-                    changeValue: parseFloat(change)
-                });
-            });
-            console.log(`✅ Binance: ${data?.length || 0} pairs added`);
-        }
-    } catch (e) {
-        console.error('❌ Binance error:', e);
+    if (index !== -1) {
+        SOURCE_REGISTRY[index] = source;
+    } else {
+        SOURCE_REGISTRY.push(source);
     }
+}
 
-    // 5. COINBASE - Spot prices
-    try {
-        console.log('📊 Fetching Coinbase...');
-        const coins = ['BTC', 'ETH', 'SOL'];
-        for (const coin of coins) {
-            try {
-                const response = await fetch(`https://api.coinbase.com/v2/prices/${coin}-USD/spot`);
-                if (response.ok) {
-                    const data = await response.json();
-                    if (data.data) {
-                        cards.push({
-                            id: `coinbase_${coin}`,
-                            category: 'market',
-                            icon: '💵',
-                            title: `${coin} $${parseFloat(data.data.amount).toFixed(2)}`,
-                            content: `Spot price from Coinbase`,
-                            source: 'COINBASE',
-                            date: today,
-                            timestamp: now - 2000,
-                            url: `https://www.coinbase.com/price/${coin.toLowerCase()}`,
-                            changeValue: 0
-                        });
-                    }
-                }
-            } catch (e) { /* skip individual coin errors */ }
-        }
-        console.log(`✅ Coinbase: ${coins.length} spot prices added`);
-    } catch (e) {
-        console.error('❌ Coinbase error:', e);
-    }
+/**
+ * Remove a source adapter (its cached cards go with it)
+ * @param {string} id - Source id
+ */
+function unregisterSource(id) {
+    const index = SOURCE_REGISTRY.findIndex(s => s.id === id);
+    if (index !== -1) SOURCE_REGISTRY.splice(index, 1);
+    delete sourceRuntime[id];
+}
 
-    // 6. NEWS - Cointelegraph RSS
-    try {
-        console.log('📰 Fetching Cointelegraph RSS...');
-        const newsItems = await fetchRSSNews();
-        newsItems.forEach((item, index) => {
-            cards.push({
-                id: `news_ct_${index}_${now}`,
+/**
+ * Registry id of a managed feed's source. Feed ids come from user labels, so
+ * they are namespaced - a feed called "Binance" must not replace the
+ * built-in Binance adapter.
+ */
+function feedSourceId(feed) {
+    return `feed_${feed.id}`;
+}
+
+/**
+ * Keep one news source per active managed feed. Called whenever the shared
+ * feed list changes (feed manager on news.html).
+ * @param {Array} feeds - Managed feeds from NewsFeeds
+ */
+function registerFeedSources(feeds) {
+    const active = feeds.filter(feed => !feed.paused);
+
+    SOURCE_REGISTRY
+        .filter(s => s.feedSource && !active.some(feed => feedSourceId(feed) === s.id))
+        .forEach(s => unregisterSource(s.id));
+
+    active.forEach((feed, feedIndex) => {
+        const id = feedSourceId(feed);
+        const previous = SOURCE_REGISTRY.find(s => s.id === id);
+        // Limit changed - don't serve the old batch until the next refresh
+        if (previous && previous.feed.limit !== feed.limit) delete sourceRuntime[id];
+
+        registerSource({
+            id,
+            label: feed.label,
+            category: 'news',
+            feedSource: true,
+            feed,
+            refreshInterval: 2 * 60 * 1000,
+            fetch: () => fetchFeedNews(feed),
+            toCards: (newsItems, { now }) => newsItems.map((item, index) => ({
+                id: `news_${feed.id}_${index}_${now}`,
                 category: 'news',
                 icon: '📰',
                 title: item.title,
                 content: item.content,
-                source: 'COINTELEGRAPH',
+                source: feed.source,
+                feedId: feed.id,
+                feedCategory: feed.category,
                 date: item.date,
-                timestamp: now + index,
+                timestamp: now + feedIndex * 100 + index,
                 url: item.url,
                 changeValue: 0
-            });
+            }))
         });
-        console.log(`✅ Cointelegraph: ${newsItems.length} articles added`);
-    } catch (e) {
-        console.error('❌ Cointelegraph RSS error:', e);
-    }
+    });
 
-    // 7. NEWS - Bitcoin Magazine RSS
+    console.log(`📰 ${active.length} feed sources registered (${feeds.length - active.length} paused)`);
+}
+
+function getSourceOverrides() {
     try {
-        console.log('📰 Fetching Bitcoin Magazine RSS...');
-        const PROXY = 'https://api.allorigins.win/raw?url=';
-        const RSS_URL = 'https://bitcoinmagazine.com/feed';
-        const response = await fetch(PROXY + encodeURIComponent(RSS_URL));
-        if (response.ok) {
-            const text = await response.text();
-            const parser = new DOMParser();
-            const xml = parser.parseFromString(text, 'text/xml');
-            const items = xml.querySelectorAll('item');
-
-            let addedCount = 0;
-            items.forEach((item, i) => {
-                if (i < 3) {
-                    const title = item.querySelector('title')?.textContent || '';
-                    const link = item.querySelector('link')?.textContent || '';
-                    if (title) {
-                        cards.push({
-                            id: `news_btcmag_${i}_${now}`,
-                            category: 'news',
-                            icon: '🪙',
-                            title: title,
-                            content: 'Bitcoin Magazine',
-                            source: 'BITCOIN MAG',
-                            date: today,
-                            timestamp: now + 100 + i,
-                            url: link,
-                            changeValue: 0
-                        });
-                        addedCount++;
-                    }
-                }
-            });
-            console.log(`✅ Bitcoin Magazine: ${addedCount} articles added`);
-        }
+        return JSON.parse(localStorage.getItem('tank_source_overrides') || '{}');
     } catch (e) {
-        console.error('❌ Bitcoin Magazine RSS error:', e);
+        return {};
     }
+}
 
-    // 8. POLYMARKET - Prediction Markets
-    try {
-        console.log('🔮 Fetching Polymarket...');
-        const polymarkets = await fetchPolymarket();
-        polymarkets.slice(0, 5).forEach((market, index) => {
-            cards.push({
-                id: `poly_${index}_${now}`,
-                category: 'prediction',
-                icon: '🔮',
-                title: market.title,
-                content: market.content,
-                source: 'POLYMARKET',
-                date: market.date,
-                timestamp: now - 3000 + index,
-                url: market.url,
-                changeValue: 0
-            });
-        });
-        console.log(`✅ Polymarket: ${Math.min(polymarkets.length, 5)} predictions added`);
-    } catch (e) {
-        console.error('❌ Polymarket error:', e);
+function isSourceEnabled(source) {
+    const overrides = getSourceOverrides();
+    return source.id in overrides ? overrides[source.id] : source.enabled;
+}
+
+/**
+ * Enable or disable a source (persists across reloads)
+ * @param {string} id - Source id
+ * @param {boolean} enabled - New state
+ */
+function setSourceEnabled(id, enabled) {
+    const overrides = getSourceOverrides();
+    overrides[id] = !!enabled;
+    localStorage.setItem('tank_source_overrides', JSON.stringify(overrides));
+
+    // Drop cached cards so a disabled feed disappears on next refresh
+    delete sourceRuntime[id];
+    console.log(`🔌 Source ${id} ${enabled ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * A source fetch that ran past its `timeout`
+ */
+class SourceTimeoutError extends Error {
+    constructor(label, ms) {
+        super(`${label} timed out after ${ms}ms`);
+        this.name = 'SourceTimeoutError';
+    }
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new SourceTimeoutError(label, ms)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a single (non-derived) source, honouring its refresh interval and timeout.
+ * On failure (the fetch throws or times out) the previous cards are kept so
+ * the feed never goes blank, and lastFetch stays put so the next cycle retries.
+ */
+async function runSource(source, ctx) {
+    const runtime = sourceRuntime[source.id] || (sourceRuntime[source.id] = { lastFetch: 0, cards: [] });
+
+    if (runtime.lastFetch && ctx.now - runtime.lastFetch < source.refreshInterval) {
+        console.log(`⏭️ [${source.label}] Fresh enough, reusing ${runtime.cards.length} cards`);
+        return runtime.cards;
     }
 
-    // 9. POLYMARKET CRYPTO - Crypto-specific prediction markets
     try {
-        console.log('🔮 Fetching Polymarket Crypto...');
-        const cryptoMarkets = await fetchPolymarketCrypto();
-        cryptoMarkets.slice(0, 3).forEach((market, index) => {
-            cards.push({
-                id: `poly_crypto_${index}_${now}`,
-                category: 'prediction',
-                icon: '🪙',
-                title: market.title,
-                content: market.content,
-                source: 'POLYMARKET',
-                date: market.date,
-                timestamp: now - 4000 + index,
-                url: market.url,
-                changeValue: 0
-            });
-        });
-        console.log(`✅ Polymarket Crypto: ${Math.min(cryptoMarkets.length, 3)} predictions added`);
+        // Requests made by the fetch split this deadline (see getRequestBudget)
+        sourceDeadlines[source.id] = Date.now() + source.timeout;
+        const raw = await withTimeout(source.fetch(), source.timeout, source.label);
+        runtime.cards = (source.toCards(raw, ctx) || []).map(card => ({ ...card, sourceId: source.id }));
+        runtime.lastFetch = ctx.now;
+        recordCardPrices(runtime.cards, ctx.now);
+        console.log(`✅ ${source.label}: ${runtime.cards.length} cards added`);
     } catch (e) {
-        console.error('❌ Polymarket Crypto error:', e);
+        if (e instanceof SourceTimeoutError) {
+            const health = getSourceHealth(source.id);
+            health.timeouts++;
+            health.lastError = e.message;
+            health.lastErrorAt = Date.now();
+        }
+        console.error(`❌ ${source.label} error:`, e.message);
     }
 
-    // 10. MR. TANK OBSERVATION - Based on market data
-    if (btcData) {
-        const isUp = parseFloat(btcData.change) >= 0;
-        const observations = isUp ? [
-            `Bitcoin rising strong at ${btcData.change}%. The markets show their power.`,
-            `BTC gains ${btcData.change}% today. Strength prevails in the markets.`,
-            `A green day in the crypto markets. Bitcoin up ${btcData.change}%.`
+    return runtime.cards;
+}
+
+/**
+ * Series id of a priced card: DEX cards are per pair (many pairs share a
+ * symbol), exchange cards per symbol
+ */
+function getCardSeriesId(card) {
+    return card.pairAddress ? PriceStore.pairId(card.chainId, card.pairAddress) : card.symbol;
+}
+
+/**
+ * Keep a snapshot of every priced card in the PriceStore time-series
+ */
+function recordCardPrices(cards, ts) {
+    if (!window.PriceStore) return;
+
+    cards.forEach(card => {
+        if (card.symbol && typeof card.price === 'number') {
+            PriceStore.record(getCardSeriesId(card), card.sourceId, card.price, ts);
+        }
+    });
+}
+
+// --------------------------------------------
+// Registered sources
+// --------------------------------------------
+
+// 1. COINCAP - Major Crypto (most reliable)
+registerSource({
+    id: 'coincap',
+    label: 'CoinCap',
+    category: 'market',
+    fetch: fetchCoinCap,
+    toCards: (cryptos, { today, now }) => cryptos.map(coin => {
+        const change = parseFloat(coin.changePercent24Hr || 0).toFixed(2);
+        const price = parseFloat(coin.priceUsd || 0).toFixed(2);
+        const marketCap = (parseFloat(coin.marketCapUsd || 0) / 1e9).toFixed(1);
+        const trend = change >= 0 ? '📈' : '📉';
+        const changeSign = change >= 0 ? '+' : '';
+
+        return {
+            id: `coincap_${coin.id}`,
+            category: 'market',
+            icon: trend,
+            title: `${coin.symbol} $${price}`,
+            content: `${trend} ${changeSign}${change}% (24h) | MCap: $${marketCap}B`,
+            source: 'COINCAP',
+            symbol: coin.symbol,
+            price: parseFloat(coin.priceUsd || 0),
+            date: today,
+            timestamp: now,
+            url: `https://coincap.io/assets/${coin.id}`,
+            changeValue: parseFloat(change)
+        };
+    })
+});
+
+// 2. COINGECKO - Trending Coins
+registerSource({
+    id: 'coingecko',
+    label: 'CoinGecko',
+    category: 'market',
+    refreshInterval: 2 * 60 * 1000, // Free tier is heavily rate limited
+    fetch: fetchCoinGeckoTrending,
+    toCards: (trending, { today, now }) => trending.slice(0, 5).map(item => {
+        const coin = item.item;
+        return {
+            id: `gecko_${coin.id}`,
+            category: 'market',
+            icon: '🔥',
+            title: `${coin.symbol} TRENDING`,
+            content: `${coin.name} | Rank: #${coin.market_cap_rank || 'N/A'} | Score: ${coin.score + 1}`,
+            source: 'COINGECKO',
+            date: today,
+            timestamp: now,
+            url: `https://www.coingecko.com/en/coins/${coin.id}`,
+            changeValue: 0
+        };
+    })
+});
+
+// 3. DEXSCREENER - Trending Tokens
+registerSource({
+    id: 'dexscreener',
+    label: 'DexScreener',
+    category: 'market',
+    timeout: 15 * 1000, // Fallback searches several tokens sequentially
+    fetch: fetchDexScreener,
+    toCards: (pairs, { today, now }) => pairs.slice(0, 5).map(pair => {
+        const priceChange = parseFloat(pair.priceChange?.h24 || 0).toFixed(2);
+        const trend = parseFloat(priceChange) >= 0 ? '📈' : '📉';
+        const volume = pair.volume?.h24 ? (pair.volume.h24 / 1000).toFixed(1) : '0';
+        const liquidity = pair.liquidity?.usd ? (pair.liquidity.usd / 1000).toFixed(1) : '0';
+        const price = pair.priceUsd ? parseFloat(pair.priceUsd).toFixed(6) : '0';
+        const baseSymbol = pair.baseToken?.symbol || 'TOKEN';
+        const chainId = pair.chainId || 'solana';
+
+        return {
+            id: `dex_${pair.pairAddress?.slice(0, 12) || Math.random().toString(36).slice(2)}`,
+            category: 'market',
+            icon: trend,
+            title: `${baseSymbol} ${trend}`,
+            content: `$${price} | ${priceChange}% (24h) | Vol: $${volume}K | Liq: $${liquidity}K`,
+            source: 'DEXSCREENER',
+            symbol: baseSymbol,
+            price: parseFloat(pair.priceUsd || 0),
+            date: today,
+            timestamp: now,
+            url: pair.url || `https://dexscreener.com/${chainId}/${pair.pairAddress}`,
+            chainId,
+            pairAddress: pair.pairAddress || null,
+            changeValue: parseFloat(priceChange)
+        };
+    })
+});
+
+// 4. BINANCE - Major pairs with 24h stats
+registerSource({
+    id: 'binance',
+    label: 'Binance',
+    category: 'market',
+    fetch: fetchBinanceTickers,
+    toCards: (tickers, { today, now }) => tickers.map(ticker => {
+        const symbol = ticker.symbol.replace('USDT', '');
+        const price = parseFloat(ticker.lastPrice).toFixed(2);
+        const change = parseFloat(ticker.priceChangePercent).toFixed(2);
+        const trend = change >= 0 ? '📈' : '📉';
+        const volume = (parseFloat(ticker.quoteVolume) / 1e6).toFixed(1);
+
+        return {
+            id: `binance_${symbol}`,
+            category: 'market',
+            icon: trend,
+            title: `${symbol} $${price}`,
+            content: `${trend} ${change >= 0 ? '+' : ''}${change}% | Vol: $${volume}M`,
+            source: 'BINANCE',
+            symbol: symbol,
+            price: parseFloat(ticker.lastPrice),
+            date: today,
+            timestamp: now - 1000,
+            url: `https://www.binance.com/en/trade/${symbol}_USDT`,
+            changeValue: parseFloat(change)
+        };
+    })
+});
+
+// 5. COINBASE - Spot prices
+registerSource({
+    id: 'coinbase',
+    label: 'Coinbase',
+    category: 'market',
+    fetch: fetchCoinbaseSpot,
+    toCards: (prices, { today, now }) => prices.map(({ coin, amount }) => ({
+        id: `coinbase_${coin}`,
+        category: 'market',
+        icon: '💵',
+        title: `${coin} $${parseFloat(amount).toFixed(2)}`,
+        content: `Spot price from Coinbase`,
+        source: 'COINBASE',
+        symbol: coin,
+        price: parseFloat(amount),
+        date: today,
+        timestamp: now - 2000,
+        url: `https://www.coinbase.com/price/${coin.toLowerCase()}`,
+        changeValue: 0
+    }))
+});
+
+// 6. NEWS - RSS/Atom feeds, one source per managed feed (see registerFeedSources)
+
+// 7. POLYMARKET - Prediction Markets
+registerSource({
+    id: 'polymarket',
+    label: 'Polymarket',
+    category: 'prediction',
+    refreshInterval: 60 * 1000,
+    fetch: fetchPolymarket,
+    toCards: (predictions, { today, now }) => predictions.slice(0, trackedPredictionIds.length > 0 ? 20 : 5).map((prediction, index) => predictionToCard(prediction, {
+        icon: trackedPredictionIds.length > 0 ? '📌' : '🔮',
+        title: prediction.title.length > 50 ? prediction.title.substring(0, 50) + '...' : prediction.title,
+        timestamp: now - 3000 + index,
+        today
+    }))
+});
+
+// 8. POLYMARKET CRYPTO - Crypto-specific prediction markets
+registerSource({
+    id: 'polymarket_crypto',
+    label: 'Polymarket Crypto',
+    category: 'prediction',
+    refreshInterval: 60 * 1000,
+    fetch: fetchPolymarketCrypto,
+    toCards: (predictions, { today, now }) => predictions.slice(0, 3).map((prediction, index) => predictionToCard(prediction, {
+        icon: '🪙',
+        title: `🪙 ${prediction.title}`,
+        timestamp: now - 4000 + index,
+        today
+    }))
+});
+
+// 9. BILU OBSERVATION - Derived from the CoinCap BTC card
+registerSource({
+    id: 'bilu_observation',
+    label: 'BILU observation',
+    category: 'observation',
+    derived: true,
+    toCards: (cards, { today, now }) => {
+        const btcCard = cards.find(c => c.source === 'COINCAP' && c.symbol === 'BTC');
+        if (!btcCard) return [];
+
+        const change = btcCard.changeValue.toFixed(2);
+        const observations = btcCard.changeValue >= 0 ? [
+            `Bitcoin rising strong at ${change}%. The markets show their power.`,
+            `BTC gains ${change}% today. Strength prevails in the markets.`,
+            `A green day in the crypto markets. Bitcoin up ${change}%.`
         ] : [
-            `Bitcoin down ${btcData.change}%. Patience and loyalty will prevail.`,
-            `BTC drops ${btcData.change}% today. The strong hold their position.`,
-            `Red candles in the crypto markets. Bitcoin down ${btcData.change}%.`
+            `Bitcoin down ${change}%. Patience and loyalty will prevail.`,
+            `BTC drops ${change}% today. The strong hold their position.`,
+            `Red candles in the crypto markets. Bitcoin down ${change}%.`
         ];
 
-        const observation = observations[Math.floor(Math.random() * observations.length)];
-
-        cards.push({
+        return [{
             id: `akai_obs_${now}`,
             category: 'observation',
             icon: '📊',
             title: 'Market Analysis',
-            content: observation,
+            content: observations[Math.floor(Math.random() * observations.length)],
             source: 'BILU',
             date: today,
             timestamp: now + 1000,
             url: '',
             changeValue: 0
-        });
-        console.log('✅ BILU observation added');
+        }];
+    }
+});
+
+// 10. RECONCILIATION - Cross-exchange consensus and spread alerts
+// --------------------------------------------
+// Groups the CEX quotes of the same asset, takes the median as consensus
+// price and emits a SPREAD card when the quotes disagree by more than
+// `thresholdBps`. Spread/outlier values are in basis points of the median.
+
+const RECONCILE_CONFIG = {
+    sources: ['coincap', 'binance', 'coinbase'], // DEX prices are per-pair, not comparable
+    thresholdBps: 50,                            // Emit a SPREAD card above 0.5%
+    outlierBps: 30,                              // A quote this far from the median is an outlier
+    speak: false,                                // Also announce SPREAD cards through addToSpeechQueue
+    speakCooldown: 30 * 60 * 1000                // Announce the same asset at most once per window
+};
+
+// Last reconciliation per asset (for debugging)
+let lastReconciliation = {};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Group priced cards by asset and compute consensus, spread and outlier.
+ * Only assets quoted by at least two sources are returned.
+ */
+function reconcileQuotes(cards) {
+    const staleIds = new Set(SOURCE_REGISTRY.filter(isSourceStale).map(s => s.id));
+    const byAsset = {};
+
+    cards.forEach(card => {
+        if (!RECONCILE_CONFIG.sources.includes(card.sourceId) || staleIds.has(card.sourceId)) return;
+        if (!card.symbol || !(card.price > 0)) return;
+
+        const asset = card.symbol.toUpperCase();
+        (byAsset[asset] = byAsset[asset] || []).push({ source: card.source, price: card.price });
+    });
+
+    const results = {};
+
+    Object.entries(byAsset).forEach(([asset, quotes]) => {
+        if (quotes.length < 2) return;
+
+        const consensus = median(quotes.map(q => q.price));
+        const withDeviation = quotes.map(q => ({
+            ...q,
+            deviationBps: ((q.price - consensus) / consensus) * 10000
+        }));
+        const sorted = [...withDeviation].sort((a, b) => a.price - b.price);
+        const low = sorted[0];
+        const high = sorted[sorted.length - 1];
+
+        // With only two quotes the median sits in between - nobody is the outlier
+        const furthest = [...withDeviation].sort((a, b) => Math.abs(b.deviationBps) - Math.abs(a.deviationBps))[0];
+        const outlier = quotes.length >= 3 && Math.abs(furthest.deviationBps) >= RECONCILE_CONFIG.outlierBps ? furthest : null;
+
+        results[asset] = {
+            asset,
+            consensus,
+            spreadBps: ((high.price - low.price) / consensus) * 10000,
+            high,
+            low,
+            outlier,
+            quotes: withDeviation
+        };
+    });
+
+    return results;
+}
+
+function createSpreadSpeech(result) {
+    const bps = Math.round(result.spreadBps);
+    const outlierText = result.outlier ? ` ${result.outlier.source} is the outlier.` : '';
+    return `Price spread alert. ${result.asset} quotes disagree by ${bps} basis points. ` +
+        `${result.high.source} is highest and ${result.low.source} lowest.${outlierText}`;
+}
+
+registerSource({
+    id: 'reconciliation',
+    label: 'Spread reconciliation',
+    category: 'market',
+    derived: true,
+    toCards: (cards, { today, now }) => {
+        lastReconciliation = reconcileQuotes(cards);
+
+        return Object.values(lastReconciliation)
+            .filter(result => result.spreadBps >= RECONCILE_CONFIG.thresholdBps)
+            .map(result => {
+                const bps = result.spreadBps.toFixed(0);
+                const outlierText = result.outlier
+                    ? ` | Outlier: ${result.outlier.source} (${result.outlier.deviationBps >= 0 ? '+' : ''}${result.outlier.deviationBps.toFixed(0)} bps)`
+                    : '';
+
+                if (RECONCILE_CONFIG.speak) {
+                    const bucket = Math.floor(now / RECONCILE_CONFIG.speakCooldown);
+                    addToSpeechQueue(createSpreadSpeech(result), `spread_${result.asset}_${bucket}`, !initialLoadDone, {
+                        key: `spread_${result.asset}`,
+                        cardId: `spread_${result.asset}`
+                    });
+                }
+
+                return {
+                    id: `spread_${result.asset}`,
+                    category: 'market',
+                    icon: '⚖️',
+                    title: `${result.asset} SPREAD ${bps} bps`,
+                    content: `Consensus $${result.consensus.toFixed(2)} (median of ${result.quotes.length}) | ` +
+                        `High: ${result.high.source} $${result.high.price.toFixed(2)} | ` +
+                        `Low: ${result.low.source} $${result.low.price.toFixed(2)}${outlierText}`,
+                    source: 'SPREAD',
+                    symbol: result.asset,
+                    date: today,
+                    timestamp: now + 500,
+                    url: '',
+                    changeValue: 0
+                };
+            });
+    }
+});
+
+// FETCH ALL REAL DATA
+// Runs every enabled source in parallel, then the derived sources on top of the results
+async function fetchAllRealData() {
+    console.log('🔄 ========================================');
+    console.log('🔄 STARTING DATA FETCH FROM ALL SOURCES...');
+    console.log('🔄 ========================================');
+
+    const ctx = {
+        today: new Date().toISOString().split('T')[0],
+        now: Date.now()
+    };
+
+    const enabled = SOURCE_REGISTRY.filter(isSourceEnabled);
+    const fetchSources = enabled.filter(s => !s.derived);
+    const derivedSources = enabled.filter(s => s.derived);
+
+    console.log(`🔌 Running ${fetchSources.length} sources (${SOURCE_REGISTRY.length - enabled.length} disabled)`);
+
+    const results = await Promise.all(fetchSources.map(source => runSource(source, ctx)));
+    const cards = results.flat();
+
+    for (const source of derivedSources) {
+        try {
+            const derivedCards = (source.toCards(cards, ctx) || []).map(card => ({ ...card, sourceId: source.id }));
+            cards.push(...derivedCards);
+            console.log(`✅ ${source.label}: ${derivedCards.length} cards added`);
+        } catch (e) {
+            console.error(`❌ ${source.label} error:`, e.message);
+        }
     }
 
     console.log('🔄 ========================================');
@@ -3044,10 +4037,19 @@ async function updateArcticArchives() {
     try {
         const cards = await fetchAllRealData();
 
+        // Flag cards served from cache by sources that stopped responding
+        const staleSources = markStaleCards(cards);
+        if (staleSources > 0) {
+            console.warn(`⚠️ ${staleSources} stale source(s) - their cards are marked as stale`);
+        }
+
         if (cards.length > 0) {
             // Keep user knowledge, replace API data
             const userCards = realTimeCards.filter(c => c.isUserKnowledge);
 
+            // Same story from several outlets shares one story id
+            StoryClusters.assignIds(cards.filter(c => c.category === 'news'));
+
             // Detect NEW cards (not in previous realTimeCards)
             const oldCardIds = new Set(realTimeCards.map(c => c.id));
             const newCards = cards.filter(c => !oldCardIds.has(c.id));
@@ -3076,18 +4078,27 @@ async function updateArcticArchives() {
                         return; // Don't add market data to automatic speech queue
                     }
 
+                    // News is spoken once per story, whichever outlet it came from
+                    if (card.category === 'news') {
+                        queueNewsSpeech(card, !initialLoadDone);
+                        return;
+                    }
+
                     // Create appropriate speech text based on category
                     let speechText = '';
-                    if (card.category === 'news') {
-                        speechText = createNewsSpeech(card);
-                    } else if (card.category === 'prediction') {
+                    if (card.category === 'prediction') {
                         speechText = createPredictionSpeech(card);
                     } else {
                         speechText = createKnowledgeSpeech(card);
                     }
 
                     // Add to speech queue (only NEWS, PREDICTIONS, KNOWLEDGE)
-                    addToSpeechQueue(speechText, card.id, !initialLoadDone);
+                    addToSpeechQueue(speechText, card.id, !initialLoadDone, {
+                        level: card.category === 'prediction' ? 'news' : 'knowledge',
+                        key: card.category === 'prediction' ? card.id : null,
+                        label: card.title,
+                        cardId: card.id
+                    });
                 });
 
                 // Mark initial load as complete after first batch
@@ -3098,6 +4109,9 @@ async function updateArcticArchives() {
                 }
             }
 
+            // Prediction markets whose odds jumped get their own announcement
+            announceOddsMoves(cards);
+
             // Save to localStorage for news.html sync
             saveNewsToStorage(cards);
 
@@ -3119,6 +4133,12 @@ async function updateArcticArchives() {
             // Update knowledge count
             updateKnowledgeCount();
 
+            // Refresh source health panel (if open)
+            renderSourcesPanel();
+
+            // Prices, odds and source health feed BILU's mood/health/vol
+            scheduleSentimentUpdate();
+
             // BILU comments on market (15% chance after first load)
             // DISABLED: Now using automatic speech queue instead
             // if (lastDataUpdate && Math.random() < 0.15) {
@@ -3187,13 +4207,8 @@ function saveNewsToStorage(cards) {
                 return false;
             }
 
-            // Include only news sources
-            const newsSources = ['COINTELEGRAPH', 'BITCOIN MAG', 'RSS', 'NEWS', 'CRYPTOPANIC'];
-            const isNewsSource = newsSources.includes(card.source) ||
-                                 card.category === 'news' ||
-                                 card.type === 'NEWS';
-
-            return isNewsSource;
+            // Include only news sources (driven by the managed feed list)
+            return NewsFeeds.isNewsSource(card);
         });
 
         console.log(`📰 Filtered for storage: ${newsOnly.length} news articles (from ${cards.length} total cards)`);
@@ -3224,6 +4239,9 @@ function saveNewsToStorage(cards) {
             FirebaseDB.saveNews(newCards);
         }
 
+        // Summaries/sentiment for the new articles (once per story, across all users)
+        NewsEnrichment.enqueue(newCards);
+
         console.log(`📰 Saved to localStorage: ${addedCount} new news articles, ${existingNews.length} total`);
     } catch (e) {
         console.error('❌ Error saving news to localStorage:', e);
@@ -3238,6 +4256,28 @@ document.addEventListener('DOMContentLoaded', () => {
     cleanOldNewsFromStorage();
 });
 
+/**
+ * Queue an announcement for each prediction market whose odds moved more than
+ * the threshold in 24h. The speech id carries the day, direction and how many
+ * thresholds it moved, so a market that keeps moving is announced again -
+ * once per CONFIG.spoken.scope (spoken tracking).
+ */
+function announceOddsMoves(cards) {
+    const day = new Date().toISOString().split('T')[0];
+
+    cards.filter(card => card.category === 'prediction' && card.oddsMover).forEach(card => {
+        const { marketId, change } = card.oddsMover;
+        const step = Math.floor(Math.abs(change) / PredictionMarkets.config.moveThreshold);
+        const direction = change >= 0 ? 'up' : 'down';
+        addToSpeechQueue(createOddsMoveSpeech(card), `oddsmove_${marketId}_${day}_${direction}${step}`, !initialLoadDone, {
+            level: 'alert',
+            key: `oddsmove_${marketId}`,
+            label: `Odds move: ${card.title}`,
+            cardId: card.id
+        });
+    });
+}
+
 // MR. TANK MARKET COMMENTARY
 async function tankMarketComment() {
     if (STATE.isSpeaking) return;
@@ -3312,6 +4352,11 @@ function initNewsfeed() {
     initArchivesNavigation();
     initRealTimeUpdates();
     initNewsChecker();
+
+    // Redraw sparklines once the stored price history has loaded
+    if (window.PriceStore) {
+        PriceStore.ready.then(() => renderArchivesFeed());
+    }
 }
 
 // Initialize news checking for BILU announcements
@@ -3351,6 +4396,12 @@ function initArchivesNavigation() {
         });
     });
 
+    // SOURCES button - toggles the source health panel
+    const sourcesBtn = document.getElementById('btnSources');
+    if (sourcesBtn) {
+        sourcesBtn.addEventListener('click', toggleSourcesPanel);
+    }
+
     // SHOW INTRO button
     const introBtn = document.getElementById('btnShowIntro');
     if (introBtn) {
@@ -3370,7 +4421,7 @@ function initArchivesNavigation() {
 
 function showIntroMessage() {
     const intro = getIntroMessage();
-    tankSpeak(intro);
+    tankSpeak(intro, 'idle', { origin: 'routine' });
 }
 
 function renderArchivesFeed() {
@@ -3415,12 +4466,13 @@ function renderArchivesFeed() {
     renderFeedCards(feed, items);
 }
 
-// Remove duplicate cards based on ID first, then title + source
+// Remove duplicate cards based on ID first, then title + source.
+// News cards are then grouped into stories (same story from several outlets).
 function removeDuplicates(cards) {
     const seenIds = new Set();
     const seenTitles = new Set();
 
-    return cards.filter(card => {
+    const unique = cards.filter(card => {
         // Check by ID first (most reliable)
         if (card.id && seenIds.has(card.id)) {
             return false;
@@ -3438,6 +4490,8 @@ function removeDuplicates(cards) {
 
         return true;
     });
+
+    return StoryClusters.merge(unique, card => card.category === 'news' && !card.isUserKnowledge);
 }
 
 // Format timestamp to relative time or absolute time
@@ -3479,6 +4533,23 @@ function formatTimestamp(timestamp) {
     return `${month}-${day} ${hour}:${minute}`;
 }
 
+// "+N sources" when other outlets ran the same story
+function renderStorySourcesBadge(item) {
+    if (!item.sources || item.sources.length < 2) return '';
+    const names = [...new Set(item.sources.map(s => s.source))].join(', ');
+    return `<span class="feed-card-sources" title="${escapeHtml(names).replace(/"/g, '&quot;')}">+${item.sources.length - 1} sources</span>`;
+}
+
+// $SYMBOL links to the market terminal for the assets a news card mentions
+function renderCardTickers(item) {
+    const symbols = TickerExtractor.forItem(item).slice(0, 5);
+    if (symbols.length === 0) return '';
+
+    return `<div class="feed-card-tickers">${symbols.map(symbol =>
+        `<a class="feed-card-ticker" href="${TickerExtractor.marketUrl(symbol)}" target="_blank" onclick="event.stopPropagation()">$${escapeHtml(symbol)}</a>`
+    ).join('')}</div>`;
+}
+
 // Helper function to render feed cards
 function renderFeedCards(feed, items) {
     // Show loading or empty state
@@ -3508,19 +4579,27 @@ function renderFeedCards(feed, items) {
         const changeValue = item.changeValue || 0;
         const trendClass = item.category === 'market' && !item.isUserKnowledge ? (changeValue >= 0 ? 'trend-up' : 'trend-down') : '';
         const userClass = item.isUserKnowledge ? 'user-knowledge' : '';
+        const staleClass = item.isStale ? 'stale' : '';
+        const movedClass = item.oddsMoved ? 'odds-moved' : '';
 
         // Format timestamp for display
         const displayTime = formatTimestamp(item.timestamp);
 
         return `
-        <div class="feed-card cat-${item.category} ${trendClass} ${userClass}" data-id="${item.id}" data-type="${item.category.toUpperCase()}">
+        <div class="feed-card cat-${item.category} ${trendClass} ${userClass} ${staleClass} ${movedClass}" data-id="${item.id}" data-type="${item.category.toUpperCase()}">
             <div class="feed-card-header">
                 <span class="feed-card-icon">${item.icon}</span>
                 <span class="feed-card-category cat-${item.category}">${item.category.toUpperCase()}</span>
+                ${item.isStale ? '<span class="feed-card-stale" title="Source is not responding - showing last known data">STALE</span>' : ''}
+                ${item.oddsMoved ? `<span class="feed-card-odds-move" title="Odds moved ${PredictionMarkets.formatChange(item.oddsChange)} in 24h">BIG MOVE</span>` : ''}
                 <span class="feed-card-source-badge">${escapeHtml(item.source)}</span>
+                ${renderStorySourcesBadge(item)}
             </div>
             <div class="feed-card-title">${escapeHtml(item.title)}</div>
             <div class="feed-card-content">${escapeHtml(item.content)}</div>
+            ${item.category === 'news' ? renderCardTickers(item) : ''}
+            ${renderCardPriceHistory(item)}
+            ${renderCardOddsHistory(item)}
             <div class="feed-card-footer">
                 <span class="feed-card-date" title="Adicionado: ${displayTime}">${displayTime}</span>
                 <span class="feed-card-hear" data-id="${item.id}">CLICK TO HEAR ~</span>
@@ -3544,6 +4623,46 @@ function renderFeedCards(feed, items) {
     });
 }
 
+/**
+ * Sparkline + self-computed 1h/4h change for priced market cards
+ */
+function renderCardPriceHistory(item) {
+    if (!window.PriceStore || item.category !== 'market' || !item.symbol || !item.sourceId) return '';
+
+    const id = getCardSeriesId(item);
+    const spark = PriceStore.sparkline(id, item.sourceId);
+    if (!spark) return '';
+
+    const change1h = PriceStore.getChange(id, item.sourceId, 60 * 60 * 1000);
+    const change4h = PriceStore.getChange(id, item.sourceId, 4 * 60 * 60 * 1000);
+    const changeClass = (change) => change === null ? '' : (change >= 0 ? 'up' : 'down');
+
+    return `
+            <div class="feed-card-history">
+                ${spark}
+                <span class="feed-card-change ${changeClass(change1h)}">1h ${PriceStore.formatChange(change1h)}</span>
+                <span class="feed-card-change ${changeClass(change4h)}">4h ${PriceStore.formatChange(change4h)}</span>
+            </div>`;
+}
+
+/**
+ * Odds chart + 24h odds change (points) for prediction cards
+ */
+function renderCardOddsHistory(item) {
+    if (item.category !== 'prediction' || !item.marketId) return '';
+
+    const chart = PredictionMarkets.chart(item.marketId);
+    const change = item.oddsChange;
+    const hasChange = change !== null && change !== undefined;
+    if (!chart && !hasChange) return '';
+
+    return `
+            <div class="feed-card-history">
+                ${chart}
+                <span class="feed-card-change ${hasChange ? (change >= 0 ? 'up' : 'down') : ''}">24h ${PredictionMarkets.formatChange(change)}</span>
+            </div>`;
+}
+
 function getChangelogItems() {
     return [
         {
@@ -3623,12 +4742,6 @@ async function speakFeedItem(itemId, element) {
         return;
     }
 
-    // Prevent speaking if already speaking
-    if (STATE.isSpeaking) {
-        showToast('Please wait, BILU is speaking...', 'info');
-        return;
-    }
-
     console.log('🎤 Speaking feed item:', item.title);
 
     // Update UI to show speaking state
@@ -3637,7 +4750,7 @@ async function speakFeedItem(itemId, element) {
 
     // Show Tank View popup with source info
     const itemType = item.category ? item.category.toUpperCase() : null;
-    showTankView(item.source, item.url || '', itemType);
+    showTankView(item.source, item.url || '', itemType, item);
 
     // Construct speech text
     const speechText = `${item.title}. ${item.content}`;
@@ -3646,15 +4759,18 @@ async function speakFeedItem(itemId, element) {
     addSpeechEntry(item.title);
 
     // Force speak when user clicks "CLICK TO HEAR"
-    // Pass true to allow canceling existing speech (user explicitly wants to hear THIS)
+    // A user line cuts off automatic speech (user explicitly wants to hear THIS)
     // CRITICAL: Wait for speech to complete FULLY before hiding popup
-    await speakCardContent(speechText, true);
+    await speakCardContent(speechText, { label: item.title, cardId: item.id });
 
     // Wait 2 more seconds AFTER speech finishes for user to read
     await new Promise(resolve => setTimeout(resolve, 2000));
 
-    // NOW hide the popup (only after speech finished + 2s delay)
-    hideTankView();
+    // NOW hide the popup (only after speech finished + 2s delay) - unless
+    // another click has taken it over meanwhile
+    if (STATE.tankViewItem === item) {
+        hideTankView();
+    }
 
     // Reset UI
     element.textContent = 'CLICK TO HEAR ~';
@@ -3663,110 +4779,16 @@ async function speakFeedItem(itemId, element) {
 
 // Special function for CLICK TO HEAR - always speaks (user explicitly requested)
 /**
- * Speak text using Web Speech API
+ * Speak card content - a user line by default, so it cuts off automatic speech
  *
  * @param {string} text - Text to speak
- * @param {boolean} cancelExisting - If true, cancels any ongoing speech (default: true)
- *                                   Set to false when called from queue to never interrupt
+ * @param {Object} options - level, category, group, label, cardId (see queueSpeech)
+ * @returns {Promise<string>} how the line ended
  */
-async function speakCardContent(text, cancelExisting = true) {
-    console.log('🎤 speakCardContent() - ', cancelExisting ? 'user click (can cancel)' : 'from queue (never cancel)');
-
-    // Show speaking bar
-    showSpeakingBar(text);
-
-    // Use Web Speech API directly
-    return new Promise((resolve) => {
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ Web Speech API not supported');
-            hideSpeakingBar();
-            resolve();
-            return;
-        }
-
-        // CRITICAL: Only cancel if explicitly allowed (user clicked, not from queue)
-        if (cancelExisting) {
-            console.log('🔇 Canceling existing speech (user clicked)');
-            window.speechSynthesis.cancel();
-            clearTimeout(STATE.wordTimeout);
-        } else {
-            console.log('🔒 NOT canceling existing speech (from queue - never interrupt)');
-        }
-
-        const utterance = new SpeechSynthesisUtterance(text);
-
-        // Get voices
-        let voices = window.speechSynthesis.getVoices();
-        const voice = voices.find(v =>
-            v.name.includes('UK') || v.name.includes('British') || v.name.includes('Daniel')
-        ) || voices.find(v =>
-            v.name.includes('English') || v.lang.startsWith('en')
-        ) || voices[0];
-
-        if (voice) {
-            utterance.voice = voice;
-        }
-
-        // Cartoon tank voice
-        utterance.rate = 1.25;
-        utterance.pitch = 1.5;
-        utterance.volume = 1.0;
-
-        // Lip sync - detect word boundaries
-        let boundarySupported = false;
-        utterance.onboundary = (event) => {
-            if (event.name === 'word') {
-                boundarySupported = true;
-                STATE.isWordActive = true;
-                clearTimeout(STATE.wordTimeout);
-                STATE.wordTimeout = setTimeout(() => {
-                    STATE.isWordActive = false;
-                }, 150);
-            }
-        };
-
-        utterance.onstart = () => {
-            STATE.isSpeaking = true;
-            console.log('🎤 Started speaking card content');
-
-            // Fallback lip sync if onboundary not supported
-            setTimeout(() => {
-                if (!boundarySupported && STATE.isSpeaking) {
-                    simulateWordBoundaries(text);
-                }
-            }, 500);
-        };
-
-        utterance.onend = () => {
-            STATE.isSpeaking = false;
-            STATE.isWordActive = false;
-            clearTimeout(STATE.wordTimeout);
-            hideSpeakingBar();
-            console.log('🔇 Finished speaking card content');
-            resolve();
-        };
-
-        utterance.onerror = (event) => {
-            STATE.isSpeaking = false;
-            STATE.isWordActive = false;
-            clearTimeout(STATE.wordTimeout);
-            hideSpeakingBar();
-            console.error('❌ Speech error:', event.error);
-            resolve();
-        };
+async function speakCardContent(text, { level = 'user', category = 'news', group = null, label = null, cardId = null } = {}) {
+    console.log('🎤 speakCardContent() - ', level);
 
-        window.speechSynthesis.speak(utterance);
-
-        // Chrome bug workaround - speech can pause after ~15 seconds
-        const keepAlive = setInterval(() => {
-            if (!STATE.isSpeaking) {
-                clearInterval(keepAlive);
-                return;
-            }
-            window.speechSynthesis.pause();
-            window.speechSynthesis.resume();
-        }, 10000);
-    });
+    return queueSpeech(text, { level, category, group, label, cardId });
 }
 
 // ============================================
@@ -3776,11 +4798,17 @@ async function speakCardContent(text, cancelExisting = true) {
 function initTankView() {
     const closeBtn = document.getElementById('closeTankView');
     if (closeBtn) {
-        closeBtn.addEventListener('click', hideTankView);
+        closeBtn.addEventListener('click', () => hideTankView(true));
     }
+
+    document.getElementById('viewReadBtn')?.addEventListener('click', openTankReader);
+    document.getElementById('viewSpeakBtn')?.addEventListener('click', toggleTankReaderSpeech);
 }
 
-function showTankView(source, url, type = null) {
+/**
+ * @param {Object} item - Optional card being shown (enables the reader for NEWS items)
+ */
+function showTankView(source, url, type = null, item = null) {
     const popup = document.getElementById('tankView');
     const sourceEl = document.getElementById('viewSource');
     const typeEl = document.getElementById('viewType');
@@ -3824,14 +4852,120 @@ function showTankView(source, url, type = null) {
         }
     }
 
+    // While an article is open the popup belongs to the reader
+    if (STATE.tankViewPinned) {
+        popup.classList.add('active');
+        return;
+    }
+
+    STATE.tankViewItem = item || (url ? { source, url } : null);
+    const canRead = !!(url && url.trim()) && typeof ArticleReader !== 'undefined' &&
+        (type === 'NEWS' || (item && item.category === 'news'));
+    document.getElementById('viewReadBtn')?.classList.toggle('hidden', !canRead);
+    resetTankReader();
+
     popup.classList.add('active');
 }
 
-function hideTankView() {
+/**
+ * @param {boolean} force - Close even while the reader is open (close button)
+ */
+function hideTankView(force = false) {
+    if (STATE.tankViewPinned && !force) return;
+
     const popup = document.getElementById('tankView');
     if (popup) {
         popup.classList.remove('active');
     }
+    if (STATE.tankViewPinned) {
+        stopTankReaderSpeech();
+        STATE.tankViewPinned = false;
+        resetTankReader();
+    }
+}
+
+// ============================================
+// TANK VIEW READER
+// ============================================
+
+function resetTankReader() {
+    const articleEl = document.getElementById('viewArticle');
+    if (articleEl) {
+        articleEl.innerHTML = '';
+        articleEl.classList.add('hidden');
+    }
+    document.getElementById('viewSpeakBtn')?.classList.add('hidden');
+    document.getElementById('tankView')?.classList.remove('reading');
+}
+
+async function openTankReader() {
+    const item = STATE.tankViewItem;
+    const articleEl = document.getElementById('viewArticle');
+    const readBtn = document.getElementById('viewReadBtn');
+    if (!item || !articleEl) return;
+
+    STATE.tankViewPinned = true;
+    document.getElementById('tankView').classList.add('reading');
+    readBtn.classList.add('hidden');
+    articleEl.classList.remove('hidden');
+    articleEl.innerHTML = '<p class="view-article-status">Fetching the full article...</p>';
+
+    try {
+        const article = await ArticleReader.load(item);
+        if (STATE.tankViewItem !== item || !STATE.tankViewPinned) return;
+
+        item.article = article;
+        articleEl.innerHTML = `
+            ${article.title ? `<h4>${escapeHtml(article.title)}</h4>` : ''}
+            ${article.byline ? `<p class="view-article-byline">${escapeHtml(article.byline)}</p>` : ''}
+            ${ArticleReader.render(article)}
+        `;
+        articleEl.scrollTop = 0;
+        document.getElementById('viewSpeakBtn').classList.remove('hidden');
+    } catch (error) {
+        if (STATE.tankViewItem !== item) return;
+        console.warn('⚠️ Tank View reader failed:', error.message);
+        articleEl.innerHTML = `<p class="view-article-status">Could not extract the article: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// BILU reads the whole article, chunk by chunk (the first chunk interrupts whatever is playing)
+async function toggleTankReaderSpeech() {
+    if (STATE.tankReaderSpeaking) {
+        stopTankReaderSpeech();
+        return;
+    }
+
+    const item = STATE.tankViewItem;
+    if (!item || !item.article) return;
+
+    const button = document.getElementById('viewSpeakBtn');
+    const chunks = [item.article.title || item.title, ...ArticleReader.toSpeechChunks(item.article)].filter(Boolean);
+
+    STATE.tankReaderSpeaking = true;
+    button.textContent = 'STOP READING';
+    addSpeechEntry(`Reading: ${item.article.title || item.title}`);
+
+    for (let i = 0; i < chunks.length; i++) {
+        if (!STATE.tankReaderSpeaking) break;
+        await speakCardContent(chunks[i], {
+            category: 'article',
+            group: 'reader',
+            label: `Reading (${i + 1}/${chunks.length}): ${item.article.title || item.title}`,
+            cardId: item.id
+        });
+    }
+
+    STATE.tankReaderSpeaking = false;
+    button.textContent = 'BILU, READ IT ALOUD';
+}
+
+function stopTankReaderSpeech() {
+    if (!STATE.tankReaderSpeaking) return;
+    STATE.tankReaderSpeaking = false;
+    SpeechQueue.cancelGroup('reader');
+    const button = document.getElementById('viewSpeakBtn');
+    if (button) button.textContent = 'BILU, READ IT ALOUD';
 }
 
 // ============================================
@@ -3850,6 +4984,7 @@ function initTimestampUpdater() {
     // Update timestamps every 60 seconds to keep "há X min" accurate
     setInterval(() => {
         renderArchivesFeed();
+        renderSourcesPanel();
     }, 60000); // 1 minute
 }
 
@@ -3891,10 +5026,41 @@ window.DEBUG_FETCH = async () => {
     console.log('🧪 Results:', cards);
     return cards;
 };
+window.DEBUG_SOURCES = () => {
+    console.log('🔌 Registered sources:');
+    SOURCE_REGISTRY.forEach(s => {
+        const runtime = sourceRuntime[s.id];
+        console.log(`   ${isSourceEnabled(s) ? '✅' : '⛔'} ${s.id} [${s.category}] every ${s.refreshInterval / 1000}s | cached: ${runtime?.cards.length || 0}`);
+    });
+    return SOURCE_REGISTRY;
+};
+window.registerSource = registerSource;
+window.DEBUG_SPREADS = () => {
+    console.table(Object.values(lastReconciliation).map(r => ({
+        asset: r.asset,
+        consensus: r.consensus,
+        spreadBps: r.spreadBps.toFixed(1),
+        high: r.high.source,
+        low: r.low.source,
+        outlier: r.outlier ? r.outlier.source : '-'
+    })));
+    return lastReconciliation;
+};
+window.RECONCILE_CONFIG = RECONCILE_CONFIG;
+window.DEBUG_SOURCE_HEALTH = () => {
+    const report = getSourceHealthReport();
+    console.table(report);
+    return report;
+};
+window.setSourceEnabled = setSourceEnabled;
+window.DEBUG_HTTP = () => {
+    console.table(HttpClient.stats());
+    return HttpClient.stats();
+};
 window.DEBUG_DEXSCREENER = async () => {
     console.log('🧪 Testing DexScreener API...');
     try {
-        const response = await fetch('https://api.dexscreener.com/latest/dex/search?q=sol');
+        const response = await HttpClient.fetch('https://api.dexscreener.com/latest/dex/search?q=sol', { cache: false });
         console.log('🧪 Response status:', response.status);
         const data = await response.json();
         console.log('🧪 Raw data:', data);
@@ -3911,7 +5077,7 @@ window.DEBUG_DEXSCREENER = async () => {
 window.DEBUG_COINCAP = async () => {
     console.log('🧪 Testing CoinCap API...');
     try {
-        const response = await fetch('https://api.coincap.io/v2/assets?limit=5');
+        const response = await HttpClient.fetch('https://api.coincap.io/v2/assets?limit=5', { cache: false });
         console.log('🧪 Response status:', response.status);
         const data = await response.json();
         console.log('🧪 Data:', data);
@@ -3924,7 +5090,7 @@ window.DEBUG_COINCAP = async () => {
 window.DEBUG_COINGECKO = async () => {
     console.log('🧪 Testing CoinGecko API...');
     try {
-        const response = await fetch('https://api.coingecko.com/api/v3/search/trending');
+        const response = await HttpClient.fetch('https://api.coingecko.com/api/v3/search/trending', { cache: false });
         console.log('🧪 Response status:', response.status);
         const data = await response.json();
         console.log('🧪 Data:', data);
@@ -3937,21 +5103,13 @@ window.DEBUG_COINGECKO = async () => {
 window.DEBUG_POLYMARKET = async () => {
     console.log('🧪 Testing Polymarket API...');
     try {
-        const response = await fetch('https://gamma-api.polymarket.com/markets?closed=false&limit=5');
-        console.log('🧪 Response status:', response.status);
-        const data = await response.json();
-        console.log('🧪 Markets found:', data.length);
-        data.forEach((market, i) => {
-            let odds = 'N/A';
-            if (market.outcomePrices) {
-                try {
-                    const outcomes = JSON.parse(market.outcomePrices);
-                    odds = `Yes ${(parseFloat(outcomes[0]) * 100).toFixed(0)}% / No ${(parseFloat(outcomes[1]) * 100).toFixed(0)}%`;
-                } catch (e) {}
-            }
-            console.log(`🧪 ${i + 1}. ${market.question?.substring(0, 50)}... | ${odds}`);
+        const markets = await PredictionMarkets.track(await PredictionMarkets.fetch({ limit: 5 }));
+        console.log('🧪 Markets found:', markets.length);
+        markets.forEach((market, i) => {
+            const odds = market.outcomes.map(outcome => `${outcome.name} ${PredictionMarkets.formatOdds(outcome.odds)}`).join(' / ');
+            console.log(`🧪 ${i + 1}. [${market.id}] ${market.question.substring(0, 50)}... | ${odds} | ${market.status} | 24h ${PredictionMarkets.formatChange(market.change24h)}`);
         });
-        return data;
+        return markets;
     } catch (e) {
         console.error('🧪 Error:', e);
         return null;
@@ -3960,7 +5118,7 @@ window.DEBUG_POLYMARKET = async () => {
 window.DEBUG_NEWS = async () => {
     console.log('🧪 Testing RSS News Feed...');
     try {
-        const news = await fetchRSSNews();
+        const news = await fetchAllFeedNews();
         console.log('🧪 News items:', news.length);
         news.forEach((item, i) => {
             console.log(`🧪 ${i + 1}. ${item.title?.substring(0, 60)}...`);
@@ -0,0 +1,307 @@
+/**
+ * KIMCHI - NEWS ENRICHMENT
+ * Asks the LLM (Groq) for a 2-sentence summary, a sentiment and the tickers
+ * mentioned in each new story. Runs once per story for everybody:
+ *   - results are keyed by story id (stories.js) and stored in Firebase
+ *     (`news_enrichment`, copied onto the news documents)
+ *   - a client claims a story before calling the model, so two open
+ *     dashboards never pay for the same article
+ *   - requests go through a single queue spaced `minInterval` apart, on top
+ *     of the HttpClient rate limit for api.groq.com
+ *
+ * Only pages with a Groq key enrich; every page can read the results.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const ENRICH_CONFIG = {
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+    model: 'llama-3.1-8b-instant',
+    minInterval: 3 * 1000,            // Leaves room in the Groq budget for BILU's chatter
+    claimTtl: 2 * 60 * 1000,          // A claim older than this is considered abandoned
+    maxAge: 24 * 60 * 60 * 1000,      // Older articles are not worth enriching
+    maxAttempts: 2,                   // Per story, per session
+    maxQueue: 50,
+    waitMs: 12 * 1000,                // How long speech waits for a summary
+    inputChars: 2000,
+    prompt: `You summarize crypto and finance news for a trading dashboard.
+Reply with ONLY a JSON object of this shape:
+{"summary": "<exactly 2 short sentences, plain English, no hype>",
+ "sentiment": "bullish" | "bearish" | "neutral",
+ "score": <number from -1 (very bearish) to 1 (very bullish)>,
+ "tickers": ["<uppercase ticker symbols of the assets the article is about, e.g. BTC, ETH, COIN>"]}
+Use "neutral" and 0 when the article does not lean either way. Use [] when no asset is mentioned.`
+};
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+// ============================================
+// STATE
+// ============================================
+
+const enrichClientId = `client_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+const enrichQueue = [];                 // items waiting for the model
+const enrichQueued = new Set();         // story ids in the queue or being processed
+const enrichCache = new Map();          // story id -> enrichment
+const enrichAttempts = new Map();       // story id -> failed attempts this session
+const enrichWaiters = new Map();        // story id -> [resolve]
+let enrichRunning = false;
+let getEnrichApiKey = () => '';
+
+function getEnrichKey(item) {
+    return item.storyId || StoryClusters.storyId(item);
+}
+
+/**
+ * Story ids are headline hashes - a summary made for an earlier run of the
+ * same headline is not reused once it is older than `maxAge`
+ */
+function isFreshEnrichment(enrichment) {
+    return !!enrichment && Date.now() - (enrichment.createdAt || 0) <= ENRICH_CONFIG.maxAge;
+}
+
+function getCachedEnrichment(storyId) {
+    const enrichment = enrichCache.get(storyId);
+    if (enrichment && !isFreshEnrichment(enrichment)) {
+        enrichCache.delete(storyId);
+        return null;
+    }
+    return enrichment || null;
+}
+
+function settleEnrichment(storyId, enrichment) {
+    if (enrichment) enrichCache.set(storyId, enrichment);
+    (enrichWaiters.get(storyId) || []).forEach(resolve => resolve(enrichment));
+    enrichWaiters.delete(storyId);
+}
+
+// ============================================
+// MODEL CALL
+// ============================================
+
+/**
+ * Validate the model's JSON into { summary, sentiment, score, tickers }
+ */
+function normalizeEnrichment(raw) {
+    if (!raw || typeof raw.summary !== 'string' || !raw.summary.trim()) return null;
+
+    const sentiment = SENTIMENTS.includes(String(raw.sentiment).toLowerCase())
+        ? String(raw.sentiment).toLowerCase()
+        : 'neutral';
+    let score = parseFloat(raw.score);
+    if (!isFinite(score)) score = sentiment === 'bullish' ? 0.5 : sentiment === 'bearish' ? -0.5 : 0;
+
+    const tickers = (Array.isArray(raw.tickers) ? raw.tickers : [])
+        .map(ticker => String(ticker).replace(/^\$/, '').trim().toUpperCase())
+        .filter(ticker => /^[A-Z0-9]{2,10}$/.test(ticker));
+
+    return {
+        summary: raw.summary.replace(/\s+/g, ' ').trim().slice(0, 400),
+        sentiment,
+        score: Math.max(-1, Math.min(1, Math.round(score * 100) / 100)),
+        tickers: [...new Set(tickers)].slice(0, 8)
+    };
+}
+
+async function requestEnrichment(item) {
+    const body = item.article && item.article.blocks
+        ? item.article.blocks.map(block => block.text).join(' ')
+        : (item.content || item.description || item.summary || '');
+
+    const response = await HttpClient.fetch(ENRICH_CONFIG.endpoint, {
+        method: 'POST',
+        timeout: 20 * 1000,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${getEnrichApiKey()}`
+        },
+        body: JSON.stringify({
+            model: ENRICH_CONFIG.model,
+            messages: [
+                { role: 'system', content: ENRICH_CONFIG.prompt },
+                { role: 'user', content: `Headline: ${item.title}\nSource: ${item.source || 'unknown'}\n\n${body.slice(0, ENRICH_CONFIG.inputChars)}` }
+            ],
+            response_format: { type: 'json_object' },
+            max_tokens: 250,
+            temperature: 0.2
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Groq HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices[0]?.message?.content || '';
+    const enrichment = normalizeEnrichment(JSON.parse(content));
+    if (!enrichment) {
+        throw new Error('Model reply had no summary');
+    }
+
+    return { ...enrichment, model: ENRICH_CONFIG.model, createdAt: Date.now() };
+}
+
+// ============================================
+// QUEUE
+// ============================================
+
+async function enrichItem(item) {
+    const storyId = getEnrichKey(item);
+    const { claimed, enrichment } = await FirebaseDB.claimEnrichment(storyId, enrichClientId, ENRICH_CONFIG.claimTtl, ENRICH_CONFIG.maxAge);
+
+    if (enrichment) {
+        settleEnrichment(storyId, enrichment);
+        return;
+    }
+    if (!claimed) {
+        // Another client is on it - its result arrives through the news listener
+        return;
+    }
+
+    try {
+        const result = await requestEnrichment(item);
+        await FirebaseDB.saveEnrichment(storyId, result);
+        console.log(`🧠 Enriched (${result.sentiment}): ${item.title}`);
+        settleEnrichment(storyId, result);
+    } catch (error) {
+        enrichAttempts.set(storyId, (enrichAttempts.get(storyId) || 0) + 1);
+        console.warn(`⚠️ Enrichment failed for "${item.title}": ${error.message}`);
+        settleEnrichment(storyId, null);
+    }
+}
+
+async function processEnrichQueue() {
+    if (enrichRunning) return;
+    enrichRunning = true;
+
+    while (enrichQueue.length > 0) {
+        const item = enrichQueue.shift();
+        try {
+            await enrichItem(item);
+        } catch (error) {
+            console.error('❌ Enrichment queue error:', error);
+        }
+        enrichQueued.delete(getEnrichKey(item));
+
+        if (enrichQueue.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, ENRICH_CONFIG.minInterval));
+        }
+    }
+
+    enrichRunning = false;
+}
+
+/**
+ * Queue news items for enrichment (already enriched, old or failing ones are skipped)
+ */
+function enqueueEnrichment(items, { front = false } = {}) {
+    if (!getEnrichApiKey() || typeof FirebaseDB === 'undefined') return;
+
+    [].concat(items).forEach(item => {
+        if (!item || !item.title) return;
+
+        const storyId = getEnrichKey(item);
+        if (isFreshEnrichment(item.enrichment)) {
+            settleEnrichment(storyId, item.enrichment);
+            return;
+        }
+        if (getCachedEnrichment(storyId)) return;
+        if (enrichQueued.has(storyId)) {
+            // Somebody is waiting on it - move it up
+            const index = enrichQueue.findIndex(queued => getEnrichKey(queued) === storyId);
+            if (front && index > 0) enrichQueue.unshift(...enrichQueue.splice(index, 1));
+            return;
+        }
+        if ((enrichAttempts.get(storyId) || 0) >= ENRICH_CONFIG.maxAttempts) return;
+        if (item.timestamp && Date.now() - item.timestamp > ENRICH_CONFIG.maxAge) return;
+
+        enrichQueued.add(storyId);
+        if (front) {
+            enrichQueue.unshift(item);
+        } else {
+            enrichQueue.push(item);
+        }
+    });
+
+    // Drop the oldest requests if a backlog builds up: the front of the
+    // normal section (the ones somebody waits on are kept, unless that's all)
+    while (enrichQueue.length > ENRICH_CONFIG.maxQueue) {
+        const index = enrichQueue.findIndex(queued => !enrichWaiters.has(getEnrichKey(queued)));
+        const [dropped] = enrichQueue.splice(index >= 0 ? index : enrichQueue.length - 1, 1);
+        enrichQueued.delete(getEnrichKey(dropped));
+        settleEnrichment(getEnrichKey(dropped), null);
+    }
+
+    processEnrichQueue();
+}
+
+/**
+ * Record enrichments that arrived with news documents (other clients' work)
+ */
+function rememberEnrichments(items) {
+    items.forEach(item => {
+        if (item && isFreshEnrichment(item.enrichment)) settleEnrichment(getEnrichKey(item), item.enrichment);
+    });
+}
+
+/**
+ * Enrichment of an item, waiting up to `timeout` for it to be produced
+ * (by this page or another one). Resolves to null when none arrives.
+ */
+async function waitForEnrichment(item, timeout = ENRICH_CONFIG.waitMs) {
+    const storyId = getEnrichKey(item);
+    if (isFreshEnrichment(item.enrichment)) return item.enrichment;
+    const cached = getCachedEnrichment(storyId);
+    if (cached) return cached;
+
+    if (typeof FirebaseDB !== 'undefined') {
+        const stored = await FirebaseDB.getEnrichment(storyId, ENRICH_CONFIG.maxAge);
+        if (stored) {
+            settleEnrichment(storyId, stored);
+            return stored;
+        }
+    }
+
+    // Nobody here can produce it - don't hold the caller up
+    if (!getEnrichApiKey() || (enrichAttempts.get(storyId) || 0) >= ENRICH_CONFIG.maxAttempts) return null;
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), timeout);
+        const waiters = enrichWaiters.get(storyId) || [];
+        waiters.push(enrichment => {
+            clearTimeout(timer);
+            resolve(enrichment);
+        });
+        enrichWaiters.set(storyId, waiters);
+
+        enqueueEnrichment(item, { front: true });
+    });
+}
+
+/**
+ * @param {Object} options - { getApiKey, endpoint, model } (defaults to the config above)
+ */
+function initEnrichment(options = {}) {
+    if (options.getApiKey) getEnrichApiKey = options.getApiKey;
+    if (options.endpoint) ENRICH_CONFIG.endpoint = options.endpoint;
+    if (options.model) ENRICH_CONFIG.model = options.model;
+    console.log(`🧠 News enrichment ${getEnrichApiKey() ? 'active' : 'read-only (no Groq key)'}`);
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.NewsEnrichment = {
+    config: ENRICH_CONFIG,
+    init: initEnrichment,
+    enqueue: enqueueEnrichment,
+    remember: rememberEnrichments,
+    waitFor: waitForEnrichment,
+    normalize: normalizeEnrichment,
+    get: (item) => (isFreshEnrichment(item.enrichment) ? item.enrichment : getCachedEnrichment(getEnrichKey(item)))
+};
+
+console.log('News enrichment module loaded.');
@@ -49,6 +49,21 @@ function isFirebaseAvailable() {
     return firebaseInitialized && db !== null;
 }
 
+// ============================================
+// USER IDENTITY
+// There are no accounts: each browser gets a random id on its first visit
+// and per-user documents (voice_profiles/{userId}) are keyed by it
+// ============================================
+
+function getUserId() {
+    let userId = localStorage.getItem('tank_user_id');
+    if (!userId) {
+        userId = `user_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        localStorage.setItem('tank_user_id', userId);
+    }
+    return userId;
+}
+
 // ============================================
 // KNOWLEDGE FUNCTIONS
 // ============================================
@@ -164,39 +179,105 @@ async function deleteKnowledgeFromFirebase(id) {
 // NEWS FUNCTIONS
 // ============================================
 
+// Stored stories inside the merge window, kept current by one snapshot
+// listener (only changes are read after the first load) instead of
+// re-reading the whole window on every save: doc id -> { ref, ...data }
+const recentStories = new Map();
+let recentStoriesReady = null;
+
+function watchRecentStories() {
+    if (recentStoriesReady) return recentStoriesReady;
+
+    recentStoriesReady = new Promise((resolve, reject) => {
+        const since = Date.now() - StoryClusters.config.windowMs;
+        const query = db.collection('news').where('timestamp', '>=', since);
+
+        query.onSnapshot((snapshot) => {
+            snapshot.docChanges().forEach((change) => {
+                if (change.type === 'removed') {
+                    recentStories.delete(change.doc.id);
+                } else {
+                    recentStories.set(change.doc.id, { ref: change.doc.ref, ...change.doc.data() });
+                }
+            });
+            resolve();
+        }, async (error) => {
+            console.error('Error watching recent stories:', error);
+            recentStoriesReady = null;
+
+            // An empty window would make every story look new - read it once
+            // instead, and fail the save if that doesn't work either
+            try {
+                const snapshot = await query.get();
+                recentStories.clear();
+                snapshot.forEach((doc) => {
+                    recentStories.set(doc.id, { ref: doc.ref, ...doc.data() });
+                });
+                resolve();
+            } catch (fallbackError) {
+                reject(fallbackError);
+            }
+        });
+    });
+    return recentStoriesReady;
+}
+
 /**
- * Save news to Firebase (avoids duplicates)
+ * Save news to Firebase. Near-duplicates of a story that is already stored
+ * (same story from another outlet) are added to that story's `sources`
+ * instead of creating a second document (see stories.js).
  */
 async function saveNewsToFirebase(newsArray) {
     if (!isFirebaseAvailable()) {
         return saveNewsToLocal(newsArray);
     }
+    if (newsArray.length === 0) {
+        return { success: true, added: 0 };
+    }
 
     try {
+        // Stories from the last 48h are the only merge candidates
+        await watchRecentStories();
+        const since = Date.now() - StoryClusters.config.windowMs;
+        recentStories.forEach((story, id) => {
+            if (story.timestamp < since) recentStories.delete(id);
+        });
+        const stories = [...recentStories.values()].map(story => ({ ...story, sources: story.sources || null }));
+
         const batch = db.batch();
         let addedCount = 0;
+        let mergedCount = 0;
 
         for (const news of newsArray) {
-            // Check if already exists by title
-            const existing = await db.collection('news')
-                .where('title', '==', news.title)
-                .limit(1)
-                .get();
-
-            if (existing.empty) {
-                const docRef = db.collection('news').doc();
-                news.timestamp = news.timestamp || Date.now();
-                batch.set(docRef, news);
-                addedCount++;
+            const entry = StoryClusters.toSource(news);
+            const match = StoryClusters.findMatch(news, stories);
+
+            if (match) {
+                const sources = StoryClusters.mergeSources(match.sources || [StoryClusters.toSource(match)], [entry]);
+                const known = match.sources ? match.sources.length : 1;
+                if (sources.length > known) {
+                    match.sources = sources;
+                    batch.update(match.ref, { sources });
+                    mergedCount++;
+                }
+                continue;
             }
+
+            const docRef = db.collection('news').doc();
+            news.timestamp = news.timestamp || Date.now();
+            news.storyId = news.storyId || StoryClusters.storyId(news);
+            news.sources = [entry];
+            batch.set(docRef, news);
+            stories.push({ ref: docRef, ...news });
+            addedCount++;
         }
 
-        if (addedCount > 0) {
+        if (addedCount > 0 || mergedCount > 0) {
             await batch.commit();
-            console.log(`Firebase: Added ${addedCount} new news items`);
+            console.log(`Firebase: Added ${addedCount} new stories, ${mergedCount} merged into existing ones`);
         }
 
-        return { success: true, added: addedCount };
+        return { success: true, added: addedCount, merged: mergedCount };
     } catch (error) {
         console.error('Error saving news to Firebase:', error);
         return saveNewsToLocal(newsArray);
@@ -264,6 +345,62 @@ async function cleanOldNewsFromFirebase() {
     }
 }
 
+/**
+ * Cache an extracted article (see reader.js) on the news items linking to it
+ */
+async function saveArticleToNews(url, article) {
+    if (!isFirebaseAvailable()) {
+        return saveArticleToLocal(url, article);
+    }
+
+    try {
+        const snapshot = await db.collection('news')
+            .where('url', '==', url)
+            .get();
+
+        if (snapshot.empty) {
+            return { success: true, updated: 0 };
+        }
+
+        const batch = db.batch();
+        snapshot.forEach((doc) => {
+            batch.update(doc.ref, { article });
+        });
+        await batch.commit();
+
+        console.log(`Firebase: Cached article text on ${snapshot.size} news item(s)`);
+        return { success: true, updated: snapshot.size };
+    } catch (error) {
+        console.error('Error saving article to Firebase:', error);
+        return saveArticleToLocal(url, article);
+    }
+}
+
+/**
+ * Extracted article cached on a news item (or null)
+ */
+async function getArticleFromNews(url) {
+    if (!isFirebaseAvailable()) {
+        return getArticleFromLocal(url);
+    }
+
+    try {
+        const snapshot = await db.collection('news')
+            .where('url', '==', url)
+            .limit(5)
+            .get();
+
+        let article = null;
+        snapshot.forEach((doc) => {
+            if (!article && doc.data().article) article = doc.data().article;
+        });
+        return article;
+    } catch (error) {
+        console.error('Error reading article from Firebase:', error);
+        return getArticleFromLocal(url);
+    }
+}
+
 // ============================================
 // MARKET DATA FUNCTIONS
 // ============================================
@@ -380,6 +517,265 @@ function listenToStatus(callback) {
         });
 }
 
+// ============================================
+// SENTIMENT HISTORY FUNCTIONS (Shared across all users)
+// One `sentiment_history` document per time bucket - dashboards computing
+// the index at the same time overwrite the same point instead of piling up
+// ============================================
+
+/**
+ * Save a sentiment index point ({ mood, health, volatility, components, timestamp })
+ * @param {number} bucketMs - Bucket size for the document id
+ */
+async function saveSentimentToFirebase(entry, bucketMs) {
+    const point = { ...entry, timestamp: entry.timestamp || Date.now() };
+
+    if (!isFirebaseAvailable()) {
+        return saveSentimentToLocal(point, bucketMs);
+    }
+
+    try {
+        const id = `idx_${Math.floor(point.timestamp / bucketMs)}`;
+        await db.collection('sentiment_history').doc(id).set(point);
+        return { success: true, id };
+    } catch (error) {
+        console.error('Error saving sentiment:', error);
+        return saveSentimentToLocal(point, bucketMs);
+    }
+}
+
+/**
+ * Sentiment index points newer than `sinceMs`, oldest first
+ */
+async function getSentimentHistory(sinceMs) {
+    if (!isFirebaseAvailable()) {
+        return getSentimentFromLocal(sinceMs);
+    }
+
+    try {
+        const snapshot = await db.collection('sentiment_history')
+            .where('timestamp', '>=', sinceMs)
+            .orderBy('timestamp', 'asc')
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+        console.error('Error reading sentiment history:', error);
+        return getSentimentFromLocal(sinceMs);
+    }
+}
+
+/**
+ * Delete sentiment points older than `maxAgeMs`
+ */
+async function cleanOldSentimentFromFirebase(maxAgeMs) {
+    if (!isFirebaseAvailable()) return { deleted: 0 };
+
+    try {
+        const snapshot = await db.collection('sentiment_history')
+            .where('timestamp', '<', Date.now() - maxAgeMs)
+            .limit(400)
+            .get();
+        if (snapshot.empty) return { deleted: 0 };
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        console.log(`Firebase: Deleted ${snapshot.size} old sentiment points`);
+        return { deleted: snapshot.size };
+    } catch (error) {
+        console.error('Error cleaning sentiment history:', error);
+        return { deleted: 0 };
+    }
+}
+
+// ============================================
+// PREDICTION ODDS FUNCTIONS (Shared across all users)
+// One `prediction_odds/{marketId}` document per Polymarket market with a
+// `points` map of time bucket -> odds (see predictions.js)
+// ============================================
+
+/**
+ * Store odds snapshots: [{ id, question, slug, bucket, odds, expired: [bucket] }]
+ */
+async function savePredictionOddsToFirebase(snapshots) {
+    if (!isFirebaseAvailable()) {
+        return savePredictionOddsToLocal(snapshots);
+    }
+
+    try {
+        const batch = db.batch();
+        snapshots.forEach(snapshot => {
+            const points = { [snapshot.bucket]: snapshot.odds };
+            (snapshot.expired || []).forEach(bucket => {
+                points[bucket] = firebase.firestore.FieldValue.delete();
+            });
+
+            batch.set(db.collection('prediction_odds').doc(snapshot.id), {
+                marketId: snapshot.id,
+                question: snapshot.question,
+                slug: snapshot.slug,
+                points,
+                updatedAt: Date.now()
+            }, { merge: true });
+        });
+        await batch.commit();
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving prediction odds:', error);
+        return savePredictionOddsToLocal(snapshots);
+    }
+}
+
+/**
+ * Stored odds for some markets: { marketId: { points: { bucket: odds } } }
+ */
+async function getPredictionOdds(ids) {
+    if (!isFirebaseAvailable()) {
+        return getPredictionOddsFromLocal(ids);
+    }
+
+    try {
+        const docs = await Promise.all(ids.map(id => db.collection('prediction_odds').doc(id).get()));
+        const result = {};
+        docs.forEach(doc => {
+            if (doc.exists) result[doc.id] = doc.data();
+        });
+        return result;
+    } catch (error) {
+        console.error('Error reading prediction odds:', error);
+        return getPredictionOddsFromLocal(ids);
+    }
+}
+
+// ============================================
+// TRACKED PREDICTIONS FUNCTIONS (Shared across all users)
+// Markets pinned on the market terminal - they replace the default
+// Polymarket picks in the Archives feed and BILU's speech queue.
+// One doc per pinned market, so two users pinning at once don't overwrite
+// each other's list
+// ============================================
+
+function getTrackedPredictionsFromLocal() {
+    return JSON.parse(localStorage.getItem('tank_tracked_predictions') || '[]');
+}
+
+function saveTrackedPredictionsToLocal(markets) {
+    localStorage.setItem('tank_tracked_predictions', JSON.stringify(markets));
+}
+
+/**
+ * Pin markets: [{ id, question, title, pinnedAt }]
+ */
+async function pinPredictionsToFirebase(markets) {
+    const ids = new Set(markets.map(market => market.id));
+    saveTrackedPredictionsToLocal([
+        ...getTrackedPredictionsFromLocal().filter(market => !ids.has(market.id)),
+        ...markets
+    ]);
+    if (!isFirebaseAvailable()) return { success: true };
+
+    try {
+        const batch = db.batch();
+        markets.forEach(market => {
+            batch.set(db.collection('pinned_predictions').doc(String(market.id)), market);
+        });
+        await batch.commit();
+        return { success: true };
+    } catch (error) {
+        console.error('Error pinning predictions:', error);
+        return { success: false };
+    }
+}
+
+/**
+ * Unpin markets by id
+ */
+async function unpinPredictionsFromFirebase(ids) {
+    const removed = new Set(ids);
+    saveTrackedPredictionsToLocal(getTrackedPredictionsFromLocal().filter(market => !removed.has(market.id)));
+    if (!isFirebaseAvailable()) return { success: true };
+
+    try {
+        const batch = db.batch();
+        ids.forEach(id => batch.delete(db.collection('pinned_predictions').doc(String(id))));
+        await batch.commit();
+        return { success: true };
+    } catch (error) {
+        console.error('Error unpinning predictions:', error);
+        return { success: false };
+    }
+}
+
+/**
+ * Listen to the tracked list in real-time, oldest pin first
+ */
+function listenToTrackedPredictions(callback) {
+    if (!isFirebaseAvailable()) {
+        callback(getTrackedPredictionsFromLocal());
+        return () => {};
+    }
+
+    return db.collection('pinned_predictions')
+        .onSnapshot((snapshot) => {
+            const markets = snapshot.docs.map(doc => doc.data())
+                .sort((a, b) => (a.pinnedAt || 0) - (b.pinnedAt || 0));
+            saveTrackedPredictionsToLocal(markets);
+            callback(markets);
+        }, (error) => {
+            console.error('Error listening to tracked predictions:', error);
+            callback(getTrackedPredictionsFromLocal());
+        });
+}
+
+// ============================================
+// VOICE PROFILE FUNCTIONS (Per user)
+// How BILU sounds for this user (see tts.js), stored with its updatedAt
+// so the newest of the local and the Firebase copy wins
+// ============================================
+
+/**
+ * Save the voice profile: { preferences, rate, pitch, volume, model, overrides }
+ */
+async function saveVoiceProfileToFirebase(profile) {
+    const entry = { profile, updatedAt: Date.now() };
+    localStorage.setItem('tank_voice_profile', JSON.stringify(entry));
+
+    if (!isFirebaseAvailable()) {
+        return { success: true };
+    }
+
+    try {
+        await db.collection('voice_profiles').doc(getUserId()).set(entry);
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving voice profile:', error);
+        return { success: false };
+    }
+}
+
+/**
+ * The user's voice profile entry { profile, updatedAt }, or null if never saved
+ */
+async function getVoiceProfile() {
+    const local = getVoiceProfileFromLocal();
+    if (!isFirebaseAvailable()) {
+        return local;
+    }
+
+    try {
+        const doc = await db.collection('voice_profiles').doc(getUserId()).get();
+        const remote = doc.exists ? doc.data() : null;
+        if (remote && (!local || remote.updatedAt > local.updatedAt)) {
+            localStorage.setItem('tank_voice_profile', JSON.stringify(remote));
+            return remote;
+        }
+        return local;
+    } catch (error) {
+        console.error('Error loading voice profile:', error);
+        return local;
+    }
+}
+
 // ============================================
 // REMARKS/COMMENTS FUNCTIONS
 // ============================================
@@ -430,32 +826,61 @@ function listenToRemarks(callback) {
 }
 
 // ============================================
-// SPOKEN NEWS FUNCTIONS (Shared across all users)
+// SPOKEN NEWS FUNCTIONS (Per user, or shared in broadcast mode)
+// `spoken_news` remembers what BILU already read aloud automatically.
+// scope 'user': one document per user and item ({userId}__{newsId}), so each
+// visitor hears an item once. scope 'broadcast': one document per item
+// ({newsId}) - once one visitor heard it, nobody else will.
+// Documents carry a timestamp and expire after the caller's maxAge.
 // ============================================
 
+function spokenNewsDocId(newsId, scope) {
+    return scope === 'broadcast' ? newsId : `${getUserId()}__${newsId}`;
+}
+
 /**
- * Mark a news item as spoken (shared across ALL users)
- * Once marked, NO user will hear it again
+ * localStorage copy: { newsId: timestamp }. This browser is one user, so
+ * both scopes share it. Older versions stored a plain array of ids.
+ */
+function getSpokenNewsFromLocal() {
+    const stored = JSON.parse(localStorage.getItem('tank_spoken_news') || '{}');
+    if (!Array.isArray(stored)) return stored;
+
+    const now = Date.now();
+    return Object.fromEntries(stored.map(id => [id, now]));
+}
+
+function saveSpokenNewsToLocal(spoken, maxAge) {
+    const cutoff = Date.now() - maxAge;
+    const kept = Object.entries(spoken)
+        .filter(([, timestamp]) => timestamp >= cutoff)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 500);
+    localStorage.setItem('tank_spoken_news', JSON.stringify(Object.fromEntries(kept)));
+}
+
+/**
+ * Mark a news item as spoken
  * @param {string} newsId - Unique ID of the news item
+ * @param {Object} options - scope ('user' or 'broadcast'), maxAge (ms)
  */
-async function markNewsAsSpoken(newsId) {
+async function markNewsAsSpoken(newsId, { scope = 'user', maxAge = 7 * 24 * 60 * 60 * 1000 } = {}) {
+    const spoken = getSpokenNewsFromLocal();
+    spoken[newsId] = Date.now();
+    saveSpokenNewsToLocal(spoken, maxAge);
+
     if (!isFirebaseAvailable()) {
-        // Fallback to localStorage
-        const spoken = JSON.parse(localStorage.getItem('tank_spoken_news') || '[]');
-        if (!spoken.includes(newsId)) {
-            spoken.push(newsId);
-            if (spoken.length > 500) spoken.shift();
-            localStorage.setItem('tank_spoken_news', JSON.stringify(spoken));
-        }
         return { success: true };
     }
 
     try {
-        await db.collection('spoken_news').doc(newsId).set({
+        await db.collection('spoken_news').doc(spokenNewsDocId(newsId, scope)).set({
+            newsId,
+            userId: scope === 'broadcast' ? null : getUserId(),
             spokenAt: firebase.firestore.FieldValue.serverTimestamp(),
             timestamp: Date.now()
         });
-        console.log('✅ Marked as spoken (Firebase - all users):', newsId);
+        console.log(`✅ Marked as spoken (Firebase - ${scope}):`, newsId);
         return { success: true };
     } catch (error) {
         console.error('Error marking news as spoken:', error);
@@ -464,20 +889,24 @@ async function markNewsAsSpoken(newsId) {
 }
 
 /**
- * Check if a news item was already spoken (by ANY user)
+ * Check if a news item was already spoken (for this user, or by anyone in
+ * broadcast mode). Entries older than maxAge don't count.
  * @param {string} newsId - Unique ID of the news item
+ * @param {Object} options - scope ('user' or 'broadcast'), maxAge (ms)
  * @returns {Promise<boolean>} True if already spoken
  */
-async function wasNewsSpoken(newsId) {
+async function wasNewsSpoken(newsId, { scope = 'user', maxAge = 7 * 24 * 60 * 60 * 1000 } = {}) {
+    const cutoff = Date.now() - maxAge;
+    const local = getSpokenNewsFromLocal()[newsId];
+    if (local && local >= cutoff) return true;
+
     if (!isFirebaseAvailable()) {
-        // Fallback to localStorage
-        const spoken = JSON.parse(localStorage.getItem('tank_spoken_news') || '[]');
-        return spoken.includes(newsId);
+        return false;
     }
 
     try {
-        const doc = await db.collection('spoken_news').doc(newsId).get();
-        return doc.exists;
+        const doc = await db.collection('spoken_news').doc(spokenNewsDocId(newsId, scope)).get();
+        return doc.exists && (doc.data().timestamp || 0) >= cutoff;
     } catch (error) {
         console.error('Error checking if news was spoken:', error);
         return false;
@@ -485,20 +914,24 @@ async function wasNewsSpoken(newsId) {
 }
 
 /**
- * Get all spoken news IDs (for debugging)
+ * Get the spoken news IDs of a scope (for debugging)
  * @returns {Promise<string[]>} Array of spoken news IDs
  */
-async function getAllSpokenNews() {
+async function getAllSpokenNews(scope = 'user') {
     if (!isFirebaseAvailable()) {
-        const spoken = JSON.parse(localStorage.getItem('tank_spoken_news') || '[]');
-        return spoken;
+        return Object.keys(getSpokenNewsFromLocal());
     }
 
     try {
-        const snapshot = await db.collection('spoken_news').get();
+        const query = scope === 'broadcast'
+            ? db.collection('spoken_news')
+            : db.collection('spoken_news').where('userId', '==', getUserId());
+        const snapshot = await query.get();
         const ids = [];
         snapshot.forEach(doc => {
-            ids.push(doc.id);
+            const data = doc.data();
+            if (scope === 'broadcast' && data.userId) return;
+            ids.push(data.newsId || doc.id);
         });
         return ids;
     } catch (error) {
@@ -507,6 +940,153 @@ async function getAllSpokenNews() {
     }
 }
 
+/**
+ * Delete spoken entries (any scope) older than maxAgeMs
+ */
+async function cleanOldSpokenNewsFromFirebase(maxAgeMs) {
+    if (!isFirebaseAvailable()) return { deleted: 0 };
+
+    try {
+        const snapshot = await db.collection('spoken_news')
+            .where('timestamp', '<', Date.now() - maxAgeMs)
+            .limit(400)
+            .get();
+        if (snapshot.empty) return { deleted: 0 };
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        console.log(`Firebase: Deleted ${snapshot.size} expired spoken news entries`);
+        return { deleted: snapshot.size };
+    } catch (error) {
+        console.error('Error cleaning spoken news:', error);
+        return { deleted: 0 };
+    }
+}
+
+// ============================================
+// NEWS ENRICHMENT FUNCTIONS (Shared across all users)
+// One `news_enrichment/{storyId}` document per story: the LLM summary,
+// sentiment and tickers (see enrichment.js) plus a short-lived claim so only
+// one client calls the model for it. Story ids are headline hashes, so a
+// headline that comes back days later maps to the same document: summaries
+// older than `maxAge` are ignored and swept, never reused.
+// ============================================
+
+function isFreshEnrichment(enrichment, maxAge) {
+    return !!(enrichment && enrichment.summary) && Date.now() - (enrichment.createdAt || 0) <= maxAge;
+}
+
+/**
+ * Claim a story for enrichment. Resolves to { claimed, enrichment } -
+ * `enrichment` is set when somebody already enriched it within `maxAge`.
+ */
+async function claimNewsEnrichment(storyId, clientId, ttl, maxAge) {
+    if (!isFirebaseAvailable()) {
+        const enrichment = getEnrichmentFromLocal(storyId, maxAge);
+        return { claimed: !enrichment, enrichment };
+    }
+
+    const ref = db.collection('news_enrichment').doc(storyId);
+    try {
+        return await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const data = doc.exists ? doc.data() : null;
+
+            if (isFreshEnrichment(data, maxAge)) {
+                return { claimed: false, enrichment: data };
+            }
+            if (data && data.claim && data.claim.by !== clientId && Date.now() - data.claim.at < ttl) {
+                return { claimed: false, enrichment: null };
+            }
+
+            // A stale summary is replaced as a whole, not merged into
+            transaction.set(ref, { storyId, claim: { by: clientId, at: Date.now() }, timestamp: Date.now() });
+            return { claimed: true, enrichment: null };
+        });
+    } catch (error) {
+        console.error('Error claiming news enrichment:', error);
+        return { claimed: false, enrichment: null };
+    }
+}
+
+/**
+ * Store a story's enrichment and copy it onto its news documents
+ */
+async function saveNewsEnrichment(storyId, enrichment) {
+    if (!isFirebaseAvailable()) {
+        return saveEnrichmentToLocal(storyId, enrichment);
+    }
+
+    try {
+        await db.collection('news_enrichment').doc(storyId).set({
+            ...enrichment,
+            storyId,
+            timestamp: Date.now(),
+            claim: firebase.firestore.FieldValue.delete()
+        }, { merge: true });
+
+        const snapshot = await db.collection('news')
+            .where('storyId', '==', storyId)
+            .get();
+
+        if (!snapshot.empty) {
+            const batch = db.batch();
+            snapshot.forEach((doc) => {
+                batch.update(doc.ref, { enrichment });
+            });
+            await batch.commit();
+        }
+
+        console.log(`Firebase: Enrichment saved for ${storyId} (${snapshot.size} news item(s))`);
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving news enrichment:', error);
+        return saveEnrichmentToLocal(storyId, enrichment);
+    }
+}
+
+/**
+ * Enrichment of a story made within `maxAge` (or null)
+ */
+async function getNewsEnrichment(storyId, maxAge) {
+    if (!isFirebaseAvailable()) {
+        return getEnrichmentFromLocal(storyId, maxAge);
+    }
+
+    try {
+        const doc = await db.collection('news_enrichment').doc(storyId).get();
+        return doc.exists && isFreshEnrichment(doc.data(), maxAge) ? doc.data() : null;
+    } catch (error) {
+        console.error('Error reading news enrichment:', error);
+        return getEnrichmentFromLocal(storyId, maxAge);
+    }
+}
+
+/**
+ * Delete enrichment documents (summaries and abandoned claims) older than maxAgeMs
+ */
+async function cleanOldEnrichmentFromFirebase(maxAgeMs) {
+    if (!isFirebaseAvailable()) return { deleted: 0 };
+
+    try {
+        const snapshot = await db.collection('news_enrichment')
+            .where('timestamp', '<', Date.now() - maxAgeMs)
+            .limit(400)
+            .get();
+        if (snapshot.empty) return { deleted: 0 };
+
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+        console.log(`Firebase: Deleted ${snapshot.size} expired news enrichments`);
+        return { deleted: snapshot.size };
+    } catch (error) {
+        console.error('Error cleaning news enrichment:', error);
+        return { deleted: 0 };
+    }
+}
+
 // ============================================
 // WATCHLIST FUNCTIONS
 // ============================================
@@ -557,6 +1137,249 @@ function listenToWatchlist(callback) {
         });
 }
 
+// ============================================
+// PRICE ALERT FUNCTIONS
+// ============================================
+
+/**
+ * Save alert rules to Firebase (rules carry their own cooldown/armed state)
+ */
+async function saveAlertRulesToFirebase(rules) {
+    localStorage.setItem('tank_alert_rules', JSON.stringify(rules));
+
+    if (!isFirebaseAvailable()) {
+        return { success: true };
+    }
+
+    try {
+        await db.collection('alerts').doc('rules').set({
+            rules: rules,
+            updatedAt: Date.now()
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving alert rules:', error);
+        return { success: false };
+    }
+}
+
+/**
+ * Listen to alert rules in real-time
+ */
+function listenToAlertRules(callback) {
+    if (!isFirebaseAvailable()) {
+        const rules = JSON.parse(localStorage.getItem('tank_alert_rules') || '[]');
+        callback(rules);
+        return () => {};
+    }
+
+    return db.collection('alerts').doc('rules')
+        .onSnapshot((doc) => {
+            callback(doc.exists ? (doc.data().rules || []) : []);
+        }, (error) => {
+            console.error('Error listening to alert rules:', error);
+            const rules = JSON.parse(localStorage.getItem('tank_alert_rules') || '[]');
+            callback(rules);
+        });
+}
+
+function alertRuleMatches(rule, expected) {
+    return rule.armed === expected.armed && (rule.lastTriggered || 0) === (expected.lastTriggered || 0);
+}
+
+/**
+ * Change one rule's state (armed, lastTriggered) only if no other tab changed
+ * it first: `expected` ({ armed, lastTriggered }) must still match the stored
+ * rule. A firing passes its `event`, published in the same transaction, so
+ * each crossing is announced once however many market tabs are open.
+ * @returns {Promise<{claimed: boolean}>}
+ */
+async function updateAlertRuleInFirebase(ruleId, expected, patch, event = null) {
+    if (!isFirebaseAvailable()) {
+        return updateAlertRuleInLocal(ruleId, expected, patch, event);
+    }
+
+    const ref = db.collection('alerts').doc('rules');
+    try {
+        const rules = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const stored = doc.exists ? (doc.data().rules || []) : [];
+            const index = stored.findIndex(rule => rule.id === ruleId);
+            if (index === -1 || !alertRuleMatches(stored[index], expected)) {
+                return null;
+            }
+
+            stored[index] = { ...stored[index], ...patch };
+            transaction.set(ref, { rules: stored, updatedAt: Date.now() });
+            if (event) {
+                transaction.set(db.collection('alert_events').doc(), { ...event, timestamp: event.timestamp || Date.now() });
+            }
+            return stored;
+        });
+
+        if (!rules) return { claimed: false };
+        localStorage.setItem('tank_alert_rules', JSON.stringify(rules));
+        return { claimed: true };
+    } catch (error) {
+        // Not a lost race - the caller rolls its optimistic change back
+        console.error('Error updating alert rule:', error);
+        return { claimed: false, error };
+    }
+}
+
+/**
+ * Publish a fired alert so the main page can announce it
+ */
+async function addAlertEventToFirebase(event) {
+    if (!isFirebaseAvailable()) {
+        return addAlertEventToLocal(event);
+    }
+
+    try {
+        event.timestamp = event.timestamp || Date.now();
+        const docRef = await db.collection('alert_events').add(event);
+        return { success: true, id: docRef.id };
+    } catch (error) {
+        console.error('Error adding alert event:', error);
+        return addAlertEventToLocal(event);
+    }
+}
+
+/**
+ * Listen to fired alerts in real-time (newest first)
+ * Without Firebase, other tabs are notified through the storage event
+ */
+function listenToAlertEvents(callback) {
+    if (!isFirebaseAvailable()) {
+        callback(JSON.parse(localStorage.getItem('tank_alert_events') || '[]'));
+
+        const onStorage = (e) => {
+            if (e.key === 'tank_alert_events') {
+                callback(JSON.parse(e.newValue || '[]'));
+            }
+        };
+        window.addEventListener('storage', onStorage);
+        return () => window.removeEventListener('storage', onStorage);
+    }
+
+    return db.collection('alert_events')
+        .orderBy('timestamp', 'desc')
+        .limit(20)
+        .onSnapshot((snapshot) => {
+            const items = [];
+            snapshot.forEach((doc) => {
+                items.push({ id: doc.id, ...doc.data() });
+            });
+            callback(items);
+        }, (error) => {
+            console.error('Error listening to alert events:', error);
+            callback(JSON.parse(localStorage.getItem('tank_alert_events') || '[]'));
+        });
+}
+
+// ============================================
+// PORTFOLIO FUNCTIONS
+// ============================================
+
+/**
+ * Save portfolio transactions to Firebase
+ */
+async function savePortfolioToFirebase(transactions) {
+    if (!isFirebaseAvailable()) {
+        localStorage.setItem('tank_portfolio', JSON.stringify(transactions));
+        return { success: true };
+    }
+
+    try {
+        await db.collection('portfolio').doc('current').set({
+            transactions: transactions,
+            updatedAt: Date.now()
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error saving portfolio:', error);
+        localStorage.setItem('tank_portfolio', JSON.stringify(transactions));
+        return { success: false };
+    }
+}
+
+/**
+ * Listen to portfolio transactions in real-time
+ */
+function listenToPortfolio(callback) {
+    if (!isFirebaseAvailable()) {
+        const transactions = JSON.parse(localStorage.getItem('tank_portfolio') || '[]');
+        callback(transactions);
+        return () => {};
+    }
+
+    return db.collection('portfolio').doc('current')
+        .onSnapshot((doc) => {
+            callback(doc.exists ? (doc.data().transactions || []) : []);
+        }, (error) => {
+            console.error('Error listening to portfolio:', error);
+            const transactions = JSON.parse(localStorage.getItem('tank_portfolio') || '[]');
+            callback(transactions);
+        });
+}
+
+// ============================================
+// NEWS FEED FUNCTIONS
+// ============================================
+
+/**
+ * Change the managed RSS/Atom feed list (shared by all users) in a
+ * transaction: `update(feeds)` gets the stored list (null while nobody has
+ * saved one) and returns the new one, so two pages editing at once don't
+ * overwrite each other. `update` may run more than once.
+ */
+async function updateFeedsInFirebase(update) {
+    if (!isFirebaseAvailable()) {
+        const stored = localStorage.getItem('tank_feeds');
+        const feeds = update(stored ? JSON.parse(stored) : null);
+        localStorage.setItem('tank_feeds', JSON.stringify(feeds));
+        return { success: true, feeds };
+    }
+
+    const ref = db.collection('feeds').doc('current');
+    try {
+        const feeds = await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            const next = update(doc.exists ? (doc.data().feeds || []) : null);
+            transaction.set(ref, { feeds: next, updatedAt: Date.now() });
+            return next;
+        });
+        return { success: true, feeds };
+    } catch (error) {
+        console.error('Error saving feeds:', error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Listen to the managed feed list in real-time.
+ * Calls back with null while nobody has saved a list yet.
+ */
+function listenToFeeds(callback) {
+    const loadLocal = () => {
+        const stored = localStorage.getItem('tank_feeds');
+        return stored ? JSON.parse(stored) : null;
+    };
+
+    if (!isFirebaseAvailable()) {
+        callback(loadLocal());
+        return () => {};
+    }
+
+    return db.collection('feeds').doc('current')
+        .onSnapshot((doc) => {
+            callback(doc.exists ? (doc.data().feeds || []) : null);
+        }, (error) => {
+            console.error('Error listening to feeds:', error);
+            callback(loadLocal());
+        });
+}
+
 // ============================================
 // LOCAL STORAGE FALLBACK FUNCTIONS
 // ============================================
@@ -577,17 +1400,43 @@ function deleteKnowledgeFromLocal(id) {
     return { success: true };
 }
 
+function updateAlertRuleInLocal(ruleId, expected, patch, event) {
+    const rules = JSON.parse(localStorage.getItem('tank_alert_rules') || '[]');
+    const index = rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1 || !alertRuleMatches(rules[index], expected)) {
+        return { claimed: false };
+    }
+
+    rules[index] = { ...rules[index], ...patch };
+    localStorage.setItem('tank_alert_rules', JSON.stringify(rules));
+    if (event) addAlertEventToLocal(event);
+    return { claimed: true };
+}
+
+function addAlertEventToLocal(event) {
+    const events = JSON.parse(localStorage.getItem('tank_alert_events') || '[]');
+    event.id = event.id || 'local_' + Date.now();
+    event.timestamp = event.timestamp || Date.now();
+    events.unshift(event);
+    localStorage.setItem('tank_alert_events', JSON.stringify(events.slice(0, 20)));
+    return { success: true, id: event.id };
+}
+
 function saveNewsToLocal(newsArray) {
     const existing = JSON.parse(localStorage.getItem('allNews') || '[]');
     let addedCount = 0;
 
     newsArray.forEach(news => {
-        const exists = existing.find(n => n.title === news.title);
-        if (!exists) {
-            news.timestamp = news.timestamp || Date.now();
-            existing.unshift(news);
-            addedCount++;
+        const match = StoryClusters.findMatch(news, existing);
+        if (match) {
+            match.sources = StoryClusters.mergeSources(match.sources || [StoryClusters.toSource(match)], [StoryClusters.toSource(news)]);
+            return;
         }
+        news.timestamp = news.timestamp || Date.now();
+        news.storyId = news.storyId || StoryClusters.storyId(news);
+        news.sources = [StoryClusters.toSource(news)];
+        existing.unshift(news);
+        addedCount++;
     });
 
     localStorage.setItem('allNews', JSON.stringify(existing.slice(0, 100)));
@@ -608,6 +1457,120 @@ function cleanOldNewsFromLocal() {
     return { success: true, deleted: allNews.length - recent.length };
 }
 
+function saveArticleToLocal(url, article) {
+    const allNews = JSON.parse(localStorage.getItem('allNews') || '[]');
+    let updated = 0;
+
+    allNews.forEach(news => {
+        if (news.url === url) {
+            news.article = article;
+            updated++;
+        }
+    });
+
+    if (updated > 0) {
+        try {
+            localStorage.setItem('allNews', JSON.stringify(allNews));
+        } catch (e) {
+            // Quota exceeded - the reader keeps its in-memory copy
+            console.warn('Could not cache article text locally:', e.message);
+            return { success: false, updated: 0 };
+        }
+    }
+    return { success: true, updated };
+}
+
+function getArticleFromLocal(url) {
+    const allNews = JSON.parse(localStorage.getItem('allNews') || '[]');
+    const match = allNews.find(news => news.url === url && news.article);
+    return match ? match.article : null;
+}
+
+function saveEnrichmentToLocal(storyId, enrichment) {
+    const cache = JSON.parse(localStorage.getItem('tank_news_enrichment') || '{}');
+    cache[storyId] = enrichment;
+
+    // Keep the newest 200 stories
+    const ids = Object.keys(cache).sort((a, b) => (cache[b].createdAt || 0) - (cache[a].createdAt || 0));
+    ids.slice(200).forEach(id => delete cache[id]);
+    localStorage.setItem('tank_news_enrichment', JSON.stringify(cache));
+
+    const allNews = JSON.parse(localStorage.getItem('allNews') || '[]');
+    let updated = 0;
+    allNews.forEach(news => {
+        if (news.storyId === storyId) {
+            news.enrichment = enrichment;
+            updated++;
+        }
+    });
+    if (updated > 0) {
+        localStorage.setItem('allNews', JSON.stringify(allNews));
+    }
+    return { success: true };
+}
+
+function getEnrichmentFromLocal(storyId, maxAge) {
+    const cache = JSON.parse(localStorage.getItem('tank_news_enrichment') || '{}');
+    return isFreshEnrichment(cache[storyId], maxAge) ? cache[storyId] : null;
+}
+
+function saveSentimentToLocal(point, bucketMs) {
+    const history = JSON.parse(localStorage.getItem('tank_sentiment_history') || '[]');
+    const bucket = Math.floor(point.timestamp / bucketMs);
+    const last = history[history.length - 1];
+
+    if (last && Math.floor(last.timestamp / bucketMs) === bucket) {
+        history[history.length - 1] = point;
+    } else {
+        history.push(point);
+    }
+
+    // Keep the newest 500 points
+    localStorage.setItem('tank_sentiment_history', JSON.stringify(history.slice(-500)));
+    return { success: true };
+}
+
+function getSentimentFromLocal(sinceMs) {
+    const history = JSON.parse(localStorage.getItem('tank_sentiment_history') || '[]');
+    return history.filter(point => point.timestamp >= sinceMs);
+}
+
+function savePredictionOddsToLocal(snapshots) {
+    const stored = JSON.parse(localStorage.getItem('tank_prediction_odds') || '{}');
+
+    snapshots.forEach(snapshot => {
+        const entry = stored[snapshot.id] || { marketId: snapshot.id, points: {} };
+        entry.question = snapshot.question;
+        entry.points[snapshot.bucket] = snapshot.odds;
+        (snapshot.expired || []).forEach(bucket => delete entry.points[bucket]);
+        entry.updatedAt = Date.now();
+        stored[snapshot.id] = entry;
+    });
+
+    // Keep the 100 most recently updated markets
+    const ids = Object.keys(stored).sort((a, b) => stored[b].updatedAt - stored[a].updatedAt);
+    ids.slice(100).forEach(id => delete stored[id]);
+    localStorage.setItem('tank_prediction_odds', JSON.stringify(stored));
+    return { success: true };
+}
+
+function getPredictionOddsFromLocal(ids) {
+    const stored = JSON.parse(localStorage.getItem('tank_prediction_odds') || '{}');
+    const result = {};
+    ids.forEach(id => {
+        if (stored[id]) result[id] = stored[id];
+    });
+    return result;
+}
+
+function getVoiceProfileFromLocal() {
+    try {
+        return JSON.parse(localStorage.getItem('tank_voice_profile') || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
 function saveMarketToLocal(tokens) {
     localStorage.setItem('marketTokens', JSON.stringify(tokens));
     return { success: true };
@@ -645,6 +1608,7 @@ setInterval(() => {
 window.FirebaseDB = {
     init: initFirebase,
     isAvailable: isFirebaseAvailable,
+    getUserId: getUserId,
 
     // Knowledge
     addKnowledge: addKnowledgeToFirebase,
@@ -656,11 +1620,20 @@ window.FirebaseDB = {
     saveNews: saveNewsToFirebase,
     listenToNews: listenToNews,
     cleanOldNews: cleanOldNewsFromFirebase,
+    saveArticle: saveArticleToNews,
+    getArticle: getArticleFromNews,
 
-    // Spoken News (shared across all users)
+    // Spoken News (per user, or shared in broadcast mode)
     markNewsAsSpoken: markNewsAsSpoken,
     wasNewsSpoken: wasNewsSpoken,
     getAllSpokenNews: getAllSpokenNews,
+    cleanOldSpokenNews: cleanOldSpokenNewsFromFirebase,
+
+    // News enrichment (LLM summary/sentiment, shared across all users)
+    claimEnrichment: claimNewsEnrichment,
+    saveEnrichment: saveNewsEnrichment,
+    getEnrichment: getNewsEnrichment,
+    cleanOldEnrichment: cleanOldEnrichmentFromFirebase,
 
     // Market
     saveMarket: saveMarketToFirebase,
@@ -670,13 +1643,44 @@ window.FirebaseDB = {
     saveStatus: saveStatusToFirebase,
     listenToStatus: listenToStatus,
 
+    // Sentiment index history (mood/health/volatility)
+    saveSentiment: saveSentimentToFirebase,
+    getSentimentHistory: getSentimentHistory,
+    cleanOldSentiment: cleanOldSentimentFromFirebase,
+
+    // Prediction market odds history
+    savePredictionOdds: savePredictionOddsToFirebase,
+    getPredictionOdds: getPredictionOdds,
+    pinPredictions: pinPredictionsToFirebase,
+    unpinPredictions: unpinPredictionsFromFirebase,
+    listenToTrackedPredictions: listenToTrackedPredictions,
+
+    // Voice profile (per user)
+    saveVoiceProfile: saveVoiceProfileToFirebase,
+    getVoiceProfile: getVoiceProfile,
+
     // Remarks
     addRemark: addRemarkToFirebase,
     listenToRemarks: listenToRemarks,
 
     // Watchlist
     saveWatchlist: saveWatchlistToFirebase,
-    listenToWatchlist: listenToWatchlist
+    listenToWatchlist: listenToWatchlist,
+
+    // Price alerts
+    saveAlertRules: saveAlertRulesToFirebase,
+    listenToAlertRules: listenToAlertRules,
+    updateAlertRule: updateAlertRuleInFirebase,
+    addAlertEvent: addAlertEventToFirebase,
+    listenToAlertEvents: listenToAlertEvents,
+
+    // Portfolio
+    savePortfolio: savePortfolioToFirebase,
+    listenToPortfolio: listenToPortfolio,
+
+    // News feeds
+    updateFeeds: updateFeedsInFirebase,
+    listenToFeeds: listenToFeeds
 };
 
 // Initialize on load
@@ -0,0 +1,386 @@
+/**
+ * KIMCHI - SHARED HTTP CLIENT
+ * One request layer for every page: per-host rate limits, retries with
+ * backoff, timeouts, in-flight dedup and a short response cache that is
+ * shared between tabs/pages through localStorage
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const HTTP_CONFIG = {
+    timeout: 10 * 1000,
+    retries: 2,                      // GET only - other methods retry on 429 only
+    backoffBase: 500,                // 500ms, 1s, 2s... (+ jitter)
+    backoffMax: 8 * 1000,
+    retryStatuses: [408, 429, 500, 502, 503, 504],
+
+    cacheTtl: 60 * 1000,             // GET responses are reused by every page for a minute
+    maxCacheBody: 256 * 1024,        // Bigger bodies are only cached in memory
+    maxCacheTotal: 1024 * 1024,      // localStorage share of the cache (chars) - leaves room for the app's own keys
+    cachePrefix: 'tank_http:',
+
+    // Token buckets: `perMinute` refill rate, `burst` bucket size
+    hosts: {
+        'api.dexscreener.com': { perMinute: 280, burst: 10 },
+        'api.coingecko.com': { perMinute: 10, burst: 3, cacheTtl: 2 * 60 * 1000 },
+        'api.coincap.io': { perMinute: 100, burst: 10 },
+        'api.binance.com': { perMinute: 600, burst: 20 },
+        'api.coinbase.com': { perMinute: 100, burst: 10 },
+        'gamma-api.polymarket.com': { perMinute: 60, burst: 10 },
+        'api.groq.com': { perMinute: 30, burst: 5 }
+    },
+    defaultHost: { perMinute: 60, burst: 10 }
+};
+
+// ============================================
+// STATE
+// ============================================
+
+const httpBuckets = {};                // host -> { tokens, last, blockedUntil }
+const httpInFlight = new Map();        // cache key -> Promise<entry>
+const httpMemoryCache = new Map();     // cache key -> entry
+const httpStats = {};                  // host -> counters
+
+function getHostConfig(host) {
+    return { ...HTTP_CONFIG.defaultHost, ...(HTTP_CONFIG.hosts[host] || {}) };
+}
+
+function getHostStats(host) {
+    return httpStats[host] || (httpStats[host] = {
+        requests: 0,
+        cacheHits: 0,
+        deduped: 0,
+        retries: 0,
+        throttledMs: 0,
+        errors: 0
+    });
+}
+
+const httpSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================
+// RATE LIMITING (token bucket per host)
+// ============================================
+
+async function acquireHostToken(host) {
+    const config = getHostConfig(host);
+    const bucket = httpBuckets[host] || (httpBuckets[host] = {
+        tokens: config.burst,
+        last: Date.now(),
+        blockedUntil: 0
+    });
+
+    while (true) {
+        const now = Date.now();
+
+        // Host told us to back off (429 Retry-After)
+        if (bucket.blockedUntil > now) {
+            getHostStats(host).throttledMs += bucket.blockedUntil - now;
+            await httpSleep(bucket.blockedUntil - now);
+            continue;
+        }
+
+        bucket.tokens = Math.min(config.burst, bucket.tokens + ((now - bucket.last) * config.perMinute) / 60000);
+        bucket.last = now;
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return;
+        }
+
+        const wait = Math.ceil(((1 - bucket.tokens) * 60000) / config.perMinute);
+        getHostStats(host).throttledMs += wait;
+        await httpSleep(wait);
+    }
+}
+
+function blockHost(host, ms) {
+    const bucket = httpBuckets[host];
+    if (bucket) {
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+    }
+}
+
+function backoffDelay(attempt) {
+    const base = Math.min(HTTP_CONFIG.backoffMax, HTTP_CONFIG.backoffBase * 2 ** attempt);
+    return base / 2 + Math.random() * (base / 2); // Equal jitter
+}
+
+// ============================================
+// CACHE (memory + localStorage, shared across pages)
+// ============================================
+
+function readCache(key) {
+    const now = Date.now();
+
+    let entry = httpMemoryCache.get(key);
+    if (!entry) {
+        try {
+            const stored = localStorage.getItem(HTTP_CONFIG.cachePrefix + key);
+            entry = stored ? JSON.parse(stored) : null;
+        } catch (e) {
+            entry = null;
+        }
+    }
+
+    if (!entry || entry.expiresAt <= now) {
+        httpMemoryCache.delete(key);
+        return null;
+    }
+
+    entry.usedAt = now;
+    httpMemoryCache.set(key, entry);
+    return entry;
+}
+
+function writeCache(key, entry) {
+    entry.usedAt = Date.now();
+    httpMemoryCache.set(key, entry);
+
+    if (entry.body.length > HTTP_CONFIG.maxCacheBody) return;
+
+    const value = JSON.stringify(entry);
+    pruneCache(value.length);
+    try {
+        localStorage.setItem(HTTP_CONFIG.cachePrefix + key, value);
+    } catch (e) {
+        // Quota exceeded anyway (the app's own keys) - keep going with memory only
+    }
+}
+
+/**
+ * Drop expired entries, then the least recently used ones until `room` more
+ * chars fit under maxCacheTotal. Another tab's reads don't count as use: an
+ * entry it kept reading is ordered by when it was stored.
+ */
+function pruneCache(room = 0) {
+    const now = Date.now();
+    const stored = [];
+    let total = 0;
+
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (!key || !key.startsWith(HTTP_CONFIG.cachePrefix)) continue;
+
+        try {
+            const value = localStorage.getItem(key);
+            const entry = JSON.parse(value);
+            if (!entry || entry.expiresAt <= now) {
+                localStorage.removeItem(key);
+                continue;
+            }
+            const memory = httpMemoryCache.get(key.slice(HTTP_CONFIG.cachePrefix.length));
+            stored.push({ key, size: value.length, usedAt: (memory && memory.usedAt) || entry.usedAt || 0 });
+            total += value.length;
+        } catch (e) {
+            localStorage.removeItem(key);
+        }
+    }
+
+    stored.sort((a, b) => a.usedAt - b.usedAt);
+    while (stored.length > 0 && total + room > HTTP_CONFIG.maxCacheTotal) {
+        const oldest = stored.shift();
+        localStorage.removeItem(oldest.key);
+        total -= oldest.size;
+    }
+}
+
+function clearHttpCache() {
+    httpMemoryCache.clear();
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(HTTP_CONFIG.cachePrefix)) localStorage.removeItem(key);
+    }
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+function toResponse(entry, fromCache) {
+    const noBody = [101, 204, 205, 304].includes(entry.status);
+    const response = new Response(noBody ? null : entry.body, {
+        status: entry.status,
+        statusText: entry.statusText,
+        headers: entry.headers
+    });
+    response.fromCache = fromCache;
+    return response;
+}
+
+function callerAbortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new DOMException('The request was aborted', 'AbortError');
+}
+
+/**
+ * One network request with rate limiting, timeout and retries.
+ * Resolves to a plain entry { status, statusText, headers, body }.
+ * Aborting the caller's `options.signal` stops it for good (no retry) and
+ * rejects with the caller's abort error, not a timeout.
+ */
+async function performRequest(url, options, settings) {
+    const host = new URL(url, location.href).host;
+    const stats = getHostStats(host);
+    const callerSignal = options.signal;
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireHostToken(host);
+        if (callerSignal && callerSignal.aborted) throw callerAbortError(callerSignal);
+        stats.requests++;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), settings.timeout);
+        const forwardAbort = () => controller.abort();
+        if (callerSignal) callerSignal.addEventListener('abort', forwardAbort, { once: true });
+        const cleanup = () => {
+            clearTimeout(timer);
+            if (callerSignal) callerSignal.removeEventListener('abort', forwardAbort);
+        };
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            const body = await response.text();
+            cleanup();
+
+            const retryable = HTTP_CONFIG.retryStatuses.includes(response.status) &&
+                (settings.method === 'GET' || response.status === 429);
+
+            if (retryable && attempt < settings.retries) {
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                const wait = !isNaN(retryAfter) ? retryAfter * 1000 : backoffDelay(attempt);
+
+                if (response.status === 429) {
+                    blockHost(host, wait); // Every caller of this host waits
+                }
+
+                console.warn(`⏳ [HTTP] ${host} ${response.status} - retry ${attempt + 1}/${settings.retries} in ${Math.round(wait)}ms`);
+                stats.retries++;
+                await httpSleep(wait);
+                continue;
+            }
+
+            if (response.status === 429) {
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                blockHost(host, !isNaN(retryAfter) ? retryAfter * 1000 : backoffDelay(attempt));
+            }
+
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: {
+                    'content-type': response.headers.get('Content-Type') || '',
+                    'retry-after': response.headers.get('Retry-After') || ''
+                },
+                body
+            };
+        } catch (error) {
+            cleanup();
+
+            if (callerSignal && callerSignal.aborted) throw callerAbortError(callerSignal);
+
+            const message = error.name === 'AbortError'
+                ? `Request timed out after ${settings.timeout}ms`
+                : error.message;
+
+            if (settings.method === 'GET' && attempt < settings.retries) {
+                const wait = backoffDelay(attempt);
+                console.warn(`⏳ [HTTP] ${host} ${message} - retry ${attempt + 1}/${settings.retries} in ${Math.round(wait)}ms`);
+                stats.retries++;
+                await httpSleep(wait);
+                continue;
+            }
+
+            stats.errors++;
+            throw new Error(message);
+        }
+    }
+}
+
+/**
+ * Drop-in replacement for fetch(). Returns a Response (with `fromCache`).
+ *
+ * Extra options:
+ *   timeout - ms per attempt (default HTTP_CONFIG.timeout)
+ *   retries - extra attempts on network errors / retryable statuses
+ *   ttl     - cache lifetime for GET responses (0 disables caching)
+ *   cache   - false to skip reading the cache (the response is still stored)
+ */
+async function httpFetch(url, options = {}) {
+    const { timeout, retries, ttl, cache, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const host = new URL(url, location.href).host;
+    const hostConfig = getHostConfig(host);
+
+    const settings = {
+        method,
+        timeout: timeout ?? HTTP_CONFIG.timeout,
+        retries: retries ?? (method === 'GET' ? HTTP_CONFIG.retries : 1)
+    };
+
+    // Only GETs are cached and deduplicated
+    if (method !== 'GET') {
+        return toResponse(await performRequest(url, fetchOptions, settings), false);
+    }
+
+    const cacheTtl = ttl ?? hostConfig.cacheTtl ?? HTTP_CONFIG.cacheTtl;
+    const key = url;
+
+    if (cache !== false && cacheTtl > 0) {
+        const cached = readCache(key);
+        if (cached) {
+            getHostStats(host).cacheHits++;
+            return toResponse(cached, true);
+        }
+    }
+
+    // A request the caller can abort is its own: sharing it would abort the others too
+    const shared = !fetchOptions.signal;
+
+    if (shared && httpInFlight.has(key)) {
+        getHostStats(host).deduped++;
+        return toResponse(await httpInFlight.get(key), false);
+    }
+
+    const request = performRequest(url, fetchOptions, settings)
+        .then(entry => {
+            if (cacheTtl > 0 && entry.status >= 200 && entry.status < 300) {
+                writeCache(key, { ...entry, expiresAt: Date.now() + cacheTtl });
+            }
+            return entry;
+        });
+
+    if (!shared) {
+        return toResponse(await request, false);
+    }
+
+    const tracked = request.finally(() => httpInFlight.delete(key));
+    httpInFlight.set(key, tracked);
+    return toResponse(await tracked, false);
+}
+
+/**
+ * Timestamp until which a host is paused after a 429 (0 if it isn't)
+ */
+function getBlockedUntil(url) {
+    const bucket = httpBuckets[new URL(url, location.href).host];
+    return bucket && bucket.blockedUntil > Date.now() ? bucket.blockedUntil : 0;
+}
+
+// Drop expired entries left by previous sessions (and shrink to the cap)
+pruneCache();
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.HttpClient = {
+    config: HTTP_CONFIG,
+    fetch: httpFetch,
+    blockedUntil: getBlockedUntil,
+    clearCache: clearHttpCache,
+    stats: () => httpStats
+};
+
+console.log('HTTP client module loaded.');
@@ -0,0 +1,252 @@
+/**
+ * KIMCHI - FEED PARSER
+ * Normalizes RSS 2.0, Atom and RSS 1.0 (RDF) documents into one article
+ * schema. Hand-rolled on purpose: feeds are small and we only need a
+ * handful of fields, so no XML dependency is pulled into the server
+ *
+ * Article schema:
+ *   { id, title, url, summary, image, author, categories, published, timestamp }
+ *   published - ISO string (null if the feed has no usable date)
+ *   timestamp - ms since epoch (null if the feed has no usable date)
+ */
+
+const crypto = require('crypto');
+
+const SUMMARY_LENGTH = 500;
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            // Out of range or a lone surrogate half: keep the text as written
+            const valid = code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+            return valid ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Text content of an element: CDATA sections are kept verbatim,
+ * everything else is entity-decoded
+ */
+function textContent(inner) {
+    if (!inner) return '';
+
+    let result = '';
+    let last = 0;
+    const cdata = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+    let match;
+
+    while ((match = cdata.exec(inner)) !== null) {
+        result += decodeEntities(inner.slice(last, match.index)) + match[1];
+        last = cdata.lastIndex;
+    }
+    return (result + decodeEntities(inner.slice(last))).trim();
+}
+
+function escapeTag(name) {
+    return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * All occurrences of an element as { attrs, inner } (inner is '' for self-closing tags)
+ */
+function findElements(xml, name) {
+    const tag = escapeTag(name);
+    const pattern = new RegExp(`<${tag}(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/${tag}\\s*>)`, 'gi');
+    const elements = [];
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        elements.push({ attrs: match[1] || '', inner: match[2] || '' });
+    }
+    return elements;
+}
+
+function findElement(xml, names) {
+    for (const name of names) {
+        const [element] = findElements(xml, name);
+        if (element) return element;
+    }
+    return null;
+}
+
+function getText(xml, names) {
+    const element = findElement(xml, names);
+    return element ? textContent(element.inner) : '';
+}
+
+function getAttr(attrs, name) {
+    const match = attrs.match(new RegExp(`\\s${escapeTag(name)}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[2] ?? match[3]) : '';
+}
+
+function stripHtml(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function truncate(text, length) {
+    if (text.length <= length) return text;
+    const cut = text.slice(0, length);
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > length * 0.6 ? cut.slice(0, lastSpace) : cut) + '…';
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const ts = Date.parse(value);
+    return isNaN(ts) ? null : ts;
+}
+
+// ============================================
+// FORMAT DETECTION
+// ============================================
+
+function detectFormat(xml) {
+    const head = xml.slice(0, 2000);
+    if (/<rdf:RDF[\s>]/i.test(head)) return 'rdf';
+    if (/<rss[\s>]/i.test(head)) return 'rss';
+    if (/<feed[\s>]/i.test(head)) return 'atom';
+    return null;
+}
+
+// ============================================
+// FIELD EXTRACTION
+// ============================================
+
+function extractLink(item, format, attrs = '') {
+    if (format === 'atom') {
+        const links = findElements(item, 'link');
+        const alternate = links.find(l => !getAttr(l.attrs, 'rel') || getAttr(l.attrs, 'rel') === 'alternate');
+        return getAttr((alternate || links[0] || { attrs: '' }).attrs, 'href');
+    }
+
+    const link = getText(item, ['link']);
+    if (link) return link;
+
+    // RDF items carry their URL in rdf:about, RSS items sometimes only in a permalink guid
+    const about = getAttr(attrs, 'rdf:about');
+    if (/^https?:\/\//i.test(about)) return about;
+
+    const guid = findElement(item, ['guid']);
+    if (guid && getAttr(guid.attrs, 'isPermaLink') !== 'false') {
+        const value = textContent(guid.inner);
+        if (/^https?:\/\//i.test(value)) return value;
+    }
+    return '';
+}
+
+function extractImage(item, html) {
+    for (const name of ['media:content', 'media:thumbnail']) {
+        const found = findElements(item, name).find(el => {
+            const medium = getAttr(el.attrs, 'medium');
+            const type = getAttr(el.attrs, 'type');
+            return getAttr(el.attrs, 'url') && (!medium || medium === 'image') && (!type || type.startsWith('image/'));
+        });
+        if (found) return getAttr(found.attrs, 'url');
+    }
+
+    const enclosure = findElements(item, 'enclosure').find(el => getAttr(el.attrs, 'type').startsWith('image/'));
+    if (enclosure) return getAttr(enclosure.attrs, 'url');
+
+    const img = html.match(/<img[^>]+src\s*=\s*["']([^"']+)["']/i);
+    return img ? decodeEntities(img[1]) : null;
+}
+
+function extractAuthor(item, format) {
+    if (format === 'atom') {
+        const author = findElement(item, ['author']);
+        return author ? getText(author.inner, ['name']) : '';
+    }
+    return getText(item, ['dc:creator', 'author']);
+}
+
+function extractCategories(item, format) {
+    if (format === 'atom') {
+        return findElements(item, 'category').map(el => getAttr(el.attrs, 'term')).filter(Boolean);
+    }
+    return [...findElements(item, 'category'), ...findElements(item, 'dc:subject')]
+        .map(el => textContent(el.inner))
+        .filter(Boolean);
+}
+
+function normalizeItem(item, format, attrs = '') {
+    const title = stripHtml(getText(item, ['title']));
+    const url = extractLink(item, format, attrs);
+
+    const html = format === 'atom'
+        ? getText(item, ['summary', 'content'])
+        : getText(item, ['description', 'content:encoded']);
+    const fullHtml = format === 'atom'
+        ? getText(item, ['content']) || html
+        : getText(item, ['content:encoded']) || html;
+
+    const timestamp = parseDate(format === 'atom'
+        ? getText(item, ['published', 'updated'])
+        : getText(item, ['pubDate', 'dc:date']));
+
+    const guid = getText(item, [format === 'atom' ? 'id' : 'guid']) || url || title;
+
+    return {
+        id: crypto.createHash('sha1').update(guid).digest('hex').slice(0, 16),
+        title,
+        url,
+        summary: truncate(stripHtml(html), SUMMARY_LENGTH),
+        image: extractImage(item, fullHtml),
+        author: extractAuthor(item, format),
+        categories: extractCategories(item, format),
+        published: timestamp ? new Date(timestamp).toISOString() : null,
+        timestamp
+    };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Parse a feed document. Throws if it isn't RSS, Atom or RDF.
+ * Returns { format, title, link, articles }
+ */
+function parseFeed(xml) {
+    const format = detectFormat(xml);
+    if (!format) {
+        throw new Error('Not an RSS, Atom or RDF document');
+    }
+
+    const itemTag = format === 'atom' ? 'entry' : 'item';
+    const articles = findElements(xml, itemTag)
+        .map(el => normalizeItem(el.inner, format, el.attrs))
+        .filter(article => article.title && article.url);
+
+    // Channel metadata lives outside the items
+    const header = xml.replace(new RegExp(`<${itemTag}[\\s>][\\s\\S]*?<\\/${itemTag}>`, 'gi'), '');
+    const channelLink = format === 'atom'
+        ? extractLink(header, 'atom')
+        : getText(header, ['link']);
+
+    return {
+        format,
+        title: stripHtml(getText(header, ['title'])),
+        link: channelLink,
+        articles
+    };
+}
+
+module.exports = { parseFeed, detectFormat, stripHtml };
@@ -0,0 +1,160 @@
+/**
+ * KIMCHI - PROXY HELPERS
+ * Shared by the server-side endpoints in api/: the feed configuration and
+ * host allow-list (feeds.config.json) plus small request/response helpers
+ * that work both under express (server.js) and as Vercel functions
+ */
+
+const fs = require('fs');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// FEEDS_CONFIG=/path/to/feeds.json swaps the feed list without touching the code
+const FEEDS_CONFIG = process.env.FEEDS_CONFIG
+    ? JSON.parse(fs.readFileSync(process.env.FEEDS_CONFIG, 'utf8'))
+    : require('../feeds.config.json');
+
+const FEEDS = FEEDS_CONFIG.feeds || [];
+
+const ALLOWED_HOSTS = new Set([
+    ...(FEEDS_CONFIG.allowedHosts || []),
+    ...FEEDS.map(feed => new URL(feed.url).hostname)
+].map(host => host.toLowerCase()));
+
+/**
+ * Only http(s) URLs on an allowed host (or one of its subdomains) may be proxied
+ */
+function isAllowedUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return false;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+
+    const host = url.hostname.toLowerCase();
+    return [...ALLOWED_HOSTS].some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// ============================================
+// REQUEST / RESPONSE HELPERS
+// ============================================
+
+function getQuery(req) {
+    if (req.query) return req.query;
+    return Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+}
+
+/**
+ * `headers` are added to (or override) the defaults - a null value removes one
+ */
+function sendJson(req, res, status, payload, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    Object.entries(headers).forEach(([name, value]) => {
+        if (value === null) res.removeHeader(name);
+        else res.setHeader(name, value);
+    });
+    res.end(req.method === 'HEAD' || status === 304 ? undefined : JSON.stringify(payload));
+}
+
+function isNotModified(req, etag, modifiedAt) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch === '*' || ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    // HTTP dates have second precision
+    return !isNaN(ifModifiedSince) && Math.floor(modifiedAt / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * JSON request body - Vercel has already parsed it into req.body, under
+ * express (server.js) it is still on the stream
+ */
+async function readJsonBody(req, maxBytes = 64 * 1024) {
+    if (req.body !== undefined) {
+        return typeof req.body === 'string' || Buffer.isBuffer(req.body) ? JSON.parse(req.body) : req.body;
+    }
+
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+        if (raw.length > maxBytes) throw new Error('Request body too large');
+    }
+    return raw ? JSON.parse(raw) : {};
+}
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * fetch() with a timeout, a size cap and an allow-list check on every
+ * redirect hop: redirects are followed by hand so a 30x from an allowed host
+ * can't send the server to an internal address. Resolves to
+ * { response, body, url } - body is null for 304, url is the final URL.
+ */
+async function fetchAllowed(url, { headers = {}, timeout, maxBytes }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let current = url;
+        let response;
+        for (let hops = 0; ; hops++) {
+            response = await fetch(current, { headers, redirect: 'manual', signal: controller.signal });
+            if (response.status < 300 || response.status >= 400 || response.status === 304) break;
+
+            const location = response.headers.get('Location');
+            if (!location) break;
+            if (hops >= MAX_REDIRECTS) {
+                throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+            }
+
+            const next = new URL(location, current).href;
+            if (!isAllowedUrl(next)) {
+                throw new Error(`Redirected to a host that is not allowed: ${new URL(next).hostname}`);
+            }
+            current = next;
+        }
+
+        if (response.status === 304) {
+            return { response, body: null, url: current };
+        }
+        if (!response.ok) {
+            throw new Error(`Upstream HTTP ${response.status}`);
+        }
+
+        const length = parseInt(response.headers.get('Content-Length'), 10);
+        if (length > maxBytes) {
+            throw new Error(`Response too large (${length} bytes)`);
+        }
+
+        const body = await response.text();
+        if (body.length > maxBytes) {
+            throw new Error(`Response too large (${body.length} bytes)`);
+        }
+
+        return { response, body, url: current };
+    } catch (error) {
+        throw new Error(error.name === 'AbortError' ? `Upstream timed out after ${timeout}ms` : error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    FEEDS_CONFIG,
+    FEEDS,
+    ALLOWED_HOSTS,
+    isAllowedUrl,
+    getQuery,
+    sendJson,
+    isNotModified,
+    readJsonBody,
+    fetchAllowed
+};
@@ -12,15 +12,17 @@ const STATE = {
     tokens: [],
     trending: [],
     predictions: [],
+    pinnedPredictions: [],
+    trackedPredictions: JSON.parse(localStorage.getItem('tank_tracked_predictions') || '[]'),
+    predictionFilters: { search: '', tag: '', sort: 'volume' },
     watchlist: JSON.parse(localStorage.getItem('tank_watchlist') || '[]'),
     remarks: JSON.parse(localStorage.getItem('tank_remarks') || '[]'),
+    alertRules: JSON.parse(localStorage.getItem('tank_alert_rules') || '[]'),
+    transactions: JSON.parse(localStorage.getItem('tank_portfolio') || '[]'),
     lastUpdate: null,
     isLoading: false
 };
 
-// Known coins for detection
-const KNOWN_COINS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'DOGE', 'SHIB', 'PEPE', 'BONK', 'WIF', 'ARB', 'OP', 'MATIC', 'AVAX', 'LINK', 'UNI', 'AAVE', 'JUP', 'PYTH', 'JTO', 'ORCA', 'RAY', 'FLOKI', 'BRETT', 'MOG', 'TURBO', 'NEIRO', 'RENDER', 'FET', 'TAO', 'INJ', 'SEI', 'SUI', 'APT', 'TIA', 'STRK', 'MANTA', 'DYM', 'PIXEL', 'PORTAL', 'MYRO', 'SLERF', 'POPCAT', 'MEW'];
-
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -28,12 +30,19 @@ const KNOWN_COINS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'DOGE', 'SHIB', '
 document.addEventListener('DOMContentLoaded', () => {
     initSnowfall();
     initClock();
-    loadAllMarketData();
+    loadAllMarketData().then(focusRequestedSymbol);
     initAutoRefresh();
     initCrossTabSync();
     initFirebaseListeners();
     renderWatchlist();
     renderRemarks();
+    renderPortfolio();
+    renderPredictionTags();
+
+    // Redraw sparklines once the stored price history has loaded
+    if (typeof PriceStore !== 'undefined') {
+        PriceStore.ready.then(() => renderTokenGrid());
+    }
 });
 
 // ============================================
@@ -56,9 +65,12 @@ function initFirebaseListeners() {
             console.log('Firebase: Market data updated', tokens.length, 'tokens');
             STATE.tokens = tokens;
             STATE.trending = tokens.slice(0, 15);
+            recordTokenPrices(tokens);
+            registerTrackedAssets(tokens);
             renderTokenGrid();
             renderTrendingList();
             updateTokenCount();
+            renderPortfolio();
         }
     });
 
@@ -76,6 +88,27 @@ function initFirebaseListeners() {
         renderRemarks();
     });
 
+    // Listen to portfolio transactions from Firebase
+    FirebaseDB.listenToPortfolio((transactions) => {
+        console.log('Firebase: Portfolio updated', transactions.length, 'transactions');
+        STATE.transactions = transactions;
+        renderPortfolio();
+    });
+
+    // Listen to alert rules from Firebase
+    FirebaseDB.listenToAlertRules((rules) => {
+        console.log('Firebase: Alert rules updated', rules.length, 'rules');
+        STATE.alertRules = rules;
+        renderAlertRules();
+    });
+
+    // Listen to the shared pinned predictions (also fed into the news archives)
+    FirebaseDB.listenToTrackedPredictions((markets) => {
+        console.log('Firebase: Pinned predictions updated', markets.length, 'markets');
+        STATE.trackedPredictions = markets;
+        fetchPinnedPredictions().then(renderPredictions);
+    });
+
     console.log('Firebase listeners initialized for market page');
 }
 
@@ -171,6 +204,7 @@ async function updateMarketFromNews() {
         renderTokenGrid();
         renderTrendingList();
         updateTokenCount();
+        renderPortfolio();
     }
 }
 
@@ -196,6 +230,7 @@ async function loadAllMarketData() {
     renderTokenGrid();
     renderTrendingList();
     updateTokenCount();
+    renderPortfolio();
 
     STATE.isLoading = false;
     updateTimestamp();
@@ -229,171 +264,157 @@ async function addTokenByLink(input) {
 
     console.log('📊 Processing input:', trimmed);
 
-    // Detect if it's a link or symbol
-    if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-        // It's a LINK
-        console.log('🔗 Detected LINK input');
-        await addTokenFromLink(trimmed);
-    } else {
-        // It's a SYMBOL
-        console.log('🔤 Detected SYMBOL input');
-        await addTokenBySymbol(trimmed);
+    try {
+        const token = await fetchTokenFromInput(trimmed, { interactive: true });
+
+        // User closed the disambiguation picker
+        if (!token) return;
+
+        if (!addTokenToGrid(token)) {
+            alert(`${token.symbol} is already added`);
+            return;
+        }
+
+        console.log(`✅ Added ${token.symbol} successfully`);
+        alert(`✅ ${token.symbol} added successfully!`);
+    } catch (error) {
+        console.error('❌ Error adding token:', error);
+        alert(`Failed to add token: ${error.message}`);
     }
 }
 
-/**
- * Add token from various links (DexScreener, Coinbase, Binance)
- */
+// Kept for console use - both go through addTokenByLink()
 async function addTokenFromLink(link) {
-    let tokenData = null;
+    return addTokenByLink(link);
+}
 
-    try {
-        // DexScreener - ANY CHAIN (not just Solana)
-        if (link.includes('dexscreener.com')) {
-            console.log('🦎 DexScreener link detected');
+async function addTokenBySymbol(symbol) {
+    return addTokenByLink(symbol);
+}
 
-            // Extract chain and address from link
-            // https://dexscreener.com/solana/ADDRESS
-            // https://dexscreener.com/ethereum/ADDRESS
-            const parts = link.split('/').filter(p => p);
-            const chain = parts[parts.length - 2]; // solana, ethereum, bsc, base, etc
-            const address = parts[parts.length - 1];
+/**
+ * Resolve a symbol or a link (DexScreener, Coinbase, Binance) to a token.
+ * Throws an Error with a user-facing message when it can't. With `interactive`,
+ * ambiguous matches open the picker (returns null if the user cancels);
+ * otherwise the best ranked pair is used.
+ */
+async function fetchTokenFromInput(input, { interactive = false } = {}) {
+    const trimmed = input.trim();
 
-            console.log(`  Chain: ${chain}, Address: ${address}`);
+    if (!trimmed) {
+        throw new Error('Empty token symbol or link');
+    }
 
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
-            const data = await response.json();
+    // It's a SYMBOL
+    if (!trimmed.startsWith('http://') && !trimmed.startsWith('https://')) {
+        console.log('🔤 Detected SYMBOL input');
+        return fetchTokenBySymbol(trimmed, { interactive });
+    }
 
-            if (data.pairs && data.pairs.length > 0) {
-                const pair = data.pairs[0];
-                tokenData = createTokenFromPair(pair, 'USER');
-                tokenData.chain = chain.toUpperCase();
-            } else {
-                alert('Token not found on DexScreener');
-                return;
-            }
-        }
+    // DexScreener - ANY CHAIN (not just Solana)
+    if (trimmed.includes('dexscreener.com')) {
+        console.log('🦎 DexScreener link detected');
 
-        // Coinbase
-        else if (link.includes('coinbase.com/price/')) {
-            console.log('💰 Coinbase link detected');
+        // Extract chain and address from link
+        // https://dexscreener.com/solana/ADDRESS
+        // https://dexscreener.com/ethereum/ADDRESS
+        const parts = trimmed.split('?')[0].split('/').filter(p => p);
+        const chain = parts[parts.length - 2]; // solana, ethereum, bsc, base, etc
+        const address = parts[parts.length - 1];
 
-            const symbol = link.split('/price/')[1].split('/')[0].split('?')[0];
-            console.log(`  Symbol extracted: ${symbol}`);
+        console.log(`  Chain: ${chain}, Address: ${address}`);
 
-            await addTokenBySymbol(symbol);
-            return; // Use symbol search for Coinbase
+        // DexScreener links usually point at a pair - that's an exact match
+        const pinned = await fetchPinnedPair(chain, address);
+        if (pinned) {
+            return createTokenFromPair(pinned, 'USER');
         }
 
-        // Binance
-        else if (link.includes('binance.com')) {
-            console.log('🟡 Binance link detected');
-
-            let symbol = null;
-            if (link.includes('/price/')) {
-                symbol = link.split('/price/')[1].split('/')[0].split('?')[0];
-            } else if (link.includes('/trade/')) {
-                symbol = link.split('/trade/')[1].split('?')[0];
-            }
+        // Otherwise it's a token contract: rank its pools
+        const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
+        const data = await response.json();
 
-            if (symbol) {
-                console.log(`  Symbol extracted: ${symbol}`);
-                await addTokenBySymbol(symbol);
-                return;
-            } else {
-                alert('Could not extract token symbol from Binance link');
-                return;
-            }
+        if (!data.pairs || data.pairs.length === 0) {
+            throw new Error('Token not found on DexScreener');
         }
 
-        else {
-            alert('Link not supported. Please use DexScreener, Coinbase, or Binance links.');
-            return;
-        }
+        const pair = await resolvePair(data.pairs, { address, chainId: chain }, { interactive });
+        return pair ? createTokenFromPair(pair, 'USER') : null;
+    }
 
-        // Add token to state if we got data
-        if (tokenData) {
-            // Check if already exists
-            const exists = STATE.tokens.find(t =>
-                t.symbol.toUpperCase() === tokenData.symbol.toUpperCase()
-            );
+    // Coinbase
+    if (trimmed.includes('coinbase.com/price/')) {
+        console.log('💰 Coinbase link detected');
 
-            if (exists) {
-                alert(`${tokenData.symbol} is already added`);
-                return;
-            }
+        const symbol = trimmed.split('/price/')[1].split('/')[0].split('?')[0];
+        console.log(`  Symbol extracted: ${symbol}`);
 
-            STATE.tokens.unshift(tokenData);
-            STATE.trending = STATE.tokens.slice(0, 15);
+        return fetchTokenBySymbol(symbol, { interactive }); // Use symbol search for Coinbase
+    }
 
-            // Save to Firebase
-            saveMarketData(STATE.tokens);
+    // Binance
+    if (trimmed.includes('binance.com')) {
+        console.log('🟡 Binance link detected');
 
-            // Render
-            renderTokenGrid();
-            renderTrendingList();
-            updateTokenCount();
+        let symbol = null;
+        if (trimmed.includes('/price/')) {
+            symbol = trimmed.split('/price/')[1].split('/')[0].split('?')[0];
+        } else if (trimmed.includes('/trade/')) {
+            symbol = trimmed.split('/trade/')[1].split('?')[0];
+        }
 
-            console.log(`✅ Added ${tokenData.symbol} from link successfully`);
-            alert(`✅ ${tokenData.symbol} added successfully!`);
+        if (!symbol) {
+            throw new Error('Could not extract token symbol from Binance link');
         }
 
-    } catch (error) {
-        console.error('❌ Error adding token from link:', error);
-        alert('Failed to add token from link. Please try again or use a symbol instead.');
+        console.log(`  Symbol extracted: ${symbol}`);
+        return fetchTokenBySymbol(symbol, { interactive });
     }
+
+    throw new Error('Link not supported. Please use DexScreener, Coinbase, or Binance links.');
 }
 
-/**
- * Add token by SYMBOL (original function, renamed)
- */
-async function addTokenBySymbol(symbol) {
+async function fetchTokenBySymbol(symbol, { interactive = false } = {}) {
     const upperSymbol = symbol.toUpperCase().trim();
 
-    if (!upperSymbol) {
-        alert('Please enter a token symbol');
-        return;
-    }
+    const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/search?q=${upperSymbol}`);
+    const data = await response.json();
 
-    // Check if already exists
-    const exists = STATE.tokens.find(t => t.symbol.toUpperCase() === upperSymbol);
-    if (exists) {
-        alert(`${upperSymbol} is already added`);
-        return;
+    if (!data.pairs || data.pairs.length === 0) {
+        throw new Error(`Token ${upperSymbol} not found on DexScreener`);
     }
 
-    console.log(`➕ Adding user token: ${upperSymbol}`);
-
-    // Fetch token data from DexScreener
-    try {
-        const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${upperSymbol}`);
-        const data = await response.json();
+    const pair = await resolvePair(data.pairs, { symbol: upperSymbol }, { interactive });
+    return pair ? createTokenFromPair(pair, 'USER') : null;
+}
 
-        if (data.pairs && data.pairs.length > 0) {
-            const pair = data.pairs[0];
-            const token = createTokenFromPair(pair, 'USER');
+/**
+ * Put a resolved token at the top of the grid and sync it.
+ * Returns false if a token with the same symbol is already there.
+ */
+function addTokenToGrid(token, { save = true } = {}) {
+    const exists = STATE.tokens.find(t =>
+        t.symbol.toUpperCase() === token.symbol.toUpperCase()
+    );
 
-            // Add to state
-            STATE.tokens.unshift(token);
-            STATE.trending = STATE.tokens.slice(0, 15);
+    if (exists) return false;
 
-            // Save to Firebase
-            saveMarketData(STATE.tokens);
+    STATE.tokens.unshift(token);
+    STATE.trending = STATE.tokens.slice(0, 15);
+    registerTrackedAssets([token]);
 
-            // Render
-            renderTokenGrid();
-            renderTrendingList();
-            updateTokenCount();
+    if (save) {
+        // Save to Firebase
+        saveMarketData(STATE.tokens);
 
-            console.log(`✅ Added ${upperSymbol} successfully`);
-            alert(`✅ ${upperSymbol} added successfully!`);
-        } else {
-            alert(`Token ${upperSymbol} not found on DexScreener`);
-        }
-    } catch (error) {
-        console.error(`❌ Error adding token:`, error);
-        alert(`Failed to add ${upperSymbol}. Please try again.`);
+        // Render
+        renderTokenGrid();
+        renderTrendingList();
+        updateTokenCount();
+        renderPortfolio();
     }
+
+    return true;
 }
 
 function removeUserToken(symbol) {
@@ -412,56 +433,162 @@ function removeUserToken(symbol) {
     renderTokenGrid();
     renderTrendingList();
     updateTokenCount();
+    renderPortfolio();
 
     console.log(`✅ Removed ${upperSymbol}`);
 }
 
+// --------------------------------------------
+// Batched price refresh
+// --------------------------------------------
+
+/**
+ * Pinned tokens are refreshed through /latest/dex/pairs/{chain}/{a,b,c},
+ * grouped by chain and chunked. A 429 backs off (Retry-After or exponential)
+ * and pauses the following cycles until the window has passed.
+ */
+const REFRESH_CONFIG = {
+    chunkSize: 30,                  // DexScreener max addresses per request
+    maxRetries: 3,
+    cacheTtl: 25 * 1000,            // Below the 30s cycle so every cycle gets fresh prices
+    rateLimitPause: 60 * 1000,      // Pause if the 429 didn't say for how long
+    staleAfter: 90 * 1000           // Grid flags tokens not refreshed for 3 cycles
+};
+
+let refreshInProgress = false;
+let rateLimitedUntil = 0;
+
+function pairKey(chainId, pairAddress) {
+    const address = pairAddress.startsWith('0x') ? pairAddress.toLowerCase() : pairAddress;
+    return `${chainId.toLowerCase()}:${address}`;
+}
+
+/**
+ * Fetch up to `chunkSize` pairs of one chain in a single request.
+ * Retries 429 responses with backoff; throws when retries run out.
+ */
+async function fetchPairsBatch(chainId, pairAddresses) {
+    const url = `https://api.dexscreener.com/latest/dex/pairs/${chainId.toLowerCase()}/${pairAddresses.join(',')}`;
+
+    // HttpClient retries 429s with backoff (honouring Retry-After) and pauses the host
+    const response = await HttpClient.fetch(url, {
+        retries: REFRESH_CONFIG.maxRetries,
+        ttl: REFRESH_CONFIG.cacheTtl
+    });
+
+    if (response.status === 429) {
+        rateLimitedUntil = HttpClient.blockedUntil(url) || Date.now() + REFRESH_CONFIG.rateLimitPause;
+        console.warn(`⏳ DexScreener rate limit (429) - pausing refresh until ${new Date(rateLimitedUntil).toLocaleTimeString('en-US', { hour12: false })}`);
+        throw new Error('Rate limited by DexScreener');
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.pairs || (data.pair ? [data.pair] : []);
+}
+
 async function updateUserTokenPrices() {
     if (STATE.tokens.length === 0) {
         console.log('ℹ️ No user tokens to update');
         return;
     }
 
+    if (refreshInProgress) {
+        console.log('⏳ Price refresh already running, skipping...');
+        return;
+    }
+
+    if (Date.now() < rateLimitedUntil) {
+        console.log(`⏳ Rate limited - next refresh after ${new Date(rateLimitedUntil).toLocaleTimeString('en-US', { hour12: false })}`);
+        return;
+    }
+
+    refreshInProgress = true;
+    const startTime = Date.now();
     console.log(`🔄 Updating prices for ${STATE.tokens.length} user tokens...`);
 
-    const updatedTokens = [];
+    // pairKey -> fresh pair
+    const freshPairs = {};
 
-    for (const token of STATE.tokens) {
-        try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${token.symbol}`);
-            const data = await response.json();
+    try {
+        // 1. Pinned tokens: batched by chain
+        const byChain = {};
+        STATE.tokens.forEach(token => {
+            const pin = getTokenPin(token);
+            if (pin) (byChain[pin.chainId] = byChain[pin.chainId] || new Set()).add(pin.pairAddress);
+        });
 
-            if (data.pairs && data.pairs.length > 0) {
-                const pair = data.pairs[0];
-                const updatedToken = createTokenFromPair(pair, token.type || 'USER');
-                updatedTokens.push(updatedToken);
-            } else {
-                // Keep old data if fetch fails
-                updatedTokens.push(token);
+        for (const [chainId, addressSet] of Object.entries(byChain)) {
+            const addresses = [...addressSet];
+
+            for (let i = 0; i < addresses.length; i += REFRESH_CONFIG.chunkSize) {
+                const chunk = addresses.slice(i, i + REFRESH_CONFIG.chunkSize);
+                try {
+                    const pairs = await fetchPairsBatch(chainId, chunk);
+                    pairs.forEach(pair => {
+                        freshPairs[pairKey(pair.chainId, pair.pairAddress)] = pair;
+                    });
+                } catch (error) {
+                    console.error(`❌ Error refreshing ${chunk.length} ${chainId} pairs:`, error.message);
+                }
             }
+        }
 
-            // Small delay to avoid rate limiting
-            await new Promise(r => setTimeout(r, 100));
-        } catch (error) {
-            console.error(`❌ Error updating ${token.symbol}:`, error);
-            // Keep old data
-            updatedTokens.push(token);
+        // 2. Tokens saved before pinning: resolve once, then they get pinned
+        for (const token of STATE.tokens.filter(t => !getTokenPin(t))) {
+            try {
+                const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/search?q=${token.symbol}`);
+                const data = await response.json();
+                if (data.pairs && data.pairs.length > 0) {
+                    const pair = await resolvePair(data.pairs, { symbol: token.symbol.toUpperCase() });
+                    freshPairs[`legacy:${token.symbol.toUpperCase()}`] = pair;
+                }
+
+                // Small delay to avoid rate limiting
+                await new Promise(r => setTimeout(r, 100));
+            } catch (error) {
+                console.error(`❌ Error resolving ${token.symbol}:`, error.message);
+            }
         }
+    } finally {
+        refreshInProgress = false;
     }
 
+    // Map over the current tokens - some may have been added/removed meanwhile.
+    // Tokens without a fresh pair keep their old data (and timestamp).
+    let refreshed = 0;
+    const updatedTokens = STATE.tokens.map(token => {
+        const pin = getTokenPin(token);
+        const pair = pin
+            ? freshPairs[pairKey(pin.chainId, pin.pairAddress)]
+            : freshPairs[`legacy:${token.symbol.toUpperCase()}`];
+
+        if (!pair) return token;
+
+        refreshed++;
+        return createTokenFromPair(pair, token.type || 'USER');
+    });
+
     STATE.tokens = updatedTokens;
     STATE.trending = updatedTokens.slice(0, 15);
 
     // Save to Firebase
     saveMarketData(STATE.tokens);
 
+    // Evaluate alert rules against the fresh prices
+    checkAlertRules(STATE.tokens);
+
     // Render
     renderTokenGrid();
     renderTrendingList();
     updateTokenCount();
+    renderPortfolio();
     updateTimestamp();
 
-    console.log(`✅ Updated ${updatedTokens.length} token prices`);
+    console.log(`✅ Updated ${refreshed}/${updatedTokens.length} token prices in ${Date.now() - startTime}ms`);
 }
 
 // ============================================
@@ -474,7 +601,7 @@ async function fetchDexScreenerMultiple() {
     // Fetch trending (general)
     try {
         console.log('📊 [DexScreener] Fetching trending tokens...');
-        const response = await fetch('https://api.dexscreener.com/latest/dex/search?q=trending');
+        const response = await HttpClient.fetch('https://api.dexscreener.com/latest/dex/search?q=trending');
         const data = await response.json();
 
         data.pairs?.slice(0, 20).forEach(pair => {
@@ -492,7 +619,7 @@ async function fetchDexScreenerMultiple() {
 
     for (const chain of chains) {
         try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${chain}`);
+            const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/search?q=${chain}`);
             const data = await response.json();
 
             let addedFromChain = 0;
@@ -528,12 +655,14 @@ async function fetchMemeCoins() {
 
     for (const coin of memeCoins) {
         try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${coin}`);
+            const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/search?q=${coin}`);
             const data = await response.json();
 
-            if (data.pairs?.[0]) {
-                const pair = data.pairs[0];
+            const pair = findConfidentPair(data.pairs, coin);
+            if (pair) {
                 cards.push(createTokenFromPair(pair, 'MEME'));
+            } else {
+                console.log(`🤔 [Meme] No clear match for ${coin}, skipped`);
             }
             await new Promise(r => setTimeout(r, 80));
         } catch (e) {
@@ -554,7 +683,7 @@ async function fetchTopCryptos() {
 
     try {
         console.log('🏆 [CoinCap] Fetching top 20 cryptos...');
-        const response = await fetch('https://api.coincap.io/v2/assets?limit=20');
+        const response = await HttpClient.fetch('https://api.coincap.io/v2/assets?limit=20');
         const data = await response.json();
 
         data.data?.forEach(coin => {
@@ -587,26 +716,41 @@ async function fetchTopCryptos() {
 // COINS MENTIONED IN NEWS
 // ============================================
 
-function extractCoinsFromNews() {
+/**
+ * Symbols mentioned in stored news, most mentioned first (see tickers.js)
+ */
+async function extractCoinsFromNews() {
+    await TickerExtractor.ready;
+
     const allNews = JSON.parse(localStorage.getItem('allNews') || '[]');
-    const mentionedCoins = new Set();
+    const counts = new Map();
 
     allNews.forEach(news => {
-        const text = ((news.title || '') + ' ' + (news.content || '') + ' ' + (news.description || '')).toUpperCase();
-
-        KNOWN_COINS.forEach(coin => {
-            if (text.includes(coin) || text.includes('$' + coin)) {
-                mentionedCoins.add(coin);
-            }
+        TickerExtractor.forItem(news).forEach(symbol => {
+            counts.set(symbol, (counts.get(symbol) || 0) + 1);
         });
     });
 
-    console.log(`📰 Coins mentioned in news: ${Array.from(mentionedCoins).join(', ')}`);
-    return Array.from(mentionedCoins);
+    const mentioned = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    console.log(`📰 Coins mentioned in news: ${mentioned.join(', ')}`);
+    return mentioned;
+}
+
+/**
+ * Tokens tracked on the terminal become detectable in news, even when the
+ * asset dictionary doesn't know them. Their symbols may be anything, so they
+ * need crypto context unless the dictionary already says otherwise.
+ */
+function registerTrackedAssets(tokens) {
+    if (typeof TickerExtractor === 'undefined') return;
+
+    TickerExtractor.addAssets(tokens
+        .filter(token => token.symbol && !TickerExtractor.isKnown(token.symbol))
+        .map(token => ({ symbol: token.symbol, ambiguous: true })));
 }
 
 async function fetchMentionedCoins() {
-    const mentioned = extractCoinsFromNews();
+    const mentioned = await extractCoinsFromNews();
     const cards = [];
 
     if (mentioned.length === 0) return cards;
@@ -615,12 +759,14 @@ async function fetchMentionedCoins() {
 
     for (const coin of mentioned.slice(0, 10)) { // Limit to 10
         try {
-            const response = await fetch(`https://api.dexscreener.com/latest/dex/search?q=${coin}`);
+            const response = await HttpClient.fetch(`https://api.dexscreener.com/latest/dex/search?q=${coin}`);
             const data = await response.json();
 
-            if (data.pairs?.[0]) {
-                const pair = data.pairs[0];
+            const pair = findConfidentPair(data.pairs, coin);
+            if (pair) {
                 cards.push(createTokenFromPair(pair, 'MENTIONED'));
+            } else {
+                console.log(`🤔 [Mentioned] No clear match for ${coin}, skipped`);
             }
             await new Promise(r => setTimeout(r, 80));
         } catch (e) {
@@ -636,39 +782,20 @@ async function fetchMentionedCoins() {
 // POLYMARKET PREDICTIONS
 // ============================================
 
+let predictionSearchTimer = null;
+
 async function fetchPolymarketPredictions() {
+    const { search, tag, sort } = STATE.predictionFilters;
     try {
-        console.log('🔮 [Polymarket] Fetching predictions...');
-
-        const response = await fetch('https://gamma-api.polymarket.com/markets?closed=false&limit=10');
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
+        console.log(`🔮 [Polymarket] Fetching predictions${search ? ` matching "${search}"` : ''}${tag ? ` tagged ${tag}` : ''} by ${sort}...`);
 
-        STATE.predictions = data.map(market => {
-            let yesOdds = 50;
-            let noOdds = 50;
+        const [markets] = await Promise.all([
+            PredictionMarkets.fetch({ limit: 10, search, tag, sort }).then(PredictionMarkets.track),
+            fetchPinnedPredictions()
+        ]);
 
-            if (market.outcomePrices) {
-                try {
-                    const outcomes = JSON.parse(market.outcomePrices);
-                    yesOdds = Math.round(parseFloat(outcomes[0]) * 100);
-                    noOdds = Math.round(parseFloat(outcomes[1]) * 100);
-                } catch (e) {}
-            }
-
-            return {
-                question: market.question || 'Unknown Market',
-                yesOdds,
-                noOdds,
-                liquidity: market.liquidity || 0,
-                slug: market.slug,
-                url: `https://polymarket.com/event/${market.slug || ''}`
-            };
-        });
+        // One prediction per event (multi-candidate questions are grouped)
+        STATE.predictions = PredictionMarkets.sort(PredictionMarkets.group(markets), sort);
 
         console.log(`✅ Loaded ${STATE.predictions.length} predictions`);
         renderPredictions();
@@ -681,6 +808,294 @@ async function fetchPolymarketPredictions() {
     }
 }
 
+/**
+ * Pinned markets are fetched by id so they stay listed whatever the filters say
+ */
+async function fetchPinnedPredictions() {
+    const ids = STATE.trackedPredictions.map(market => market.id);
+    if (ids.length === 0) {
+        STATE.pinnedPredictions = [];
+        return STATE.pinnedPredictions;
+    }
+
+    try {
+        const markets = await PredictionMarkets.track(await PredictionMarkets.fetch({ ids }));
+        STATE.pinnedPredictions = PredictionMarkets.group(markets);
+    } catch (error) {
+        console.error('❌ [Polymarket] Pinned predictions error:', error.message);
+    }
+    return STATE.pinnedPredictions;
+}
+
+// Pinned as soon as one of its markets is - a candidate added to the event
+// after it was pinned doesn't unpin it
+function isPredictionPinned(pred) {
+    const pinned = new Set(STATE.trackedPredictions.map(market => market.id));
+    return pred.markets.some(market => pinned.has(market.id));
+}
+
+/**
+ * Pin or unpin every market of a prediction. The pinned list is shared: the
+ * news page archives and speaks these instead of the top markets by volume.
+ */
+function togglePredictionPin(id) {
+    const pred = [...STATE.pinnedPredictions, ...STATE.predictions].find(p => p.id === id);
+    if (!pred) return;
+
+    const ids = pred.markets.map(market => market.id);
+    if (isPredictionPinned(pred)) {
+        STATE.trackedPredictions = STATE.trackedPredictions.filter(market => !ids.includes(market.id));
+        STATE.pinnedPredictions = STATE.pinnedPredictions.filter(p => p.id !== id);
+        saveTrackedPredictions({ unpinned: ids });
+        showToast(`Unpinned: ${pred.title}`, 'info');
+    } else {
+        const pinned = new Set(STATE.trackedPredictions.map(market => market.id));
+        const added = pred.markets.filter(market => !pinned.has(market.id)).map(market => ({
+            id: market.id,
+            question: market.question,
+            title: pred.title,
+            pinnedAt: Date.now()
+        }));
+        STATE.trackedPredictions.push(...added);
+        STATE.pinnedPredictions = [...STATE.pinnedPredictions.filter(p => p.id !== id), pred];
+        saveTrackedPredictions({ pinned: added });
+        showToast(`📌 Pinned: ${pred.title}`, 'success');
+    }
+
+    renderPredictions();
+}
+
+/**
+ * Only the markets that changed are written, one doc each, so concurrent pins
+ * from other users survive
+ */
+function saveTrackedPredictions({ pinned = [], unpinned = [] }) {
+    localStorage.setItem('tank_tracked_predictions', JSON.stringify(STATE.trackedPredictions));
+    if (typeof FirebaseDB === 'undefined') return;
+
+    if (pinned.length > 0) FirebaseDB.pinPredictions(pinned);
+    if (unpinned.length > 0) FirebaseDB.unpinPredictions(unpinned);
+}
+
+function onPredictionSearch(value) {
+    clearTimeout(predictionSearchTimer);
+    predictionSearchTimer = setTimeout(() => {
+        STATE.predictionFilters.search = value.trim();
+        fetchPolymarketPredictions();
+    }, 400);
+}
+
+function setPredictionTag(tag) {
+    STATE.predictionFilters.tag = tag;
+    renderPredictionTags();
+    fetchPolymarketPredictions();
+}
+
+function setPredictionSort(sort) {
+    STATE.predictionFilters.sort = sort;
+    fetchPolymarketPredictions();
+}
+
+// ============================================
+// TOKEN RESOLVER (rank DexScreener pairs)
+// ============================================
+
+/**
+ * A ticker search returns every pool that uses the symbol - clones and dead
+ * pools included. Candidates are grouped by base token contract, scored, and
+ * the picker opens unless one token clearly wins.
+ *
+ * Score: exact contract match dominates, then log10(liquidity) and
+ * log10(volume 24h), plus a bonus by position in `chainPreference`.
+ */
+const RESOLVER_CONFIG = {
+    chainPreference: ['solana', 'ethereum', 'base', 'bsc', 'arbitrum'],
+    minLiquidity: 1000,       // Pools below this (USD) are treated as dead
+    confidentRatio: 5,        // Winner must hold this many times the runner-up's liquidity
+    maxCandidates: 8
+};
+
+function sameAddress(a, b) {
+    if (!a || !b) return false;
+    // EVM addresses are case-insensitive, Solana ones are not
+    return a.startsWith('0x') ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+function scorePair(pair, query) {
+    const liquidity = pair.liquidity?.usd || 0;
+    const volume = pair.volume?.h24 || 0;
+    const chainIndex = RESOLVER_CONFIG.chainPreference.indexOf(pair.chainId);
+
+    let score = Math.log10(liquidity + 1) * 2 + Math.log10(volume + 1);
+
+    if (chainIndex !== -1) {
+        score += (RESOLVER_CONFIG.chainPreference.length - chainIndex) * 0.5;
+    }
+    if (query.chainId && pair.chainId === query.chainId) {
+        score += 2;
+    }
+    if (liquidity < RESOLVER_CONFIG.minLiquidity) {
+        score -= 10;
+    }
+    if (query.address && (sameAddress(pair.baseToken?.address, query.address) || sameAddress(pair.pairAddress, query.address))) {
+        score += 100;
+    }
+
+    return score;
+}
+
+/**
+ * Best pair per distinct base token, ranked by score (best first)
+ */
+function rankTokenCandidates(pairs, query) {
+    let pool = pairs.filter(p => p.baseToken && p.pairAddress);
+
+    // Symbol searches also match quote tokens and names - keep exact tickers when there are any
+    if (query.symbol) {
+        const exact = pool.filter(p => p.baseToken.symbol?.toUpperCase() === query.symbol);
+        if (exact.length > 0) pool = exact;
+    }
+
+    const byToken = {};
+    pool.forEach(pair => {
+        const key = `${pair.chainId}:${pair.baseToken.address}`;
+        const score = scorePair(pair, query);
+        if (!byToken[key] || score > byToken[key].score) {
+            byToken[key] = { pair, score };
+        }
+    });
+
+    return Object.values(byToken).sort((a, b) => b.score - a.score);
+}
+
+function isConfidentMatch(candidates, query) {
+    if (candidates.length <= 1) return true;
+
+    const [top, second] = candidates;
+    if (query.address && sameAddress(top.pair.baseToken.address, query.address)) return true;
+
+    const topLiq = top.pair.liquidity?.usd || 0;
+    const secondLiq = second.pair.liquidity?.usd || 0;
+    return topLiq >= RESOLVER_CONFIG.minLiquidity && topLiq >= secondLiq * RESOLVER_CONFIG.confidentRatio;
+}
+
+/**
+ * Pick the pair for a query. Returns null only if the user cancels the picker.
+ */
+async function resolvePair(pairs, query, { interactive = false } = {}) {
+    const candidates = rankTokenCandidates(pairs, query);
+    if (candidates.length === 0) {
+        throw new Error('No matching pairs on DexScreener');
+    }
+
+    if (isConfidentMatch(candidates, query)) {
+        return candidates[0].pair;
+    }
+
+    console.log(`🤔 ${candidates.length} tokens match ${query.symbol || query.address} - ${interactive ? 'asking user' : 'using best ranked'}`);
+
+    if (!interactive) {
+        return candidates[0].pair;
+    }
+
+    return pickTokenCandidate(query, candidates.slice(0, RESOLVER_CONFIG.maxCandidates));
+}
+
+/**
+ * Pair for a lookup nobody can confirm (news mentions, meme list): only an
+ * exact ticker with live liquidity that clearly wins. Null means skip it.
+ */
+function findConfidentPair(pairs, symbol) {
+    const query = { symbol: symbol.toUpperCase() };
+    const candidates = rankTokenCandidates(pairs || [], query)
+        .filter(({ pair }) => pair.baseToken.symbol?.toUpperCase() === query.symbol);
+
+    if (candidates.length === 0 || !isConfidentMatch(candidates, query)) return null;
+
+    const pair = candidates[0].pair;
+    return (pair.liquidity?.usd || 0) >= RESOLVER_CONFIG.minLiquidity ? pair : null;
+}
+
+/**
+ * Fetch one exact pair. Returns null if it doesn't exist (anymore).
+ */
+async function fetchPinnedPair(chainId, pairAddress) {
+    try {
+        const pairs = await fetchPairsBatch(chainId, [pairAddress]);
+        return pairs[0] || null;
+    } catch (error) {
+        console.warn(`⚠️ Pair lookup failed (${chainId}/${pairAddress}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Chain + pair address a token is pinned to (null for legacy tokens)
+ */
+function getTokenPin(token) {
+    const chainId = token.chainId || (token.chain && token.chain !== 'unknown' ? token.chain.toLowerCase() : null);
+    if (!chainId || !token.pairAddress) return null;
+    return { chainId, pairAddress: token.pairAddress };
+}
+
+// --------------------------------------------
+// Disambiguation picker
+// --------------------------------------------
+
+let pickerState = { candidates: [], resolve: null };
+
+function pickTokenCandidate(query, candidates) {
+    const modal = document.getElementById('pickerModal');
+    const list = document.getElementById('pickerList');
+    if (!modal || !list) {
+        return Promise.resolve(candidates[0].pair);
+    }
+
+    // A previous picker still open counts as cancelled
+    if (pickerState.resolve) pickerState.resolve(null);
+
+    document.getElementById('pickerQuery').textContent = query.symbol || query.address;
+
+    list.innerHTML = candidates.map(({ pair }, index) => {
+        const address = pair.baseToken.address || '';
+        return `
+            <div class="picker-item" onclick="chooseTokenCandidate(${index})">
+                <div class="picker-main">
+                    <span class="picker-symbol">${escapeHtml(pair.baseToken.symbol || '')}/${escapeHtml(pair.quoteToken?.symbol || '')}</span>
+                    <span class="picker-name">${escapeHtml(pair.baseToken.name || '')}</span>
+                    <span class="token-chain">${escapeHtml((pair.chainId || '').toUpperCase())}</span>
+                </div>
+                <div class="picker-stats">
+                    <span>liq: $${formatNumber(pair.liquidity?.usd || 0)}</span>
+                    <span>vol: $${formatNumber(pair.volume?.h24 || 0)}</span>
+                    <span>${escapeHtml(pair.dexId || '')}</span>
+                    <span title="${escapeHtml(address)}">${escapeHtml(address.slice(0, 6))}...${escapeHtml(address.slice(-4))}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+        pickerState = { candidates, resolve };
+    });
+}
+
+function chooseTokenCandidate(index) {
+    const { candidates, resolve } = pickerState;
+    pickerState = { candidates: [], resolve: null };
+    document.getElementById('pickerModal').style.display = 'none';
+    if (resolve) resolve(candidates[index] ? candidates[index].pair : null);
+}
+
+function closeTokenPicker() {
+    const { resolve } = pickerState;
+    pickerState = { candidates: [], resolve: null };
+    document.getElementById('pickerModal').style.display = 'none';
+    if (resolve) resolve(null);
+}
+
 // ============================================
 // HELPER: Create token from DexScreener pair
 // ============================================
@@ -695,6 +1110,8 @@ function createTokenFromPair(pair, type = '') {
         liquidity: pair.liquidity?.usd || 0,
         txns: (pair.txns?.h24?.buys || 0) + (pair.txns?.h24?.sells || 0),
         chain: pair.chainId || 'unknown',
+        chainId: pair.chainId || null,
+        tokenAddress: pair.baseToken?.address || null,
         type: type,
         url: pair.url || `https://dexscreener.com/${pair.chainId}/${pair.pairAddress}`,
         pairAddress: pair.pairAddress,
@@ -707,6 +1124,8 @@ function createTokenFromPair(pair, type = '') {
 // ============================================
 
 function saveMarketData(tokens) {
+    recordTokenPrices(tokens);
+
     localStorage.setItem('marketTokens', JSON.stringify(tokens));
     localStorage.setItem('marketLastUpdate', Date.now().toString());
 
@@ -717,12 +1136,65 @@ function saveMarketData(tokens) {
 }
 
 // ============================================
-// RENDERING
+// PRICE HISTORY (PriceStore time-series)
 // ============================================
 
-function showLoading() {
-    document.getElementById('tokenGrid').innerHTML = '<div class="loading-message">Loading tokens from multiple sources...</div>';
-    document.getElementById('trendingList').innerHTML = '<div class="loading-message">Loading trending...</div>';
+// Same source as the DexScreener cards on the main page - a pair's series
+// is shared with its card there
+const PRICE_HISTORY_SOURCE = 'dexscreener';
+// 24h volume and liquidity are tracked as their own series (used by alerts)
+const VOLUME_HISTORY_SOURCE = 'dexscreener_volume';
+const LIQUIDITY_HISTORY_SOURCE = 'dexscreener_liquidity';
+
+/**
+ * Series id of a token: its pinned pair, so two pairs with the same symbol
+ * never share a history (legacy unpinned tokens fall back to the symbol)
+ */
+function getTokenSeriesId(token) {
+    const pin = getTokenPin(token);
+    return pin ? PriceStore.pairId(pin.chainId, pin.pairAddress) : token.symbol;
+}
+
+function recordTokenPrices(tokens) {
+    if (typeof PriceStore === 'undefined') return;
+
+    tokens.forEach(token => {
+        const ts = token.timestamp || Date.now();
+        const id = getTokenSeriesId(token);
+        PriceStore.record(id, PRICE_HISTORY_SOURCE, token.price, ts);
+        PriceStore.record(id, VOLUME_HISTORY_SOURCE, token.volume, ts);
+        PriceStore.record(id, LIQUIDITY_HISTORY_SOURCE, token.liquidity, ts);
+    });
+}
+
+function renderTokenHistory(token) {
+    if (typeof PriceStore === 'undefined') return '';
+
+    const id = getTokenSeriesId(token);
+    const spark = PriceStore.sparkline(id, PRICE_HISTORY_SOURCE, { width: 120, height: 24 });
+    if (!spark) return '';
+
+    const change1h = PriceStore.getChange(id, PRICE_HISTORY_SOURCE, 60 * 60 * 1000);
+    const change4h = PriceStore.getChange(id, PRICE_HISTORY_SOURCE, 4 * 60 * 60 * 1000);
+    const changeClass = (change) => change === null ? '' : (change >= 0 ? 'up' : 'down');
+
+    return `
+                    <div class="token-history">
+                        ${spark}
+                        <div class="token-history-changes">
+                            <span class="${changeClass(change1h)}">1h ${PriceStore.formatChange(change1h)}</span>
+                            <span class="${changeClass(change4h)}">4h ${PriceStore.formatChange(change4h)}</span>
+                        </div>
+                    </div>`;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function showLoading() {
+    document.getElementById('tokenGrid').innerHTML = '<div class="loading-message">Loading tokens from multiple sources...</div>';
+    document.getElementById('trendingList').innerHTML = '<div class="loading-message">Loading trending...</div>';
     document.getElementById('predictionsList').innerHTML = '<div class="loading-message">Loading predictions...</div>';
 }
 
@@ -741,9 +1213,6 @@ function renderTokenGrid() {
         return;
     }
 
-    const now = new Date();
-    const timestamp = now.toLocaleTimeString('en-US', { hour12: false });
-
     grid.innerHTML = STATE.tokens.map(token => {
         const isPositive = token.change24h >= 0;
         const changeStr = (isPositive ? '+' : '') + token.change24h.toFixed(2);
@@ -751,12 +1220,18 @@ function renderTokenGrid() {
         const volStr = formatNumber(token.volume);
         const liqStr = formatNumber(token.liquidity);
         const chainLabel = token.chain ? token.chain.toUpperCase().substring(0, 3) : 'N/A';
+        const age = Date.now() - (token.timestamp || 0);
+        const isStale = age > REFRESH_CONFIG.staleAfter;
+        const fetchedAt = token.timestamp
+            ? new Date(token.timestamp).toLocaleTimeString('en-US', { hour12: false })
+            : '--';
 
         return `
             <div class="token-card ${isPositive ? 'positive' : 'negative'}"
                  data-symbol="${token.symbol}"
                  data-type="${token.type}">
                 <button class="token-remove" onclick="event.stopPropagation(); removeUserToken('${token.symbol}')" title="Remove token">✕</button>
+                <button class="token-alert ${STATE.alertRules.some(r => r.symbol === token.symbol.toUpperCase()) ? 'has-alerts' : ''}" onclick="event.stopPropagation(); openAlertsModal('${token.symbol}')" title="Price alerts">🔔</button>
                 <div onclick="openToken('${token.url}')">
                     <div class="token-name">${escapeHtml(token.symbol)}</div>
                     <div class="token-change">${changeStr}%</div>
@@ -766,8 +1241,9 @@ function renderTokenGrid() {
                         ${token.txns ? `<span>tx: ${token.txns}</span>` : ''}
                     </div>
                     <div class="token-price">$${priceStr}</div>
+                    ${renderTokenHistory(token)}
                     <div class="token-chain">${chainLabel}</div>
-                    <div class="token-snapshot">snapshot: ${timestamp}</div>
+                    <div class="token-snapshot ${isStale ? 'stale' : ''}" title="Last successful price refresh">snapshot: ${fetchedAt}${isStale ? ` (${formatAge(age)} old)` : ''}</div>
                 </div>
             </div>
         `;
@@ -798,30 +1274,66 @@ function renderTrendingList() {
     }).join('');
 }
 
+function renderPredictionTags() {
+    const container = document.getElementById('predictionTags');
+    if (!container) return;
+
+    container.innerHTML = PredictionMarkets.config.categories.map(category => `
+        <button class="prediction-tag ${category.tag === STATE.predictionFilters.tag ? 'active' : ''}"
+                onclick="setPredictionTag('${category.tag}')">${category.label}</button>
+    `).join('');
+}
+
 function renderPredictions() {
     const list = document.getElementById('predictionsList');
-    if (!list || STATE.predictions.length === 0) {
-        list.innerHTML = '<div class="empty-message">No predictions available</div>';
+    if (!list) return;
+
+    const pinned = STATE.pinnedPredictions;
+    const browse = STATE.predictions.filter(pred => !isPredictionPinned(pred));
+    if (pinned.length === 0 && browse.length === 0) {
+        list.innerHTML = `<div class="empty-message">${STATE.predictionFilters.search ? 'No markets match your search' : 'No predictions available'}</div>`;
         return;
     }
 
-    list.innerHTML = STATE.predictions.map(pred => {
-        const liqStr = formatNumber(pred.liquidity);
-        const shortQuestion = pred.question.length > 80
-            ? pred.question.substring(0, 80) + '...'
-            : pred.question;
+    const { search, tag } = STATE.predictionFilters;
+    const category = PredictionMarkets.config.categories.find(c => c.tag === tag);
+    const browseLabel = search ? `RESULTS FOR "${escapeHtml(search.toUpperCase())}"` : `TOP ${escapeHtml((category ? category.label : tag).toUpperCase())}`;
 
-        return `
-            <div class="prediction-card" onclick="openPrediction('${pred.url}')">
-                <div class="prediction-question">${escapeHtml(shortQuestion)}</div>
-                <div class="prediction-odds">
-                    <span class="odds-yes">Yes ${pred.yesOdds}%</span>
-                    <span class="odds-no">No ${pred.noOdds}%</span>
-                </div>
-                <div class="prediction-liquidity">Liquidity: $${liqStr}</div>
+    list.innerHTML = (pinned.length > 0
+        ? `<div class="predictions-section">📌 PINNED (${pinned.length}) · READ ON THE NEWS PAGE</div>` + pinned.map(renderPredictionCard).join('')
+        : '')
+        + (browse.length > 0
+            ? `<div class="predictions-section">${browseLabel}</div>` + browse.map(renderPredictionCard).join('')
+            : '');
+}
+
+function renderPredictionCard(pred) {
+    const liqStr = formatNumber(pred.liquidity);
+    const shortQuestion = pred.title.length > 80
+        ? pred.title.substring(0, 80) + '...'
+        : pred.title;
+
+    const hasChange = pred.change24h !== null && pred.change24h !== undefined;
+    const changeClass = hasChange ? (pred.change24h >= 0 ? 'up' : 'down') : '';
+    const changeLabel = pred.binary ? '24h' : `${escapeHtml((pred.mover || pred.lead).name)} 24h`;
+    const pinned = isPredictionPinned(pred);
+
+    return `
+        <div class="prediction-card ${pred.moved ? 'odds-moved' : ''} status-${pred.status}" onclick="openPrediction('${pred.url}')">
+            <div class="prediction-question">
+                <span>${escapeHtml(shortQuestion)}</span>
+                <button class="prediction-pin ${pinned ? 'pinned' : ''}" title="${pinned ? 'Unpin' : 'Pin to the news feed'}"
+                        onclick="event.stopPropagation(); togglePredictionPin('${pred.id}')">📌</button>
             </div>
-        `;
-    }).join('');
+            ${PredictionMarkets.outcomeBars(pred)}
+            <div class="prediction-history">
+                ${PredictionMarkets.chart(pred.chartId)}
+                <span class="odds-change ${changeClass}">${changeLabel} ${PredictionMarkets.formatChange(pred.change24h)}</span>
+                ${pred.moved ? '<span class="odds-move-badge">BIG MOVE</span>' : ''}
+            </div>
+            <div class="prediction-liquidity">${PredictionMarkets.formatMeta(pred)} · Liq $${liqStr}</div>
+        </div>
+    `;
 }
 
 function renderWatchlist() {
@@ -915,13 +1427,995 @@ function addRemark(text, source = 'BILU') {
 
 // Extract and track mentioned tokens
 function extractAndTrackTokens(text) {
-    const upperText = text.toUpperCase();
+    TickerExtractor.extract(text).forEach(symbol => addToWatchlist(symbol));
+}
+
+// ============================================
+// PRICE ALERTS
+// ============================================
+
+/**
+ * Alert rule:
+ *   { id, symbol, type, value, window, cooldown, hysteresis, armed, lastTriggered, createdAt }
+ *
+ * Each type reads a metric from the token (or its PriceStore history) and fires when
+ * the metric crosses `value` in its direction. After firing, the rule is disarmed
+ * until the metric moves back past the threshold by `hysteresis` percent, and it
+ * never fires again within `cooldown` ms.
+ */
+const ALERT_DEFAULTS = {
+    window: 60 * 60 * 1000,     // % move / volume / liquidity lookback
+    cooldown: 15 * 60 * 1000,
+    hysteresis: 10              // % of the threshold
+};
+
+const ALERT_TYPES = {
+    price_above: {
+        label: 'Price above',
+        unit: '$',
+        direction: 'above',
+        metric: (token) => token.price
+    },
+    price_below: {
+        label: 'Price below',
+        unit: '$',
+        direction: 'below',
+        metric: (token) => token.price
+    },
+    pct_move: {
+        label: '% move over window',
+        unit: '%',
+        direction: 'above',
+        windowed: true,
+        metric: (token, rule) => {
+            const change = getHistoryChange(token, PRICE_HISTORY_SOURCE, rule.window);
+            return change === null ? null : Math.abs(change);
+        }
+    },
+    volume_spike: {
+        label: 'Volume spike (% over window)',
+        unit: '%',
+        direction: 'above',
+        windowed: true,
+        metric: (token, rule) => getHistoryChange(token, VOLUME_HISTORY_SOURCE, rule.window)
+    },
+    liquidity_drop: {
+        label: 'Liquidity drop (% over window)',
+        unit: '%',
+        direction: 'above',
+        windowed: true,
+        metric: (token, rule) => {
+            const change = getHistoryChange(token, LIQUIDITY_HISTORY_SOURCE, rule.window);
+            return change === null ? null : -change;
+        }
+    }
+};
+
+function getHistoryChange(token, source, windowMs) {
+    if (typeof PriceStore === 'undefined') return null;
+    return PriceStore.getChange(getTokenSeriesId(token), source, windowMs);
+}
+
+function saveAlertRules() {
+    localStorage.setItem('tank_alert_rules', JSON.stringify(STATE.alertRules));
+
+    if (typeof FirebaseDB !== 'undefined' && FirebaseDB.isAvailable()) {
+        FirebaseDB.saveAlertRules(STATE.alertRules);
+    }
+}
+
+function addAlertRule({ symbol, type, value, window: windowMs, cooldown, hysteresis }) {
+    if (!ALERT_TYPES[type]) {
+        throw new Error(`Unknown alert type: ${type}`);
+    }
+    if (!symbol || !isFinite(value)) {
+        throw new Error('Alert needs a token and a numeric threshold');
+    }
+
+    // Pinned to the pair tracked right now, so a same-symbol clone added
+    // later can't trigger it
+    const token = STATE.tokens.find(t => t.symbol.toUpperCase() === symbol.toUpperCase());
+    const pin = token ? getTokenPin(token) : null;
+
+    const rule = {
+        id: 'alert_' + Date.now(),
+        symbol: symbol.toUpperCase(),
+        chainId: pin ? pin.chainId : null,
+        pairAddress: pin ? pin.pairAddress : null,
+        type,
+        value: parseFloat(value),
+        window: windowMs || ALERT_DEFAULTS.window,
+        cooldown: cooldown ?? ALERT_DEFAULTS.cooldown,
+        hysteresis: hysteresis ?? ALERT_DEFAULTS.hysteresis,
+        armed: true,
+        lastTriggered: 0,
+        createdAt: Date.now()
+    };
+
+    STATE.alertRules.push(rule);
+    saveAlertRules();
+    renderAlertRules();
+    renderTokenGrid();
+
+    console.log(`🔔 Alert added: ${describeAlertRule(rule)}`);
+    return rule;
+}
+
+function removeAlertRule(id) {
+    STATE.alertRules = STATE.alertRules.filter(r => r.id !== id);
+    saveAlertRules();
+    renderAlertRules();
+    renderTokenGrid();
+}
+
+function describeAlertRule(rule) {
+    const type = ALERT_TYPES[rule.type];
+    const threshold = type.unit === '$' ? `$${formatPrice(rule.value)}` : `${rule.value}%`;
+    const windowText = type.windowed ? ` in ${Math.round(rule.window / 60000)}m` : '';
+    return `${rule.symbol} ${type.label.toLowerCase()} ${threshold}${windowText}`;
+}
+
+/**
+ * Token a rule watches: its pinned pair, or any token with the symbol for
+ * rules created before pairs were pinned
+ */
+function findAlertToken(tokens, rule) {
+    if (rule.chainId && rule.pairAddress) {
+        const key = pairKey(rule.chainId, rule.pairAddress);
+        return tokens.find(t => {
+            const pin = getTokenPin(t);
+            return pin && pairKey(pin.chainId, pin.pairAddress) === key;
+        });
+    }
+    return tokens.find(t => t.symbol.toUpperCase() === rule.symbol);
+}
+
+/**
+ * Evaluate every rule against the current tokens. Called after each price refresh.
+ * Every open market tab does this; state changes are claimed on the shared
+ * rule (see updateAlertRuleState) so only one tab fires each crossing.
+ */
+function checkAlertRules(tokens) {
+    if (STATE.alertRules.length === 0) return;
+
+    const now = Date.now();
+
+    STATE.alertRules.forEach(rule => {
+        const type = ALERT_TYPES[rule.type];
+        const token = findAlertToken(tokens, rule);
+        if (!type || !token) return;
+
+        const metric = type.metric(token, rule);
+        if (metric === null || !isFinite(metric)) return;
+
+        const above = type.direction === 'above';
+        const margin = Math.abs(rule.value) * (rule.hysteresis / 100);
+        const crossed = above ? metric >= rule.value : metric <= rule.value;
+        const cleared = above ? metric < rule.value - margin : metric > rule.value + margin;
+
+        // Disarmed rules wait until the metric moves back out of the hysteresis band
+        if (!rule.armed) {
+            if (cleared) {
+                updateAlertRuleState(rule, { armed: true });
+            }
+            return;
+        }
+
+        if (crossed && now - (rule.lastTriggered || 0) >= rule.cooldown) {
+            fireAlert(rule, token, metric, now);
+        }
+    });
+}
+
+/**
+ * Apply a state change to a rule locally and claim it on the shared rule.
+ * Resolves to false when another tab changed the rule first (its change
+ * then arrives through the rules listener) or when the write failed (the
+ * rule is then put back as it was, to be retried on the next tick).
+ */
+async function updateAlertRuleState(rule, patch, event = null) {
+    const expected = { armed: rule.armed, lastTriggered: rule.lastTriggered || 0 };
+
+    // Optimistic, so the next price tick doesn't claim it again
+    Object.assign(rule, patch);
+    renderAlertRules();
+
+    if (typeof FirebaseDB === 'undefined') return true;
+    const { claimed, error } = await FirebaseDB.updateAlertRule(rule.id, expected, patch, event);
+    if (error) {
+        Object.assign(rule, expected);
+        renderAlertRules();
+    }
+    return claimed;
+}
+
+async function fireAlert(rule, token, metric, now) {
+    const type = ALERT_TYPES[rule.type];
+    const current = type.unit === '$' ? `$${formatPrice(metric)}` : `${metric.toFixed(2)}%`;
+    const message = `${describeAlertRule(rule)} (now ${current})`;
+
+    // The main page listens to these events and announces them
+    const event = {
+        ruleId: rule.id,
+        symbol: rule.symbol,
+        type: rule.type,
+        message,
+        speech: `Price alert. ${rule.symbol} ${type.label.toLowerCase()}, now at ${current}.`,
+        timestamp: now
+    };
+
+    const claimed = await updateAlertRuleState(rule, { armed: false, lastTriggered: now }, event);
+    if (!claimed) {
+        console.log(`🔕 Alert already fired by another tab: ${describeAlertRule(rule)}`);
+        return;
+    }
+
+    console.log(`🚨 ALERT: ${message}`);
+
+    showToast(`🚨 ${message}`, 'alert');
+    addRemark(`ALERT: ${message}`, 'ALERT');
+}
+
+function renderAlertRules() {
+    const list = document.getElementById('alertRulesList');
+    if (!list) return;
+
+    if (STATE.alertRules.length === 0) {
+        list.innerHTML = '<div class="empty-message">No alerts yet</div>';
+        return;
+    }
+
+    list.innerHTML = STATE.alertRules.map(rule => {
+        const status = rule.armed ? 'ARMED' : 'WAITING RESET';
+        const last = rule.lastTriggered
+            ? new Date(rule.lastTriggered).toLocaleTimeString('en-US', { hour12: false })
+            : 'never';
+
+        return `
+            <div class="alert-rule ${rule.armed ? 'armed' : 'disarmed'}">
+                <div class="alert-rule-text">${escapeHtml(describeAlertRule(rule))}</div>
+                <div class="alert-rule-meta">
+                    <span>${status}</span>
+                    <span>last: ${last}</span>
+                    <button class="alert-rule-remove" onclick="removeAlertRule('${rule.id}')" title="Remove alert">✕</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ============================================
+// PORTFOLIO
+// ============================================
+
+/**
+ * Transaction: { id, symbol, side: 'buy'|'sell', quantity, price, fee, date, createdAt }
+ *
+ * Positions use the average cost method: buys add quantity*price + fee to the
+ * cost basis, sells remove avgCost*quantity from it and book
+ * quantity*price - fee - avgCost*quantity as realized PnL.
+ */
+function savePortfolio() {
+    localStorage.setItem('tank_portfolio', JSON.stringify(STATE.transactions));
+
+    if (typeof FirebaseDB !== 'undefined' && FirebaseDB.isAvailable()) {
+        FirebaseDB.savePortfolio(STATE.transactions);
+    }
+}
+
+function sortTransactions(transactions) {
+    return [...transactions].sort((a, b) => a.date - b.date || a.createdAt - b.createdAt);
+}
+
+/**
+ * Positions from the trade history, in date order. A sell of more than was
+ * held at its date (data from before sells were checked by date) isn't
+ * quietly clamped: the position is flagged with the `oversold` quantity and
+ * the ids of those sells in `oversoldTx`.
+ */
+function computePositions(transactions) {
+    const positions = {};
+
+    sortTransactions(transactions).forEach(tx => {
+        const pos = positions[tx.symbol] || (positions[tx.symbol] = {
+            symbol: tx.symbol,
+            quantity: 0,
+            costBasis: 0,
+            realizedPnl: 0,
+            fees: 0,
+            oversold: 0,
+            oversoldTx: []
+        });
+
+        pos.fees += tx.fee;
+
+        if (tx.side === 'buy') {
+            pos.quantity += tx.quantity;
+            pos.costBasis += tx.quantity * tx.price + tx.fee;
+        } else {
+            const avgCost = pos.quantity > 0 ? pos.costBasis / pos.quantity : 0;
+            const sold = Math.min(tx.quantity, pos.quantity);
+            if (tx.quantity > pos.quantity + 1e-12) {
+                pos.oversold += tx.quantity - pos.quantity;
+                pos.oversoldTx.push(tx.id);
+            }
+            pos.realizedPnl += sold * tx.price - tx.fee - avgCost * sold;
+            pos.costBasis -= avgCost * sold;
+            pos.quantity -= sold;
+        }
+    });
+
+    return Object.values(positions);
+}
+
+// Ids of the sells that exceed what was held at their date
+function getOversoldSells(transactions) {
+    return new Set(computePositions(transactions).flatMap(pos => pos.oversoldTx));
+}
+
+/**
+ * Positions valued at the live prices of the token grid
+ */
+function getPortfolioSummary() {
+    const positions = computePositions(STATE.transactions).map(pos => {
+        const token = STATE.tokens.find(t => t.symbol.toUpperCase() === pos.symbol);
+        const livePrice = token ? token.price : null;
+        const avgCost = pos.quantity > 0 ? pos.costBasis / pos.quantity : 0;
+        const marketValue = livePrice !== null ? pos.quantity * livePrice : null;
+        const unrealizedPnl = marketValue !== null ? marketValue - pos.costBasis : null;
+
+        return { ...pos, avgCost, livePrice, marketValue, unrealizedPnl };
+    });
+
+    const totalValue = positions.reduce((sum, p) => sum + (p.marketValue || 0), 0);
+    positions.forEach(p => {
+        p.allocation = totalValue > 0 && p.marketValue !== null ? (p.marketValue / totalValue) * 100 : 0;
+    });
+
+    return {
+        positions: positions.sort((a, b) => (b.marketValue || 0) - (a.marketValue || 0)),
+        totalValue,
+        totalCost: positions.reduce((sum, p) => sum + p.costBasis, 0),
+        realizedPnl: positions.reduce((sum, p) => sum + p.realizedPnl, 0),
+        unrealizedPnl: positions.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0)
+    };
+}
+
+/**
+ * Quantity held, now or as of a date
+ */
+function getHolding(symbol, asOf = Infinity) {
+    const pos = computePositions(STATE.transactions.filter(tx => tx.date <= asOf)).find(p => p.symbol === symbol);
+    return pos ? pos.quantity : 0;
+}
+
+/**
+ * Throw if the trade history would have a sell that the holdings at its date
+ * don't cover, other than the ones already there
+ */
+function assertNoNewOversell(transactions) {
+    const before = getOversoldSells(STATE.transactions);
+    const after = getOversoldSells(transactions);
+    const oversold = sortTransactions(transactions).find(tx => after.has(tx.id) && !before.has(tx.id));
+    if (oversold) {
+        const date = new Date(oversold.date).toLocaleDateString('en-US', { month: 'short', day: '2-digit', year: 'numeric' });
+        throw new Error(`That leaves the sell of ${oversold.quantity} ${oversold.symbol} on ${date} selling more than was held`);
+    }
+}
+
+/**
+ * Validate and record a trade. `save: false` leaves saving and rendering to
+ * the caller (bulk imports do it once)
+ */
+function addTransaction({ symbol, side, quantity, price, fee = 0, date = Date.now() }, { save = true } = {}) {
+    const upperSymbol = (symbol || '').toUpperCase().trim();
+
+    if (!upperSymbol) throw new Error('Please enter a token symbol');
+    if (side !== 'buy' && side !== 'sell') throw new Error(`Unknown side: ${side}`);
+    if (!(quantity > 0)) throw new Error('Quantity must be greater than zero');
+    if (!(price >= 0)) throw new Error('Price must be zero or more');
+    if (!(fee >= 0)) throw new Error('Fee must be zero or more');
+    if (side === 'sell' && quantity > getHolding(upperSymbol, date) + 1e-12) {
+        throw new Error(`Cannot sell ${quantity} ${upperSymbol} - holding ${getHolding(upperSymbol, date)} at that date`);
+    }
+
+    const tx = {
+        id: 'tx_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6),
+        symbol: upperSymbol,
+        side,
+        quantity,
+        price,
+        fee,
+        date,
+        createdAt: Date.now()
+    };
+
+    // A backdated sell also comes before the later sells of the symbol
+    if (side === 'sell') assertNoNewOversell([...STATE.transactions, tx]);
+
+    STATE.transactions.push(tx);
+    if (save) {
+        savePortfolio();
+        renderPortfolio();
+    }
+
+    console.log(`💼 ${side.toUpperCase()} ${quantity} ${upperSymbol} @ $${formatPrice(price)}`);
+    return tx;
+}
+
+function removeTransaction(id) {
+    const remaining = STATE.transactions.filter(tx => tx.id !== id);
+    try {
+        // Removing a buy can leave later sells uncovered
+        assertNoNewOversell(remaining);
+    } catch (error) {
+        showToast(`Cannot remove: ${error.message}`, 'error');
+        return;
+    }
+
+    STATE.transactions = remaining;
+    savePortfolio();
+    renderPortfolio();
+}
+
+function formatPnl(value) {
+    if (value === null) return '--';
+    return `${value >= 0 ? '+' : '-'}$${formatNumber(Math.abs(value))}`;
+}
+
+function renderPortfolio() {
+    const panel = document.getElementById('portfolioPanel');
+    if (!panel) return;
+
+    const summary = getPortfolioSummary();
+    const open = summary.positions.filter(p => p.quantity > 0);
+
+    if (STATE.transactions.length === 0) {
+        panel.innerHTML = '<div class="empty-message">No positions yet</div>';
+    } else {
+        const pnlClass = (v) => v === null ? '' : (v >= 0 ? 'positive' : 'negative');
+
+        panel.innerHTML = `
+            <div class="portfolio-summary">
+                <span>VALUE: $${formatNumber(summary.totalValue)}</span>
+                <span class="${pnlClass(summary.unrealizedPnl)}">UPNL: ${formatPnl(summary.unrealizedPnl)}</span>
+                <span class="${pnlClass(summary.realizedPnl)}">RPNL: ${formatPnl(summary.realizedPnl)}</span>
+            </div>
+            ${open.map(p => `
+                <div class="portfolio-row">
+                    <span class="portfolio-symbol">${escapeHtml(p.symbol)}</span>
+                    <span class="portfolio-qty" title="Average cost $${formatPrice(p.avgCost)}">${formatNumber(p.quantity)} @ $${formatPrice(p.avgCost)}</span>
+                    <span class="portfolio-pnl ${pnlClass(p.unrealizedPnl)}" title="${p.livePrice === null ? 'No live price - add the token to the grid' : `Live $${formatPrice(p.livePrice)}`}">${formatPnl(p.unrealizedPnl)}</span>
+                    <span class="portfolio-alloc">${p.allocation.toFixed(1)}%</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    renderTransactionList();
+}
+
+function renderTransactionList() {
+    const list = document.getElementById('transactionList');
+    if (!list) return;
+
+    if (STATE.transactions.length === 0) {
+        list.innerHTML = '<div class="empty-message">No transactions yet</div>';
+        return;
+    }
+
+    const oversold = getOversoldSells(STATE.transactions);
+    list.innerHTML = [...STATE.transactions]
+        .sort((a, b) => b.date - a.date)
+        .map(tx => `
+            <div class="transaction-item ${tx.side} ${oversold.has(tx.id) ? 'oversold' : ''}" ${oversold.has(tx.id) ? 'title="Sells more than was held at this date"' : ''}>
+                <span>${tx.side.toUpperCase()}${oversold.has(tx.id) ? ' ⚠' : ''}</span>
+                <span>${formatNumber(tx.quantity)} ${escapeHtml(tx.symbol)} @ $${formatPrice(tx.price)}</span>
+                <span>${new Date(tx.date).toLocaleDateString('en-US', { month: 'short', day: '2-digit' })}</span>
+                <button class="alert-rule-remove" onclick="removeTransaction('${tx.id}')" title="Remove transaction">✕</button>
+            </div>
+        `).join('');
+}
+
+// ============================================
+// IMPORT / EXPORT
+// ============================================
+
+/**
+ * Import targets. Each field lists header aliases (lowercase, in priority
+ * order) used to guess the column mapping; the user can fix it in the preview.
+ */
+const IMPORT_TARGETS = {
+    tokens: {
+        label: 'Tokens / DexScreener links',
+        fields: [
+            { key: 'token', label: 'Symbol or link', required: true, aliases: ['url', 'link', 'dexscreener', 'token', 'symbol', 'ticker', 'coin'] }
+        ]
+    },
+    trades: {
+        label: 'Trade history',
+        fields: [
+            { key: 'symbol', label: 'Symbol / pair', required: true, aliases: ['symbol', 'asset', 'coin', 'token', 'pair', 'market', 'ticker'] },
+            { key: 'side', label: 'Side', required: true, aliases: ['side', 'type', 'action', 'direction', 'order type'] },
+            { key: 'quantity', label: 'Quantity', required: true, aliases: ['quantity', 'qty', 'amount', 'size', 'filled', 'executed', 'volume'] },
+            { key: 'price', label: 'Price', required: true, aliases: ['price', 'avg price', 'average price', 'rate', 'execution price'] },
+            { key: 'fee', label: 'Fee', required: false, aliases: ['fee', 'fees', 'commission'] },
+            { key: 'date', label: 'Date', required: false, aliases: ['date', 'date(utc)', 'time', 'timestamp', 'datetime', 'created at'] }
+        ]
+    }
+};
+
+const EXPORT_DATASETS = {
+    tokens: {
+        columns: ['symbol', 'name', 'chain', 'price', 'change24h', 'volume', 'liquidity', 'pairAddress', 'url'],
+        rows: () => STATE.tokens
+    },
+    watchlist: {
+        columns: ['symbol'],
+        rows: () => STATE.watchlist.map(symbol => ({ symbol }))
+    },
+    remarks: {
+        columns: ['text', 'source', 'date'],
+        rows: () => STATE.remarks.map(r => ({ ...r, date: new Date(r.timestamp).toISOString() }))
+    },
+    alerts: {
+        columns: ['symbol', 'type', 'value', 'window', 'cooldown', 'hysteresis', 'armed', 'lastTriggered'],
+        rows: () => STATE.alertRules
+    },
+    portfolio: {
+        columns: ['symbol', 'side', 'quantity', 'price', 'fee', 'date'],
+        rows: () => STATE.transactions.map(tx => ({ ...tx, date: new Date(tx.date).toISOString() }))
+    }
+};
+
+// Parsed file waiting for confirmation in the import modal
+let importState = { kind: 'tokens', columns: [], records: [], mapping: {}, decimalComma: false };
+
+// --------------------------------------------
+// Parsing
+// --------------------------------------------
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, CRLF, `,` `;` or tab delimiters).
+ * Returns { columns, records: [{ line, values }], delimiter } where `line` is
+ * the file line the record starts on.
+ */
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+
+    const nonEmpty = rows.filter(r => r.cells.some(c => c.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { columns: [], records: [], delimiter };
+    }
+
+    const columns = nonEmpty[0].cells.map(c => c.trim());
+    const records = nonEmpty.slice(1).map(r => ({
+        line: r.line,
+        values: Object.fromEntries(columns.map((col, i) => [col, (r.cells[i] || '').trim()]))
+    }));
+
+    return { columns, records, delimiter };
+}
+
+/**
+ * Parse a JSON import: an array of objects or strings, or an object wrapping
+ * one (e.g. a previous export). `line` is the 1-based item number.
+ */
+function parseJsonImport(text) {
+    let data = JSON.parse(text);
+
+    if (!Array.isArray(data)) {
+        data = Object.values(data).find(Array.isArray) || [data];
+    }
+
+    const items = data.map(item => typeof item === 'object' && item !== null ? item : { token: String(item) });
+    const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+    const records = items.map((item, index) => ({
+        line: index + 1,
+        values: Object.fromEntries(columns.map(col => [col, item[col] === undefined || item[col] === null ? '' : String(item[col]).trim()]))
+    }));
+
+    return { columns, records };
+}
+
+function guessImportMapping(columns, kind) {
+    const mapping = {};
+    const lower = columns.map(c => c.toLowerCase());
+
+    IMPORT_TARGETS[kind].fields.forEach(field => {
+        const alias = field.aliases.find(a => lower.includes(a));
+        mapping[field.key] = alias ? columns[lower.indexOf(alias)] : '';
+    });
+
+    // Single-column files without a usable header are just a list of tokens
+    if (kind === 'tokens' && !mapping.token && columns.length === 1) {
+        mapping.token = columns[0];
+    }
+
+    return mapping;
+}
+
+// --------------------------------------------
+// Validation
+// --------------------------------------------
+
+/**
+ * "1,234.5", "1.234,5", "$0.0012", "0.5 BTC". With both separators the last
+ * one is the decimal point; a lone comma is one too unless it groups
+ * thousands ("1,234") - or always in files that use it (`;`-delimited)
+ */
+function parseImportNumber(value, { decimalComma = false } = {}) {
+    let cleaned = String(value).replace(/[$€\s]/g, '').replace(/[A-Za-z]+$/, '');
+
+    if (cleaned.includes(',') && cleaned.includes('.')) {
+        cleaned = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.')
+            ? cleaned.replace(/\./g, '').replace(',', '.')
+            : cleaned.replace(/,/g, '');
+    } else if (cleaned.includes(',')) {
+        const thousands = /^-?\d{1,3}(,\d{3})+$/.test(cleaned);
+        cleaned = !decimalComma && thousands ? cleaned.replace(/,/g, '') : cleaned.replace(',', '.');
+    }
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function parseImportDate(value) {
+    if (!value) return Date.now();
+
+    // 20240105 - a compact date, not epoch seconds
+    const compact = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact && compact[2] >= 1 && compact[2] <= 12 && compact[3] >= 1 && compact[3] <= 31) {
+        return Date.parse(`${compact[1]}-${compact[2]}-${compact[3]}`);
+    }
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const num = Number(value);
+        return num < 1e12 ? num * 1000 : num; // seconds or milliseconds
+    }
+    return Date.parse(value);
+}
+
+// BTCUSDT, BTC-USD, BTC/USDT -> BTC
+function normalizeTradeSymbol(value) {
+    const base = value.toUpperCase().split(/[-/_: ]/)[0];
+    return base.length > 4 ? base.replace(/(USDT|USDC|BUSD|USD|EUR)$/, '') || base : base;
+}
+
+function normalizeTradeSide(value) {
+    const side = value.toLowerCase();
+    if (['buy', 'b', 'bought', 'long'].includes(side)) return 'buy';
+    if (['sell', 's', 'sold', 'short'].includes(side)) return 'sell';
+    return null;
+}
+
+/**
+ * Map one record through the column mapping and validate it.
+ * Returns { line, data, errors }.
+ */
+function validateImportRecord(record, kind, mapping, { decimalComma = false } = {}) {
+    const errors = [];
+    const get = (key) => mapping[key] ? (record.values[mapping[key]] || '') : '';
+
+    IMPORT_TARGETS[kind].fields
+        .filter(field => field.required && !get(field.key))
+        .forEach(field => errors.push(`missing ${field.label.toLowerCase()}`));
+
+    if (errors.length > 0) {
+        return { line: record.line, data: null, errors };
+    }
+
+    if (kind === 'tokens') {
+        const token = get('token');
+        const isLink = /^https?:\/\//i.test(token);
+
+        if (isLink && !/dexscreener\.com|coinbase\.com\/price\/|binance\.com/.test(token)) {
+            errors.push('unsupported link (use DexScreener, Coinbase or Binance)');
+        } else if (!isLink && !/^\$?[A-Za-z0-9._-]{1,20}$/.test(token)) {
+            errors.push(`"${token}" is not a valid symbol`);
+        } else if (!isLink && STATE.tokens.some(t => t.symbol.toUpperCase() === token.replace('$', '').toUpperCase())) {
+            errors.push(`${token.toUpperCase()} is already added`);
+        }
+
+        return { line: record.line, data: { token: isLink ? token : token.replace('$', '') }, errors };
+    }
+
+    const side = normalizeTradeSide(get('side'));
+    const quantity = Math.abs(parseImportNumber(get('quantity'), { decimalComma }));
+    const price = parseImportNumber(get('price'), { decimalComma });
+    const fee = get('fee') ? Math.abs(parseImportNumber(get('fee'), { decimalComma })) : 0;
+    const date = parseImportDate(get('date'));
+
+    if (!side) errors.push(`unknown side "${get('side')}"`);
+    if (!(quantity > 0)) errors.push(`invalid quantity "${get('quantity')}"`);
+    if (!(price >= 0)) errors.push(`invalid price "${get('price')}"`);
+    if (!(fee >= 0)) errors.push(`invalid fee "${get('fee')}"`);
+    if (isNaN(date)) errors.push(`invalid date "${get('date')}"`);
+
+    return {
+        line: record.line,
+        data: { symbol: normalizeTradeSymbol(get('symbol')), side, quantity, price, fee, date },
+        errors
+    };
+}
+
+function validateImport() {
+    return importState.records.map(record => validateImportRecord(record, importState.kind, importState.mapping, {
+        decimalComma: importState.decimalComma
+    }));
+}
+
+// --------------------------------------------
+// Apply
+// --------------------------------------------
+
+async function importTokens(rows) {
+    const errors = [];
+    let added = 0;
+
+    for (const row of rows) {
+        try {
+            const token = await fetchTokenFromInput(row.data.token);
+            if (addTokenToGrid(token, { save: false })) {
+                added++;
+            } else {
+                errors.push({ line: row.line, message: `${token.symbol} is already added` });
+            }
+        } catch (error) {
+            errors.push({ line: row.line, message: error.message });
+        }
+
+        // Small delay to avoid rate limiting
+        await new Promise(r => setTimeout(r, 100));
+    }
 
-    KNOWN_COINS.forEach(token => {
-        if (upperText.includes(token)) {
-            addToWatchlist(token);
+    if (added > 0) {
+        saveMarketData(STATE.tokens);
+        renderTokenGrid();
+        renderTrendingList();
+        updateTokenCount();
+        renderPortfolio();
+    }
+
+    return { added, errors };
+}
+
+function importTrades(rows) {
+    const errors = [];
+    let added = 0;
+
+    // Oldest first so sells find their buys
+    [...rows].sort((a, b) => a.data.date - b.data.date).forEach(row => {
+        try {
+            addTransaction(row.data, { save: false });
+            added++;
+        } catch (error) {
+            errors.push({ line: row.line, message: error.message });
         }
     });
+
+    if (added > 0) {
+        savePortfolio();
+        renderPortfolio();
+    }
+
+    return { added, errors };
+}
+
+// --------------------------------------------
+// Export
+// --------------------------------------------
+
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        const str = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    return [columns.join(','), ...rows.map(row => columns.map(col => escape(row[col])).join(','))].join('\n');
+}
+
+function exportData(dataset, format = 'csv') {
+    const config = EXPORT_DATASETS[dataset];
+    if (!config) {
+        throw new Error(`Unknown export: ${dataset}`);
+    }
+
+    const rows = config.rows();
+    const content = format === 'json'
+        ? JSON.stringify(rows.map(row => Object.fromEntries(config.columns.map(col => [col, row[col] ?? null]))), null, 2)
+        : toCsv(rows, config.columns);
+
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bilu-${dataset}-${new Date().toISOString().split('T')[0]}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    console.log(`📤 Exported ${rows.length} ${dataset} rows as ${format.toUpperCase()}`);
+}
+
+// --------------------------------------------
+// Import modal rendering
+// --------------------------------------------
+
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    if (!container) return;
+
+    if (importState.columns.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = IMPORT_TARGETS[importState.kind].fields.map(field => `
+        <div>
+            <label>${escapeHtml(field.label.toUpperCase())}${field.required ? ' *' : ''}</label>
+            <select onchange="setImportMapping('${field.key}', this.value)">
+                <option value="">--</option>
+                ${importState.columns.map(col => `
+                    <option value="${escapeHtml(col)}" ${importState.mapping[field.key] === col ? 'selected' : ''}>${escapeHtml(col)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+function renderImportPreview() {
+    const preview = document.getElementById('importPreview');
+    const errorList = document.getElementById('importErrors');
+    const confirmBtn = document.getElementById('importConfirm');
+    if (!preview || !errorList) return;
+
+    if (importState.records.length === 0) {
+        preview.innerHTML = '';
+        errorList.innerHTML = '';
+        if (confirmBtn) confirmBtn.disabled = true;
+        return;
+    }
+
+    const results = validateImport();
+    const valid = results.filter(r => r.errors.length === 0);
+    const invalid = results.filter(r => r.errors.length > 0);
+    const fields = IMPORT_TARGETS[importState.kind].fields;
+
+    preview.innerHTML = `
+        <div class="import-summary">${importState.records.length} rows - ${valid.length} valid, ${invalid.length} with errors</div>
+        <table class="import-table">
+            <tr><th>LINE</th>${fields.map(f => `<th>${escapeHtml(f.label.toUpperCase())}</th>`).join('')}</tr>
+            ${results.slice(0, 5).map(r => `
+                <tr class="${r.errors.length ? 'invalid' : ''}">
+                    <td>${r.line}</td>
+                    ${fields.map(f => `<td>${escapeHtml(r.data && r.data[f.key] !== undefined && r.data[f.key] !== null ? String(r.data[f.key]) : '')}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </table>
+    `;
+
+    errorList.innerHTML = invalid.map(r => `
+        <div class="import-error">Line ${r.line}: ${escapeHtml(r.errors.join(', '))}</div>
+    `).join('');
+
+    if (confirmBtn) confirmBtn.disabled = valid.length === 0;
+}
+
+function setImportMapping(fieldKey, column) {
+    importState.mapping[fieldKey] = column;
+    renderImportPreview();
+}
+
+function setImportKind(kind) {
+    importState.kind = kind;
+    importState.mapping = guessImportMapping(importState.columns, kind);
+    renderImportMapping();
+    renderImportPreview();
+}
+
+function handleImportFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = String(reader.result).replace(/^\uFEFF/, ''); // Strip BOM
+        const isJson = file.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+
+        try {
+            const parsed = isJson ? parseJsonImport(text) : parseCsv(text);
+            importState = {
+                kind: document.getElementById('importKind').value,
+                columns: parsed.columns,
+                records: parsed.records,
+                mapping: {},
+                // `;`-delimited files come from locales that write 1,5
+                decimalComma: parsed.delimiter === ';'
+            };
+            importState.mapping = guessImportMapping(parsed.columns, importState.kind);
+            console.log(`📥 Parsed ${parsed.records.length} rows from ${file.name}`);
+        } catch (error) {
+            importState = { kind: importState.kind, columns: [], records: [], mapping: {}, decimalComma: false };
+            document.getElementById('importErrors').innerHTML =
+                `<div class="import-error">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+        }
+
+        renderImportMapping();
+        renderImportPreview();
+    };
+    reader.readAsText(file);
+}
+
+async function handleConfirmImport() {
+    const valid = validateImport().filter(r => r.errors.length === 0);
+    if (valid.length === 0) return;
+
+    const confirmBtn = document.getElementById('importConfirm');
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    const result = importState.kind === 'tokens'
+        ? await importTokens(valid)
+        : importTrades(valid);
+
+    console.log(`📥 Imported ${result.added}/${valid.length} rows`);
+    showToast(`📥 Imported ${result.added} of ${valid.length} rows`, result.errors.length ? 'error' : 'success');
+
+    // Keep the modal open with the rows that failed while importing
+    document.getElementById('importPreview').innerHTML =
+        `<div class="import-summary">Imported ${result.added} of ${valid.length} valid rows</div>`;
+    document.getElementById('importErrors').innerHTML = result.errors.map(e => `
+        <div class="import-error">Line ${e.line}: ${escapeHtml(e.message)}</div>
+    `).join('');
+
+    importState.records = [];
+    document.getElementById('importFile').value = '';
 }
 
 // ============================================
@@ -934,6 +2428,34 @@ function openToken(url) {
     }
 }
 
+/**
+ * market.html?symbol=BTC (links from news cards) - scroll to that token,
+ * or offer to add it when it isn't tracked yet
+ */
+function focusRequestedSymbol(retry = true) {
+    const symbol = (new URLSearchParams(window.location.search).get('symbol') || '').toUpperCase();
+    if (!symbol) return;
+
+    const card = document.querySelector(`.token-card[data-symbol="${CSS.escape(symbol)}" i]`);
+    if (card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('token-focus');
+        setTimeout(() => card.classList.remove('token-focus'), 4000);
+        return;
+    }
+
+    // Tracked tokens arrive through the Firebase listener - give it a moment
+    if (retry) {
+        setTimeout(() => focusRequestedSymbol(false), 2000);
+        return;
+    }
+
+    openAddTokenModal();
+    const input = document.getElementById('tokenSymbolInput');
+    if (input) input.value = symbol;
+    showToast(`${symbol} is not on the terminal yet - add it?`, 'info');
+}
+
 function openPrediction(url) {
     if (url) {
         window.open(url, '_blank');
@@ -1002,6 +2524,13 @@ function formatNumber(num) {
     return num.toFixed(2);
 }
 
+function formatAge(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    return `${Math.floor(seconds / 3600)}h`;
+}
+
 function formatPrice(price) {
     if (!price || isNaN(price)) return '0';
     if (price < 0.00001) return price.toFixed(10);
@@ -1016,6 +2545,17 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+function showToast(msg, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = msg;
+    document.body.appendChild(toast);
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 200);
+    }, 4000);
+}
+
 // ============================================
 // MODAL FUNCTIONS
 // ============================================
@@ -1048,6 +2588,143 @@ function handleAddToken() {
     }
 }
 
+function openAlertsModal(symbol = '') {
+    const modal = document.getElementById('alertsModal');
+    const select = document.getElementById('alertSymbol');
+    if (!modal || !select) return;
+
+    select.innerHTML = STATE.tokens.map(t => `
+        <option value="${escapeHtml(t.symbol)}">${escapeHtml(t.symbol)} ($${formatPrice(t.price)})</option>
+    `).join('');
+    if (symbol) select.value = symbol;
+
+    updateAlertForm();
+    renderAlertRules();
+    modal.style.display = 'flex';
+}
+
+function closeAlertsModal() {
+    const modal = document.getElementById('alertsModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+// Window field only applies to windowed alert types
+function updateAlertForm() {
+    const type = ALERT_TYPES[document.getElementById('alertType').value];
+    const windowField = document.getElementById('alertWindowField');
+    if (windowField) {
+        windowField.style.display = type.windowed ? '' : 'none';
+    }
+}
+
+function handleAddAlert() {
+    const symbol = document.getElementById('alertSymbol').value;
+    const type = document.getElementById('alertType').value;
+    const value = parseFloat(document.getElementById('alertValue').value);
+    const windowMin = parseFloat(document.getElementById('alertWindow').value);
+    const cooldownMin = parseFloat(document.getElementById('alertCooldown').value);
+    const hysteresis = parseFloat(document.getElementById('alertHysteresis').value);
+
+    if (!symbol) {
+        alert('Add a token first');
+        return;
+    }
+    if (isNaN(value)) {
+        alert('Please enter a threshold');
+        return;
+    }
+
+    addAlertRule({
+        symbol,
+        type,
+        value,
+        window: isNaN(windowMin) ? undefined : windowMin * 60 * 1000,
+        cooldown: isNaN(cooldownMin) ? undefined : cooldownMin * 60 * 1000,
+        hysteresis: isNaN(hysteresis) ? undefined : hysteresis
+    });
+
+    document.getElementById('alertValue').value = '';
+    showToast(`🔔 Alert added for ${symbol}`, 'success');
+}
+
+function openPortfolioModal() {
+    const modal = document.getElementById('portfolioModal');
+    if (!modal) return;
+
+    const datalist = document.getElementById('portfolioSymbols');
+    if (datalist) {
+        datalist.innerHTML = STATE.tokens.map(t => `<option value="${escapeHtml(t.symbol)}">`).join('');
+    }
+
+    // Default date: now, in the local timezone format datetime-local expects
+    const now = new Date();
+    now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+    document.getElementById('txDate').value = now.toISOString().slice(0, 16);
+
+    renderTransactionList();
+    modal.style.display = 'flex';
+}
+
+function closePortfolioModal() {
+    const modal = document.getElementById('portfolioModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+// Prefill the live price when a known token is typed
+function prefillTransactionPrice() {
+    const symbol = document.getElementById('txSymbol').value.toUpperCase().trim();
+    const token = STATE.tokens.find(t => t.symbol.toUpperCase() === symbol);
+    const priceInput = document.getElementById('txPrice');
+    if (token && priceInput && !priceInput.value) {
+        priceInput.value = token.price;
+    }
+}
+
+function handleAddTransaction() {
+    const dateValue = document.getElementById('txDate').value;
+
+    try {
+        const tx = addTransaction({
+            symbol: document.getElementById('txSymbol').value,
+            side: document.getElementById('txSide').value,
+            quantity: parseFloat(document.getElementById('txQuantity').value),
+            price: parseFloat(document.getElementById('txPrice').value),
+            fee: parseFloat(document.getElementById('txFee').value || '0'),
+            date: dateValue ? new Date(dateValue).getTime() : Date.now()
+        });
+
+        ['txSymbol', 'txQuantity', 'txPrice', 'txFee'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        showToast(`💼 ${tx.side.toUpperCase()} ${tx.symbol} recorded`, 'success');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function openDataModal() {
+    const modal = document.getElementById('dataModal');
+    if (modal) {
+        modal.style.display = 'flex';
+    }
+}
+
+function closeDataModal() {
+    const modal = document.getElementById('dataModal');
+    if (modal) {
+        modal.style.display = 'none';
+    }
+}
+
+function handleExport(dataset) {
+    const format = document.getElementById('exportFormat').value;
+    exportData(dataset, format);
+}
+
 // Handle Enter key in modal
 document.addEventListener('DOMContentLoaded', () => {
     const input = document.getElementById('tokenSymbolInput');
@@ -1068,6 +2745,42 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
     }
+
+    const portfolioModal = document.getElementById('portfolioModal');
+    if (portfolioModal) {
+        portfolioModal.addEventListener('click', (e) => {
+            if (e.target === portfolioModal) {
+                closePortfolioModal();
+            }
+        });
+    }
+
+    const dataModal = document.getElementById('dataModal');
+    if (dataModal) {
+        dataModal.addEventListener('click', (e) => {
+            if (e.target === dataModal) {
+                closeDataModal();
+            }
+        });
+    }
+
+    const pickerModal = document.getElementById('pickerModal');
+    if (pickerModal) {
+        pickerModal.addEventListener('click', (e) => {
+            if (e.target === pickerModal) {
+                closeTokenPicker();
+            }
+        });
+    }
+
+    const alertsModal = document.getElementById('alertsModal');
+    if (alertsModal) {
+        alertsModal.addEventListener('click', (e) => {
+            if (e.target === alertsModal) {
+                closeAlertsModal();
+            }
+        });
+    }
 }, { once: false });
 
 // ============================================
@@ -1086,3 +2799,27 @@ window.removeUserToken = removeUserToken;
 window.openAddTokenModal = openAddTokenModal;
 window.closeAddTokenModal = closeAddTokenModal;
 window.handleAddToken = handleAddToken;
+window.openAlertsModal = openAlertsModal;
+window.closeAlertsModal = closeAlertsModal;
+window.updateAlertForm = updateAlertForm;
+window.handleAddAlert = handleAddAlert;
+window.addAlertRule = addAlertRule;
+window.removeAlertRule = removeAlertRule;
+window.checkAlertRules = () => checkAlertRules(STATE.tokens);
+window.openPortfolioModal = openPortfolioModal;
+window.closePortfolioModal = closePortfolioModal;
+window.prefillTransactionPrice = prefillTransactionPrice;
+window.handleAddTransaction = handleAddTransaction;
+window.addTransaction = addTransaction;
+window.removeTransaction = removeTransaction;
+window.getPortfolioSummary = getPortfolioSummary;
+window.openDataModal = openDataModal;
+window.closeDataModal = closeDataModal;
+window.handleExport = handleExport;
+window.handleImportFile = handleImportFile;
+window.handleConfirmImport = handleConfirmImport;
+window.setImportKind = setImportKind;
+window.setImportMapping = setImportMapping;
+window.exportData = exportData;
+window.chooseTokenCandidate = chooseTokenCandidate;
+window.closeTokenPicker = closeTokenPicker;
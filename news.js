@@ -14,7 +14,11 @@ const STATE = {
     lastUpdate: null,
     isLoading: false,
     firebaseInitialized: false,
-    hasLoadedOnce: false
+    hasLoadedOnce: false,
+    renderedNews: [],       // Articles in on-screen order (reader view looks them up by index)
+    readerItem: null,
+    readingAloud: false,
+    voiceProfile: TTS.defaultProfile()
 };
 
 // 24 hours in milliseconds
@@ -120,6 +124,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize Firebase listeners FIRST (highest priority)
     initFirebaseListeners();
+    initFeedManager();
+    initReaderView();
+
+    // Ticker links need the asset dictionary
+    TickerExtractor.ready.then(() => {
+        if (STATE.hasLoadedOnce) renderNews();
+    });
 
     // Setup UI elements
     updateDate();
@@ -174,7 +185,7 @@ function initFirebaseListeners() {
         if (items && items.length > 0) {
             // Mark that we've received data from Firebase
             STATE.hasLoadedOnce = true;
-            STATE.combinedNews = items;
+            STATE.combinedNews = removeDuplicateNews(items);
 
             // Also save to localStorage for offline access
             localStorage.setItem('allNews', JSON.stringify(items));
@@ -250,15 +261,10 @@ function sortByRecent(news) {
     });
 }
 
-// Remove duplicate news by title
+// Group near-duplicate articles (same story from several outlets) into one
+// story item carrying every outlet in `sources` (see stories.js)
 function removeDuplicateNews(news) {
-    const seen = new Set();
-    return news.filter(item => {
-        const key = item.title;
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
+    return StoryClusters.merge(news);
 }
 
 // ============================================
@@ -394,48 +400,28 @@ function combineAndRenderNews(storedNews) {
 async function fetchNews() {
     try {
         console.log('📰 Fetching news from RSS...');
-        const RSS_URL = 'https://cointelegraph.com/rss';
-        const PROXY = 'https://api.allorigins.win/raw?url=';
-
-        const response = await fetch(PROXY + encodeURIComponent(RSS_URL));
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const text = await response.text();
-        const parser = new DOMParser();
-        const xml = parser.parseFromString(text, 'text/xml');
-        const items = xml.querySelectorAll('item');
-
-        STATE.news = [];
-        items.forEach((item, i) => {
-            if (i < 15) {
-                const title = item.querySelector('title')?.textContent || '';
-                const description = item.querySelector('description')?.textContent || '';
-                const link = item.querySelector('link')?.textContent || '';
-                const pubDate = item.querySelector('pubDate')?.textContent || '';
-
-                // Clean description
-                const cleanDesc = description.replace(/<[^>]*>/g, '').substring(0, 200);
-
-                // Try to extract image from description
-                const imgMatch = description.match(/<img[^>]+src="([^">]+)"/);
-                const image = imgMatch ? imgMatch[1] : null;
-
-                // Parse pubDate to get proper timestamp
-                const newsTimestamp = pubDate ? new Date(pubDate).getTime() : Date.now();
-
-                STATE.news.push({
-                    title,
-                    description: cleanDesc,
-                    url: link,
-                    date: pubDate ? formatNewsDate(pubDate) : 'Today',
-                    source: 'COINTELEGRAPH',
-                    image,
-                    timestamp: newsTimestamp,
-                    type: 'NEWS',
-                    category: 'news'
-                });
-            }
-        });
+        await NewsFeeds.ready;
+
+        const results = await Promise.all(NewsFeeds.getActiveFeeds().map(feed =>
+            NewsFeeds.fetchManaged(feed).catch(error => {
+                console.error(`❌ ${feed.label} fetch error:`, error.message);
+                return [];
+            })
+        ));
+
+        STATE.news = results.flat().map(article => ({
+            title: article.title,
+            description: article.summary.substring(0, 200),
+            url: article.url,
+            date: article.published ? formatNewsDate(article.published) : 'Today',
+            source: article.source,
+            feedId: article.feedId,
+            feedCategory: article.category,
+            image: article.image,
+            timestamp: article.timestamp || Date.now(),
+            type: 'NEWS',
+            category: 'news'
+        }));
 
         console.log(`✅ Fetched ${STATE.news.length} news articles from RSS`);
 
@@ -459,7 +445,7 @@ async function fetchNews() {
 async function fetchMarketData() {
     try {
         console.log('📊 Fetching market data...');
-        const response = await fetch('https://api.coincap.io/v2/assets?limit=8');
+        const response = await HttpClient.fetch('https://api.coincap.io/v2/assets?limit=8');
 
         if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
@@ -480,31 +466,10 @@ async function fetchMarketData() {
 async function fetchPredictions() {
     try {
         console.log('🔮 Fetching predictions...');
-        const response = await fetch('https://gamma-api.polymarket.com/markets?closed=false&limit=5');
+        const markets = await PredictionMarkets.track(await PredictionMarkets.fetch({ limit: 5 }));
 
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const data = await response.json();
-
-        STATE.predictions = data.map(market => {
-            let yesOdds = 50;
-            let noOdds = 50;
-
-            if (market.outcomePrices) {
-                try {
-                    const outcomes = JSON.parse(market.outcomePrices);
-                    yesOdds = Math.round(parseFloat(outcomes[0]) * 100);
-                    noOdds = Math.round(parseFloat(outcomes[1]) * 100);
-                } catch (e) {}
-            }
-
-            return {
-                question: market.question || 'Unknown',
-                yesOdds,
-                noOdds,
-                url: `https://polymarket.com/event/${market.slug || ''}`
-            };
-        });
+        // One prediction per event (multi-candidate questions are grouped)
+        STATE.predictions = PredictionMarkets.group(markets);
 
         console.log(`✅ Loaded ${STATE.predictions.length} predictions`);
         renderPredictions();
@@ -554,13 +519,8 @@ function renderNews() {
             return false;
         }
 
-        // Include only news sources
-        const newsSources = ['COINTELEGRAPH', 'BITCOIN MAG', 'RSS', 'NEWS', 'CRYPTOPANIC'];
-        const isNewsSource = newsSources.includes(item.source) ||
-                             item.category === 'news' ||
-                             item.type === 'NEWS';
-
-        return isNewsSource;
+        // Include only news sources (driven by the managed feed list)
+        return NewsFeeds.isNewsSource(item);
     });
 
     console.log(`📰 Filtered: ${newsOnly.length} real news articles (from ${allNews.length} total items)`);
@@ -575,6 +535,7 @@ function renderNews() {
 
     // Sort by timestamp (newest first)
     const sortedNews = sortByRecent([...newsOnly]);
+    STATE.renderedNews = sortedNews;
 
     // Render ALL news with visual hierarchy based on position
     let html = '';
@@ -622,7 +583,8 @@ function renderNews() {
             showExcerpt = false;
         }
 
-        const description = article.description || '';
+        // The LLM summary (enrichment.js) replaces the feed's own excerpt
+        const description = article.enrichment ? article.enrichment.summary : (article.description || '');
         const excerpt = showExcerpt && description
             ? (description.length > excerptLength ? description.substring(0, excerptLength) + '...' : description)
             : '';
@@ -638,15 +600,22 @@ function renderNews() {
                     </h2>
                     <div class="article-meta">
                         <span class="article-source">${article.source}</span>
+                        ${article.section ? `<span class="meta-separator">•</span><span class="article-section">${escapeHtml(article.section)}</span>` : ''}
+                        ${article.sources.length > 1 ? `<span class="article-sources" title="${escapeAttr(article.sources.map(s => s.source).join(', '))}">+${article.sources.length - 1} sources</span>` : ''}
                         <span class="meta-separator">•</span>
                         <span class="article-date">${article.date}${ageDisplay}</span>
                         ${archivedLabel}
+                        ${renderSentimentPill(article.enrichment)}
                     </div>
                     ${showExcerpt && excerpt ? `
-                        <p class="article-excerpt">${escapeHtml(excerpt)}</p>
+                        <p class="article-excerpt ${article.enrichment ? 'article-summary' : ''}">${escapeHtml(excerpt)}</p>
                     ` : ''}
+                    ${renderTickerLinks(item)}
                     ${article.url && index < 10 ? `
-                        <a href="${article.url}" target="_blank" class="article-read-more">Continue Reading →</a>
+                        <div class="article-actions">
+                            <button class="article-reader-btn" data-reader-index="${index}">Read Full Story</button>
+                            <a href="${article.url}" target="_blank" class="article-read-more">Continue Reading →</a>
+                        </div>
                     ` : ''}
                 </div>
                 <div class="article-divider"></div>
@@ -667,10 +636,37 @@ function normalizeArticle(item) {
         url: item.url || '',
         date: item.date || formatTimestamp(item.timestamp),
         source: item.source || 'UNKNOWN',
-        image: item.image || null
+        section: item.feedCategory && item.feedCategory !== 'news' ? item.feedCategory.toUpperCase() : null,
+        image: item.image || null,
+        sources: item.sources || [],
+        enrichment: item.enrichment || null
     };
 }
 
+// Bullish/bearish/neutral pill with the score and tickers in the tooltip
+function renderSentimentPill(enrichment) {
+    if (!enrichment || !enrichment.sentiment) return '';
+
+    const score = typeof enrichment.score === 'number'
+        ? ` (${enrichment.score > 0 ? '+' : ''}${enrichment.score.toFixed(2)})`
+        : '';
+    const tickers = enrichment.tickers && enrichment.tickers.length > 0
+        ? ` • ${enrichment.tickers.join(', ')}`
+        : '';
+
+    return `<span class="sentiment-pill sentiment-${escapeAttr(enrichment.sentiment)}" title="${escapeAttr(`Sentiment${score}${tickers}`)}">${escapeHtml(enrichment.sentiment.toUpperCase())}</span>`;
+}
+
+// Links to the market terminal for every asset the article mentions
+function renderTickerLinks(item) {
+    const symbols = TickerExtractor.forItem(item).slice(0, 6);
+    if (symbols.length === 0) return '';
+
+    return `<div class="article-tickers">${symbols.map(symbol => `
+        <a class="ticker-link" href="${TickerExtractor.marketUrl(symbol)}" title="Open ${escapeAttr(symbol)} on the market terminal">$${escapeHtml(symbol)}</a>
+    `).join('')}</div>`;
+}
+
 // Format timestamp to readable date
 function formatTimestamp(timestamp) {
     if (!timestamp) return 'Today';
@@ -745,18 +741,23 @@ function renderPredictions() {
     }
 
     container.innerHTML = STATE.predictions.map(pred => {
-        const shortQuestion = pred.question.length > 60
-            ? pred.question.substring(0, 60) + '...'
-            : pred.question;
+        const shortQuestion = pred.title.length > 60
+            ? pred.title.substring(0, 60) + '...'
+            : pred.title;
+
+        const hasChange = pred.change24h !== null && pred.change24h !== undefined;
+        const changeName = pred.binary ? '' : `${escapeHtml((pred.mover || pred.lead).name)} `;
 
         return `
-            <div class="prediction-item">
+            <div class="prediction-item ${pred.moved ? 'odds-moved' : ''}">
                 <a href="${pred.url}" target="_blank" style="text-decoration: none; color: inherit;">
                     <div class="prediction-question">${escapeHtml(shortQuestion)}</div>
-                    <div class="prediction-odds">
-                        <span class="odds-yes">YES ${pred.yesOdds}%</span>
-                        <span class="odds-no">NO ${pred.noOdds}%</span>
+                    ${PredictionMarkets.outcomeBars(pred, { limit: 3 })}
+                    <div class="prediction-history">
+                        ${PredictionMarkets.chart(pred.chartId, { width: 60, height: 16 })}
+                        <span class="odds-change ${hasChange ? (pred.change24h >= 0 ? 'up' : 'down') : ''}">${hasChange ? `${changeName}${PredictionMarkets.formatChange(pred.change24h)} today` : ''}</span>
                     </div>
+                    <div class="prediction-meta">${PredictionMarkets.formatMeta(pred)}</div>
                 </a>
             </div>
         `;
@@ -814,6 +815,11 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// escapeHtml leaves quotes alone - use this inside attribute values
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 function updateLastUpdated() {
     STATE.lastUpdate = new Date();
     const el = document.getElementById('lastUpdated');
@@ -866,6 +872,242 @@ function initRefreshButton() {
     }
 }
 
+// ============================================
+// FEED MANAGER
+// ============================================
+
+function initFeedManager() {
+    NewsFeeds.init();
+
+    NewsFeeds.onChange(() => {
+        renderFeedManager();
+        // Removed feeds disappear right away
+        if (STATE.hasLoadedOnce) renderNews();
+    });
+
+    document.getElementById('openFeedManager')?.addEventListener('click', openFeedManager);
+    document.getElementById('feedForm')?.addEventListener('submit', handleAddFeed);
+
+    const manager = document.getElementById('feedManager');
+    manager?.addEventListener('click', (e) => {
+        if (e.target === manager) closeFeedManager();
+    });
+
+    const list = document.getElementById('feedList');
+    list?.addEventListener('click', handleFeedListClick);
+    list?.addEventListener('change', handleFeedListChange);
+}
+
+function openFeedManager() {
+    renderFeedManager();
+    document.getElementById('feedManager').classList.add('open');
+}
+
+function closeFeedManager() {
+    document.getElementById('feedManager').classList.remove('open');
+    setFeedFormError('');
+}
+
+function setFeedFormError(message) {
+    const el = document.getElementById('feedFormError');
+    if (el) el.textContent = message;
+}
+
+function renderFeedManager() {
+    const list = document.getElementById('feedList');
+    if (!list) return;
+
+    const feeds = NewsFeeds.getFeeds();
+
+    list.innerHTML = feeds.length === 0
+        ? '<div class="feed-empty">No feeds configured. Add one below.</div>'
+        : feeds.map(feed => `
+            <div class="feed-row ${feed.paused ? 'paused' : ''}" data-id="${feed.id}">
+                <div class="feed-row-info">
+                    <span class="feed-row-label">${escapeHtml(feed.label)}</span>
+                    <span class="feed-row-url">${escapeHtml(feed.url)}</span>
+                </div>
+                <input class="feed-row-category" data-field="category" list="feedCategories" value="${escapeAttr(feed.category)}" title="Category">
+                <input class="feed-row-limit" data-field="limit" type="number" min="1" max="${NewsFeeds.config.maxLimit}" value="${feed.limit}" title="Items per refresh">
+                <button class="feed-row-btn" data-action="pause">${feed.paused ? 'RESUME' : 'PAUSE'}</button>
+                <button class="feed-row-btn danger" data-action="remove">REMOVE</button>
+            </div>
+        `).join('');
+
+    const categories = [...new Set(['news', ...feeds.map(feed => feed.category)])];
+    const datalist = document.getElementById('feedCategories');
+    if (datalist) {
+        datalist.innerHTML = categories.map(c => `<option value="${escapeAttr(c)}">`).join('');
+    }
+
+    const hosts = NewsFeeds.allowedHosts();
+    const hint = document.getElementById('feedAllowedHosts');
+    if (hint) {
+        hint.textContent = hosts.length > 0 ? `Allowed hosts: ${hosts.join(', ')}` : '';
+    }
+}
+
+async function handleAddFeed(e) {
+    e.preventDefault();
+
+    const button = e.target.querySelector('button[type="submit"]');
+    button.disabled = true;
+    button.textContent = 'CHECKING...';
+    setFeedFormError('');
+
+    try {
+        await NewsFeeds.addFeed({
+            url: document.getElementById('feedUrl').value,
+            label: document.getElementById('feedLabel').value,
+            category: document.getElementById('feedCategory').value,
+            limit: document.getElementById('feedLimit').value
+        });
+        e.target.reset();
+        loadAllContent();
+    } catch (error) {
+        setFeedFormError(error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = 'ADD FEED';
+    }
+}
+
+async function handleFeedListClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = button.closest('.feed-row').dataset.id;
+    const feed = NewsFeeds.getFeeds().find(f => f.id === id);
+    if (!feed) return;
+
+    try {
+        if (button.dataset.action === 'pause') {
+            await NewsFeeds.updateFeed(id, { paused: !feed.paused });
+            if (feed.paused) loadAllContent();
+        } else if (button.dataset.action === 'remove') {
+            if (!confirm(`Remove ${feed.label} for everyone?`)) return;
+            await NewsFeeds.removeFeed(id);
+        }
+    } catch (error) {
+        setFeedFormError(error.message);
+    }
+}
+
+async function handleFeedListChange(e) {
+    const field = e.target.dataset.field;
+    if (!field) return;
+
+    const id = e.target.closest('.feed-row').dataset.id;
+    try {
+        await NewsFeeds.updateFeed(id, { [field]: e.target.value });
+    } catch (error) {
+        setFeedFormError(error.message);
+    }
+}
+
+// ============================================
+// READER VIEW
+// ============================================
+
+function initReaderView() {
+    document.getElementById('newsStream')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-reader-index]');
+        if (!button) return;
+        const item = STATE.renderedNews[parseInt(button.dataset.readerIndex, 10)];
+        if (item) openReader(item);
+    });
+
+    const view = document.getElementById('readerView');
+    view?.addEventListener('click', (e) => {
+        if (e.target === view) closeReader();
+    });
+    document.getElementById('readerSpeak')?.addEventListener('click', toggleReadAloud);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && STATE.readerItem) closeReader();
+    });
+
+    // Same engines and voice profile as BILU on the main page
+    TTS.configure({ engines: ['http', 'webspeech', 'local'] });
+    loadVoiceProfile();
+}
+
+async function loadVoiceProfile() {
+    if (typeof FirebaseDB === 'undefined') return;
+    const entry = await FirebaseDB.getVoiceProfile();
+    if (entry && entry.profile) {
+        STATE.voiceProfile = TTS.normalizeProfile(entry.profile);
+    }
+}
+
+async function openReader(item) {
+    stopReadAloud();
+    STATE.readerItem = item;
+
+    const article = normalizeArticle(item);
+    document.getElementById('readerSource').textContent = `${article.source} • ${article.date}`;
+    document.getElementById('readerHeadline').textContent = article.title;
+    document.getElementById('readerByline').textContent = '';
+    document.getElementById('readerOriginal').href = article.url;
+    document.getElementById('readerSpeak').disabled = true;
+    document.getElementById('readerContent').innerHTML = '<p class="reader-status">Fetching the full story from the wires...</p>';
+    document.getElementById('readerView').classList.add('open');
+    document.body.style.overflow = 'hidden';
+
+    try {
+        const full = await ArticleReader.load(item);
+        if (STATE.readerItem !== item) return;     // Closed or switched meanwhile
+
+        item.article = full;
+        const byline = [full.byline, full.wordCount ? `${full.wordCount} words` : ''].filter(Boolean).join(' • ');
+        document.getElementById('readerByline').textContent = byline;
+        document.getElementById('readerContent').innerHTML = ArticleReader.render(full);
+        document.getElementById('readerSpeak').disabled = false;
+    } catch (error) {
+        if (STATE.readerItem !== item) return;
+        console.warn('⚠️ Reader view failed:', error.message);
+        document.getElementById('readerContent').innerHTML = `
+            <p class="reader-status">The full story could not be set in type: ${escapeHtml(error.message)}</p>
+            ${article.description ? `<p>${escapeHtml(article.description)}</p>` : ''}
+        `;
+    }
+}
+
+function closeReader() {
+    stopReadAloud();
+    STATE.readerItem = null;
+    document.getElementById('readerView').classList.remove('open');
+    document.body.style.overflow = '';
+}
+
+// BILU reads the whole piece, one utterance per chunk so long articles don't get cut off
+async function toggleReadAloud() {
+    if (STATE.readingAloud) {
+        stopReadAloud();
+        return;
+    }
+
+    const item = STATE.readerItem;
+    if (!item || !item.article) return;
+
+    const chunks = [item.title, ...ArticleReader.toSpeechChunks(item.article)];
+    const voice = TTS.voiceFor(STATE.voiceProfile, 'article');
+    STATE.readingAloud = true;
+    document.getElementById('readerSpeak').textContent = 'STOP READING';
+
+    // Lines queue up in TTS, stopReadAloud() cancels the rest
+    const lines = chunks.map(chunk => TTS.speak(chunk, { voice }));
+    await Promise.all(lines);
+    if (STATE.readingAloud) stopReadAloud();
+}
+
+function stopReadAloud() {
+    if (STATE.readingAloud) TTS.cancel();
+    STATE.readingAloud = false;
+    const button = document.getElementById('readerSpeak');
+    if (button) button.textContent = 'BILU, READ IT ALOUD';
+}
+
 // ============================================
 // AUTO REFRESH (every 30 seconds)
 // ============================================
@@ -885,3 +1127,6 @@ window.refreshNews = loadAllContent;
 window.cleanOldNews = cleanOldNews;
 window.saveNews = saveNews;
 window.formatNewsAge = formatNewsAge;
+window.openFeedManager = openFeedManager;
+window.closeFeedManager = closeFeedManager;
+window.closeReader = closeReader;
@@ -0,0 +1,324 @@
+/**
+ * KIMCHI - NEWS FEEDS CLIENT
+ * Reads RSS/Atom/RDF feeds through our own /api/rss proxy (api/rss.js),
+ * which returns normalized JSON articles:
+ *   { id, title, url, summary, image, author, categories, published,
+ *     timestamp, feedId, source, category }
+ *
+ * Also owns the managed feed list (shared through Firebase, edited from the
+ * feed manager on news.html). Until someone saves a list, the feeds
+ * configured on the server (feeds.config.json) are used.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const NEWS_FEEDS_CONFIG = {
+    // Override with window.NEWS_FEEDS_ENDPOINT when the pages are served
+    // from somewhere other than server.js / Vercel
+    endpoint: window.NEWS_FEEDS_ENDPOINT || '/api/rss',
+    ttl: 2 * 60 * 1000,
+    defaultLimit: 10,
+    maxLimit: 50
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let managedFeeds = null;          // null until the shared list (or the server defaults) is known
+let serverFeedInfo = null;        // { feeds, allowedHosts } from the proxy
+const feedChangeListeners = [];
+
+let resolveFeedsReady;
+const feedsReady = new Promise(resolve => { resolveFeedsReady = resolve; });
+
+// ============================================
+// REQUESTS
+// ============================================
+
+function buildFeedUrl(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    const qs = query.toString();
+    return qs ? `${NEWS_FEEDS_CONFIG.endpoint}?${qs}` : NEWS_FEEDS_CONFIG.endpoint;
+}
+
+async function requestFeedJson(url, request) {
+    const response = await request(url, { ttl: NEWS_FEEDS_CONFIG.ttl });
+    if (!response.ok) {
+        let message = `HTTP ${response.status}`;
+        try {
+            const body = await response.json();
+            if (body.error) message += ` - ${body.error}`;
+        } catch (e) {
+            // Not JSON (e.g. the proxy isn't deployed) - keep the status
+        }
+        throw new Error(message);
+    }
+    return response.json();
+}
+
+/**
+ * Articles of a feed configured on the server (feeds.config.json).
+ * `request` lets callers plug in their own fetch wrapper (e.g. source health tracking).
+ */
+async function fetchFeedArticles(feedId, { limit, request = HttpClient.fetch } = {}) {
+    const data = await requestFeedJson(buildFeedUrl({ feed: feedId, limit }), request);
+    return data.articles || [];
+}
+
+/**
+ * Articles of any feed URL whose host is on the proxy's allow-list
+ */
+async function fetchFeedArticlesByUrl(feedUrl, { limit, request = HttpClient.fetch } = {}) {
+    const data = await requestFeedJson(buildFeedUrl({ url: feedUrl, limit }), request);
+    return data.articles || [];
+}
+
+/**
+ * Feeds configured on the server plus the hosts custom feeds may use
+ */
+async function listServerFeeds() {
+    return requestFeedJson(buildFeedUrl({}), HttpClient.fetch);
+}
+
+// ============================================
+// MANAGED FEED LIST
+// ============================================
+
+function slugifyFeedId(text) {
+    return String(text).toLowerCase().replace(/^www\./, '').replace(/[^a-z0-9]+/g, '').slice(0, 32) || 'feed';
+}
+
+function clampFeedLimit(limit) {
+    const value = parseInt(limit, 10);
+    if (isNaN(value)) return NEWS_FEEDS_CONFIG.defaultLimit;
+    return Math.min(NEWS_FEEDS_CONFIG.maxLimit, Math.max(1, value));
+}
+
+function normalizeFeed(feed) {
+    const label = (feed.label || feed.id || '').trim();
+    return {
+        id: feed.id,
+        label,
+        source: (feed.source || label).trim().toUpperCase(),
+        url: feed.url,
+        category: (feed.category || 'news').trim().toLowerCase(),
+        limit: clampFeedLimit(feed.limit),
+        paused: !!feed.paused
+    };
+}
+
+function setManagedFeeds(feeds) {
+    managedFeeds = (feeds || []).filter(feed => feed && feed.id && feed.url).map(normalizeFeed);
+    resolveFeedsReady(managedFeeds);
+    feedChangeListeners.forEach(callback => {
+        try {
+            callback(managedFeeds);
+        } catch (error) {
+            console.error('❌ [Feeds] Listener error:', error);
+        }
+    });
+}
+
+async function loadServerFeedInfo() {
+    try {
+        serverFeedInfo = await listServerFeeds();
+    } catch (error) {
+        console.warn('⚠️ [Feeds] Could not load server feed list:', error.message);
+        serverFeedInfo = serverFeedInfo || { feeds: [], allowedHosts: [] };
+    }
+    return serverFeedInfo;
+}
+
+/**
+ * Subscribe to the shared feed list. Call once per page after FirebaseDB.init().
+ */
+function initManagedFeeds() {
+    const useServerDefaults = async () => {
+        const info = await loadServerFeedInfo();
+        setManagedFeeds(info.feeds);
+    };
+
+    if (typeof FirebaseDB === 'undefined') {
+        useServerDefaults();
+        return;
+    }
+
+    FirebaseDB.listenToFeeds((feeds) => {
+        if (feeds) {
+            console.log(`📡 [Feeds] ${feeds.length} managed feeds`);
+            setManagedFeeds(feeds);
+        } else {
+            useServerDefaults();
+        }
+    });
+}
+
+function getManagedFeeds() {
+    return managedFeeds ? managedFeeds.slice() : [];
+}
+
+function getActiveFeeds() {
+    return getManagedFeeds().filter(feed => !feed.paused);
+}
+
+/**
+ * Called with the full list on every change (immediately if it is already known)
+ */
+function onFeedsChange(callback) {
+    feedChangeListeners.push(callback);
+    if (managedFeeds) callback(managedFeeds);
+}
+
+/**
+ * Change the shared list: `update(feeds)` runs against the latest stored list
+ * (the server defaults while nobody has saved one), inside a transaction when
+ * Firebase is up, so edits from two pages don't overwrite each other
+ */
+async function changeManagedFeeds(update) {
+    const apply = (stored) => update((stored || getManagedFeeds())
+        .filter(feed => feed && feed.id && feed.url)
+        .map(normalizeFeed));
+
+    let feeds;
+    if (typeof FirebaseDB !== 'undefined') {
+        const result = await FirebaseDB.updateFeeds(apply);
+        if (!result.success) throw result.error;
+        feeds = result.feeds;
+    } else {
+        const stored = localStorage.getItem('tank_feeds');
+        feeds = apply(stored ? JSON.parse(stored) : null);
+        localStorage.setItem('tank_feeds', JSON.stringify(feeds));
+    }
+
+    setManagedFeeds(feeds);
+    return feeds;
+}
+
+/**
+ * Add a feed to the shared list. Throws with a user-facing message when the
+ * URL is invalid, already present, not allowed by the proxy or not a feed.
+ */
+async function addManagedFeed({ url, label, category, limit }) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (e) {
+        throw new Error('Enter a full feed URL (https://...)');
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        throw new Error('Only http(s) feeds are supported');
+    }
+
+    const isListed = (feeds) => feeds.some(feed => feed.url === parsed.href);
+    if (isListed(getManagedFeeds())) {
+        throw new Error('That feed is already in the list');
+    }
+
+    const info = serverFeedInfo || await loadServerFeedInfo();
+    const host = parsed.hostname.toLowerCase();
+    const allowed = (info.allowedHosts || []).some(h => host === h || host.endsWith(`.${h}`));
+    if (info.allowedHosts && info.allowedHosts.length > 0 && !allowed) {
+        throw new Error(`${host} is not on the proxy allow-list (feeds.config.json)`);
+    }
+
+    // Make sure the proxy can actually read it before sharing it with everyone
+    await fetchFeedArticlesByUrl(parsed.href, { limit: 1 });
+
+    const name = (label || '').trim() || host.replace(/^www\./, '');
+    let feed;
+    await changeManagedFeeds((feeds) => {
+        // Somebody may have added it meanwhile
+        if (isListed(feeds)) {
+            throw new Error('That feed is already in the list');
+        }
+
+        let id = slugifyFeedId(name);
+        for (let n = 2; feeds.some(existing => existing.id === id); n++) {
+            id = `${slugifyFeedId(name)}${n}`;
+        }
+
+        feed = normalizeFeed({ id, label: name, url: parsed.href, category, limit });
+        return [...feeds, feed];
+    });
+    console.log(`➕ [Feeds] Added ${feed.label} (${feed.url})`);
+    return feed;
+}
+
+/**
+ * Update label/category/limit/paused of a feed
+ */
+async function updateManagedFeed(id, changes) {
+    let updated;
+    await changeManagedFeeds((feeds) => {
+        const index = feeds.findIndex(feed => feed.id === id);
+        if (index === -1) throw new Error(`Unknown feed: ${id}`);
+
+        updated = normalizeFeed({ ...feeds[index], ...changes, id, url: feeds[index].url });
+        return feeds.map((feed, i) => (i === index ? updated : feed));
+    });
+    return updated;
+}
+
+async function removeManagedFeed(id) {
+    await changeManagedFeeds(feeds => feeds.filter(feed => feed.id !== id));
+    console.log(`🗑️ [Feeds] Removed ${id}`);
+}
+
+/**
+ * Latest articles of a managed feed, tagged with the feed's source/category
+ */
+async function fetchManagedFeed(feed, { request = HttpClient.fetch } = {}) {
+    const articles = await fetchFeedArticlesByUrl(feed.url, { limit: feed.limit, request });
+    return articles.map(article => ({
+        ...article,
+        feedId: feed.id,
+        source: feed.source,
+        category: feed.category
+    }));
+}
+
+/**
+ * Whether a stored news item belongs on the news pages. Items from a feed
+ * that has been removed are dropped; paused feeds keep their old items.
+ * Items without a feedId (stored before feeds were managed) only pass when
+ * a managed feed still has their source.
+ */
+function isNewsSource(item) {
+    if (item.feedId && managedFeeds) {
+        return managedFeeds.some(feed => feed.id === item.feedId);
+    }
+
+    return getManagedFeeds().some(feed => feed.source === item.source);
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.NewsFeeds = {
+    config: NEWS_FEEDS_CONFIG,
+    fetchFeed: fetchFeedArticles,
+    fetchUrl: fetchFeedArticlesByUrl,
+    listServerFeeds,
+
+    // Managed feed list
+    init: initManagedFeeds,
+    ready: feedsReady,
+    getFeeds: getManagedFeeds,
+    getActiveFeeds,
+    onChange: onFeedsChange,
+    addFeed: addManagedFeed,
+    updateFeed: updateManagedFeed,
+    removeFeed: removeManagedFeed,
+    fetchManaged: fetchManagedFeed,
+    isNewsSource,
+    allowedHosts: () => (serverFeedInfo ? serverFeedInfo.allowedHosts : [])
+};
+
+console.log('News feeds module loaded.');
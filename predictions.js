@@ -0,0 +1,551 @@
+/**
+ * KIMCHI - PREDICTION MARKETS
+ * One Polymarket client for every page:
+ *   - fetches and normalizes markets from the Gamma API, keyed by the
+ *     Polymarket market id (stable across refreshes)
+ *   - keeps an odds history per market: one snapshot per `bucket`, shared
+ *     through Firebase (`prediction_odds`) so a fresh page already has a day
+ *     of history
+ *   - computes the 24h odds change in points (Polymarket's own
+ *     oneDayPriceChange until our history covers the window) and flags
+ *     markets that moved more than `moveThreshold` points
+ *   - draws a small odds chart for a market
+ *   - groups markets into their Polymarket event: a multi-candidate question
+ *     ("Who will win...?") is one binary market per candidate, and shows as
+ *     one prediction with the candidates ranked (every fetch brings the
+ *     event's other open candidates along)
+ *   - browses markets by keyword, tag and sort order, or fetches the markets
+ *     pinned to the shared tracked list by id
+ *
+ * A market has N named outcomes (`outcomes` / `outcomePrices`); binary ones
+ * are just ["Yes", "No"]. The tracked "odds" of a market are its first
+ * outcome's price in % (the Yes side of binary markets).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PREDICTION_CONFIG = {
+    endpoint: 'https://gamma-api.polymarket.com/markets',
+    eventsEndpoint: 'https://gamma-api.polymarket.com/events',
+    eventUrl: 'https://polymarket.com/event/',
+    ttl: 60 * 1000,
+    bucket: 15 * 60 * 1000,               // One stored snapshot per market per 15 min
+    retention: 7 * 24 * 60 * 60 * 1000,
+    changeWindow: 24 * 60 * 60 * 1000,
+    moveThreshold: 10,                    // 24h change (points) that counts as a big move
+    chartWindow: 24 * 60 * 60 * 1000,
+    chartMinRange: 10,                    // Points - keeps a 1-point wiggle from filling the chart
+    searchPageSize: 100,                  // Markets per page scanned for a keyword search
+    searchMaxPages: 5,                    // ...and at most this many pages
+    categories: [
+        { tag: '', label: 'All' },
+        { tag: 'crypto', label: 'Crypto' },
+        { tag: 'politics', label: 'Politics' },
+        { tag: 'economy', label: 'Economy' },
+        { tag: 'sports', label: 'Sports' },
+        { tag: 'tech', label: 'Tech' }
+    ],
+    // Sort key -> Gamma API order field
+    sorts: {
+        volume: 'volumeNum',
+        liquidity: 'liquidityNum',
+        endDate: 'endDate'
+    }
+};
+
+// ============================================
+// STATE
+// ============================================
+
+const oddsHistory = new Map();          // market id -> [[ts, odds], ...] oldest first
+const oddsLoaded = new Set();           // market ids whose stored history was read
+const oddsSavedBucket = new Map();      // market id -> last bucket this page stored
+
+// ============================================
+// FETCHING
+// ============================================
+
+function parseOutcomeList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        return JSON.parse(value || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+// Most open first - a group takes the status of its most open market
+const MARKET_STATUSES = ['open', 'paused', 'pending', 'closed', 'resolved'];
+
+function isBinaryOutcomes(outcomes) {
+    return outcomes.length === 2 && /^yes$/i.test(outcomes[0].name) && /^no$/i.test(outcomes[1].name);
+}
+
+/**
+ * open | paused (not taking orders) | pending (past its end date, waiting
+ * for resolution) | closed | resolved (closed with a winning outcome)
+ */
+function getMarketStatus(raw, outcomes) {
+    if (raw.closed) return outcomes.some(outcome => outcome.odds >= 99) ? 'resolved' : 'closed';
+    if (raw.endDate && Date.parse(raw.endDate) < Date.now()) return 'pending';
+    if (raw.active === false || raw.acceptingOrders === false) return 'paused';
+    return 'open';
+}
+
+/**
+ * Gamma API market -> { id, question, label, event, url, outcomes, binary, yes, no,
+ *   status, endDate, volume, volume24h, liquidity, apiChange24h }
+ * Outcome odds are % with one decimal (long shots in multi-candidate markets)
+ */
+function normalizeMarket(raw) {
+    const names = parseOutcomeList(raw.outcomes);
+    const prices = parseOutcomeList(raw.outcomePrices);
+    const outcomes = prices.map((price, index) => ({
+        name: String(names[index] || `Outcome ${index + 1}`),
+        odds: Math.round((parseFloat(price) || 0) * 1000) / 10
+    }));
+
+    const binary = isBinaryOutcomes(outcomes);
+    const yes = outcomes[0] ? Math.round(outcomes[0].odds) : 0;
+    const apiChange = parseFloat(raw.oneDayPriceChange);
+
+    const rawEvent = Array.isArray(raw.events) && raw.events[0];
+    const event = rawEvent
+        ? { id: String(rawEvent.id), slug: rawEvent.slug || '', title: rawEvent.title || raw.question }
+        : null;
+
+    return {
+        id: String(raw.id || raw.conditionId || raw.slug),
+        question: raw.question || 'Unknown Market',
+        label: raw.groupItemTitle || '',          // Candidate/bracket name inside its event
+        slug: raw.slug || '',
+        event,
+        url: `${PREDICTION_CONFIG.eventUrl}${event && event.slug ? event.slug : raw.slug || ''}`,
+        outcomes,
+        binary,
+        yes,
+        no: binary ? Math.round(outcomes[1].odds) : 100 - yes,
+        status: getMarketStatus(raw, outcomes),
+        endDate: raw.endDate || (rawEvent && rawEvent.endDate) || null,
+        volume: parseFloat(raw.volumeNum || raw.volume) || 0,
+        volume24h: parseFloat(raw.volume24hr) || 0,
+        liquidity: parseFloat(raw.liquidityNum || raw.liquidity) || 0,
+        apiChange24h: isFinite(apiChange) ? Math.round(apiChange * 1000) / 10 : null
+    };
+}
+
+/**
+ * Markets or grouped predictions ordered by `sort` (volume and liquidity
+ * descending, end date soonest first)
+ */
+function sortPredictionMarkets(items, sort = 'volume') {
+    const sorted = [...items];
+    if (sort === 'endDate') {
+        const time = (item) => item.endDate ? Date.parse(item.endDate) || Infinity : Infinity;
+        return sorted.sort((a, b) => time(a) - time(b));
+    }
+    const key = sort === 'liquidity' ? 'liquidity' : 'volume';
+    return sorted.sort((a, b) => b[key] - a[key]);
+}
+
+function matchesSearch(market, words) {
+    const text = [market.question, market.label, market.event && market.event.title].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+}
+
+/**
+ * Markets, normalized
+ * @param {Object} options
+ *   limit   - markets to return
+ *   tag     - Polymarket tag (see config.categories)
+ *   search  - keywords, all must appear in the question/candidate/event. The
+ *             markets endpoint has no text filter, so a search pages through
+ *             the markets for the tag and sort (`searchPageSize` at a time, up
+ *             to `searchMaxPages`) until it has `limit` matches
+ *   sort    - volume | liquidity | endDate
+ *   ids     - fetch these markets (closed ones included) instead of browsing
+ *   request - `request(url)` lets a caller route the call through its own
+ *             tracking (defaults to HttpClient)
+ * The open markets of every event found come along (see withEventMarkets),
+ * so a multi-candidate event always groups with all its candidates.
+ */
+async function fetchPredictionMarkets({ limit = 10, tag = null, search = '', sort = null, ids = null, request = null } = {}) {
+    const params = new URLSearchParams();
+    const words = String(search || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (ids) {
+        if (ids.length === 0) return [];
+        ids.forEach(id => params.append('id', id));
+        params.set('limit', String(ids.length));
+        return withEventMarkets(await fetchMarketPage(params, request), request);
+    }
+
+    params.set('closed', 'false');
+    if (tag) params.set('tag', tag);
+    if (sort && PREDICTION_CONFIG.sorts[sort]) {
+        params.set('order', PREDICTION_CONFIG.sorts[sort]);
+        params.set('ascending', sort === 'endDate' ? 'true' : 'false');
+        // Soonest first would otherwise be all markets waiting for resolution
+        if (sort === 'endDate') params.set('end_date_min', new Date().toISOString());
+    }
+
+    let markets = [];
+    if (words.length === 0) {
+        params.set('limit', String(limit));
+        markets = await fetchMarketPage(params, request);
+    } else {
+        const pageSize = Math.max(limit, PREDICTION_CONFIG.searchPageSize);
+        params.set('limit', String(pageSize));
+        for (let page = 0; page < PREDICTION_CONFIG.searchMaxPages && markets.length < limit; page++) {
+            params.set('offset', String(page * pageSize));
+            const results = await fetchMarketPage(params, request);
+            markets.push(...results.filter(market => matchesSearch(market, words)));
+            if (results.length < pageSize) break;
+        }
+    }
+
+    if (sort) markets = sortPredictionMarkets(markets, sort);
+    return withEventMarkets(markets.slice(0, limit), request);
+}
+
+async function fetchGamma(url, request) {
+    const response = request ? await request(url) : await HttpClient.fetch(url, { ttl: PREDICTION_CONFIG.ttl });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+}
+
+async function fetchMarketPage(params, request) {
+    const data = await fetchGamma(`${PREDICTION_CONFIG.endpoint}?${params}`, request);
+    return data.filter(raw => raw && raw.question).map(normalizeMarket);
+}
+
+/**
+ * Add the other open markets of each event in the list, after the ones
+ * already there. A browse only returns the candidates that made the cut, and
+ * grouping a partial event would show a different field - and flip the
+ * prediction id between the event and a lone market - from one refresh to
+ * the next. Falls back to the list as is when the events can't be fetched.
+ */
+async function withEventMarkets(markets, request) {
+    const eventIds = [...new Set(markets.filter(market => market.event).map(market => market.event.id))];
+    if (eventIds.length === 0) return markets;
+
+    const params = new URLSearchParams();
+    eventIds.forEach(id => params.append('id', id));
+    params.set('limit', String(eventIds.length));
+
+    let events;
+    try {
+        events = await fetchGamma(`${PREDICTION_CONFIG.eventsEndpoint}?${params}`, request);
+    } catch (error) {
+        console.warn('⚠️ Polymarket events unavailable:', error.message);
+        return markets;
+    }
+
+    const seen = new Set(markets.map(market => market.id));
+    const siblings = [];
+    events.forEach(event => {
+        (Array.isArray(event.markets) ? event.markets : []).forEach(raw => {
+            if (!raw || !raw.question || raw.closed) return;
+            // Markets nested in an event don't repeat it
+            const market = normalizeMarket({ ...raw, events: [event] });
+            if (seen.has(market.id)) return;
+            seen.add(market.id);
+            siblings.push(market);
+        });
+    });
+    return [...markets, ...siblings];
+}
+
+// ============================================
+// ODDS HISTORY
+// ============================================
+
+function storedToPoints(stored) {
+    return Object.entries((stored && stored.points) || {})
+        .map(([bucket, odds]) => [parseInt(bucket) * PREDICTION_CONFIG.bucket, odds])
+        .filter(([ts, odds]) => isFinite(ts) && isFinite(odds))
+        .sort((a, b) => a[0] - b[0]);
+}
+
+async function loadOddsHistory(ids) {
+    const missing = ids.filter(id => !oddsLoaded.has(id));
+    if (missing.length === 0) return;
+    missing.forEach(id => oddsLoaded.add(id));
+
+    if (typeof FirebaseDB === 'undefined') return;
+    const stored = await FirebaseDB.getPredictionOdds(missing);
+
+    missing.forEach(id => {
+        const points = storedToPoints(stored[id]);
+        const seen = new Set(points.map(([ts]) => Math.floor(ts / PREDICTION_CONFIG.bucket)));
+        (oddsHistory.get(id) || []).forEach(point => {
+            if (!seen.has(Math.floor(point[0] / PREDICTION_CONFIG.bucket))) points.push(point);
+        });
+        oddsHistory.set(id, points.sort((a, b) => a[0] - b[0]));
+    });
+}
+
+/**
+ * Change in points between the latest snapshot and the one taken about
+ * `windowMs` before it (within one bucket), or null when the history has no
+ * snapshot there - a gap in the history would otherwise compare against odds
+ * from days ago
+ */
+function getOddsChange(id, windowMs = PREDICTION_CONFIG.changeWindow) {
+    const points = oddsHistory.get(id) || [];
+    if (points.length < 2) return null;
+
+    const [latestTs, latestOdds] = points[points.length - 1];
+    const target = latestTs - windowMs;
+    let baseline = null;
+    for (let i = points.length - 2; i >= 0; i--) {
+        const distance = Math.abs(points[i][0] - target);
+        if (distance <= PREDICTION_CONFIG.bucket && (!baseline || distance < baseline.distance)) {
+            baseline = { distance, odds: points[i][1] };
+        }
+        if (points[i][0] < target - PREDICTION_CONFIG.bucket) break;
+    }
+    return baseline ? latestOdds - baseline.odds : null;
+}
+
+/**
+ * Record the current odds of each market, store one snapshot per bucket and
+ * annotate the markets with { history, change24h, moved }
+ */
+async function trackPredictionOdds(markets) {
+    const now = Date.now();
+    const bucket = Math.floor(now / PREDICTION_CONFIG.bucket);
+    const cutoff = now - PREDICTION_CONFIG.retention;
+    const snapshots = [];
+
+    try {
+        await loadOddsHistory(markets.map(market => market.id));
+    } catch (error) {
+        console.warn('⚠️ Odds history unavailable:', error.message);
+    }
+
+    markets.forEach(market => {
+        const history = oddsHistory.get(market.id) || [];
+        const last = history[history.length - 1];
+
+        if (last && Math.floor(last[0] / PREDICTION_CONFIG.bucket) === bucket) {
+            last[0] = now;
+            last[1] = market.yes;
+        } else {
+            history.push([now, market.yes]);
+        }
+
+        const expired = [];
+        while (history.length > 0 && history[0][0] < cutoff) {
+            expired.push(String(Math.floor(history.shift()[0] / PREDICTION_CONFIG.bucket)));
+        }
+        oddsHistory.set(market.id, history);
+
+        if (oddsSavedBucket.get(market.id) !== bucket) {
+            oddsSavedBucket.set(market.id, bucket);
+            snapshots.push({ id: market.id, question: market.question, slug: market.slug, bucket: String(bucket), odds: market.yes, expired });
+        }
+
+        const change = getOddsChange(market.id);
+        market.history = history;
+        market.change24h = change !== null ? change : market.apiChange24h;
+        market.moved = isOddsMove(market.change24h);
+    });
+
+    if (snapshots.length > 0 && typeof FirebaseDB !== 'undefined') {
+        FirebaseDB.savePredictionOdds(snapshots);
+    }
+    return markets;
+}
+
+function isOddsMove(change) {
+    return change !== null && change !== undefined && Math.abs(change) >= PREDICTION_CONFIG.moveThreshold;
+}
+
+// ============================================
+// EVENT GROUPING
+// ============================================
+
+/**
+ * Group tracked markets by Polymarket event, in first-seen order.
+ * Each prediction: { id, title, url, status, endDate, volume, volume24h,
+ *   liquidity, outcomes: [{ name, odds, marketId, change24h }] ranked by odds,
+ *   markets, lead, mover, chartId, change24h, moved }
+ *   - one binary market per candidate: the outcomes are the candidates, each
+ *     at its Yes price
+ *   - a single market: its own outcomes (only the first is tracked, so only
+ *     it carries a 24h change)
+ *   - `mover` is the outcome with the biggest move over the threshold, if any
+ */
+function groupPredictionMarkets(markets) {
+    const groups = new Map();
+
+    markets.forEach(market => {
+        const key = market.event ? `event_${market.event.id}` : `market_${market.id}`;
+        if (!groups.has(key)) groups.set(key, { key, event: market.event, markets: [] });
+        groups.get(key).markets.push(market);
+    });
+
+    return [...groups.values()].map(({ key, event, markets: members }) => {
+        const grouped = members.length > 1 && members.every(market => market.binary);
+        const first = members[0];
+
+        const outcomes = grouped
+            ? members.map(market => ({
+                name: market.label || market.question,
+                odds: market.outcomes[0].odds,
+                marketId: market.id,
+                change24h: market.change24h
+            }))
+            : first.outcomes.map((outcome, index) => ({
+                ...outcome,
+                marketId: first.id,
+                change24h: index === 0 ? first.change24h : null
+            }));
+        outcomes.sort((a, b) => b.odds - a.odds);
+
+        const movers = outcomes.filter(outcome => isOddsMove(outcome.change24h));
+        const mover = movers.sort((a, b) => Math.abs(b.change24h) - Math.abs(a.change24h))[0] || null;
+        const lead = grouped ? outcomes[0] : { ...first.outcomes[0], marketId: first.id, change24h: first.change24h };
+        const endDates = members.map(market => market.endDate).filter(Boolean).sort();
+
+        return {
+            id: grouped ? key : first.id,
+            title: grouped && event ? event.title : first.question,
+            url: first.url,
+            grouped,
+            binary: !grouped && first.binary,
+            status: members.map(market => market.status)
+                .sort((a, b) => MARKET_STATUSES.indexOf(a) - MARKET_STATUSES.indexOf(b))[0],
+            endDate: endDates[endDates.length - 1] || null,
+            volume: members.reduce((sum, market) => sum + market.volume, 0),
+            volume24h: members.reduce((sum, market) => sum + market.volume24h, 0),
+            liquidity: members.reduce((sum, market) => sum + market.liquidity, 0),
+            outcomes,
+            markets: members,
+            lead,
+            mover,
+            chartId: lead.marketId,
+            change24h: (mover || lead).change24h,
+            moved: !!mover
+        };
+    });
+}
+
+// ============================================
+// PRESENTATION
+// ============================================
+
+/**
+ * Inline SVG odds chart for a market (empty string with fewer than 2 snapshots)
+ */
+function renderOddsChart(id, { windowMs = PREDICTION_CONFIG.chartWindow, width = 80, height = 20 } = {}) {
+    const since = Date.now() - windowMs;
+    const points = (oddsHistory.get(id) || []).filter(([ts]) => ts >= since);
+    if (points.length < 2) return '';
+
+    const values = points.map(([, odds]) => odds);
+    const mid = (Math.min(...values) + Math.max(...values)) / 2;
+    const range = Math.max(PREDICTION_CONFIG.chartMinRange, Math.max(...values) - Math.min(...values));
+    const min = Math.max(0, Math.min(100 - range, mid - range / 2));
+    const firstTs = points[0][0];
+    const span = points[points.length - 1][0] - firstTs || 1;
+
+    const coords = points.map(([ts, odds]) => {
+        const x = ((ts - firstTs) / span) * width;
+        const y = height - ((odds - min) / range) * (height - 2) - 1;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    const trend = values[values.length - 1] >= values[0] ? 'up' : 'down';
+
+    return `<svg class="odds-chart ${trend}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><title>${values[0]}% → ${values[values.length - 1]}%</title><polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.2"/></svg>`;
+}
+
+/**
+ * Format outcome odds: 62%, 4.5%, <1%
+ */
+function formatOdds(odds) {
+    if (odds > 0 && odds < 1) return '<1%';
+    return odds < 10 && odds % 1 !== 0 ? `${odds.toFixed(1)}%` : `${Math.round(odds)}%`;
+}
+
+/**
+ * Ranked outcome bars (top `limit`, the rest summed as "N more")
+ */
+function renderOutcomeBars(prediction, { limit = 4 } = {}) {
+    const shown = prediction.outcomes.slice(0, limit);
+    const rest = prediction.outcomes.length - shown.length;
+
+    return `
+        <div class="outcome-bars">
+            ${shown.map((outcome, index) => `
+                <div class="outcome-bar ${index === 0 ? 'leading' : ''} ${/^no$/i.test(outcome.name) && prediction.binary ? 'outcome-no' : ''}">
+                    <span class="outcome-name">${escapePredictionHtml(outcome.name)}</span>
+                    <span class="outcome-track"><span class="outcome-fill" style="width: ${Math.min(100, outcome.odds)}%"></span></span>
+                    <span class="outcome-odds">${formatOdds(outcome.odds)}</span>
+                </div>`).join('')}
+            ${rest > 0 ? `<div class="outcome-more">+${rest} more</div>` : ''}
+        </div>`;
+}
+
+/**
+ * "Vol $1.2M · Resolves Nov 5 · PENDING" (status shown unless open)
+ */
+function formatPredictionMeta(prediction) {
+    const money = (value) => value >= 1e6 ? `$${(value / 1e6).toFixed(1)}M` : `$${(value / 1e3).toFixed(1)}K`;
+    const parts = [`Vol ${money(prediction.volume)}`];
+
+    if (prediction.endDate) {
+        const date = new Date(prediction.endDate);
+        if (!isNaN(date)) parts.push(`Resolves ${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined })}`);
+    }
+    if (prediction.status !== 'open') parts.push(prediction.status.toUpperCase());
+    return parts.join(' · ');
+}
+
+function escapePredictionHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an odds change for display ('--' when unknown)
+ */
+function formatOddsChange(change) {
+    if (change === null || change === undefined || !isFinite(change)) return '--';
+    return `${change >= 0 ? '+' : ''}${Math.round(change)} pts`;
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.PredictionMarkets = {
+    config: PREDICTION_CONFIG,
+    fetch: fetchPredictionMarkets,
+    normalize: normalizeMarket,
+    track: trackPredictionOdds,
+    group: groupPredictionMarkets,
+    sort: sortPredictionMarkets,
+    history: (id) => (oddsHistory.get(id) || []).slice(),
+    change: getOddsChange,
+    isMove: isOddsMove,
+    chart: renderOddsChart,
+    outcomeBars: renderOutcomeBars,
+    formatOdds,
+    formatMeta: formatPredictionMeta,
+    formatChange: formatOddsChange
+};
+
+console.log('Prediction markets module loaded.');
@@ -0,0 +1,345 @@
+/**
+ * KIMCHI - PRICE TIME-SERIES STORE
+ * Keeps every price snapshot in a rolling IndexedDB series per symbol + source
+ * so the terminals can draw sparklines and compute their own 1h/4h changes.
+ * DEX prices are per pair, not per symbol (many pairs share a ticker): their
+ * series are keyed by a pair id (pairId(chainId, pairAddress)) in place of
+ * the symbol. Every open tab writes to the same series, so a flush merges
+ * with the stored points instead of overwriting them.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PRICE_STORE_CONFIG = {
+    dbName: 'tank_prices',
+    storeName: 'series',
+    retention: 7 * 24 * 60 * 60 * 1000,   // Drop points older than 7 days
+    minInterval: 15 * 1000,               // Ignore snapshots closer than this (multiple tabs / re-renders)
+    // Older points are thinned to one point per bucket. The tier with the
+    // largest `after` that the point's age exceeds wins.
+    downsample: [
+        { after: 60 * 60 * 1000, every: 5 * 60 * 1000 },        // > 1h old: one point per 5 min
+        { after: 24 * 60 * 60 * 1000, every: 60 * 60 * 1000 }    // > 24h old: one point per hour
+    ],
+    flushDelay: 2000                      // Batch IndexedDB writes
+};
+
+// ============================================
+// STATE
+// ============================================
+
+// In-memory mirror: key -> { key, symbol, source, points: [[ts, price], ...] }
+const priceSeries = new Map();
+const dirtySeries = new Set();
+let priceDb = null;
+let flushTimer = null;
+
+const PAIR_ID_PREFIX = 'pair:';
+
+/**
+ * Series id of a DEX pair - usable wherever a symbol is
+ */
+function pairSeriesId(chainId, pairAddress) {
+    const address = String(pairAddress);
+    return `${PAIR_ID_PREFIX}${String(chainId).toLowerCase()}:${address.startsWith('0x') ? address.toLowerCase() : address}`;
+}
+
+// Pair ids keep their case (Solana addresses are case-sensitive)
+function normalizeSeriesId(symbol) {
+    const id = String(symbol);
+    return id.startsWith(PAIR_ID_PREFIX) ? id : id.toUpperCase();
+}
+
+function seriesKey(symbol, source) {
+    return `${String(source).toLowerCase()}:${normalizeSeriesId(symbol)}`;
+}
+
+/**
+ * Union of two sorted point lists (one point per timestamp)
+ */
+function mergePoints(a, b) {
+    const byTs = new Map();
+    [...a, ...b].forEach(point => byTs.set(point[0], point));
+    return [...byTs.values()].sort((x, y) => x[0] - y[0]);
+}
+
+// ============================================
+// INDEXEDDB
+// ============================================
+
+function openPriceDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(PRICE_STORE_CONFIG.dbName, 1);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(PRICE_STORE_CONFIG.storeName)) {
+                database.createObjectStore(PRICE_STORE_CONFIG.storeName, { keyPath: 'key' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadPriceSeries() {
+    try {
+        priceDb = await openPriceDb();
+
+        const rows = await new Promise((resolve, reject) => {
+            const tx = priceDb.transaction(PRICE_STORE_CONFIG.storeName, 'readonly');
+            const request = tx.objectStore(PRICE_STORE_CONFIG.storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+
+        const now = Date.now();
+        rows.forEach(row => {
+            const existing = priceSeries.get(row.key);
+            // Merge with anything recorded before the load finished
+            const points = existing ? mergePoints(row.points, existing.points) : row.points;
+            priceSeries.set(row.key, { ...row, points: compactPoints(points, now) });
+        });
+
+        console.log(`📈 [PriceStore] Loaded ${rows.length} series from IndexedDB`);
+    } catch (error) {
+        priceDb = null;
+        console.warn('⚠️ [PriceStore] IndexedDB unavailable, keeping history in memory only:', error.message);
+    }
+}
+
+function scheduleFlush() {
+    if (flushTimer || !priceDb) return;
+
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushPriceSeries();
+    }, PRICE_STORE_CONFIG.flushDelay);
+}
+
+/**
+ * Write the changed series. Each one is read back and merged inside the
+ * readwrite transaction, so points another tab stored meanwhile are kept
+ * (and show up here too).
+ */
+function flushPriceSeries() {
+    if (!priceDb || dirtySeries.size === 0) return;
+
+    try {
+        const tx = priceDb.transaction(PRICE_STORE_CONFIG.storeName, 'readwrite');
+        const store = tx.objectStore(PRICE_STORE_CONFIG.storeName);
+        const now = Date.now();
+
+        dirtySeries.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const stored = request.result;
+                const series = priceSeries.get(key);
+                const points = compactPoints(mergePoints(stored ? stored.points : [], series ? series.points : []), now);
+
+                if (points.length === 0) {
+                    priceSeries.delete(key);
+                    store.delete(key);
+                    return;
+                }
+
+                const merged = { ...(stored || {}), ...(series || {}), points };
+                priceSeries.set(key, merged);
+                store.put(merged);
+            };
+        });
+        dirtySeries.clear();
+    } catch (error) {
+        console.error('❌ [PriceStore] Error writing series:', error);
+    }
+}
+
+// ============================================
+// RETENTION & DOWNSAMPLING
+// ============================================
+
+/**
+ * Drop expired points and thin older ones according to the downsample tiers.
+ * Keeps the latest point of each bucket. Points must be sorted by time.
+ */
+function compactPoints(points, now = Date.now()) {
+    const cutoff = now - PRICE_STORE_CONFIG.retention;
+    const tiers = [...PRICE_STORE_CONFIG.downsample].sort((a, b) => b.after - a.after);
+    const result = [];
+    let lastBucket = null;
+
+    points.forEach(point => {
+        const [ts] = point;
+        if (ts < cutoff) return;
+
+        const tier = tiers.find(t => now - ts > t.after);
+        const bucket = tier ? `${tier.every}:${Math.floor(ts / tier.every)}` : null;
+
+        // Same bucket as the previous point - the newer one replaces it
+        if (bucket !== null && bucket === lastBucket) {
+            result[result.length - 1] = point;
+        } else {
+            result.push(point);
+        }
+        lastBucket = bucket;
+    });
+
+    return result;
+}
+
+function compactAllSeries() {
+    const now = Date.now();
+
+    priceSeries.forEach((series, key) => {
+        const before = series.points.length;
+        series.points = compactPoints(series.points, now);
+
+        if (series.points.length === 0) {
+            priceSeries.delete(key);
+        }
+        if (series.points.length !== before) {
+            dirtySeries.add(key);
+        }
+    });
+
+    scheduleFlush();
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Record a price snapshot. Returns true if the point was stored.
+ */
+function recordPrice(symbol, source, price, ts = Date.now()) {
+    const value = parseFloat(price);
+    if (!symbol || !source || !isFinite(value) || value <= 0) return false;
+
+    const key = seriesKey(symbol, source);
+    let series = priceSeries.get(key);
+
+    if (!series) {
+        series = { key, symbol: normalizeSeriesId(symbol), source: String(source).toLowerCase(), points: [] };
+        priceSeries.set(key, series);
+    }
+
+    const last = series.points[series.points.length - 1];
+    if (last && ts - last[0] < PRICE_STORE_CONFIG.minInterval) return false;
+
+    series.points.push([ts, value]);
+    dirtySeries.add(key);
+    scheduleFlush();
+    return true;
+}
+
+/**
+ * Points for a series as [[ts, price], ...], optionally limited to the last `windowMs`.
+ */
+function getPriceSeries(symbol, source, windowMs = null) {
+    const series = priceSeries.get(seriesKey(symbol, source));
+    if (!series) return [];
+    if (!windowMs) return series.points.slice();
+
+    const since = Date.now() - windowMs;
+    return series.points.filter(([ts]) => ts >= since);
+}
+
+/**
+ * Percent change between the latest point and the last point at least
+ * `windowMs` older. Returns null when the history doesn't cover the window yet.
+ */
+function getPriceChange(symbol, source, windowMs) {
+    const points = getPriceSeries(symbol, source);
+    if (points.length < 2) return null;
+
+    const [latestTs, latestPrice] = points[points.length - 1];
+    const target = latestTs - windowMs;
+
+    let base = null;
+    for (let i = points.length - 1; i >= 0; i--) {
+        if (points[i][0] <= target) {
+            base = points[i];
+            break;
+        }
+    }
+
+    if (!base || base[1] === 0) return null;
+    return ((latestPrice - base[1]) / base[1]) * 100;
+}
+
+/**
+ * Inline SVG sparkline for a series (empty string if there are fewer than 2 points).
+ */
+function renderSparkline(symbol, source, { windowMs = 4 * 60 * 60 * 1000, width = 80, height = 20 } = {}) {
+    const points = getPriceSeries(symbol, source, windowMs);
+    if (points.length < 2) return '';
+
+    const prices = points.map(([, price]) => price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const range = max - min || 1;
+    const firstTs = points[0][0];
+    const span = points[points.length - 1][0] - firstTs || 1;
+
+    const coords = points.map(([ts, price]) => {
+        const x = ((ts - firstTs) / span) * width;
+        const y = height - ((price - min) / range) * (height - 2) - 1;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    const trend = prices[prices.length - 1] >= prices[0] ? 'up' : 'down';
+
+    return `<svg class="sparkline ${trend}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.2"/></svg>`;
+}
+
+/**
+ * Format a computed change for display ('--' while history is too short).
+ */
+function formatPriceChange(change) {
+    if (change === null || !isFinite(change)) return '--';
+    return `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+}
+
+function configurePriceStore(options = {}) {
+    Object.assign(PRICE_STORE_CONFIG, options);
+    compactAllSeries();
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+const priceStoreReady = loadPriceSeries();
+
+// Re-apply retention/downsampling every 10 minutes
+setInterval(compactAllSeries, 10 * 60 * 1000);
+
+// Don't lose the pending batch when the tab closes
+window.addEventListener('beforeunload', flushPriceSeries);
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.PriceStore = {
+    ready: priceStoreReady,
+    config: PRICE_STORE_CONFIG,
+    configure: configurePriceStore,
+
+    pairId: pairSeriesId,
+    record: recordPrice,
+    getSeries: getPriceSeries,
+    getChange: getPriceChange,
+    sparkline: renderSparkline,
+    formatChange: formatPriceChange
+};
+
+console.log('Price store module loaded.');
@@ -0,0 +1,312 @@
+/**
+ * KIMCHI - ARTICLE READER
+ * Loads a linked article through our /api/article proxy and extracts the
+ * main text with a readability-style scorer:
+ *   1. Drop scripts, navigation, sidebars, share/related/newsletter boxes
+ *   2. Score every paragraph (length + commas) into its parent (full) and
+ *      grandparent (half), weighted by class/id hints
+ *   3. Penalize link-heavy containers, pick the best one and pull in
+ *      siblings that score close to it
+ *   4. Keep only text blocks (paragraphs, headings, quotes, list items)
+ *
+ * The result is cached on the news document (FirebaseDB.saveArticle) so it is
+ * extracted once for everybody and BILU can read the whole piece aloud.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const READER_CONFIG = {
+    endpoint: window.READER_ENDPOINT || '/api/article',
+    maxChars: 40000,                 // Keep cached documents small
+    minParagraphLength: 25,
+    minArticleLength: 250             // Less than this is treated as "extraction failed"
+};
+
+const READER_REMOVE = 'script, style, noscript, iframe, form, nav, footer, aside, svg, canvas, button, input, select, textarea, template, object, embed, [role="navigation"], [role="banner"], [role="complementary"], [aria-hidden="true"]';
+const READER_UNLIKELY = /comment|share|social|related|promo|newsletter|subscribe|sidebar|footer|header|menu|breadcrumb|cookie|popup|modal|banner|sponsor|advert|\bads?\b|widget|author-bio|tags|pagination|disclaimer/i;
+const READER_POSITIVE = /article|body|content|entry|main|post|story|text|prose/i;
+const READER_BLOCKS = 'p, h2, h3, h4, blockquote, li, pre';
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+function readerText(node) {
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function classWeight(node) {
+    const hint = `${node.className || ''} ${node.id || ''}`;
+    let weight = 0;
+    if (READER_POSITIVE.test(hint)) weight += 25;
+    if (READER_UNLIKELY.test(hint)) weight -= 25;
+    return weight;
+}
+
+function linkDensity(node) {
+    const length = readerText(node).length || 1;
+    const linkLength = [...node.querySelectorAll('a')].reduce((sum, a) => sum + readerText(a).length, 0);
+    return linkLength / length;
+}
+
+function removeClutter(doc) {
+    doc.querySelectorAll(READER_REMOVE).forEach(node => node.remove());
+
+    // Unlikely containers go unless they also look like content
+    doc.querySelectorAll('div, section, header, ul, span').forEach(node => {
+        if (node === doc.body || !node.isConnected) return;
+        const hint = `${node.className || ''} ${node.id || ''}`;
+        if (READER_UNLIKELY.test(hint) && !READER_POSITIVE.test(hint)) node.remove();
+    });
+}
+
+function getMeta(doc, selectors) {
+    for (const selector of selectors) {
+        const el = doc.querySelector(selector);
+        const value = el && (el.getAttribute('content') || el.textContent);
+        if (value && value.trim()) return value.trim();
+    }
+    return '';
+}
+
+function findTopCandidate(root) {
+    const scores = new Map();
+
+    const addScore = (node, score) => {
+        if (!node || node.nodeType !== 1) return;
+        if (!scores.has(node)) {
+            const tagBonus = /^(ARTICLE|MAIN)$/.test(node.tagName) ? 10 : node.tagName === 'DIV' ? 5 : 0;
+            scores.set(node, tagBonus + classWeight(node));
+        }
+        scores.set(node, scores.get(node) + score);
+    };
+
+    root.querySelectorAll('p, pre, td').forEach(paragraph => {
+        const text = readerText(paragraph);
+        if (text.length < READER_CONFIG.minParagraphLength) return;
+
+        const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+        addScore(paragraph.parentElement, score);
+        addScore(paragraph.parentElement && paragraph.parentElement.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, node) => {
+        const adjusted = score * (1 - linkDensity(node));
+        scores.set(node, adjusted);
+        if (adjusted > bestScore) {
+            best = node;
+            bestScore = adjusted;
+        }
+    });
+
+    return { best, bestScore, scores };
+}
+
+function collectBlocks(nodes) {
+    const blocks = [];
+    const seen = new Set();
+
+    nodes.forEach(node => {
+        const candidates = node.matches(READER_BLOCKS) ? [node] : [...node.querySelectorAll(READER_BLOCKS)];
+        candidates.forEach(el => {
+            // A paragraph inside a quote/list item is already part of it
+            if ([...seen].some(parent => parent.contains(el))) return;
+
+            const text = readerText(el);
+            const tag = el.tagName.toLowerCase();
+            const isHeading = /^h[2-4]$/.test(tag);
+            if (!text || (!isHeading && text.length < READER_CONFIG.minParagraphLength && tag !== 'li')) return;
+            if (linkDensity(el) > 0.5) return;
+
+            seen.add(el);
+            blocks.push({ tag: isHeading ? 'h3' : tag === 'li' ? 'li' : tag === 'blockquote' ? 'blockquote' : 'p', text });
+        });
+    });
+
+    return blocks;
+}
+
+/**
+ * Extract the readable article from an HTML page.
+ * Returns { title, byline, published, image, blocks: [{ tag, text }], wordCount, truncated }
+ */
+function extractArticle(html, url) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    const title = getMeta(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]', 'h1', 'title']);
+    const byline = getMeta(doc, ['meta[name="author"]', '[rel="author"]', '[itemprop="author"] [itemprop="name"]', '.byline', '.author-name']);
+    const published = getMeta(doc, ['meta[property="article:published_time"]', 'time[datetime]']) ||
+        (doc.querySelector('time[datetime]') ? doc.querySelector('time[datetime]').getAttribute('datetime') : '');
+    let image = getMeta(doc, ['meta[property="og:image"]', 'meta[name="twitter:image"]']);
+    try {
+        image = image ? new URL(image, url).href : null;
+    } catch (e) {
+        image = null;
+    }
+
+    removeClutter(doc);
+
+    // Prefer an <article> with real text in it
+    const articleEl = [...doc.querySelectorAll('article, [itemprop="articleBody"]')]
+        .sort((a, b) => readerText(b).length - readerText(a).length)[0];
+    const root = articleEl && readerText(articleEl).length >= READER_CONFIG.minArticleLength ? articleEl : doc.body;
+
+    const { best, bestScore, scores } = findTopCandidate(root || doc.body);
+    if (!best) {
+        return { title, byline, published, image, blocks: [], wordCount: 0, truncated: false };
+    }
+
+    // Siblings that score close to the winner are usually the rest of the article
+    const threshold = Math.max(10, bestScore * 0.2);
+    const parts = best.parentElement
+        ? [...best.parentElement.children].filter(node => node === best || (scores.get(node) || 0) >= threshold)
+        : [best];
+
+    let blocks = collectBlocks(parts);
+    let truncated = false;
+    let chars = 0;
+    blocks = blocks.filter(block => {
+        chars += block.text.length;
+        if (chars > READER_CONFIG.maxChars) truncated = true;
+        return !truncated;
+    });
+
+    const wordCount = blocks.reduce((sum, block) => sum + block.text.split(/\s+/).length, 0);
+    return { title, byline, published, image, blocks, wordCount, truncated };
+}
+
+// ============================================
+// LOADING & CACHING
+// ============================================
+
+const articleMemoryCache = new Map();     // url -> article (this page)
+
+/**
+ * Full article for a news item ({ url, article? }). Looks in the item, this
+ * page's cache and the shared news document before fetching and extracting.
+ */
+async function loadArticle(item) {
+    const url = item.url;
+    if (!url) throw new Error('This story has no link');
+
+    if (item.article && item.article.blocks) return item.article;
+    if (articleMemoryCache.has(url)) return articleMemoryCache.get(url);
+
+    if (typeof FirebaseDB !== 'undefined') {
+        const stored = await FirebaseDB.getArticle(url);
+        if (stored && stored.blocks) {
+            articleMemoryCache.set(url, stored);
+            return stored;
+        }
+    }
+
+    const response = await HttpClient.fetch(`${READER_CONFIG.endpoint}?url=${encodeURIComponent(url)}`, {
+        // Raw pages stay out of the shared HTTP cache (neither read nor stored):
+        // the extracted article is what gets cached, in memory and in the news doc
+        cache: false,
+        ttl: 0,
+        timeout: 20 * 1000
+    });
+    if (!response.ok) {
+        let message = `HTTP ${response.status}`;
+        try {
+            const body = await response.json();
+            if (body.error) message = body.error;
+        } catch (e) {
+            // Keep the status
+        }
+        throw new Error(message);
+    }
+
+    const article = extractArticle(await response.text(), url);
+    const length = article.blocks.reduce((sum, block) => sum + block.text.length, 0);
+    if (length < READER_CONFIG.minArticleLength) {
+        throw new Error('Could not find the article text on that page');
+    }
+
+    article.url = url;
+    article.extractedAt = Date.now();
+    articleMemoryCache.set(url, article);
+
+    if (typeof FirebaseDB !== 'undefined') {
+        FirebaseDB.saveArticle(url, article);
+    }
+    return article;
+}
+
+// ============================================
+// PRESENTATION
+// ============================================
+
+function escapeReaderHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Safe HTML for the extracted blocks (text only - nothing from the page is injected)
+ */
+function renderArticleBlocks(article) {
+    let html = '';
+    let inList = false;
+
+    article.blocks.forEach(block => {
+        if (block.tag === 'li' && !inList) {
+            html += '<ul>';
+            inList = true;
+        } else if (block.tag !== 'li' && inList) {
+            html += '</ul>';
+            inList = false;
+        }
+        html += `<${block.tag}>${escapeReaderHtml(block.text)}</${block.tag}>`;
+    });
+    if (inList) html += '</ul>';
+
+    if (article.truncated) {
+        html += '<p class="reader-truncated">[Article shortened - open the original for the rest]</p>';
+    }
+    return html;
+}
+
+/**
+ * Text chunks for speech (one per block, long blocks split on sentences)
+ */
+function articleToSpeechChunks(article, maxLength = 280) {
+    const chunks = [];
+
+    article.blocks.forEach(block => {
+        const sentences = block.text.match(/[^.!?]+[.!?]+["”']?|[^.!?]+$/g) || [block.text];
+        let current = '';
+        sentences.forEach(sentence => {
+            if ((current + sentence).length > maxLength && current) {
+                chunks.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+        });
+        if (current.trim()) chunks.push(current.trim());
+    });
+
+    return chunks;
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.ArticleReader = {
+    config: READER_CONFIG,
+    extract: extractArticle,
+    load: loadArticle,
+    render: renderArticleBlocks,
+    toSpeechChunks: articleToSpeechChunks
+};
+
+console.log('Article reader module loaded.');
@@ -0,0 +1,202 @@
+/**
+ * KIMCHI - MARKET SENTIMENT INDEX
+ * Turns live signals into BILU's three 0-100 stats:
+ *
+ *   MOOD = 50 + 50 * blend(news, price, odds)
+ *     news  - recency-weighted mean of the enrichment scores (-1..1) of the
+ *             stories from the last 24h, weight = 0.5 ^ (age / 6h), one
+ *             vote per story
+ *     price - mean of tanh(change24h / 5%) for BTC and ETH, so +5% reads as
+ *             +0.76 and a crash saturates at -1
+ *     odds  - crypto prediction markets: (yes - 50%) / 50%, signed by the
+ *             direction of the question ("BTC above $100K?" bullish,
+ *             "ETH below $2K?" bearish); undirected questions are ignored
+ *     blend - weighted mean (news 0.45, price 0.40, odds 0.15) over the
+ *             signals that are available
+ *
+ *   VOLATILITY = 100 * (1 - e^(-sigma / 4%))
+ *     sigma - realized daily volatility of BTC and ETH from the stored price
+ *             series (PriceStore, last 24h): sqrt(sum(r^2) / sum(dt) * 1 day)
+ *             with r the log return between consecutive points. Falls back to
+ *             |change24h| while there is less than an hour of history.
+ *             2% a day reads as 39, 4% as 63, 8% as 86
+ *
+ *   HEALTH = 100 * mean over polled sources of (1 - error rate), 0 if stale
+ *
+ * A stat with no signal at all is returned as null (keep the previous value).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SENTIMENT_CONFIG = {
+    weights: { news: 0.45, price: 0.40, odds: 0.15 },
+    newsWindow: 24 * 60 * 60 * 1000,
+    newsHalfLife: 6 * 60 * 60 * 1000,
+    priceScale: 5,                        // 24h % change that reads as tanh(1)
+    volWindow: 24 * 60 * 60 * 1000,
+    volMinSpan: 60 * 60 * 1000,           // Less history than this uses the 24h change instead
+    volScale: 4,                          // Daily volatility (%) that reads as 63
+    majors: ['BTC', 'ETH'],
+    priceSources: ['binance', 'coincap', 'coinbase']
+};
+
+const ODDS_BULLISH = /\b(above|over|reach|hit|exceed|higher|rise|rally|ath|all[- ]time high|approve[ds]?|approval|up)\b/i;
+const ODDS_BEARISH = /\b(below|under|dip|drop|fall|crash|lower|down|ban|reject(ed)?|hack(ed)?|collapse)\b/i;
+
+// ============================================
+// SIGNALS
+// ============================================
+
+/**
+ * News signal from enriched stories: -1..1, or null without enriched news
+ */
+function computeNewsSignal(newsItems, now = Date.now()) {
+    const stories = new Map();
+
+    newsItems.forEach(item => {
+        const enrichment = item.enrichment;
+        if (!enrichment || !isFinite(enrichment.score)) return;
+
+        const ts = item.timestamp || new Date(item.date).getTime() || now;
+        if (now - ts > SENTIMENT_CONFIG.newsWindow) return;
+
+        const key = item.storyId || item.url || item.title;
+        if (!stories.has(key) || stories.get(key).ts < ts) {
+            stories.set(key, { ts, score: enrichment.score });
+        }
+    });
+
+    let total = 0;
+    let weights = 0;
+    stories.forEach(({ ts, score }) => {
+        const weight = Math.pow(0.5, Math.max(0, now - ts) / SENTIMENT_CONFIG.newsHalfLife);
+        total += score * weight;
+        weights += weight;
+    });
+
+    return weights > 0 ? { value: total / weights, count: stories.size } : null;
+}
+
+/**
+ * Price signal from the 24h change of the majors: -1..1, or null
+ * @param {Object} changes - symbol -> 24h % change
+ */
+function computePriceSignal(changes) {
+    const values = SENTIMENT_CONFIG.majors
+        .map(symbol => changes[symbol])
+        .filter(change => typeof change === 'number' && isFinite(change));
+    if (values.length === 0) return null;
+
+    const value = values.reduce((sum, change) => sum + Math.tanh(change / SENTIMENT_CONFIG.priceScale), 0) / values.length;
+    return { value, count: values.length };
+}
+
+/**
+ * Odds signal from prediction markets ({ question, yes } with yes in %): -1..1, or null
+ */
+function computeOddsSignal(markets) {
+    const values = [];
+
+    markets.forEach(({ question, yes }) => {
+        if (!question || !isFinite(yes)) return;
+        const bullish = ODDS_BULLISH.test(question);
+        const bearish = ODDS_BEARISH.test(question);
+        if (bullish === bearish) return;
+
+        values.push(((yes - 50) / 50) * (bullish ? 1 : -1));
+    });
+
+    if (values.length === 0) return null;
+    return { value: values.reduce((sum, v) => sum + v, 0) / values.length, count: values.length };
+}
+
+/**
+ * Realized daily volatility (%) of a [[ts, price]] series, or null if it is too short
+ */
+function realizedVolatility(points) {
+    if (points.length < 3) return null;
+    if (points[points.length - 1][0] - points[0][0] < SENTIMENT_CONFIG.volMinSpan) return null;
+
+    let squares = 0;
+    let span = 0;
+    for (let i = 1; i < points.length; i++) {
+        const dt = points[i][0] - points[i - 1][0];
+        if (dt <= 0 || points[i - 1][1] <= 0) continue;
+        squares += Math.pow(Math.log(points[i][1] / points[i - 1][1]), 2);
+        span += dt;
+    }
+    if (span === 0) return null;
+
+    return Math.sqrt((squares / span) * 24 * 60 * 60 * 1000) * 100;
+}
+
+// ============================================
+// INDEX
+// ============================================
+
+function clampStat(value) {
+    return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * @param {Object} inputs
+ *   news        - news items ({ storyId, timestamp, enrichment })
+ *   changes     - symbol -> 24h % change
+ *   predictions - [{ question, yes }]
+ *   series      - symbol -> [[ts, price]] (see SENTIMENT_CONFIG.volWindow)
+ *   sources     - [{ enabled, stale, requests, errorRate }]
+ * @returns {{ mood, health, volatility, components }} - stats are null without signal
+ */
+function computeSentimentIndex({ news = [], changes = {}, predictions = [], series = {}, sources = [] }, now = Date.now()) {
+    const components = {
+        news: computeNewsSignal(news, now),
+        price: computePriceSignal(changes),
+        odds: computeOddsSignal(predictions)
+    };
+
+    // Mood: weighted blend of whatever signals we have
+    let blend = 0;
+    let weights = 0;
+    Object.entries(SENTIMENT_CONFIG.weights).forEach(([name, weight]) => {
+        if (!components[name]) return;
+        blend += components[name].value * weight;
+        weights += weight;
+    });
+    const mood = weights > 0 ? clampStat(50 + 50 * (blend / weights)) : null;
+
+    // Volatility: realized from the stored series, 24h change as a stand-in
+    const sigmas = SENTIMENT_CONFIG.majors.map(symbol => {
+        const realized = realizedVolatility(series[symbol] || []);
+        if (realized !== null) return realized;
+        return typeof changes[symbol] === 'number' ? Math.abs(changes[symbol]) : null;
+    }).filter(sigma => sigma !== null);
+    const sigma = sigmas.length > 0 ? sigmas.reduce((sum, s) => sum + s, 0) / sigmas.length : null;
+    const volatility = sigma !== null ? clampStat(100 * (1 - Math.exp(-sigma / SENTIMENT_CONFIG.volScale))) : null;
+    components.sigma = sigma;
+
+    // Health: sources we have actually polled
+    const polled = sources.filter(source => source.enabled && source.requests > 0);
+    const health = polled.length > 0
+        ? clampStat(100 * polled.reduce((sum, source) => sum + (source.stale ? 0 : 1 - source.errorRate / 100), 0) / polled.length)
+        : null;
+    components.sources = polled.length;
+
+    return { mood, health, volatility, components };
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.MarketSentiment = {
+    config: SENTIMENT_CONFIG,
+    compute: computeSentimentIndex,
+    newsSignal: computeNewsSignal,
+    priceSignal: computePriceSignal,
+    oddsSignal: computeOddsSignal,
+    realizedVolatility
+};
+
+console.log('Market sentiment module loaded.');
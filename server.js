@@ -1,13 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const rssHandler = require('./api/rss');
+const articleHandler = require('./api/article');
+const ttsHandler = require('./api/tts');
 
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
 
-// Enable CORS for all routes
+// Text-to-speech proxy (keeps UBERDUCK_API_KEY on the server). Mounted
+// before the global CORS middleware: it only answers its allowed origins
+app.post('/api/tts', ttsHandler);
+app.options('/api/tts', ttsHandler);
+
+// Enable CORS for all other routes
 app.use(cors());
 
+// RSS/Atom and article proxies (same handlers Vercel runs as functions)
+app.get('/api/rss', rssHandler);
+app.get('/api/article', articleHandler);
+
 // Serve static files with proper MIME types
 app.use(express.static(__dirname, {
     setHeaders: (res, filePath) => {
@@ -32,6 +44,7 @@ app.listen(PORT, () => {
     ========================================
 
     Local:   http://localhost:${PORT}
+    Feeds:   http://localhost:${PORT}/api/rss
 
     Press Ctrl+C to stop
     ========================================
@@ -0,0 +1,364 @@
+/**
+ * KIMCHI - SPEECH SCHEDULER
+ * Every line BILU says goes through one priority queue:
+ *
+ *   user > alert > knowledge > news > idle
+ *
+ * A line arriving while a lower-priority one is playing applies its level's
+ * policy: 'interrupt' cuts the current line off (put back in the queue if
+ * that line's level has `requeue`), 'duck' lowers it and goes next, 'wait'
+ * just takes its place. Within a level lines are first in, first out; a new
+ * user line also cuts off an older user line unless both share a `group`
+ * (the chunks of one article).
+ *
+ * Lines older than their level's maxAge are dropped when they reach the
+ * front. A line with the same `key` as a queued one of its level replaces it,
+ * and so does one whose text is nearly the same (word overlap >= similarity).
+ *
+ * The scheduler does not talk itself - init() hands it speak/stop/pause/
+ * resume/duck callbacks (app.js wires them to tts.js).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SPEECH_QUEUE_CONFIG = {
+    levels: {
+        user: { priority: 5, policy: 'interrupt', maxAge: 60 * 1000, requeue: false },
+        alert: { priority: 4, policy: 'interrupt', maxAge: 2 * 60 * 1000, requeue: true },
+        knowledge: { priority: 3, policy: 'duck', maxAge: 10 * 60 * 1000, requeue: true },
+        news: { priority: 2, policy: 'wait', maxAge: 10 * 60 * 1000, requeue: true },
+        idle: { priority: 1, policy: 'wait', maxAge: 30 * 1000, requeue: false }
+    },
+    gap: 2000,                  // Pause between lines (not before a user line)
+    maxItems: 30,               // Beyond this the lowest-priority, oldest line is dropped
+    similarity: 0.8,            // Word overlap (Jaccard) that counts as the same line
+    duckVolume: 0.35
+};
+
+// ============================================
+// STATE
+// ============================================
+
+const speechItems = [];         // Queued lines (not the current one)
+let speechCurrent = null;
+let speechLast = null;          // Last line spoken to the end (replay)
+let speechPaused = false;
+let speechRunning = false;
+let speechDucked = false;
+let speechSeq = 0;
+let speechWake = null;          // Ends the gap between lines early
+const speechListeners = [];
+
+let speechHandlers = {
+    speak: async () => {},
+    stop: () => {},
+    pause: () => {},
+    resume: () => {},
+    duck: () => {}
+};
+
+function getSpeechLevel(level) {
+    return SPEECH_QUEUE_CONFIG.levels[level] || SPEECH_QUEUE_CONFIG.levels.news;
+}
+
+function notifySpeechQueue() {
+    const state = getSpeechQueueState();
+    speechListeners.forEach(listener => listener(state));
+}
+
+function speechWords(text) {
+    return new Set(text.toLowerCase().split(/[^a-z0-9$%.]+/).filter(word => word.length > 2));
+}
+
+function isSimilarSpeech(a, b) {
+    const wordsA = speechWords(a);
+    const wordsB = speechWords(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return false;
+
+    let shared = 0;
+    wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+    return shared / (wordsA.size + wordsB.size - shared) >= SPEECH_QUEUE_CONFIG.similarity;
+}
+
+/**
+ * Queued lines in the order they will be spoken
+ */
+function sortedSpeechItems() {
+    return [...speechItems].sort((a, b) =>
+        getSpeechLevel(b.level).priority - getSpeechLevel(a.level).priority || a.createdAt - b.createdAt);
+}
+
+function settleSpeech(item, status) {
+    if (item.settled) return;
+    item.settled = true;
+    item.resolve(status);
+}
+
+function removeSpeechItem(item, status) {
+    const index = speechItems.indexOf(item);
+    if (index === -1) return;
+    speechItems.splice(index, 1);
+    settleSpeech(item, status);
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Queue a line. Resolves once it is over with 'spoken', 'skipped',
+ * 'interrupted', 'expired', 'coalesced', 'dropped', 'removed' or 'cleared'.
+ * @param {Object} options
+ *   level    - user, alert, knowledge, news or idle (default news)
+ *   key      - lines of a level with the same key replace each other
+ *   group    - lines that belong together (cancelGroup, no user-vs-user cut)
+ *   label    - short text for the queue view (defaults to the line)
+ *   meta     - anything the speak callback needs (voice category, voice...)
+ */
+function enqueueSpeech(text, { level = 'news', key = null, group = null, label = null, meta = {} } = {}) {
+    return new Promise((resolve) => {
+        const item = {
+            id: ++speechSeq,
+            text,
+            level: SPEECH_QUEUE_CONFIG.levels[level] ? level : 'news',
+            key,
+            group,
+            label: label || text,
+            meta,
+            createdAt: Date.now(),
+            resolve,
+            settled: false
+        };
+
+        // Coalesce: the newer line takes the place of the queued one
+        const similar = speechItems.find(queued => queued.level === item.level &&
+            ((key && queued.key === key) || isSimilarSpeech(queued.text, text)));
+        if (similar) {
+            console.log('🔀 [Speech] Coalesced with a queued line:', similar.label.substring(0, 50));
+            item.createdAt = similar.createdAt;
+            removeSpeechItem(similar, 'coalesced');
+        }
+
+        speechItems.push(item);
+
+        // Too many lines: the least important, oldest one goes
+        if (speechItems.length > SPEECH_QUEUE_CONFIG.maxItems) {
+            const dropped = sortedSpeechItems().pop();
+            console.log('🗑️ [Speech] Queue full, dropping:', dropped.label.substring(0, 50));
+            removeSpeechItem(dropped, 'dropped');
+        }
+
+        applySpeechPolicy(item);
+        notifySpeechQueue();
+
+        if (level === 'user' && speechWake) speechWake();
+        runSpeechQueue();
+    });
+}
+
+/**
+ * What a new line does to the one that is playing
+ */
+function applySpeechPolicy(item) {
+    const current = speechCurrent;
+    if (!current || current.stopping) return;
+
+    const level = getSpeechLevel(item.level);
+    const currentLevel = getSpeechLevel(current.level);
+    const outranks = level.priority > currentLevel.priority ||
+        (item.level === 'user' && current.level === 'user' && (!item.group || item.group !== current.group));
+    if (!outranks) return;
+
+    if (level.policy === 'interrupt') {
+        console.log(`✋ [Speech] ${item.level} line interrupts ${current.level} line`);
+        stopCurrentSpeech(currentLevel.requeue ? 'requeue' : 'interrupted');
+    } else if (level.policy === 'duck' && !speechDucked) {
+        speechDucked = true;
+        speechHandlers.duck(SPEECH_QUEUE_CONFIG.duckVolume);
+    }
+}
+
+function stopCurrentSpeech(outcome) {
+    if (!speechCurrent) return;
+    speechCurrent.stopping = outcome;
+    speechHandlers.stop();
+}
+
+/**
+ * Next line to speak - expired lines are dropped on the way
+ */
+function takeNextSpeech() {
+    const now = Date.now();
+    for (const item of sortedSpeechItems()) {
+        if (now - item.createdAt > getSpeechLevel(item.level).maxAge) {
+            console.log(`⌛ [Speech] Expired ${item.level} line:`, item.label.substring(0, 50));
+            removeSpeechItem(item, 'expired');
+            continue;
+        }
+        speechItems.splice(speechItems.indexOf(item), 1);
+        return item;
+    }
+    return null;
+}
+
+function waitSpeechGap() {
+    const next = sortedSpeechItems()[0];
+    if (!next || next.level === 'user') return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, SPEECH_QUEUE_CONFIG.gap);
+        function done() {
+            clearTimeout(timer);
+            speechWake = null;
+            resolve();
+        }
+        speechWake = done;
+    });
+}
+
+async function runSpeechQueue() {
+    if (speechRunning) return;
+    speechRunning = true;
+
+    while (!speechPaused) {
+        const item = takeNextSpeech();
+        if (!item) break;
+
+        speechCurrent = item;
+        notifySpeechQueue();
+
+        try {
+            await speechHandlers.speak(item);
+        } catch (error) {
+            console.error('❌ [Speech] Speaking failed:', error.message);
+        }
+
+        if (speechDucked) {
+            speechDucked = false;
+            speechHandlers.duck(1);
+        }
+
+        speechCurrent = null;
+        if (item.stopping === 'requeue') {
+            // Back in line with its original age, so it goes first within its level
+            item.stopping = null;
+            speechItems.push(item);
+        } else if (item.stopping) {
+            settleSpeech(item, item.stopping);
+        } else {
+            speechLast = item;
+            settleSpeech(item, 'spoken');
+        }
+        notifySpeechQueue();
+
+        await waitSpeechGap();
+    }
+
+    speechRunning = false;
+}
+
+// ============================================
+// CONTROLS
+// ============================================
+
+function skipSpeech() {
+    stopCurrentSpeech('skipped');
+}
+
+function pauseSpeech() {
+    if (speechPaused) return;
+    speechPaused = true;
+    if (speechCurrent) speechHandlers.pause();
+    notifySpeechQueue();
+}
+
+function resumeSpeech() {
+    if (!speechPaused) return;
+    speechPaused = false;
+    if (speechCurrent) speechHandlers.resume();
+    notifySpeechQueue();
+    runSpeechQueue();
+}
+
+/**
+ * Say the last finished line again, as a user line
+ */
+function replaySpeech() {
+    if (!speechLast) return Promise.resolve('removed');
+    return enqueueSpeech(speechLast.text, { level: 'user', label: speechLast.label, meta: speechLast.meta });
+}
+
+/**
+ * Drop every queued line (the current one finishes)
+ */
+function clearSpeech() {
+    [...speechItems].forEach(item => removeSpeechItem(item, 'cleared'));
+    notifySpeechQueue();
+}
+
+/**
+ * Drop everything, including the current line
+ */
+function stopAllSpeech() {
+    clearSpeech();
+    stopCurrentSpeech('cleared');
+    if (speechPaused) resumeSpeech();
+}
+
+function removeQueuedSpeech(id) {
+    const item = speechItems.find(queued => queued.id === id);
+    if (item) {
+        removeSpeechItem(item, 'removed');
+        notifySpeechQueue();
+    }
+}
+
+function cancelSpeechGroup(group) {
+    speechItems.filter(item => item.group === group).forEach(item => removeSpeechItem(item, 'removed'));
+    if (speechCurrent && speechCurrent.group === group) stopCurrentSpeech('skipped');
+    notifySpeechQueue();
+}
+
+function summarizeSpeech(item) {
+    return { id: item.id, level: item.level, label: item.label, createdAt: item.createdAt, group: item.group };
+}
+
+function getSpeechQueueState() {
+    return {
+        current: speechCurrent ? summarizeSpeech(speechCurrent) : null,
+        queue: sortedSpeechItems().map(summarizeSpeech),
+        last: speechLast ? summarizeSpeech(speechLast) : null,
+        paused: speechPaused
+    };
+}
+
+/**
+ * @param {Object} handlers - { speak(item) -> Promise, stop(), pause(), resume(), duck(factor) }
+ */
+function initSpeechQueue(handlers) {
+    speechHandlers = { ...speechHandlers, ...handlers };
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.SpeechQueue = {
+    config: SPEECH_QUEUE_CONFIG,
+    init: initSpeechQueue,
+    enqueue: enqueueSpeech,
+    skip: skipSpeech,
+    pause: pauseSpeech,
+    resume: resumeSpeech,
+    replay: replaySpeech,
+    clear: clearSpeech,
+    stop: stopAllSpeech,
+    remove: removeQueuedSpeech,
+    cancelGroup: cancelSpeechGroup,
+    state: getSpeechQueueState,
+    onChange: (listener) => speechListeners.push(listener)
+};
+
+console.log('Speech queue module loaded.');
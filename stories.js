@@ -0,0 +1,343 @@
+/**
+ * KIMCHI - STORY CLUSTERING
+ * Groups near-duplicate articles from different sources into one story.
+ *
+ * Headlines are normalized (case, punctuation, stopwords, plurals, $100K vs
+ * $100,000) and turned into a shingle set of words + word pairs. Two articles
+ * are the same story when they were published within `windowMs`, carry the
+ * same numbers (prices, dates - "Price analysis 6/5" is not "6/7") and either
+ *   - the Jaccard similarity of their shingle sets reaches `threshold`, or
+ *   - every word of one headline (at least `containmentMinWords` of them) is
+ *     contained in the other's - outlets love to pad the same headline with
+ *     "price", "ever", "report"... A single different word ("inflows" vs
+ *     "outflows") is enough to keep two headlines apart.
+ *
+ * A story keeps the earliest article as its primary headline and lists every
+ * outlet that ran it in `sources` ([{ source, title, url, feedId }]). Its id
+ * is the one it was first given, even when an earlier article shows up later.
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const STORY_CONFIG = {
+    threshold: 0.6,                      // Jaccard similarity needed to merge
+    containment: 1,                      // Share of the shorter headline's words found in the longer one
+    containmentMinWords: 4,
+    minShingles: 3,                      // Shorter headlines only merge on exact match
+    windowMs: 48 * 60 * 60 * 1000,       // Articles further apart are never the same story
+    summaryWords: 0                      // Summary words added to the shingles (0 = headline only)
+};
+
+const STORY_STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'from', 'by', 'with',
+    'as', 'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that', 'these', 'those',
+    'after', 'before', 'over', 'into', 'about', 'amid', 'than', 'says', 'said', 'new', 'how', 'why',
+    'what', 'who', 'will', 'could', 'would', 'can', 'has', 'have', 'had', 'not', 'now', 'up', 'out'
+]);
+
+// ============================================
+// SHINGLING
+// ============================================
+
+const shingleCache = new WeakMap();
+
+function expandNumber(value, suffix) {
+    const number = parseFloat(value.replace(/,/g, ''));
+    const multiplier = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 }[(suffix || '').toLowerCase()] || 1;
+    return isFinite(number) ? String(Math.round(number * multiplier)) : value;
+}
+
+/**
+ * Normalized content words of a text
+ */
+function tokenizeHeadline(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[’']s\b/g, '')
+        // $100K, 100,000, 1.5B -> plain integers so outlets that format numbers differently still match
+        .replace(/\$?(\d[\d,]*(?:\.\d+)?)\s*(k|m|b|t|bn|million|billion|trillion)?\b/gi, (match, value, suffix) => {
+            const unit = { bn: 'b', million: 'm', billion: 'b', trillion: 't' }[(suffix || '').toLowerCase()] || suffix;
+            return ` ${expandNumber(value, unit)} `;
+        })
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STORY_STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Shingle set of an item: every word plus every adjacent word pair
+ */
+function getShingles(item) {
+    if (item && typeof item === 'object' && shingleCache.has(item)) {
+        return shingleCache.get(item);
+    }
+
+    let tokens = tokenizeHeadline(item.title);
+    if (STORY_CONFIG.summaryWords > 0) {
+        const summary = item.summary || item.description || item.content || '';
+        tokens = tokens.concat(tokenizeHeadline(summary).slice(0, STORY_CONFIG.summaryWords));
+    }
+
+    const shingles = new Set(tokens);
+    for (let i = 0; i < tokens.length - 1; i++) {
+        shingles.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+
+    if (item && typeof item === 'object') shingleCache.set(item, shingles);
+    return shingles;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+
+    let intersection = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) intersection++;
+    });
+    return intersection / (a.size + b.size - intersection);
+}
+
+function getItemTime(item) {
+    return item.timestamp || new Date(item.date).getTime() || 0;
+}
+
+/**
+ * Share of the shorter headline's words found in the longer one
+ * (0 when the shorter one has fewer than `containmentMinWords` words)
+ */
+function wordContainment(shinglesA, shinglesB) {
+    const wordsA = [...shinglesA].filter(shingle => !shingle.includes(' '));
+    const wordsB = [...shinglesB].filter(shingle => !shingle.includes(' '));
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, new Set(wordsB)] : [wordsB, new Set(wordsA)];
+
+    if (shorter.length < STORY_CONFIG.containmentMinWords) return 0;
+    return shorter.filter(word => longer.has(word)).length / shorter.length;
+}
+
+/**
+ * Shingle Jaccard similarity (0..1) of two articles' headlines
+ */
+function storySimilarity(a, b) {
+    return jaccard(getShingles(a), getShingles(b));
+}
+
+/**
+ * Numbers (prices, dates, percentages) of both headlines agree - a headline
+ * without numbers agrees with any
+ */
+function sameNumbers(shinglesA, shinglesB) {
+    const numbersA = [...shinglesA].filter(shingle => /^\d+$/.test(shingle));
+    const numbersB = [...shinglesB].filter(shingle => /^\d+$/.test(shingle));
+    if (numbersA.length === 0 || numbersB.length === 0) return true;
+
+    return numbersA.length === numbersB.length && numbersA.every(number => shinglesB.has(number));
+}
+
+function isSameStory(a, b) {
+    const timeA = getItemTime(a);
+    const timeB = getItemTime(b);
+    if (timeA && timeB && Math.abs(timeA - timeB) > STORY_CONFIG.windowMs) return false;
+
+    const shinglesA = getShingles(a);
+    const shinglesB = getShingles(b);
+    if (!sameNumbers(shinglesA, shinglesB)) return false;
+
+    if (shinglesA.size < STORY_CONFIG.minShingles || shinglesB.size < STORY_CONFIG.minShingles) {
+        return [...shinglesA].sort().join('|') === [...shinglesB].sort().join('|') && shinglesA.size > 0;
+    }
+    return jaccard(shinglesA, shinglesB) >= STORY_CONFIG.threshold ||
+        wordContainment(shinglesA, shinglesB) >= STORY_CONFIG.containment;
+}
+
+// ============================================
+// STORIES
+// ============================================
+
+// Ids handed out so far: headline hash -> story id (most recent last)
+const assignedStoryIds = new Map();
+const MAX_ASSIGNED_STORY_IDS = 5000;
+
+/**
+ * Id from the normalized headline (FNV-1a), safe as a Firestore doc id
+ */
+function hashHeadline(item) {
+    const text = tokenizeHeadline(item.title).join(' ') || String(item.title || item.url || '');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `story_${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Story id of an article: the id its story was given when it was first
+ * grouped, else the hash of its own headline
+ */
+function getStoryId(item) {
+    const hash = hashHeadline(item);
+    return assignedStoryIds.get(hash) || hash;
+}
+
+function rememberStoryId(items, id) {
+    items.forEach(item => {
+        const hash = hashHeadline(item);
+        assignedStoryIds.delete(hash);
+        assignedStoryIds.set(hash, id);
+    });
+    while (assignedStoryIds.size > MAX_ASSIGNED_STORY_IDS) {
+        assignedStoryIds.delete(assignedStoryIds.keys().next().value);
+    }
+}
+
+/**
+ * Keep the id a story already has (stored with one of its articles, or given
+ * earlier in this session) - a late, earlier article must not rename it
+ */
+function resolveStoryId(story) {
+    const members = [story.primary, ...story.items];
+    const stored = members.find(item => item.storyId);
+    if (stored) return stored.storyId;
+
+    const known = members.map(hashHeadline).find(hash => assignedStoryIds.has(hash));
+    return known ? assignedStoryIds.get(known) : hashHeadline(story.primary);
+}
+
+function toStorySource(item) {
+    return {
+        source: item.source || 'NEWS',
+        title: item.title || '',
+        url: item.url || '',
+        ...(item.feedId ? { feedId: item.feedId } : {})
+    };
+}
+
+/**
+ * Union of source lists (an outlet is listed once per URL/headline)
+ */
+function mergeSourceLists(...lists) {
+    const merged = [];
+    const seen = new Set();
+
+    lists.flat().forEach(entry => {
+        if (!entry) return;
+        const key = `${entry.source}|${entry.url || entry.title}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        merged.push(entry);
+    });
+    return merged;
+}
+
+function getItemSources(item) {
+    return item.sources && item.sources.length > 0 ? item.sources : [toStorySource(item)];
+}
+
+/**
+ * Best matching story among candidates (or null)
+ */
+function findStoryMatch(item, candidates) {
+    let best = null;
+    let bestScore = 0;
+
+    candidates.forEach(candidate => {
+        if (!isSameStory(item, candidate)) return;
+        const score = storySimilarity(item, candidate);
+        if (!best || score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Cluster items into stories: [{ id, primary, items, sources }].
+ * Stories come out in the order their first member appears in `items`.
+ */
+function groupStories(items) {
+    const stories = [];
+
+    items.forEach(item => {
+        const story = stories.find(s => s.items.some(member => isSameStory(member, item)));
+
+        if (story) {
+            story.items.push(item);
+            if (getItemTime(item) && getItemTime(item) < getItemTime(story.primary)) {
+                story.primary = item;
+            }
+        } else {
+            stories.push({ primary: item, items: [item] });
+        }
+    });
+
+    return stories.map(story => {
+        const id = resolveStoryId(story);
+        rememberStoryId(story.items, id);
+        return { ...story, id, sources: mergeSourceLists(...story.items.map(getItemSources)) };
+    });
+}
+
+/**
+ * Replace near-duplicate items by one item per story (the primary article,
+ * carrying `storyId` and every outlet in `sources`). Items the predicate
+ * rejects (e.g. market cards) pass through untouched.
+ */
+function mergeStories(items, isStoryItem = () => true) {
+    const storyItems = items.filter(isStoryItem);
+    const storyOf = new Map();
+
+    groupStories(storyItems).forEach(story => {
+        const merged = { ...story.primary, storyId: story.id, sources: story.sources };
+        // Story-level data (LLM summary, see enrichment.js) may sit on any member
+        const enriched = story.items.find(item => item.enrichment);
+        if (enriched) merged.enrichment = enriched.enrichment;
+
+        story.items.forEach(item => storyOf.set(item, merged));
+    });
+
+    const emitted = new Set();
+    return items.reduce((result, item) => {
+        const merged = storyOf.get(item);
+        if (!merged) {
+            result.push(item);
+        } else if (!emitted.has(merged)) {
+            emitted.add(merged);
+            result.push(merged);
+        }
+        return result;
+    }, []);
+}
+
+/**
+ * Tag every item with the id of the story it belongs to (in place)
+ */
+function assignStoryIds(items) {
+    groupStories(items).forEach(story => {
+        story.items.forEach(item => { item.storyId = story.id; });
+    });
+    return items;
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.StoryClusters = {
+    config: STORY_CONFIG,
+    tokenize: tokenizeHeadline,
+    similarity: storySimilarity,
+    isSameStory,
+    storyId: getStoryId,
+    toSource: toStorySource,
+    mergeSources: mergeSourceLists,
+    findMatch: findStoryMatch,
+    group: groupStories,
+    merge: mergeStories,
+    assignIds: assignStoryIds
+};
+
+console.log('Story clustering module loaded.');
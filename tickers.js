@@ -0,0 +1,210 @@
+/**
+ * KIMCHI - TICKER EXTRACTION
+ * Finds the assets a piece of text talks about, using the asset dictionary
+ * in assets.json (symbols, names, ambiguity flags - edit it to add coins):
+ *   - cashtags ($SOL, $wif) always count, even for coins not in the dictionary
+ *   - names map to symbols (Bitcoin -> BTC, "Shiba Inu" -> SHIB), whole words only
+ *   - bare symbols must be whole upper-case words (OP never matches OPEN)
+ *   - ambiguous symbols (OP, LINK, TAO, and coins that share an everyday
+ *     acronym like DOGE or ADA) also need a crypto context word nearby
+ *     ("OP token jumps 12%" yes, "click the LINK" no, "DOGE cuts" no) or the
+ *     asset's name in the same text; in ALL-CAPS text every bare symbol needs that
+ *   - ambiguous names - everyday words and titles like Jupiter, Avalanche,
+ *     Tron, Tether - must be capitalized and have a context word nearby
+ *     ("avalanche warning" no, "Tron: Ares" no, "Avalanche network" yes)
+ *
+ * Pages can register more assets at runtime (e.g. the tokens a user tracks on
+ * the market terminal) with TickerExtractor.addAssets().
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TICKER_CONFIG = {
+    dictionaryUrl: window.ASSET_DICTIONARY_URL || 'assets.json',
+    ttl: 10 * 60 * 1000,
+    contextWindow: 6,                 // Words on each side searched for context
+    marketUrl: 'market.html'
+};
+
+// ============================================
+// DICTIONARY
+// ============================================
+
+const tickerAssets = new Map();        // symbol -> { symbol, names, ambiguousNames, ambiguous }
+const tickerNames = new Map();         // lower-case name -> { symbol, name, ambiguous }
+let tickerContextWords = new Set();
+let tickerNamePattern = null;
+
+function escapeTickerRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function rebuildNamePattern() {
+    const names = [...tickerNames.keys()].sort((a, b) => b.length - a.length);
+    // Longest first so "Bitcoin Cash" wins over "Bitcoin"
+    tickerNamePattern = names.length > 0
+        ? new RegExp(`(^|[^\\w])(${names.map(escapeTickerRegex).join('|')})(?![\\w])`, 'gi')
+        : null;
+}
+
+/**
+ * Add or update assets: [{ symbol, names?, ambiguousNames?, ambiguous? }]
+ */
+function addTickerAssets(assets) {
+    assets.forEach(asset => {
+        const symbol = String(asset.symbol || '').replace(/^\$/, '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return;
+
+        const existing = tickerAssets.get(symbol);
+        const entry = {
+            symbol,
+            names: [...new Set([...(existing ? existing.names : []), ...(asset.names || [])])],
+            ambiguousNames: [...new Set([...(existing ? existing.ambiguousNames : []), ...(asset.ambiguousNames || [])])],
+            ambiguous: asset.ambiguous !== undefined ? !!asset.ambiguous : (existing ? existing.ambiguous : false)
+        };
+        tickerAssets.set(symbol, entry);
+        entry.names.forEach(name => tickerNames.set(name.toLowerCase(), { symbol, name, ambiguous: false }));
+        entry.ambiguousNames.forEach(name => tickerNames.set(name.toLowerCase(), { symbol, name, ambiguous: true }));
+    });
+    rebuildNamePattern();
+}
+
+async function loadTickerDictionary() {
+    try {
+        const response = await HttpClient.fetch(TICKER_CONFIG.dictionaryUrl, { ttl: TICKER_CONFIG.ttl });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const dictionary = await response.json();
+        tickerContextWords = new Set((dictionary.contextWords || []).map(word => word.toLowerCase()));
+        addTickerAssets(dictionary.assets || []);
+        console.log(`🏷️ Asset dictionary: ${tickerAssets.size} assets`);
+    } catch (error) {
+        console.warn(`⚠️ Asset dictionary unavailable (${error.message}) - only cashtags will be detected`);
+    }
+}
+
+const tickersReady = loadTickerDictionary();
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+function isMostlyUpperCase(text) {
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    return letters.length > 12 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+}
+
+/**
+ * Is there a crypto context word (or a % move / $ amount) near character `index`?
+ */
+function hasTickerContext(text, index, length) {
+    const before = text.slice(0, index).split(/\s+/).slice(-TICKER_CONFIG.contextWindow);
+    const after = text.slice(index + length).split(/\s+/).slice(0, TICKER_CONFIG.contextWindow + 1);
+
+    return [...before, ...after].some(word => {
+        const clean = word.toLowerCase().replace(/[^a-z0-9%$]/g, '');
+        return tickerContextWords.has(clean) || /\d%$/.test(clean) || /^\$\d/.test(clean);
+    });
+}
+
+/**
+ * Mentions in a text: [{ symbol, count, known, via: ['cashtag'|'name'|'symbol'] }],
+ * most mentioned first
+ */
+function extractTickerMentions(text) {
+    const source = String(text || '');
+    const found = new Map();
+    const upperCaseText = isMostlyUpperCase(source);
+
+    const add = (symbol, via) => {
+        const mention = found.get(symbol) || { symbol, count: 0, known: tickerAssets.has(symbol), via: [] };
+        mention.count++;
+        if (!mention.via.includes(via)) mention.via.push(via);
+        found.set(symbol, mention);
+    };
+
+    // 1. Cashtags - explicit, so unknown coins count too ($100K is a price, not a ticker)
+    for (const match of source.matchAll(/(^|[^\w$])\$([A-Za-z][A-Za-z0-9]{1,9})(?![\w])/g)) {
+        add(match[2].toUpperCase(), 'cashtag');
+    }
+
+    // 2. Names
+    if (tickerNamePattern) {
+        tickerNamePattern.lastIndex = 0;
+        for (const match of source.matchAll(tickerNamePattern)) {
+            const matched = match[2];
+            const name = tickerNames.get(matched.toLowerCase());
+            const index = match.index + match[1].length;
+
+            if (name.ambiguous) {
+                // "jupiter" the planet stays out; "Jupiter token" is in
+                if (matched !== name.name && matched !== name.name.toUpperCase()) continue;
+                if (!hasTickerContext(source, index, matched.length)) continue;
+            }
+            add(name.symbol, 'name');
+        }
+    }
+
+    // 3. Bare symbols: whole upper-case words only
+    for (const match of source.matchAll(/(^|[^\w$])([A-Z][A-Z0-9]{1,9})(?![\w])/g)) {
+        const symbol = match[2];
+        const asset = tickerAssets.get(symbol);
+        if (!asset) continue;
+
+        const index = match.index + match[1].length;
+        const named = found.has(symbol) && found.get(symbol).via.includes('name');
+        if ((asset.ambiguous || upperCaseText) && !named && !hasTickerContext(source, index, symbol.length)) continue;
+        add(symbol, 'symbol');
+    }
+
+    return [...found.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Symbols mentioned in a text
+ */
+function extractTickers(text) {
+    return extractTickerMentions(text).map(mention => mention.symbol);
+}
+
+/**
+ * Symbols a news item mentions: its headline and body, plus the tickers the
+ * LLM found (enrichment.js) when they are known assets
+ */
+function extractItemTickers(item) {
+    const text = [item.title, item.content || item.description || item.summary].filter(Boolean).join('\n');
+    const symbols = extractTickers(text);
+
+    const llmTickers = (item.enrichment && item.enrichment.tickers) || [];
+    llmTickers.forEach(symbol => {
+        if (tickerAssets.has(symbol) && !symbols.includes(symbol)) symbols.push(symbol);
+    });
+    return symbols;
+}
+
+/**
+ * Link to a symbol on the market terminal
+ */
+function getMarketUrl(symbol) {
+    return `${TICKER_CONFIG.marketUrl}?symbol=${encodeURIComponent(symbol)}`;
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.TickerExtractor = {
+    config: TICKER_CONFIG,
+    ready: tickersReady,
+    extract: extractTickers,
+    mentions: extractTickerMentions,
+    forItem: extractItemTickers,
+    addAssets: addTickerAssets,
+    isKnown: (symbol) => tickerAssets.has(String(symbol).toUpperCase()),
+    assets: () => [...tickerAssets.values()],
+    marketUrl: getMarketUrl
+};
+
+console.log('Ticker extraction module loaded.');
@@ -0,0 +1,281 @@
+/**
+ * KIMCHI - SPEECH TRANSCRIPT
+ * Every line BILU actually says, kept in IndexedDB: text, time, origin
+ * (idle, routine, news, knowledge, observation, alert, user) and the card it
+ * was about. Backs the history drawer (search, replay, export).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TRANSCRIPT_CONFIG = {
+    dbName: 'tank_transcript',
+    storeName: 'lines',
+    retention: 30 * 24 * 60 * 60 * 1000,  // Drop lines older than 30 days
+    maxLines: 2000,                       // ...and keep at most this many
+    flushDelay: 2000                      // Batch IndexedDB writes
+};
+
+const TRANSCRIPT_ORIGINS = ['idle', 'routine', 'news', 'knowledge', 'observation', 'alert', 'user'];
+
+// ============================================
+// STATE
+// ============================================
+
+// In-memory mirror, oldest first
+let transcriptLines = [];
+const pendingLines = new Map();         // id -> line to put
+const deletedLines = new Set();         // ids to delete
+const transcriptListeners = [];
+let transcriptDb = null;
+let transcriptFlushTimer = null;
+let transcriptSeq = 0;
+
+function notifyTranscript() {
+    transcriptListeners.forEach(listener => listener(transcriptLines.length));
+}
+
+// ============================================
+// INDEXEDDB
+// ============================================
+
+function openTranscriptDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(TRANSCRIPT_CONFIG.dbName, 1);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            if (!database.objectStoreNames.contains(TRANSCRIPT_CONFIG.storeName)) {
+                database.createObjectStore(TRANSCRIPT_CONFIG.storeName, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function loadTranscript() {
+    try {
+        transcriptDb = await openTranscriptDb();
+
+        const rows = await new Promise((resolve, reject) => {
+            const tx = transcriptDb.transaction(TRANSCRIPT_CONFIG.storeName, 'readonly');
+            const request = tx.objectStore(TRANSCRIPT_CONFIG.storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Merge with anything said before the load finished
+        transcriptLines = [...rows, ...transcriptLines].sort((a, b) => a.timestamp - b.timestamp);
+        pruneTranscript();
+
+        console.log(`📜 [Transcript] Loaded ${rows.length} lines from IndexedDB`);
+    } catch (error) {
+        transcriptDb = null;
+        console.warn('⚠️ [Transcript] IndexedDB unavailable, keeping the transcript in memory only:', error.message);
+    }
+    notifyTranscript();
+}
+
+function scheduleTranscriptFlush() {
+    if (transcriptFlushTimer || !transcriptDb) return;
+
+    transcriptFlushTimer = setTimeout(() => {
+        transcriptFlushTimer = null;
+        flushTranscript();
+    }, TRANSCRIPT_CONFIG.flushDelay);
+}
+
+function flushTranscript() {
+    if (!transcriptDb || (pendingLines.size === 0 && deletedLines.size === 0)) return;
+
+    try {
+        const tx = transcriptDb.transaction(TRANSCRIPT_CONFIG.storeName, 'readwrite');
+        const store = tx.objectStore(TRANSCRIPT_CONFIG.storeName);
+
+        pendingLines.forEach(line => store.put(line));
+        deletedLines.forEach(id => store.delete(id));
+        pendingLines.clear();
+        deletedLines.clear();
+    } catch (error) {
+        console.error('❌ [Transcript] Error writing lines:', error);
+    }
+}
+
+// ============================================
+// RETENTION
+// ============================================
+
+function dropTranscriptLine(line) {
+    pendingLines.delete(line.id);
+    deletedLines.add(line.id);
+}
+
+/**
+ * Drop lines past the retention window, then the oldest beyond maxLines
+ */
+function pruneTranscript() {
+    const cutoff = Date.now() - TRANSCRIPT_CONFIG.retention;
+    const before = transcriptLines.length;
+
+    const kept = transcriptLines.filter(line => {
+        if (line.timestamp >= cutoff) return true;
+        dropTranscriptLine(line);
+        return false;
+    });
+    const overflow = kept.length - TRANSCRIPT_CONFIG.maxLines;
+    if (overflow > 0) {
+        kept.splice(0, overflow).forEach(dropTranscriptLine);
+    }
+    transcriptLines = kept;
+
+    if (transcriptLines.length !== before) {
+        scheduleTranscriptFlush();
+        notifyTranscript();
+    }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Add a spoken line. Returns the stored line.
+ * @param {Object} line
+ *   text        - what was said
+ *   origin      - one of TRANSCRIPT_ORIGINS (default idle)
+ *   cardId      - related card, if any
+ *   level       - scheduler level it was spoken at
+ *   category    - voice profile category (replays use the same voice)
+ *   engine      - TTS engine that spoke it
+ *   interrupted - cut off before the end
+ */
+function recordTranscriptLine({ text, origin = 'idle', cardId = null, level = null, category = null, engine = null, interrupted = false, timestamp = Date.now() }) {
+    if (!text || !text.trim()) return null;
+
+    const line = {
+        id: `line_${timestamp.toString(36)}_${(++transcriptSeq).toString(36)}`,
+        text: text.trim(),
+        timestamp,
+        origin: TRANSCRIPT_ORIGINS.includes(origin) ? origin : 'idle',
+        cardId,
+        level,
+        category,
+        engine,
+        interrupted
+    };
+
+    transcriptLines.push(line);
+    pendingLines.set(line.id, line);
+
+    if (transcriptLines.length > TRANSCRIPT_CONFIG.maxLines) {
+        pruneTranscript();
+    }
+    scheduleTranscriptFlush();
+    notifyTranscript();
+    return line;
+}
+
+/**
+ * Lines containing every word of the query, newest first
+ * @param {Object} filters - origin, cardId, limit
+ */
+function searchTranscript(query = '', { origin = null, cardId = null, limit = null } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const results = [];
+    for (let i = transcriptLines.length - 1; i >= 0; i--) {
+        const line = transcriptLines[i];
+        if (origin && line.origin !== origin) continue;
+        if (cardId && line.cardId !== cardId) continue;
+
+        const text = line.text.toLowerCase();
+        if (!terms.every(term => text.includes(term))) continue;
+
+        results.push(line);
+        if (limit && results.length >= limit) break;
+    }
+    return results;
+}
+
+function getTranscriptLine(id) {
+    return transcriptLines.find(line => line.id === id) || null;
+}
+
+function clearTranscript() {
+    transcriptLines.forEach(dropTranscriptLine);
+    transcriptLines = [];
+    flushTranscript();
+    notifyTranscript();
+}
+
+/**
+ * Lines as a download: 'txt' (one line per utterance) or 'json'.
+ * Defaults to the whole transcript, oldest first.
+ */
+function exportTranscript(format = 'txt', lines = transcriptLines) {
+    const ordered = [...lines].sort((a, b) => a.timestamp - b.timestamp);
+
+    if (format === 'json') {
+        return JSON.stringify(ordered.map(({ id, timestamp, origin, cardId, level, engine, interrupted, text }) => ({
+            id,
+            time: new Date(timestamp).toISOString(),
+            origin,
+            cardId,
+            level,
+            engine,
+            interrupted,
+            text
+        })), null, 2);
+    }
+
+    return ordered.map(line => {
+        const card = line.cardId ? ` (${line.cardId})` : '';
+        const cut = line.interrupted ? ' [interrupted]' : '';
+        return `[${new Date(line.timestamp).toISOString()}] ${line.origin.toUpperCase()}${card}: ${line.text}${cut}`;
+    }).join('\n') + '\n';
+}
+
+function configureTranscript(options = {}) {
+    Object.assign(TRANSCRIPT_CONFIG, options);
+    pruneTranscript();
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+const transcriptReady = loadTranscript();
+
+// Re-apply retention every hour
+setInterval(pruneTranscript, 60 * 60 * 1000);
+
+// Don't lose the pending batch when the tab closes
+window.addEventListener('beforeunload', flushTranscript);
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.SpeechTranscript = {
+    ready: transcriptReady,
+    config: TRANSCRIPT_CONFIG,
+    configure: configureTranscript,
+    origins: TRANSCRIPT_ORIGINS,
+
+    record: recordTranscriptLine,
+    search: searchTranscript,
+    get: getTranscriptLine,
+    count: () => transcriptLines.length,
+    clear: clearTranscript,
+    export: exportTranscript,
+    onChange: (listener) => transcriptListeners.push(listener)
+};
+
+console.log('Speech transcript module loaded.');
@@ -0,0 +1,507 @@
+/**
+ * KIMCHI - TEXT TO SPEECH
+ * One speak() for every voice in the app, backed by interchangeable engines:
+ *
+ *   http      - our TTS proxy (api/tts.js, Uberduck behind a server-side key)
+ *   webspeech - the browser's speechSynthesis with its best matching voice
+ *   local     - speechSynthesis restricted to on-device voices (works offline)
+ *
+ * Engines are tried in the configured order; when one fails before it starts
+ * talking the next one takes over. Lines spoken without `interrupt` wait for
+ * the current one to finish, cancel() stops everything that is pending.
+ * pause()/resume() hold the current line; duck() lowers it where the engine
+ * can change the volume of a line that is already playing (http only).
+ *
+ * What BILU sounds like is a voice profile (one per user): a voice name
+ * preference list, rate, pitch, volume and per-category overrides, so the
+ * feed, alerts and idle chatter keep the same character. voiceFor(profile,
+ * category) turns it into the voice settings speak() takes.
+ *
+ * An engine is { id, label, isSupported(), speak(text, voice, hooks), stop() }
+ * where speak() resolves when the line is over and rejects if it could not be
+ * spoken. hooks: onStart() when audio begins, onWord() on word boundaries.
+ * Optional: pause(), resume(), setVolume(factor).
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const TTS_CONFIG = {
+    engines: ['webspeech', 'local'],        // Order of preference (see configureTTS)
+    startTimeout: 8 * 1000,                 // Not talking by then counts as a failure
+    retryAfter: 5 * 60 * 1000,              // A failing http engine is skipped this long
+    keepAlive: 10 * 1000,                   // Chrome stops long utterances after ~15s
+    http: {
+        endpoint: '/api/tts',
+        maxChars: 1500,
+        timeout: 20 * 1000
+    }
+};
+
+// Voice settings used when a caller passes none
+const TTS_DEFAULT_VOICE = {
+    rate: 1.0,
+    pitch: 1.0,
+    volume: 1.0,
+    lang: 'en',
+    preferences: []                         // Substrings of voice names, best first
+};
+
+// What a line is - a profile can override rate/pitch/volume per category
+const TTS_CATEGORIES = ['chatter', 'news', 'alert', 'knowledge', 'article'];
+
+const TTS_DEFAULT_PROFILE = {
+    preferences: ['Daniel', 'Google UK English Male', 'Male', 'David', 'UK', 'British', 'English'],
+    rate: 1.0,
+    pitch: 0.8,
+    volume: 1.0,
+    model: '',                              // Voice for the http engine ('' = server default)
+    overrides: {
+        alert: { rate: 1.1 }
+    }
+};
+
+const TTS_LIMITS = {
+    rate: [0.5, 2],
+    pitch: [0, 2],
+    volume: [0, 1]
+};
+
+// ============================================
+// STATE
+// ============================================
+
+const ttsEngines = new Map();              // id -> engine
+const ttsUnavailable = new Map();          // id -> timestamp until which it is skipped
+let ttsVoices = [];
+let ttsCurrent = null;                     // Engine that is talking (or fetching audio)
+let ttsChain = Promise.resolve();          // Lines waiting their turn
+let ttsGeneration = 0;                     // Bumped by cancel() so queued lines drop out
+let ttsLastEngine = null;
+let ttsPaused = false;
+
+function loadTTSVoices() {
+    if (!('speechSynthesis' in window)) return;
+    ttsVoices = window.speechSynthesis.getVoices();
+}
+
+/**
+ * Best voice for the preferences: first name match, then the language, then anything
+ */
+function pickTTSVoice(voice, localOnly = false) {
+    const voices = ttsVoices.length > 0 ? ttsVoices : (loadTTSVoices(), ttsVoices);
+    const candidates = localOnly ? voices.filter(v => v.localService) : voices;
+
+    for (const preference of voice.preferences) {
+        const match = candidates.find(v => v.name.includes(preference));
+        if (match) return match;
+    }
+    return candidates.find(v => v.lang.startsWith(voice.lang)) || candidates[0] || null;
+}
+
+// ============================================
+// VOICE PROFILE
+// ============================================
+
+function clampVoiceSetting(name, value, fallback) {
+    const number = parseFloat(value);
+    if (!isFinite(number)) return fallback;
+    const [min, max] = TTS_LIMITS[name];
+    return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * A complete, in-range copy of a (possibly partial or stored) profile
+ */
+function normalizeVoiceProfile(profile = {}) {
+    const defaults = TTS_DEFAULT_PROFILE;
+    const preferences = Array.isArray(profile.preferences)
+        ? profile.preferences.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim())
+        : [];
+
+    const overrides = {};
+    TTS_CATEGORIES.forEach(category => {
+        const source = (profile.overrides || defaults.overrides)[category] || {};
+        const override = {};
+        Object.keys(TTS_LIMITS).forEach(name => {
+            const value = clampVoiceSetting(name, source[name], null);
+            if (value !== null) override[name] = value;
+        });
+        if (Object.keys(override).length > 0) overrides[category] = override;
+    });
+
+    return {
+        preferences: preferences.length > 0 ? preferences : defaults.preferences.slice(),
+        rate: clampVoiceSetting('rate', profile.rate, defaults.rate),
+        pitch: clampVoiceSetting('pitch', profile.pitch, defaults.pitch),
+        volume: clampVoiceSetting('volume', profile.volume, defaults.volume),
+        model: typeof profile.model === 'string' ? profile.model.trim() : defaults.model,
+        overrides
+    };
+}
+
+/**
+ * Voice settings for speak(): the profile with the category's overrides applied
+ */
+function getProfileVoice(profile, category = null) {
+    const override = (profile.overrides && profile.overrides[category]) || {};
+    return {
+        preferences: profile.preferences,
+        rate: override.rate ?? profile.rate,
+        pitch: override.pitch ?? profile.pitch,
+        volume: override.volume ?? profile.volume,
+        model: profile.model
+    };
+}
+
+// ============================================
+// ENGINES
+// ============================================
+
+/**
+ * Add (or replace) an engine; it is used once its id is in the engine order
+ */
+function registerTTSEngine(engine) {
+    ttsEngines.set(engine.id, engine);
+}
+
+/**
+ * speechSynthesis engine - `localOnly` keeps to voices that need no network
+ */
+function createWebSpeechEngine({ id, label, localOnly = false }) {
+    let keepAlive = null;
+
+    return {
+        id,
+        label,
+        isSupported: () => 'speechSynthesis' in window,
+
+        speak(text, voice, hooks) {
+            return new Promise((resolve, reject) => {
+                const selected = pickTTSVoice(voice, localOnly);
+                if (localOnly && !selected) {
+                    reject(new Error('No on-device voice installed'));
+                    return;
+                }
+
+                const utterance = new SpeechSynthesisUtterance(text);
+                if (selected) utterance.voice = selected;
+                utterance.lang = selected ? selected.lang : voice.lang;
+                utterance.rate = voice.rate;
+                utterance.pitch = voice.pitch;
+                utterance.volume = voice.volume;
+
+                utterance.onboundary = (event) => {
+                    if (event.name === 'word' && hooks.onWord) hooks.onWord();
+                };
+                utterance.onstart = () => {
+                    if (hooks.onStart) hooks.onStart();
+                };
+                utterance.onend = () => {
+                    clearInterval(keepAlive);
+                    resolve();
+                };
+                utterance.onerror = (event) => {
+                    clearInterval(keepAlive);
+                    // cancel() reports these - a stop, not a failure
+                    if (event.error === 'interrupted' || event.error === 'canceled') {
+                        resolve();
+                        return;
+                    }
+                    reject(new Error(`speechSynthesis ${event.error}`));
+                };
+
+                window.speechSynthesis.speak(utterance);
+
+                // Chrome bug workaround - speech can pause after ~15 seconds
+                clearInterval(keepAlive);
+                keepAlive = setInterval(() => {
+                    if (!window.speechSynthesis.speaking) {
+                        clearInterval(keepAlive);
+                        return;
+                    }
+                    if (ttsPaused) return;
+                    window.speechSynthesis.pause();
+                    window.speechSynthesis.resume();
+                }, TTS_CONFIG.keepAlive);
+            });
+        },
+
+        stop() {
+            clearInterval(keepAlive);
+            window.speechSynthesis.cancel();
+            // A paused synthesizer stays paused for the next utterance
+            window.speechSynthesis.resume();
+        },
+
+        pause() {
+            window.speechSynthesis.pause();
+        },
+
+        resume() {
+            window.speechSynthesis.resume();
+        }
+    };
+}
+
+/**
+ * Server-side TTS: POST { text, voice } to the proxy, play the returned audioUrl
+ */
+function createHttpEngine() {
+    let audio = null;
+    let finish = null;
+    let generation = 0;
+    let volume = 1;
+
+    return {
+        id: 'http',
+        label: 'Uberduck (server proxy)',
+        isSupported: () => typeof Audio !== 'undefined' && !!TTS_CONFIG.http.endpoint,
+
+        async speak(text, voice, hooks) {
+            const { endpoint, maxChars, timeout } = TTS_CONFIG.http;
+            const current = ++generation;
+
+            const response = await HttpClient.fetch(endpoint, {
+                method: 'POST',
+                timeout,
+                retries: 0,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: text.slice(0, maxChars), voice: voice.model || undefined })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.audioUrl) {
+                const error = new Error(data.error || `HTTP ${response.status}`);
+                // No proxy here, or no key on it: don't ask again this session
+                error.retryAfter = [404, 405, 501, 503].includes(response.status) ? Infinity : TTS_CONFIG.retryAfter;
+                throw error;
+            }
+
+            // stop() was called while the audio was being generated
+            if (current !== generation) return;
+
+            return new Promise((resolve, reject) => {
+                audio = new Audio(data.audioUrl);
+                volume = voice.volume;
+                audio.volume = volume;
+                finish = resolve;
+
+                audio.onplaying = () => {
+                    if (hooks.onStart) hooks.onStart();
+                };
+                audio.onended = () => {
+                    audio = null;
+                    finish = null;
+                    resolve();
+                };
+                audio.onerror = () => {
+                    audio = null;
+                    finish = null;
+                    reject(new Error('Audio playback failed'));
+                };
+                audio.play().catch(error => {
+                    audio = null;
+                    finish = null;
+                    reject(error);
+                });
+            });
+        },
+
+        stop() {
+            generation++;
+            if (audio) {
+                audio.pause();
+                audio = null;
+            }
+            if (finish) {
+                finish();
+                finish = null;
+            }
+        },
+
+        pause() {
+            if (audio) audio.pause();
+        },
+
+        resume() {
+            if (audio) audio.play().catch(() => {});
+        },
+
+        setVolume(factor) {
+            if (audio) audio.volume = Math.min(1, volume * factor);
+        }
+    };
+}
+
+registerTTSEngine(createHttpEngine());
+registerTTSEngine(createWebSpeechEngine({ id: 'webspeech', label: 'Web Speech' }));
+registerTTSEngine(createWebSpeechEngine({ id: 'local', label: 'On-device voice', localOnly: true }));
+
+// ============================================
+// SPEAKING
+// ============================================
+
+/**
+ * Engines to try, in order: configured, supported and not cooling down
+ */
+function getTTSEngineOrder() {
+    const now = Date.now();
+    return TTS_CONFIG.engines
+        .map(id => ttsEngines.get(id))
+        .filter(engine => engine && engine.isSupported() && !((ttsUnavailable.get(engine.id) || 0) > now));
+}
+
+/**
+ * One attempt on one engine - rejects if it fails or stays silent past startTimeout
+ */
+function runTTSEngine(engine, text, voice, hooks) {
+    return new Promise((resolve, reject) => {
+        let started = false;
+        const timer = setTimeout(() => {
+            if (started || ttsPaused) return;
+            engine.stop();
+            reject(new Error(`did not start within ${TTS_CONFIG.startTimeout / 1000}s`));
+        }, engine.id === 'http' ? TTS_CONFIG.startTimeout + TTS_CONFIG.http.timeout : TTS_CONFIG.startTimeout);
+
+        engine.speak(text, voice, {
+            onWord: hooks.onWord,
+            onStart: () => {
+                started = true;
+                clearTimeout(timer);
+                if (hooks.onStart) hooks.onStart(engine.id);
+            }
+        }).then(() => {
+            clearTimeout(timer);
+            resolve();
+        }, (error) => {
+            clearTimeout(timer);
+            // A line that broke off halfway is not spoken again by the next engine
+            if (started) resolve();
+            else reject(error);
+        });
+    });
+}
+
+async function speakWithEngines(text, voice, hooks, generation) {
+    for (const engine of getTTSEngineOrder()) {
+        if (generation !== ttsGeneration) return null;
+
+        ttsCurrent = engine;
+        try {
+            await runTTSEngine(engine, text, voice, hooks);
+            ttsLastEngine = engine.id;
+            return engine.id;
+        } catch (error) {
+            console.warn(`⚠️ [TTS] ${engine.label} failed: ${error.message}`);
+            if (error.retryAfter) {
+                ttsUnavailable.set(engine.id, Date.now() + error.retryAfter);
+            }
+        } finally {
+            ttsCurrent = null;
+        }
+    }
+
+    if (generation === ttsGeneration) {
+        console.error('❌ [TTS] No engine could speak:', text.substring(0, 50));
+    }
+    return null;
+}
+
+/**
+ * Speak a line. Resolves with the id of the engine that spoke it (null if none
+ * could, or it was cancelled) once it is over.
+ * @param {Object} options
+ *   voice     - { rate, pitch, volume, lang, preferences, model } (see voiceFor)
+ *   interrupt - stop whatever is speaking or queued first (default: wait for it)
+ *   onStart   - called with the engine id when audio begins
+ *   onWord    - called on word boundaries (Web Speech engines only)
+ */
+function speakTTS(text, { voice = {}, interrupt = false, onStart = null, onWord = null } = {}) {
+    if (interrupt) cancelTTS();
+
+    const generation = ttsGeneration;
+    const settings = { ...TTS_DEFAULT_VOICE, ...voice };
+    const line = ttsChain.then(() => speakWithEngines(text, settings, { onStart, onWord }, generation));
+
+    ttsChain = line.catch(() => null);
+    return line;
+}
+
+/**
+ * Stop the current line and drop the queued ones
+ */
+function cancelTTS() {
+    ttsGeneration++;
+    ttsPaused = false;
+    if (ttsCurrent) ttsCurrent.stop();
+}
+
+function pauseTTS() {
+    ttsPaused = true;
+    if (ttsCurrent && ttsCurrent.pause) ttsCurrent.pause();
+}
+
+function resumeTTS() {
+    ttsPaused = false;
+    if (ttsCurrent && ttsCurrent.resume) ttsCurrent.resume();
+}
+
+/**
+ * Scale the volume of the line that is playing (1 restores it)
+ */
+function duckTTS(factor) {
+    if (ttsCurrent && ttsCurrent.setVolume) ttsCurrent.setVolume(factor);
+}
+
+/**
+ * @param {Object} options - { engines: ['http', 'webspeech', 'local'], http: { endpoint, ... } }
+ */
+function configureTTS({ engines, http } = {}) {
+    if (Array.isArray(engines) && engines.length > 0) TTS_CONFIG.engines = engines;
+    if (http) Object.assign(TTS_CONFIG.http, http);
+}
+
+function getTTSStatus() {
+    const now = Date.now();
+    return [...ttsEngines.values()].map(engine => ({
+        id: engine.id,
+        label: engine.label,
+        enabled: TTS_CONFIG.engines.includes(engine.id),
+        supported: engine.isSupported(),
+        unavailableUntil: (ttsUnavailable.get(engine.id) || 0) > now ? ttsUnavailable.get(engine.id) : 0
+    }));
+}
+
+if ('speechSynthesis' in window) {
+    loadTTSVoices();
+    // Chrome loads its voices asynchronously
+    window.speechSynthesis.addEventListener('voiceschanged', loadTTSVoices);
+}
+
+// ============================================
+// GLOBAL EXPORTS
+// ============================================
+
+window.TTS = {
+    config: TTS_CONFIG,
+    categories: TTS_CATEGORIES,
+    defaultProfile: () => normalizeVoiceProfile(TTS_DEFAULT_PROFILE),
+    normalizeProfile: normalizeVoiceProfile,
+    voiceFor: getProfileVoice,
+    configure: configureTTS,
+    register: registerTTSEngine,
+    speak: speakTTS,
+    cancel: cancelTTS,
+    pause: pauseTTS,
+    resume: resumeTTS,
+    duck: duckTTS,
+    isPaused: () => ttsPaused,
+    isSpeaking: () => ttsCurrent !== null,
+    voices: () => ttsVoices.slice(),
+    engines: getTTSStatus,
+    lastEngine: () => ttsLastEngine
+};
+
+console.log('TTS module loaded.');